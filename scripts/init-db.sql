@@ -0,0 +1,164 @@
+-- Schema for the AI Content Processing Engine
+-- Mounted into the postgres container by docker-compose and run on first start.
+
+-- Users
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    role VARCHAR(32) NOT NULL DEFAULT 'user',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Refresh tokens (one row per issued refresh token, keyed by its JWT id)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    replaced_by UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+
+-- API keys for service-to-service callers (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(32) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT ARRAY['*'],
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Token usage per AI call, for internal billing
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id BIGSERIAL PRIMARY KEY,
+    principal_id VARCHAR(64),
+    principal_type VARCHAR(16),
+    processing_type VARCHAR(64) NOT NULL,
+    provider VARCHAR(32) NOT NULL,
+    model VARCHAR(128) NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cached_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(14, 8) NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_principal_created ON ai_usage(principal_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
+
+-- Content library: source documents owned by a principal
+CREATE TABLE IF NOT EXISTS content_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id VARCHAR(64) NOT NULL,
+    owner_type VARCHAR(16) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    source_type VARCHAR(16) NOT NULL DEFAULT 'text',
+    source_url TEXT,
+    content TEXT NOT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('simple', content), 'B')
+    ) STORED,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_items_owner_updated ON content_items(owner_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_items_search ON content_items USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_content_items_tags ON content_items USING GIN(tags);
+
+-- Processing results attached to a content item, one row per run
+CREATE TABLE IF NOT EXISTS content_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_id UUID NOT NULL REFERENCES content_items(id) ON DELETE CASCADE,
+    processing_type VARCHAR(64) NOT NULL,
+    options JSONB NOT NULL DEFAULT '{}',
+    provider VARCHAR(32),
+    model VARCHAR(128),
+    result JSONB NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cached_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(14, 8) NOT NULL DEFAULT 0,
+    created_by VARCHAR(64),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_versions_content_created ON content_versions(content_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_versions_type ON content_versions(processing_type);
+
+-- Prompt template registry: versions per template name, at most one active
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(64) NOT NULL,
+    version INTEGER NOT NULL CHECK (version > 0),
+    template TEXT NOT NULL,
+    variables TEXT[] NOT NULL DEFAULT '{}',
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by VARCHAR(64),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    promoted_at TIMESTAMPTZ,
+    UNIQUE (name, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(name) WHERE is_active;
+
+-- Processing types registered at runtime through the admin API
+CREATE TABLE IF NOT EXISTS processing_types (
+    name VARCHAR(64) PRIMARY KEY,
+    description TEXT,
+    prompt_template TEXT NOT NULL,
+    options_schema JSONB NOT NULL DEFAULT '{"type": "object"}',
+    output_schema JSONB,
+    defaults JSONB NOT NULL DEFAULT '{}',
+    cache_ttl INTEGER NOT NULL DEFAULT 3600,
+    max_content_length INTEGER NOT NULL DEFAULT 50000,
+    revision INTEGER NOT NULL DEFAULT 1,
+    created_by VARCHAR(64),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Secrets that sign webhook callbacks, one per principal
+CREATE TABLE IF NOT EXISTS webhook_secrets (
+    owner_id VARCHAR(64) NOT NULL,
+    owner_type VARCHAR(16) NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (owner_type, owner_id)
+);
+
+-- Webhook callbacks and the outcome of each delivery attempt
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id VARCHAR(64) NOT NULL,
+    owner_type VARCHAR(16) NOT NULL,
+    job_id VARCHAR(64),
+    event VARCHAR(64) NOT NULL,
+    url TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    attempt_log JSONB NOT NULL DEFAULT '[]',
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_owner_created ON webhook_deliveries(owner_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_job ON webhook_deliveries(job_id);
@@ -0,0 +1,38 @@
+require("dotenv").config();
+
+const { config } = require("../src/config/database");
+const { userModel } = require("../src/models/user.model");
+
+/**
+ * Grant the admin role to a registered user:
+ *   npm run admin:promote -- alice@example.com
+ * Admins are never created through open registration. The new role is in
+ * the user's access tokens from their next login or token refresh.
+ */
+const promote = async (email) => {
+  if (!email) {
+    console.error("Usage: npm run admin:promote -- <email>");
+    return 1;
+  }
+
+  await config.connectDB();
+  try {
+    const user = await userModel.setRoleByEmail(email.trim().toLowerCase(), "admin");
+    if (!user) {
+      console.error(`No user registered with ${email}`);
+      return 1;
+    }
+    console.log(`${user.email} is now an admin`);
+    return 0;
+  } finally {
+    await config.closeDb();
+  }
+};
+
+promote(process.argv[2]).then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
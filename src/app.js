@@ -3,7 +3,6 @@ const helmet = require("helmet");
 const cors = require("cors");
 const compression = require('compression');
 const morgan = require("morgan");
-const rateLimit = require("express-rate-limit");
 require('express-async-errors');
 const promBundle = require('express-prom-bundle');
 require("dotenv").config();
@@ -12,15 +11,19 @@ const { config } = require('./config/database');
 const { connectRedis } = require('./config/redis');
 const { logger } = require('./config/logger');
 const { swaggerSpec, swaggerUi } = require('./config/swagger');
+const { processingTypeService } = require('./services/processingType.service');
 
 // Import routes
-// const authRoutes = require('./routes/auth.routes');
-// const contentRoutes = require('./routes/content.routes');
+const authRoutes = require('./routes/auth.routes');
+const contentRoutes = require('./routes/content.routes');
 const aiRoutes = require('./routes/ai.routes');
+const adminRoutes = require('./routes/admin.routes');
+const webhookRoutes = require('./routes/webhook.routes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/error.middleware');
 const { notFound } = require('./middleware/notFound.middleware');
+const { ipRateLimit } = require('./middleware/rateLimit.middleware');
 
 class App {
   constructor() {
@@ -67,17 +70,9 @@ class App {
     //Compressopm middleware
     this.app.use(compression());
 
-    //Rate limiting
-    const limiter = rateLimit({
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: process.env.NODE_ENV === "production" ? 100 : 1000,
-      message: {
-        error: "Too many requests from this IP, please try again later.",
-      },
-      standardHeaders: true,
-      legacyHeaders: false,
-    });
-    this.app.use("/api/", limiter);
+    // Rate limiting: per IP in front of authentication, then per user or
+    // API key on each route (see middleware/rateLimit.middleware.js)
+    this.app.use("/api/", ipRateLimit);
 
     //Prometheus metrics
     const metricsMiddleware = promBundle({
@@ -127,13 +122,24 @@ class App {
         });
       });
 
-    // API Documentation
-    this.app.use("/api/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+    // API Documentation, including custom processing types registered at runtime
+    this.app.use(
+      "/api/docs",
+      async (req, res, next) => {
+        await processingTypeService.ensureFresh();
+        req.swaggerDoc = processingTypeService.documentSpec(swaggerSpec);
+        next();
+      },
+      swaggerUi.serveFiles(),
+      swaggerUi.setup()
+    );
 
     // API routes
-    // this.app.use("/api/auth", authRoutes);
-    // this.app.use("/api/content", contentRoutes);
+    this.app.use("/api/auth", authRoutes);
+    this.app.use("/api/content", contentRoutes);
     this.app.use("/api/ai", aiRoutes);
+    this.app.use("/api/admin", adminRoutes);
+    this.app.use("/api/webhooks", webhookRoutes);
 
     // Root endpoint
     this.app.get("/", (req, res) => {
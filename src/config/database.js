@@ -25,8 +25,8 @@ const config = {
             logger.info('PostgreSQL database connected successfully');
             return this.pool
         } catch (error) {
-            logger.error("Failed to connect to PostgreSQL database:", err)
-            throw err;
+            logger.error("Failed to connect to PostgreSQL database:", error)
+            throw error;
         }
     },
 
@@ -38,6 +38,36 @@ const config = {
     return this.pool;
   },
   
+  /**
+   * Run a parameterized query on the pool
+   * @param {string} text - SQL text
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object>} pg query result
+   */
+  query: function(text, params) {
+    return this.getPool().query(text, params);
+  },
+
+  /**
+   * Run queries in a transaction on one pooled client
+   * @param {Function} fn - async (client) => result; throwing rolls back
+   * @returns {Promise<*>} Result of fn
+   */
+  transaction: async function(fn) {
+    const client = await this.getPool().connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
   // Close database connection
   closeDb: async function() {
     if (this.pool) {
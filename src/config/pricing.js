@@ -0,0 +1,56 @@
+const logger = require('./logger').logger;
+
+/**
+ * Model price table in USD per 1M tokens.
+ * Override or extend with AI_PRICING, a JSON object of the same shape, e.g.
+ * AI_PRICING='{"gpt-4o":{"input":2.5,"output":10,"cached":1.25}}'
+ */
+const DEFAULT_PRICING = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40, cached: 0.025 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00, cached: 0.3125 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60, cached: 0.075 },
+    'gpt-4o': { input: 2.50, output: 10.00, cached: 1.25 },
+    'mock-1': { input: 0, output: 0, cached: 0 },
+};
+
+const loadPricing = () => {
+    if (!process.env.AI_PRICING) {
+        return DEFAULT_PRICING;
+    }
+    try {
+        return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_PRICING) };
+    } catch (error) {
+        logger.error('Invalid AI_PRICING, using default price table:', error);
+        return DEFAULT_PRICING;
+    }
+};
+
+const pricing = loadPricing();
+const unknownModels = new Set();
+
+/**
+ * Get the price entry for a model. Dated snapshots such as
+ * gpt-4o-mini-2024-07-18 use the price of the longest listed name they
+ * start with. Unknown models are logged once and priced at nothing.
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output, cached } per 1M tokens, or null if unknown
+ */
+const getModelPricing = (model) => {
+    if (!model) return null;
+    if (pricing[model]) return pricing[model];
+
+    const base = Object.keys(pricing)
+        .filter((name) => model.startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    if (base) return pricing[base];
+
+    if (!unknownModels.has(model)) {
+        unknownModels.add(model);
+        logger.warn(`No price for AI model ${model}, its usage is recorded at no cost`);
+    }
+    return null;
+};
+
+module.exports = {
+    getModelPricing
+};
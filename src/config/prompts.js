@@ -0,0 +1,77 @@
+/**
+ * Built-in prompt templates, one per text processing type.
+ * They are version 0 of each template in the prompt registry and stay in use
+ * until an admin promotes a stored version (see promptService).
+ *
+ * Placeholders use {{variable}}. `variables` lists every placeholder a
+ * version of the template may use; `required` must appear in every version.
+ */
+const PROMPT_TEMPLATES = {
+  summarize: {
+    description: 'Summary; long documents are summarized per section, then the section summaries are combined',
+    variables: ['content', 'maxLength', 'style', 'context'],
+    required: ['content'],
+    template: `You are an expert content summarizer. {{context}}Create {{style}} summaries that capture the key points and main ideas. Keep summaries under {{maxLength}} words.
+
+     Content to summarize:
+     {{content}}`,
+  },
+  'analyze-sentiment': {
+    description: 'Sentiment analysis with JSON output',
+    variables: ['content', 'outputFormat'],
+    required: ['content', 'outputFormat'],
+    template: `You are a sentiment analysis expert. Analyze the sentiment of the given text and provide:
+  1. Overall sentiment (positive, negative, neutral or mixed)
+  2. Confidence score (0-10)
+  3. Key emotional indicators
+  4. Brief explanation
+
+  Respond in JSON format only, exactly in this shape:
+  {{outputFormat}}
+
+  Text to analyze:
+  {{content}}.`,
+  },
+  'extract-keywords': {
+    description: 'Keyword extraction with JSON output',
+    variables: ['content', 'outputFormat'],
+    required: ['content', 'outputFormat'],
+    template: `Extract the most important keywords and key phrases from the given text, with their relevance scores (0-10). Focus on nouns, important adjectives, and key concepts.
+    Respond in JSON format only, exactly in this shape:
+    {{outputFormat}}
+
+    Text to analyze:
+    {{content}}`,
+  },
+  'generate-content': {
+    description: 'Content generation from a user request',
+    variables: ['content', 'style'],
+    required: ['content'],
+    template: `You are a professional content creator. Generate high-quality, {{style}} content based on the user's request. Ensure the content is engaging, well-structured, and appropriate for the intended audience.
+
+     User request:
+     {{content}}`,
+  },
+  translate: {
+    description: 'Translation',
+    variables: ['content', 'targetLanguage', 'formattingInstruction'],
+    required: ['content', 'targetLanguage'],
+    template: `You are a professional translator. Translate the given text to {{targetLanguage}}. {{formattingInstruction}} Ensure accuracy and natural flow in the target language.
+
+    Text to translate:
+    {{content}}`,
+  },
+};
+
+/**
+ * Filled into the {{context}} placeholder of the summarize template when a
+ * long document is summarized with map-reduce (see aiService.summarizeLongText):
+ * `section` for each chunk, `combine` for merging section summaries.
+ * Single-pass summaries leave {{context}} empty.
+ */
+const SUMMARY_CONTEXTS = {
+  section: 'The text below is section {{section}} of {{sections}} of a longer document (it may start with a few sentences repeated from the previous section); keep its key points, names and figures. ',
+  combine: 'The text below holds partial summaries of consecutive parts of one document; combine them into a single summary, removing repetition and keeping the most important points. ',
+};
+
+module.exports = { PROMPT_TEMPLATES, SUMMARY_CONTEXTS };
@@ -0,0 +1,53 @@
+const Queue = require('bull');
+const logger = require('./logger').logger;
+
+const QUEUE_NAMES = {
+    PROCESS: 'ai-process',
+    BATCH: 'ai-batch',
+    // Webhook callbacks of finished jobs (see services/webhook.service.js)
+    WEBHOOK: 'ai-webhook',
+};
+
+const queues = {};
+
+/**
+ * Get (lazily creating) a Bull queue backed by Redis
+ * @param {string} name - Queue name, one of QUEUE_NAMES
+ * @returns {Queue} Bull queue instance
+ */
+const getQueue = (name) => {
+    if (!queues[name]) {
+        const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
+
+        const queue = new Queue(name, redisUrl, {
+            prefix: process.env.QUEUE_PREFIX || 'bull',
+            defaultJobOptions: {
+                attempts: parseInt(process.env.QUEUE_JOB_ATTEMPTS || '3', 10),
+                backoff: { type: 'exponential', delay: 2000 },
+                removeOnComplete: { age: 24 * 3600 },
+                removeOnFail: { age: 7 * 24 * 3600 },
+            },
+        });
+
+        queue.on('error', (err) => {
+            logger.error(`Queue ${name} error:`, err);
+        });
+
+        queues[name] = queue;
+    }
+    return queues[name];
+};
+
+/**
+ * Close all open queues
+ */
+const closeQueues = async () => {
+    await Promise.all(Object.values(queues).map((queue) => queue.close()));
+    logger.info('Job queues closed');
+};
+
+module.exports = {
+    QUEUE_NAMES,
+    getQueue,
+    closeQueues
+};
@@ -0,0 +1,81 @@
+const logger = require('./logger').logger;
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Rate limit tiers: `requests` per `windowMs` and `dailyTokens` per UTC day.
+ * A principal's tier is its `tier`, else its role (user, admin, service for
+ * API keys); unauthenticated callers are limited per IP as `anonymous`.
+ * 0 means unlimited.
+ * Override or extend with AI_QUOTA_TIERS, a JSON object of the same shape;
+ * fields left out keep their defaults (the user tier's for new tiers), e.g.
+ * AI_QUOTA_TIERS='{"service":{"requests":5000},"trial":{"requests":20,"dailyTokens":5000}}'
+ */
+const DEFAULT_TIERS = {
+    anonymous: { requests: 100, windowMs: WINDOW_MS, dailyTokens: 0 },
+    user: { requests: 300, windowMs: WINDOW_MS, dailyTokens: 200000 },
+    service: { requests: 1000, windowMs: WINDOW_MS, dailyTokens: 2000000 },
+    admin: { requests: 1000, windowMs: WINDOW_MS, dailyTokens: 0 },
+};
+
+const TIER_FIELDS = ['requests', 'windowMs', 'dailyTokens'];
+
+/**
+ * Merge tier overrides over the defaults, field by field, so a partial
+ * override keeps the other limits. New tiers start from the user tier.
+ * @param {Object} overrides - Parsed AI_QUOTA_TIERS
+ * @returns {Object} Tiers
+ * @throws {Error} When the overrides are not tiers of non-negative integers
+ */
+const mergeTiers = (overrides) => {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('AI_QUOTA_TIERS must be a JSON object of tiers');
+    }
+
+    const tiers = { ...DEFAULT_TIERS };
+    Object.entries(overrides).forEach(([name, tier]) => {
+        if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+            throw new Error(`Tier ${name} must be an object`);
+        }
+        Object.entries(tier).forEach(([field, value]) => {
+            if (!TIER_FIELDS.includes(field)) {
+                throw new Error(`Tier ${name} has unknown field ${field}`);
+            }
+            if (!Number.isInteger(value) || value < 0 || (field === 'windowMs' && value === 0)) {
+                throw new Error(`Tier ${name}: ${field} must be a ${field === 'windowMs' ? 'positive' : 'non-negative'} integer`);
+            }
+        });
+        tiers[name] = { ...(DEFAULT_TIERS[name] || DEFAULT_TIERS.user), ...tier };
+    });
+    return tiers;
+};
+
+const loadTiers = () => {
+    if (!process.env.AI_QUOTA_TIERS) {
+        return DEFAULT_TIERS;
+    }
+    try {
+        return mergeTiers(JSON.parse(process.env.AI_QUOTA_TIERS));
+    } catch (error) {
+        logger.error('Invalid AI_QUOTA_TIERS, using default tiers:', error);
+        return DEFAULT_TIERS;
+    }
+};
+
+const tiers = loadTiers();
+
+/**
+ * Get the tier of a principal
+ * @param {Object} [principal] - req.user, undefined for anonymous callers
+ * @returns {Object} { name, requests, windowMs, dailyTokens }
+ */
+const getTier = (principal) => {
+    const name = principal ? principal.tier || principal.role : 'anonymous';
+    const tier = tiers[name] || tiers.user;
+    return { name: tiers[name] ? name : 'user', windowMs: WINDOW_MS, ...tier };
+};
+
+module.exports = {
+    getTier,
+    mergeTiers
+};
@@ -0,0 +1,43 @@
+const logger = require('./logger').logger;
+
+/**
+ * Provider quotas shared by all instances: requests (rpm) and tokens (tpm)
+ * per minute. Keys are a provider name or "provider:model"; a model entry
+ * overrides its provider's. Missing or 0 means unlimited.
+ * Override or extend with AI_RATE_LIMITS, a JSON object of the same shape, e.g.
+ * AI_RATE_LIMITS='{"openai:gpt-4o":{"rpm":5000,"tpm":800000}}'
+ */
+const DEFAULT_RATE_LIMITS = {
+    'google': { rpm: 2000, tpm: 4000000 },
+    'openai': { rpm: 500, tpm: 200000 },
+    'openai:gpt-4o': { rpm: 500, tpm: 30000 },
+};
+
+const loadRateLimits = () => {
+    if (!process.env.AI_RATE_LIMITS) {
+        return DEFAULT_RATE_LIMITS;
+    }
+    try {
+        return { ...DEFAULT_RATE_LIMITS, ...JSON.parse(process.env.AI_RATE_LIMITS) };
+    } catch (error) {
+        logger.error('Invalid AI_RATE_LIMITS, using default rate limits:', error);
+        return DEFAULT_RATE_LIMITS;
+    }
+};
+
+const rateLimits = loadRateLimits();
+
+/**
+ * Get the rate limits of a provider/model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} { rpm, tpm }, or null when unlimited
+ */
+const getRateLimits = (provider, model) => {
+    const limits = { ...rateLimits[provider], ...rateLimits[`${provider}:${model}`] };
+    return limits.rpm > 0 || limits.tpm > 0 ? limits : null;
+};
+
+module.exports = {
+    getRateLimits
+};
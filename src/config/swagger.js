@@ -34,6 +34,11 @@ const swaggerOptions = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
         }
       },
       responses: {
@@ -84,10 +89,13 @@ const swaggerOptions = {
     security: [
       {
         bearerAuth: []
+      },
+      {
+        apiKeyAuth: []
       }
     ]
   },
-  apis: ['./src/routes/*.js', './src/models/*.js'],
+  apis: ['./src/routes/*.js', './src/models/*.js', './src/validators/*.js'],
 };
 
 const swaggerSpec = swaggerJsDoc(swaggerOptions);
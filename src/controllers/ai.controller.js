@@ -1,6 +1,15 @@
 const { StatusCodes } = require("http-status-codes");
 const { aiService } = require("../services/ai.service");
+const { jobService } = require("../services/job.service");
+const { usageService } = require("../services/usage.service");
+const { quotaService } = require("../services/quota.service");
+const { extractionService } = require("../services/extraction.service");
+const { processingTypeService } = require("../services/processingType.service");
+const { pipelineService } = require("../services/pipeline.service");
+const { PROCESSING_TYPES } = require("../utils/ai.utils");
+const { MAX_CONTENT_LENGTH } = require("../validators/ai.validator");
 const { logger } = require("../config/logger");
+const { APIError } = require("../middleware/error.middleware");
 
 class AIController {
   /**
@@ -8,27 +17,114 @@ class AIController {
    */
   async processContent(req, res) {
     try {
-      const { type, content, options } = req.body;
+      // Body is validated by validateRequest(processRequestSchema)
+      const { type, content, source, options } = req.body;
 
-      if (!type || !content) {
+      const result = await aiService.processContent(
+        { type, content, source, options: options || {} },
+        { principal: req.user }
+      );
+
+      return res.status(StatusCodes.OK).json(result);
+    } catch (error) {
+      logger.error("Error in AI content processing", { error: error.message });
+
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          error: error.name,
+          errors: error.errors,
+        });
+      }
+
+      if (
+        error.message.includes("Unsupported AI processing type") ||
+        error.message.includes("Unsupported AI provider")
+      ) {
         return res.status(StatusCodes.BAD_REQUEST).json({
-          message: "Type and content are required fields",
+          message: error.message,
+        });
+      }
+
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        message: "AI processing failed",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Extract the text of an uploaded document and process it
+   */
+  async processUpload(req, res) {
+    try {
+      // File is checked by uploadDocument, fields by validateRequest(uploadRequestSchema)
+      const { type, options } = req.body;
+      const { markdown, metadata } = await extractionService.extract(req.file);
+
+      if (markdown.length > MAX_CONTENT_LENGTH[type]) {
+        throw new APIError(
+          `Extracted text is too long for ${type}`,
+          StatusCodes.REQUEST_TOO_LONG,
+          [{
+            field: "file",
+            message: `Extracted text has ${markdown.length} characters, the limit for ${type} is ${MAX_CONTENT_LENGTH[type]}`,
+          }]
+        );
+      }
+
+      const result = await aiService.processContent(
+        { type, content: markdown, options: options || {} },
+        { principal: req.user }
+      );
+
+      return res.status(StatusCodes.OK).json({ ...result, extraction: metadata });
+    } catch (error) {
+      logger.error("Error in AI document processing", {
+        fileName: req.file?.originalname,
+        error: error.message,
+      });
+
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          error: error.name,
+          errors: error.errors,
         });
       }
 
-      const result = await aiService.processContent({
-        type,
-        content,
-        options: options || {},
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        message: "AI processing failed",
+        error: error.message,
       });
+    }
+  }
+
+  /**
+   * Caption, describe, read or moderate an uploaded image
+   */
+  async processImage(req, res) {
+    try {
+      // Image is checked by uploadImage, fields by validateRequest(imageRequestSchema)
+      const { type, options } = req.body;
+
+      const result = await aiService.processImage(
+        { type, image: req.file.buffer, options: options || {} },
+        { principal: req.user }
+      );
 
       return res.status(StatusCodes.OK).json(result);
     } catch (error) {
-      logger.error("Error in AI content processing", { error: error.message });
+      logger.error("Error in AI image processing", {
+        fileName: req.file?.originalname,
+        error: error.message,
+      });
 
-      if (error.message.includes("Unsupported AI processing type")) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
           message: error.message,
+          error: error.name,
+          errors: error.errors,
         });
       }
 
@@ -39,33 +135,81 @@ class AIController {
     }
   }
 
+  /**
+   * Stream generated or translated content over Server-Sent Events
+   */
+  async streamContent(req, res) {
+    const { type, content, source, options } = req.body;
+
+    if (!aiService.isStreamable(type)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        message: `Streaming is only supported for generate-content and translate, got: ${type}`,
+      });
+    }
+
+    res.status(StatusCodes.OK).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers responses unless flushed explicitly
+      if (typeof res.flush === "function") res.flush();
+    };
+
+    // Client went away: cancel the provider call instead of waiting for its next chunk
+    const clientGone = new AbortController();
+    res.on("close", () => clientGone.abort());
+
+    try {
+      for await (const { event, data } of aiService.streamContent(
+        { type, content, source, options: options || {} },
+        { principal: req.user, signal: clientGone.signal }
+      )) {
+        send(event, data);
+      }
+    } catch (error) {
+      if (clientGone.signal.aborted) {
+        logger.info("AI stream cancelled by the client", { processingType: type });
+        return res.end();
+      }
+      logger.error("Error in AI content streaming", { error: error.message });
+      send("error", { message: "AI processing failed", error: error.message });
+    }
+
+    return res.end();
+  }
+
     /**
    * Batch process multiple content items
    */
   async batchProcess(req, res) {
     try {
-      const { requests } = req.body;
-      
-      if (!requests || !Array.isArray(requests) || requests.length === 0) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          message: 'Valid requests array is required'
-        });
-      }
-      
-      // Validate each request
-      for (const request of requests) {
-        if (!request.type || !request.content) {
-          return res.status(StatusCodes.BAD_REQUEST).json({
-            message: 'Each request must include type and content'
-          });
-        }
+      // Body is validated by validateRequest(batchRequestSchema)
+      const { requests, failFast } = req.body;
+
+      const results = await aiService.batchProcess(requests, {
+        principal: req.user,
+        failFast,
+      });
+
+      const failed = results.filter((result) => result.status === "rejected");
+      let status = failed.length ? StatusCodes.MULTI_STATUS : StatusCodes.OK;
+      if (failed.length === results.length) {
+        // Every item failed the same way: answer with that status
+        const codes = new Set(failed.map((result) => result.error.statusCode));
+        if (codes.size === 1) [status] = codes;
       }
-      
-      const results = await aiService.batchProcess(requests);
-      
-      return res.status(StatusCodes.OK).json({
+
+      return res.status(status).json({
         results,
-        count: results.length
+        count: results.length,
+        succeeded: results.length - failed.length,
+        failed: failed.length,
       });
     } catch (error) {
       logger.error('Error in AI batch processing', { error: error.message });
@@ -76,6 +220,194 @@ class AIController {
     }
   }
 
+  /**
+   * Run a multi-step pipeline. A failed step answers with that step's
+   * status code, still carrying the full step trace.
+   */
+  async runPipeline(req, res) {
+    try {
+      // Body is validated by validateRequest(pipelineRequestSchema)
+      const pipeline = await pipelineService.run(req.body, { principal: req.user });
+
+      if (pipeline.status === "failed") {
+        const failed = pipeline.steps.find((step) => step.id === pipeline.failedStep);
+        return res.status(failed.error.statusCode).json({
+          message: `Pipeline step ${failed.id} failed`,
+          ...pipeline,
+        });
+      }
+      return res.status(StatusCodes.OK).json(pipeline);
+    } catch (error) {
+      logger.error("Error in AI pipeline", { error: error.message });
+
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          error: error.name,
+          errors: error.errors,
+        });
+      }
+
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        message: "AI pipeline failed",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Enqueue a processing job (single item or batch) for the workers
+   */
+  async createJob(req, res) {
+    try {
+      // Body is validated by validateRequest(jobRequestSchema)
+      const { type, content, source, options, requests, failFast, callbackUrl } = req.body;
+
+      const job = await jobService.enqueue(
+        { type, content, source, options, requests, failFast, callbackUrl },
+        req.user
+      );
+
+      return res
+        .status(StatusCodes.ACCEPTED)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .json(job);
+    } catch (error) {
+      logger.error("Error enqueuing AI job", { error: error.message });
+
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          error: error.name,
+          errors: error.errors,
+        });
+      }
+
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        message: "Failed to enqueue AI job",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get status, progress and result of a job
+   */
+  async getJob(req, res) {
+    try {
+      const job = await jobService.getJob(req.params.id, req.user);
+
+      if (!job) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          message: `Job ${req.params.id} not found`,
+        });
+      }
+
+      return res.status(StatusCodes.OK).json(job);
+    } catch (error) {
+      logger.error("Error getting AI job", { error: error.message });
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        message: "Failed to get AI job",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  async cancelJob(req, res) {
+    try {
+      const job = await jobService.cancelJob(req.params.id, req.user);
+
+      if (!job) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          message: `Job ${req.params.id} not found`,
+        });
+      }
+
+      if (!job.cancelled) {
+        return res.status(StatusCodes.CONFLICT).json({
+          message: `Job ${job.id} is already ${job.state}`,
+          ...job,
+        });
+      }
+
+      return res.status(StatusCodes.OK).json(job);
+    } catch (error) {
+      logger.error("Error cancelling AI job", { error: error.message });
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        message: "Failed to cancel AI job",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get token usage and cost aggregates.
+   * Admins may query any principal (or all); everyone else sees their own.
+   */
+  async getUsage(req, res) {
+    try {
+      const { from, to, principalId } = req.query;
+
+      const invalidDates = [["from", from], ["to", to]]
+        .filter(([, value]) => value !== undefined && Number.isNaN(Date.parse(value)))
+        .map(([field]) => ({ field, message: `${field} must be an ISO date` }));
+      if (invalidDates.length) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          message: "Invalid usage query",
+          errors: invalidDates,
+        });
+      }
+
+      const usage = await usageService.getUsage({
+        principalId: req.user.role === "admin" ? principalId : req.user.id,
+        from,
+        to,
+      });
+
+      return res.status(StatusCodes.OK).json(usage);
+    } catch (error) {
+      logger.error("Error getting AI usage", { error: error.message });
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        message: "Failed to get AI usage",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Remaining rate limit and daily token quota of the caller
+   */
+  async getQuota(req, res) {
+    try {
+      const quota = await quotaService.getQuota(req.user);
+      return res.status(StatusCodes.OK).json(quota);
+    } catch (error) {
+      logger.error("Error getting quota", { error: error.message });
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        message: "Failed to get quota",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * List built-in and custom processing types
+   */
+  async listTypes(req, res) {
+    const custom = processingTypeService.getAll().map((definition) => ({
+      name: definition.name,
+      description: definition.description,
+      optionsSchema: definition.optionsSchema,
+      outputSchema: definition.outputSchema,
+      maxContentLength: definition.maxContentLength,
+      revision: definition.revision,
+    }));
+    return res.status(StatusCodes.OK).json({ builtin: PROCESSING_TYPES, custom });
+  }
+
     /**
    * Get AI service status
    */
@@ -0,0 +1,63 @@
+const { StatusCodes } = require("http-status-codes");
+const { apiKeyService } = require("../services/apiKey.service");
+const { APIError } = require("../middleware/error.middleware");
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const requireKeyId = (req) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    throw APIError.notFound("API key not found");
+  }
+  return req.params.id;
+};
+
+class ApiKeyController {
+  /**
+   * Mint a new API key
+   */
+  async create(req, res) {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (expiresAt !== undefined && Number.isNaN(Date.parse(expiresAt))) {
+      throw APIError.badRequest("Invalid API key data", [
+        { field: "expiresAt", message: "expiresAt must be an ISO date" },
+      ]);
+    }
+
+    const { apiKey, key } = await apiKeyService.mint(
+      { name, scopes, expiresAt },
+      req.user
+    );
+
+    // The raw key is only ever shown once
+    return res.status(StatusCodes.CREATED).json({ ...apiKey, key });
+  }
+
+  /**
+   * List API keys
+   */
+  async list(req, res) {
+    const apiKeys = await apiKeyService.list({
+      includeRevoked: req.query.includeRevoked === "true",
+    });
+    return res.status(StatusCodes.OK).json({ apiKeys, count: apiKeys.length });
+  }
+
+  /**
+   * Rotate the secret of an API key
+   */
+  async rotate(req, res) {
+    const { apiKey, key } = await apiKeyService.rotate(requireKeyId(req));
+    return res.status(StatusCodes.OK).json({ ...apiKey, key });
+  }
+
+  /**
+   * Revoke an API key
+   */
+  async revoke(req, res) {
+    const apiKey = await apiKeyService.revoke(requireKeyId(req));
+    return res.status(StatusCodes.OK).json(apiKey);
+  }
+}
+
+module.exports = new ApiKeyController();
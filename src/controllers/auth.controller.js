@@ -0,0 +1,105 @@
+const { StatusCodes } = require("http-status-codes");
+const { authService } = require("../services/auth.service");
+const { userModel } = require("../models/user.model");
+const { APIError } = require("../middleware/error.middleware");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Validate email/password credentials from the request body
+ * @returns {Array} Field-level errors
+ */
+const validateCredentials = ({ email, password }) => {
+  const errors = [];
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+    errors.push({ field: "email", message: "A valid email is required" });
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({
+      field: "password",
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+  return errors;
+};
+
+const requireRefreshToken = (body) => {
+  if (typeof body.refreshToken !== "string" || !body.refreshToken) {
+    throw APIError.badRequest("Refresh token is required", [
+      { field: "refreshToken", message: "Refresh token is required" },
+    ]);
+  }
+  return body.refreshToken;
+};
+
+class AuthController {
+  /**
+   * Register a new user account
+   */
+  async register(req, res) {
+    const errors = validateCredentials(req.body);
+    if (errors.length) {
+      throw APIError.badRequest("Invalid registration data", errors);
+    }
+
+    const { email, password, name } = req.body;
+    const { user, tokens } = await authService.register({ email, password, name });
+
+    return res.status(StatusCodes.CREATED).json({ user, ...tokens });
+  }
+
+  /**
+   * Log in with email and password
+   */
+  async login(req, res) {
+    const { email, password } = req.body;
+    if (typeof email !== "string" || typeof password !== "string") {
+      throw APIError.badRequest("Email and password are required");
+    }
+
+    const { user, tokens } = await authService.login({ email, password });
+
+    return res.status(StatusCodes.OK).json({ user, ...tokens });
+  }
+
+  /**
+   * Rotate a refresh token into a new token pair
+   */
+  async refresh(req, res) {
+    const refreshToken = requireRefreshToken(req.body);
+    const { user, tokens } = await authService.refresh(refreshToken);
+
+    return res.status(StatusCodes.OK).json({ user, ...tokens });
+  }
+
+  /**
+   * Revoke the given refresh token
+   */
+  async logout(req, res) {
+    const refreshToken = requireRefreshToken(req.body);
+    await authService.logout(refreshToken, {
+      allDevices: req.body.allDevices === true,
+    });
+
+    return res.status(StatusCodes.NO_CONTENT).send();
+  }
+
+  /**
+   * Get the authenticated principal
+   */
+  async me(req, res) {
+    // API key principals have no user record
+    if (req.user.type !== "user") {
+      return res.status(StatusCodes.OK).json(req.user);
+    }
+
+    const user = await userModel.findById(req.user.id);
+    if (!user) {
+      throw APIError.notFound("User not found");
+    }
+    return res.status(StatusCodes.OK).json(user);
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,31 @@
+const { StatusCodes } = require("http-status-codes");
+const { resultCacheService } = require("../services/resultCache.service");
+
+class CacheController {
+  /**
+   * Hit/miss/byte counters of the result cache per processing type
+   */
+  async stats(req, res) {
+    const stats = await resultCacheService.getStats();
+    return res.status(StatusCodes.OK).json(stats);
+  }
+
+  /**
+   * List cached results, one SCAN page at a time
+   */
+  async list(req, res) {
+    // Query is validated by validateRequest(listCacheEntriesSchema, "query")
+    const page = await resultCacheService.list(req.query);
+    return res.status(StatusCodes.OK).json({ ...page, count: page.entries.length });
+  }
+
+  /**
+   * Delete cached results by processing type, model or prompt version
+   */
+  async purge(req, res) {
+    const result = await resultCacheService.purge(req.query);
+    return res.status(StatusCodes.OK).json(result);
+  }
+}
+
+module.exports = new CacheController();
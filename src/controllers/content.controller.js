@@ -0,0 +1,96 @@
+const { StatusCodes } = require("http-status-codes");
+const { contentService } = require("../services/content.service");
+const { APIError } = require("../middleware/error.middleware");
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const requireId = (value, message) => {
+  if (!UUID_PATTERN.test(value)) {
+    throw APIError.notFound(message);
+  }
+  return value;
+};
+
+const requireContentId = (req) => requireId(req.params.id, "Content not found");
+
+class ContentController {
+  /**
+   * Store a source document given as text or as a web page URL
+   */
+  async create(req, res) {
+    // Body is validated by validateRequest(createContentSchema)
+    const item = await contentService.create(req.body, req.user);
+    return res.status(StatusCodes.CREATED).json(item);
+  }
+
+  /**
+   * Store an uploaded document
+   */
+  async upload(req, res) {
+    // File is checked by uploadDocument, fields by validateRequest(uploadContentSchema)
+    const item = await contentService.createFromUpload(req.file, req.body, req.user);
+    return res.status(StatusCodes.CREATED).json(item);
+  }
+
+  /**
+   * List, search and filter the caller's content
+   */
+  async list(req, res) {
+    const page = await contentService.list(req.query, req.user);
+    return res.status(StatusCodes.OK).json(page);
+  }
+
+  /**
+   * Get a content item with its source text
+   */
+  async get(req, res) {
+    const item = await contentService.get(requireContentId(req), req.user);
+    return res.status(StatusCodes.OK).json(item);
+  }
+
+  /**
+   * Update title, tags or metadata of a content item
+   */
+  async update(req, res) {
+    const item = await contentService.update(requireContentId(req), req.body, req.user);
+    return res.status(StatusCodes.OK).json(item);
+  }
+
+  /**
+   * Delete a content item and all of its versions
+   */
+  async remove(req, res) {
+    await contentService.remove(requireContentId(req), req.user);
+    return res.status(StatusCodes.NO_CONTENT).send();
+  }
+
+  /**
+   * Process a content item and store the result as a version
+   */
+  async process(req, res) {
+    const { version, reused } = await contentService.process(requireContentId(req), req.body, req.user);
+    return res.status(reused ? StatusCodes.OK : StatusCodes.CREATED).json({ ...version, reused });
+  }
+
+  /**
+   * List the versions of a content item
+   */
+  async listVersions(req, res) {
+    const page = await contentService.listVersions(requireContentId(req), req.query, req.user);
+    return res.status(StatusCodes.OK).json(page);
+  }
+
+  /**
+   * Get a stored version with its full result
+   */
+  async getVersion(req, res) {
+    const version = await contentService.getVersion(
+      requireContentId(req),
+      requireId(req.params.versionId, "Content version not found"),
+      req.user
+    );
+    return res.status(StatusCodes.OK).json(version);
+  }
+}
+
+module.exports = new ContentController();
@@ -0,0 +1,47 @@
+const { StatusCodes } = require("http-status-codes");
+const { processingTypeService } = require("../services/processingType.service");
+
+class ProcessingTypeController {
+  /**
+   * Register a custom processing type
+   */
+  async create(req, res) {
+    // Body is validated by validateRequest(createProcessingTypeSchema)
+    const definition = await processingTypeService.register(req.body, req.user);
+    return res.status(StatusCodes.CREATED).json(definition);
+  }
+
+  /**
+   * List custom processing types
+   */
+  async list(req, res) {
+    const types = await processingTypeService.list();
+    return res.status(StatusCodes.OK).json({ types });
+  }
+
+  /**
+   * Get one custom processing type
+   */
+  async get(req, res) {
+    const definition = await processingTypeService.find(req.params.name);
+    return res.status(StatusCodes.OK).json(definition);
+  }
+
+  /**
+   * Change a custom processing type
+   */
+  async update(req, res) {
+    const definition = await processingTypeService.update(req.params.name, req.body, req.user);
+    return res.status(StatusCodes.OK).json(definition);
+  }
+
+  /**
+   * Remove a custom processing type
+   */
+  async remove(req, res) {
+    await processingTypeService.remove(req.params.name, req.user);
+    return res.status(StatusCodes.NO_CONTENT).send();
+  }
+}
+
+module.exports = new ProcessingTypeController();
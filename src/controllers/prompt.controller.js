@@ -0,0 +1,48 @@
+const { StatusCodes } = require("http-status-codes");
+const { promptService } = require("../services/prompt.service");
+const { APIError } = require("../middleware/error.middleware");
+
+const requireVersion = (req) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 0) {
+    throw APIError.notFound("Prompt version not found");
+  }
+  return version;
+};
+
+class PromptController {
+  /**
+   * List prompt templates with their active versions
+   */
+  async list(req, res) {
+    const templates = await promptService.list();
+    return res.status(StatusCodes.OK).json({ templates });
+  }
+
+  /**
+   * List all versions of a prompt template
+   */
+  async listVersions(req, res) {
+    const versions = await promptService.listVersions(req.params.name);
+    return res.status(StatusCodes.OK).json({ name: req.params.name, versions });
+  }
+
+  /**
+   * Create a new version of a prompt template
+   */
+  async createVersion(req, res) {
+    // Body is validated by validateRequest(createPromptVersionSchema)
+    const version = await promptService.createVersion(req.params.name, req.body, req.user);
+    return res.status(StatusCodes.CREATED).json(version);
+  }
+
+  /**
+   * Make a version the active one
+   */
+  async promote(req, res) {
+    const version = await promptService.promote(req.params.name, requireVersion(req), req.user);
+    return res.status(StatusCodes.OK).json(version);
+  }
+}
+
+module.exports = new PromptController();
@@ -0,0 +1,49 @@
+const { StatusCodes } = require("http-status-codes");
+const { webhookService } = require("../services/webhook.service");
+const { APIError } = require("../middleware/error.middleware");
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Delivery ids are UUIDs; anything else cannot exist
+const requireDeliveryId = (req) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    throw APIError.notFound("Webhook delivery not found");
+  }
+  return req.params.id;
+};
+
+class WebhookController {
+  /**
+   * The caller's signing secret, created on first request
+   */
+  async getSecret(req, res) {
+    const secret = await webhookService.getSecret(req.user);
+    return res.status(StatusCodes.OK).json(secret);
+  }
+
+  async rotateSecret(req, res) {
+    const secret = await webhookService.rotateSecret(req.user);
+    return res.status(StatusCodes.OK).json(secret);
+  }
+
+  /**
+   * Delivery log, newest first
+   */
+  async list(req, res) {
+    // Query is validated by validateRequest(listDeliveriesSchema, "query")
+    const page = await webhookService.list(req.query, req.user);
+    return res.status(StatusCodes.OK).json(page);
+  }
+
+  async get(req, res) {
+    const delivery = await webhookService.get(requireDeliveryId(req), req.user);
+    return res.status(StatusCodes.OK).json(delivery);
+  }
+
+  async redeliver(req, res) {
+    const delivery = await webhookService.redeliver(requireDeliveryId(req), req.user);
+    return res.status(StatusCodes.ACCEPTED).json(delivery);
+  }
+}
+
+module.exports = new WebhookController();
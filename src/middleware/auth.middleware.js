@@ -0,0 +1,91 @@
+const { authService } = require('../services/auth.service');
+const { apiKeyService } = require('../services/apiKey.service');
+const { APIError } = require('./error.middleware');
+
+/**
+ * Authenticate the request and populate req.user with the principal.
+ * Accepts either an `X-API-Key` header (service callers) or an
+ * `Authorization: Bearer <token>` header (users); both resolve to the
+ * same principal shape: { id, role, type, ... }.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authMiddleware = async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    try {
+      req.user = await apiKeyService.authenticate(apiKey);
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(APIError.unauthorized('Access token is missing or invalid'));
+  }
+
+  try {
+    req.user = authService.verifyAccessToken(token);
+    return next();
+  } catch (error) {
+    // JsonWebTokenError / TokenExpiredError are mapped to 401 by errorHandler
+    return next(error);
+  }
+};
+
+/**
+ * Restrict a route to principals with one of the given roles.
+ * Must run after authMiddleware.
+ *
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(APIError.unauthorized());
+  }
+  if (!roles.includes(req.user.role)) {
+    return next(APIError.forbidden('Insufficient permissions'));
+  }
+  return next();
+};
+
+/**
+ * Reject processing requests whose types are outside the principal's
+ * API key scopes. Checks `type`, every `requests[].type` and every
+ * pipeline `steps[].type` in the body.
+ * Must run after authMiddleware.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireProcessingScope = (req, res, next) => {
+  const types = [];
+  if (req.body?.type) types.push(req.body.type);
+  if (Array.isArray(req.body?.requests)) {
+    req.body.requests.forEach((request) => request?.type && types.push(request.type));
+  }
+  if (Array.isArray(req.body?.steps)) {
+    req.body.steps.forEach((step) => step?.type && types.push(step.type));
+  }
+
+  const denied = [...new Set(types)].filter((type) => !apiKeyService.hasScope(req.user, type));
+  if (denied.length) {
+    return next(
+      APIError.forbidden(
+        'API key is not allowed to call these processing types',
+        denied.map((type) => ({ field: 'type', message: `Missing scope: ${type}` }))
+      )
+    );
+  }
+  return next();
+};
+
+module.exports = { authMiddleware, requireRole, requireProcessingScope };
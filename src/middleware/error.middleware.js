@@ -1,4 +1,4 @@
-const { StatusCodes } = require('http-status-codes');
+const { StatusCodes, getReasonPhrase } = require('http-status-codes');
 const { logger } = require('../config/logger');
 
 /**
@@ -93,9 +93,70 @@ class APIError extends Error {
     return new APIError(message, StatusCodes.INTERNAL_SERVER_ERROR, errors);
   }
   
+  static tooManyRequests(message = 'Too Many Requests', errors = []) {
+    return new APIError(message, StatusCodes.TOO_MANY_REQUESTS, errors);
+  }
+  
   static serviceUnavailable(message = 'Service Unavailable', errors = []) {
     return new APIError(message, StatusCodes.SERVICE_UNAVAILABLE, errors);
   }
 }
 
-module.exports = { errorHandler, APIError };
\ No newline at end of file
+/**
+ * Raised when model output still fails its output schema after all repair attempts
+ */
+class StructuredOutputError extends APIError {
+  constructor(message, errors = []) {
+    super(message, StatusCodes.BAD_GATEWAY, errors);
+    this.name = 'StructuredOutputError';
+  }
+}
+
+/**
+ * Describe an error for results that report failures per item (batch
+ * items, pipeline steps) instead of failing the whole response.
+ * `code` is a stable machine-readable name: the reason phrase of the status
+ * for API errors (e.g. BAD_REQUEST), INVALID_MODEL_OUTPUT for structured
+ * output errors, PROVIDER_ERROR for errors from an AI provider and
+ * INTERNAL_ERROR otherwise.
+ *
+ * @param {Error} error
+ * @returns {Object} { code, message, statusCode, errors }
+ */
+const describeError = (error) => {
+  if (error instanceof StructuredOutputError) {
+    return { code: 'INVALID_MODEL_OUTPUT', message: error.message, statusCode: error.statusCode, errors: error.errors };
+  }
+
+  if (error instanceof APIError) {
+    let code = 'ERROR';
+    try {
+      code = getReasonPhrase(error.statusCode).toUpperCase().replace(/[^A-Z]+/g, '_');
+    } catch (e) {
+      // Non-standard status code
+    }
+    return { code, message: error.message, statusCode: error.statusCode, errors: error.errors };
+  }
+
+  if (error.message?.includes('Unsupported AI processing type')) {
+    return { code: 'UNSUPPORTED_TYPE', message: error.message, statusCode: StatusCodes.BAD_REQUEST };
+  }
+
+  // Vendor SDK errors carry the provider's HTTP status
+  if (Number.isInteger(error.status)) {
+    return {
+      code: 'PROVIDER_ERROR',
+      message: error.message,
+      statusCode: StatusCodes.INTERNAL_SERVER_ERROR,
+      providerStatus: error.status,
+    };
+  }
+
+  return {
+    code: 'INTERNAL_ERROR',
+    message: error.message || 'Unknown error',
+    statusCode: StatusCodes.INTERNAL_SERVER_ERROR,
+  };
+};
+
+module.exports = { errorHandler, APIError, StructuredOutputError, describeError };
\ No newline at end of file
@@ -0,0 +1,41 @@
+const { processingTypeService } = require('../services/processingType.service');
+const { APIError } = require('./error.middleware');
+
+/**
+ * Make sure custom processing types registered on other instances are
+ * known before the request is validated. Never fails the request.
+ */
+const loadProcessingTypes = async (req, res, next) => {
+  await processingTypeService.ensureFresh();
+  return next();
+};
+
+/**
+ * Validate the options and content length of requests for custom
+ * processing types against their definitions, applying option defaults.
+ * Checks the body and every `requests[]` item; must run after validateRequest.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateCustomTypes = (req, res, next) => {
+  const items = Array.isArray(req.body?.requests)
+    ? req.body.requests.map((request, index) => [request, `requests.${index}.`])
+    : [[req.body, '']];
+
+  const errors = [];
+  items.forEach(([request, prefix], index) => {
+    const validated = processingTypeService.validateRequest(request, prefix);
+    errors.push(...validated.errors);
+    if (prefix) req.body.requests[index] = validated.request;
+    else req.body = validated.request;
+  });
+
+  if (errors.length) {
+    return next(APIError.badRequest('Validation failed', errors));
+  }
+  return next();
+};
+
+module.exports = { loadProcessingTypes, validateCustomTypes };
@@ -0,0 +1,86 @@
+const expressRateLimit = require('express-rate-limit');
+const { quotaService } = require('../services/quota.service');
+const { APIError } = require('./error.middleware');
+
+const secondsUntil = (time) => Math.max(0, Math.ceil((time - Date.now()) / 1000));
+
+/**
+ * Per-IP limit for /api, mounted before authentication so requests with
+ * invalid API keys or tokens are throttled too. Only failed requests count,
+ * which leaves the per-principal limits of `rateLimit` to throttle callers
+ * that authenticate.
+ */
+const ipRateLimit = expressRateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.IP_RATE_LIMIT_MAX || (process.env.NODE_ENV === 'production' ? '100' : '1000'), 10),
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many requests from this IP, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Count the request against the caller's rate limit and set the standard
+ * RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * headers. Callers are identified by user or API key; place after
+ * authMiddleware on authenticated routes. Unauthenticated requests are
+ * limited per client IP.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const rateLimit = async (req, res, next) => {
+  const state = await quotaService.hit(req.user, req.ip);
+  if (!state) {
+    return next();
+  }
+
+  res.set({
+    'RateLimit-Policy': `${state.limit};w=${Math.round(state.windowMs / 1000)}`,
+    'RateLimit-Limit': String(state.limit),
+    'RateLimit-Remaining': String(state.remaining),
+    'RateLimit-Reset': String(secondsUntil(state.resetAt)),
+  });
+
+  if (state.exceeded) {
+    res.set('Retry-After', String(secondsUntil(state.resetAt)));
+    return next(
+      APIError.tooManyRequests('Too many requests, please try again later', [
+        {
+          field: 'requests',
+          message: `The ${state.tier} tier allows ${state.limit} requests per ${Math.round(state.windowMs / 1000)}s`,
+        },
+      ])
+    );
+  }
+  return next();
+};
+
+/**
+ * Reject processing requests once the principal's daily token quota is
+ * used up. Must run after authMiddleware.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireTokenQuota = async (req, res, next) => {
+  const quota = await quotaService.getTokenQuota(req.user);
+  if (quota.exceeded) {
+    res.set('Retry-After', String(secondsUntil(quota.resetAt)));
+    return next(
+      APIError.tooManyRequests('Daily token quota exceeded', [
+        {
+          field: 'tokens',
+          message: `${quota.used} of ${quota.limit} tokens used today, resets at ${new Date(quota.resetAt).toISOString()}`,
+        },
+      ])
+    );
+  }
+  return next();
+};
+
+module.exports = { ipRateLimit, rateLimit, requireTokenQuota };
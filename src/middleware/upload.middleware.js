@@ -0,0 +1,112 @@
+const multer = require('multer');
+const { StatusCodes } = require('http-status-codes');
+const { APIError } = require('./error.middleware');
+const { extractionService } = require('../services/extraction.service');
+const { imageService } = require('../services/image.service');
+
+// Largest accepted upload in bytes (default 10 MB)
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_FILE_SIZE || String(10 * 1024 * 1024), 10);
+const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_FILE_SIZE || String(10 * 1024 * 1024), 10);
+
+const unsupportedType = (file, supported) =>
+  new APIError(`Unsupported file type: ${file.mimetype}`, StatusCodes.UNSUPPORTED_MEDIA_TYPE, [
+    { field: file.fieldname, message: `Supported types: ${supported.join(', ')}` },
+  ]);
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1,
+    fields: 10,
+    fieldSize: 64 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (extractionService.detectFormat(file)) {
+      return cb(null, true);
+    }
+    return cb(unsupportedType(file, extractionService.getSupportedTypes().mimeTypes));
+  },
+});
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_BYTES,
+    files: 1,
+    fields: 10,
+    fieldSize: 64 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (imageService.isSupported(file.mimetype)) {
+      return cb(null, true);
+    }
+    return cb(unsupportedType(file, imageService.getSupportedTypes()));
+  },
+});
+
+/**
+ * Map multer errors to API errors
+ * @param {Error} error
+ * @param {number} maxBytes - Size limit of the upload
+ * @returns {APIError}
+ */
+const toAPIError = (error, maxBytes) => {
+  if (error instanceof APIError) return error;
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return new APIError(
+      `File exceeds the maximum upload size of ${maxBytes} bytes`,
+      StatusCodes.REQUEST_TOO_LONG,
+      [{ field: error.field, message: error.message }]
+    );
+  }
+  return APIError.badRequest('Invalid multipart upload', [
+    { field: error.field || 'file', message: error.message },
+  ]);
+};
+
+/**
+ * Accept a single file upload held in memory as req.file.
+ * Multipart fields arrive as strings, so a JSON `options` field is parsed
+ * before the body reaches validation.
+ *
+ * @param {Object} upload - Configured multer instance
+ * @param {number} maxBytes - Size limit, for error messages
+ * @param {string} field - Multipart field carrying the file
+ * @returns {Function} Express middleware
+ */
+const singleFile = (upload, maxBytes, field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error) return next(toAPIError(error, maxBytes));
+
+    if (!req.file) {
+      return next(APIError.badRequest('Validation failed', [{ field, message: `${field} is required` }]));
+    }
+
+    if (typeof req.body.options === 'string') {
+      try {
+        req.body.options = JSON.parse(req.body.options);
+      } catch {
+        return next(
+          APIError.badRequest('Validation failed', [{ field: 'options', message: 'options must be a JSON object' }])
+        );
+      }
+    }
+
+    return next();
+  });
+};
+
+/**
+ * Accept a PDF, DOCX, HTML, Markdown or text document
+ * @param {string} field - Multipart field carrying the file
+ */
+const uploadDocument = (field = 'file') => singleFile(documentUpload, MAX_UPLOAD_BYTES, field);
+
+/**
+ * Accept a raster image (JPEG, PNG, WebP, GIF, TIFF, AVIF, HEIC)
+ * @param {string} field - Multipart field carrying the image
+ */
+const uploadImage = (field = 'image') => singleFile(imageUpload, MAX_IMAGE_BYTES, field);
+
+module.exports = { uploadDocument, uploadImage, MAX_UPLOAD_BYTES, MAX_IMAGE_BYTES };
@@ -0,0 +1,31 @@
+const { APIError } = require('./error.middleware');
+
+/**
+ * Validate part of the request against a Joi schema.
+ * On success the validated value (with defaults applied and unknown keys
+ * rejected) replaces the original; on failure a 400 is raised with
+ * field-level errors.
+ *
+ * @param {Object} schema - Joi schema
+ * @param {string} property - Request property to validate (body, query, params)
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (schema, property = 'body') => (req, res, next) => {
+  const { value, error } = schema.validate(req[property], {
+    abortEarly: false,
+    errors: { wrap: { label: false } },
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.') || property,
+      message: detail.message,
+    }));
+    return next(APIError.badRequest('Validation failed', errors));
+  }
+
+  req[property] = value;
+  return next();
+};
+
+module.exports = { validateRequest };
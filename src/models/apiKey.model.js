@@ -0,0 +1,117 @@
+const { config } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, for identification
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Processing types the key may call, or "*" for all
+ *           example: [translate]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Map an api_keys row to the public shape (never exposes the hash)
+ * @param {Object} row - Database row
+ * @returns {Object|null} API key
+ */
+const toApiKey = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    createdBy: row.created_by,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at,
+  };
+};
+
+class ApiKeyModel {
+  async create({ name, keyPrefix, keyHash, scopes, createdBy, expiresAt }) {
+    const { rows } = await config.query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, keyPrefix, keyHash, scopes, createdBy || null, expiresAt || null]
+    );
+    return toApiKey(rows[0]);
+  }
+
+  async findById(id) {
+    const { rows } = await config.query('SELECT * FROM api_keys WHERE id = $1', [id]);
+    return toApiKey(rows[0]);
+  }
+
+  async findByHash(keyHash) {
+    const { rows } = await config.query('SELECT * FROM api_keys WHERE key_hash = $1', [keyHash]);
+    return toApiKey(rows[0]);
+  }
+
+  async list({ includeRevoked = false } = {}) {
+    const { rows } = await config.query(
+      `SELECT * FROM api_keys
+       ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+       ORDER BY created_at DESC`
+    );
+    return rows.map(toApiKey);
+  }
+
+  async updateSecret(id, { keyPrefix, keyHash }) {
+    const { rows } = await config.query(
+      `UPDATE api_keys
+       SET key_prefix = $2, key_hash = $3
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [id, keyPrefix, keyHash]
+    );
+    return toApiKey(rows[0]);
+  }
+
+  async revoke(id) {
+    const { rows } = await config.query(
+      `UPDATE api_keys
+       SET revoked_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [id]
+    );
+    return toApiKey(rows[0]);
+  }
+
+  async touch(id) {
+    await config.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+  }
+}
+
+const apiKeyModel = new ApiKeyModel();
+
+module.exports = { apiKeyModel };
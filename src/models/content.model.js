@@ -0,0 +1,343 @@
+const { config } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ContentItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         ownerId:
+ *           type: string
+ *         ownerType:
+ *           type: string
+ *           enum: [user, api_key]
+ *         title:
+ *           type: string
+ *         sourceType:
+ *           type: string
+ *           enum: [text, upload, url]
+ *         sourceUrl:
+ *           type: string
+ *         content:
+ *           type: string
+ *           description: Source text (omitted in list responses)
+ *         contentLength:
+ *           type: number
+ *         metadata:
+ *           type: object
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         versionCount:
+ *           type: number
+ *         lastProcessedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ContentVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         contentId:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           example: summarize
+ *         options:
+ *           type: object
+ *         provider:
+ *           type: string
+ *         model:
+ *           type: string
+ *         usage:
+ *           type: object
+ *           properties:
+ *             inputTokens:
+ *               type: number
+ *             outputTokens:
+ *               type: number
+ *             cachedTokens:
+ *               type: number
+ *             totalTokens:
+ *               type: number
+ *             cost:
+ *               type: number
+ *         result:
+ *           type: object
+ *           description: The processing response as returned by /api/ai/process (omitted in list responses)
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Pagination:
+ *       type: object
+ *       properties:
+ *         page:
+ *           type: number
+ *         limit:
+ *           type: number
+ *         total:
+ *           type: number
+ *         pages:
+ *           type: number
+ */
+
+// Columns returned by list queries; the content body is left out
+const SUMMARY_COLUMNS = `
+  c.id, c.owner_id, c.owner_type, c.title, c.source_type, c.source_url,
+  c.metadata, c.tags, c.created_at, c.updated_at,
+  length(c.content) AS content_length,
+  (SELECT COUNT(*) FROM content_versions v WHERE v.content_id = c.id)::int AS version_count,
+  (SELECT MAX(v.created_at) FROM content_versions v WHERE v.content_id = c.id) AS last_processed_at`;
+
+/**
+ * Map a content_items row to the public shape
+ * @param {Object} row - Database row
+ * @returns {Object|null} Content item
+ */
+const toContentItem = (row) => {
+  if (!row) return null;
+  const item = {
+    id: row.id,
+    ownerId: row.owner_id,
+    ownerType: row.owner_type,
+    title: row.title,
+    sourceType: row.source_type,
+    sourceUrl: row.source_url,
+    contentLength: row.content_length ?? row.content?.length,
+    metadata: row.metadata,
+    tags: row.tags,
+    versionCount: row.version_count,
+    lastProcessedAt: row.last_processed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  if (row.content !== undefined) item.content = row.content;
+  return item;
+};
+
+/**
+ * Map a content_versions row to the public shape
+ * @param {Object} row - Database row
+ * @returns {Object|null} Content version
+ */
+const toContentVersion = (row) => {
+  if (!row) return null;
+  const version = {
+    id: row.id,
+    contentId: row.content_id,
+    type: row.processing_type,
+    options: row.options,
+    provider: row.provider,
+    model: row.model,
+    usage: {
+      inputTokens: row.input_tokens,
+      outputTokens: row.output_tokens,
+      cachedTokens: row.cached_tokens,
+      totalTokens: row.input_tokens + row.output_tokens,
+      cost: Number(row.cost_usd),
+    },
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+  if (row.result !== undefined) version.result = row.result;
+  return version;
+};
+
+/**
+ * Build the WHERE clause for a content list query
+ * @param {Object} filters - { ownerId, q, type, tag, sourceType }
+ * @returns {Object} { where, params, rank } - rank orders search results by relevance
+ */
+const buildFilters = ({ ownerId, q, type, tag, sourceType }) => {
+  const params = [];
+  const clauses = [];
+  const add = (clause, value) => {
+    params.push(value);
+    clauses.push(clause.replace('?', `$${params.length}`));
+  };
+
+  let rank = null;
+
+  if (ownerId) add('c.owner_id = ?', ownerId);
+  if (q) {
+    add(`c.search_vector @@ websearch_to_tsquery('simple', ?)`, q);
+    rank = `ts_rank(c.search_vector, websearch_to_tsquery('simple', $${params.length}))`;
+  }
+  if (tag) add('? = ANY(c.tags)', tag);
+  if (sourceType) add('c.source_type = ?', sourceType);
+  if (type) {
+    add(
+      'EXISTS (SELECT 1 FROM content_versions v WHERE v.content_id = c.id AND v.processing_type = ?)',
+      type
+    );
+  }
+
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params, rank };
+};
+
+class ContentModel {
+  async create({ ownerId, ownerType, title, sourceType, sourceUrl, content, metadata, tags }) {
+    const { rows } = await config.query(
+      `INSERT INTO content_items
+         (owner_id, owner_type, title, source_type, source_url, content, metadata, tags)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *, 0 AS version_count`,
+      [ownerId, ownerType, title, sourceType, sourceUrl || null, content, metadata || {}, tags || []]
+    );
+    return toContentItem(rows[0]);
+  }
+
+  async findById(id) {
+    const { rows } = await config.query(
+      `SELECT ${SUMMARY_COLUMNS}, c.content
+       FROM content_items c
+       WHERE c.id = $1`,
+      [id]
+    );
+    return toContentItem(rows[0]);
+  }
+
+  /**
+   * List content items, newest first, or by relevance when searching
+   * @param {Object} filters - { ownerId, q, type, tag, sourceType }
+   * @param {Object} page - { limit, offset }
+   * @returns {Promise<Object>} { items, total }
+   */
+  async list(filters, { limit, offset }) {
+    const { where, params, rank } = buildFilters(filters);
+    const order = rank ? `${rank} DESC, c.updated_at DESC` : 'c.updated_at DESC';
+
+    const [{ rows }, count] = await Promise.all([
+      config.query(
+        `SELECT ${SUMMARY_COLUMNS}
+         FROM content_items c
+         ${where}
+         ORDER BY ${order}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      config.query(`SELECT COUNT(*)::int AS total FROM content_items c ${where}`, params),
+    ]);
+
+    return { items: rows.map(toContentItem), total: count.rows[0].total };
+  }
+
+  async update(id, { title, tags, metadata }) {
+    const { rows } = await config.query(
+      `UPDATE content_items
+       SET title = COALESCE($2, title),
+           tags = COALESCE($3, tags),
+           metadata = COALESCE($4, metadata),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING id`,
+      [id, title ?? null, tags ?? null, metadata ?? null]
+    );
+    return rows[0] ? this.findById(id) : null;
+  }
+
+  async remove(id) {
+    const { rowCount } = await config.query('DELETE FROM content_items WHERE id = $1', [id]);
+    return rowCount > 0;
+  }
+
+  async createVersion({ contentId, type, options, provider, model, result, usage, createdBy }) {
+    const { rows } = await config.query(
+      `INSERT INTO content_versions
+         (content_id, processing_type, options, provider, model, result,
+          input_tokens, output_tokens, cached_tokens, cost_usd, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        contentId,
+        type,
+        options || {},
+        provider || null,
+        model || null,
+        result,
+        usage?.inputTokens || 0,
+        usage?.outputTokens || 0,
+        usage?.cachedTokens || 0,
+        usage?.cost || 0,
+        createdBy || null,
+      ]
+    );
+    await config.query('UPDATE content_items SET updated_at = NOW() WHERE id = $1', [contentId]);
+    return toContentVersion(rows[0]);
+  }
+
+  /**
+   * List the versions of a content item, newest first (without results)
+   * @param {string} contentId
+   * @param {Object} filters - { type, limit, offset }
+   * @returns {Promise<Object>} { versions, total }
+   */
+  async listVersions(contentId, { type, limit, offset }) {
+    const params = [contentId];
+    let where = 'content_id = $1';
+    if (type) {
+      params.push(type);
+      where += ' AND processing_type = $2';
+    }
+
+    const [{ rows }, count] = await Promise.all([
+      config.query(
+        `SELECT id, content_id, processing_type, options, provider, model,
+                input_tokens, output_tokens, cached_tokens, cost_usd, created_by, created_at
+         FROM content_versions
+         WHERE ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      config.query(`SELECT COUNT(*)::int AS total FROM content_versions WHERE ${where}`, params),
+    ]);
+
+    return { versions: rows.map(toContentVersion), total: count.rows[0].total };
+  }
+
+  /**
+   * Latest version produced with exactly these type and options
+   * @param {string} contentId
+   * @param {string} type - Processing type
+   * @param {Object} options - Processing options (compared as JSONB)
+   * @returns {Promise<Object|null>} Version with its result
+   */
+  async findLatestVersion(contentId, type, options) {
+    const { rows } = await config.query(
+      `SELECT * FROM content_versions
+       WHERE content_id = $1 AND processing_type = $2 AND options = $3::jsonb
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [contentId, type, options || {}]
+    );
+    return toContentVersion(rows[0]);
+  }
+
+  async findVersion(contentId, versionId) {
+    const { rows } = await config.query(
+      'SELECT * FROM content_versions WHERE content_id = $1 AND id = $2',
+      [contentId, versionId]
+    );
+    return toContentVersion(rows[0]);
+  }
+}
+
+const contentModel = new ContentModel();
+
+module.exports = { contentModel };
@@ -0,0 +1,144 @@
+const { config } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProcessingTypeDefinition:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: product-description
+ *         description:
+ *           type: string
+ *         promptTemplate:
+ *           type: string
+ *           description: Prompt with {{content}}, {{outputFormat}} and option placeholders
+ *         optionsSchema:
+ *           type: object
+ *           description: JSON Schema of the type's options
+ *         outputSchema:
+ *           type: object
+ *           nullable: true
+ *           description: JSON Schema the model output must satisfy; omit for plain text output
+ *         defaults:
+ *           type: object
+ *           properties:
+ *             provider:
+ *               type: string
+ *             model:
+ *               type: string
+ *             temperature:
+ *               type: number
+ *             maxTokens:
+ *               type: number
+ *         cacheTtl:
+ *           type: number
+ *           description: Seconds results are cached, 0 disables caching
+ *         maxContentLength:
+ *           type: number
+ *         revision:
+ *           type: number
+ *           description: Incremented on every update; part of the cache key
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Map a processing_types row to the public shape
+ * @param {Object} row - Database row
+ * @returns {Object|null} Processing type definition
+ */
+const toProcessingType = (row) => {
+  if (!row) return null;
+  return {
+    name: row.name,
+    description: row.description,
+    promptTemplate: row.prompt_template,
+    optionsSchema: row.options_schema,
+    outputSchema: row.output_schema,
+    defaults: row.defaults,
+    cacheTtl: row.cache_ttl,
+    maxContentLength: row.max_content_length,
+    revision: row.revision,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+// API field -> column, for partial updates
+const COLUMNS = {
+  description: 'description',
+  promptTemplate: 'prompt_template',
+  optionsSchema: 'options_schema',
+  outputSchema: 'output_schema',
+  defaults: 'defaults',
+  cacheTtl: 'cache_ttl',
+  maxContentLength: 'max_content_length',
+};
+
+// JSON columns are passed as strings so arrays and null are stored as JSON
+const toParam = (field, value) =>
+  ['optionsSchema', 'outputSchema', 'defaults'].includes(field) && value !== null
+    ? JSON.stringify(value)
+    : value;
+
+class ProcessingTypeModel {
+  /**
+   * @returns {Promise<Object|null>} The new definition, null when the name is taken
+   */
+  async create({ name, createdBy, ...definition }) {
+    const fields = Object.keys(COLUMNS).filter((field) => definition[field] !== undefined);
+    const { rows } = await config.query(
+      `INSERT INTO processing_types (name, created_by, ${fields.map((f) => COLUMNS[f]).join(', ')})
+       VALUES ($1, $2, ${fields.map((f, i) => `$${i + 3}`).join(', ')})
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [name, createdBy || null, ...fields.map((field) => toParam(field, definition[field]))]
+    );
+    return toProcessingType(rows[0]);
+  }
+
+  async findByName(name) {
+    const { rows } = await config.query('SELECT * FROM processing_types WHERE name = $1', [name]);
+    return toProcessingType(rows[0]);
+  }
+
+  async list() {
+    const { rows } = await config.query('SELECT * FROM processing_types ORDER BY name');
+    return rows.map(toProcessingType);
+  }
+
+  /**
+   * Update the given fields and bump the revision
+   * @returns {Promise<Object|null>} Updated definition, null when missing
+   */
+  async update(name, changes) {
+    const fields = Object.keys(COLUMNS).filter((field) => changes[field] !== undefined);
+    const { rows } = await config.query(
+      `UPDATE processing_types
+       SET ${fields.map((f, i) => `${COLUMNS[f]} = $${i + 2}, `).join('')}revision = revision + 1, updated_at = NOW()
+       WHERE name = $1
+       RETURNING *`,
+      [name, ...fields.map((field) => toParam(field, changes[field]))]
+    );
+    return toProcessingType(rows[0]);
+  }
+
+  async remove(name) {
+    const { rowCount } = await config.query('DELETE FROM processing_types WHERE name = $1', [name]);
+    return rowCount > 0;
+  }
+}
+
+const processingTypeModel = new ProcessingTypeModel();
+
+module.exports = { processingTypeModel };
@@ -0,0 +1,140 @@
+const { config } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromptTemplate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: summarize
+ *         version:
+ *           type: number
+ *           description: 0 is the built-in template
+ *         template:
+ *           type: string
+ *           example: "Summarize in {{maxLength}} words, {{style}} style.\n\n{{content}}"
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: string
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         promotedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Map a prompt_templates row to the public shape
+ * @param {Object} row - Database row
+ * @returns {Object|null} Prompt template version
+ */
+const toPromptTemplate = (row) => {
+  if (!row) return null;
+  return {
+    name: row.name,
+    version: row.version,
+    template: row.template,
+    variables: row.variables,
+    description: row.description,
+    active: row.is_active,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    promotedAt: row.promoted_at,
+  };
+};
+
+class PromptModel {
+  /**
+   * Store the next version of a template
+   * @param {Object} data - { name, template, variables, description, createdBy }
+   * @returns {Promise<Object>} The new version (not active)
+   */
+  async create({ name, template, variables, description, createdBy }) {
+    const { rows } = await config.query(
+      `INSERT INTO prompt_templates (name, version, template, variables, description, created_by)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+       FROM prompt_templates WHERE name = $1
+       RETURNING *`,
+      [name, template, variables, description || null, createdBy || null]
+    );
+    return toPromptTemplate(rows[0]);
+  }
+
+  async findVersion(name, version) {
+    const { rows } = await config.query(
+      'SELECT * FROM prompt_templates WHERE name = $1 AND version = $2',
+      [name, version]
+    );
+    return toPromptTemplate(rows[0]);
+  }
+
+  async findActive(name) {
+    const { rows } = await config.query(
+      'SELECT * FROM prompt_templates WHERE name = $1 AND is_active',
+      [name]
+    );
+    return toPromptTemplate(rows[0]);
+  }
+
+  async listActive() {
+    const { rows } = await config.query('SELECT * FROM prompt_templates WHERE is_active ORDER BY name');
+    return rows.map(toPromptTemplate);
+  }
+
+  async listVersions(name) {
+    const { rows } = await config.query(
+      'SELECT * FROM prompt_templates WHERE name = $1 ORDER BY version DESC',
+      [name]
+    );
+    return rows.map(toPromptTemplate);
+  }
+
+  /**
+   * Make one version the active one. Version 0 deactivates every stored
+   * version, so the built-in template is used again.
+   * @param {string} name - Template name
+   * @param {number} version - Version to activate
+   * @returns {Promise<Object|null>} Activated version; null for version 0 or when it does not exist
+   */
+  async promote(name, version) {
+    return config.transaction(async (client) => {
+      if (version !== 0) {
+        const { rowCount } = await client.query(
+          'SELECT 1 FROM prompt_templates WHERE name = $1 AND version = $2 FOR UPDATE',
+          [name, version]
+        );
+        if (!rowCount) return null;
+      }
+
+      await client.query(
+        'UPDATE prompt_templates SET is_active = FALSE WHERE name = $1 AND is_active',
+        [name]
+      );
+      if (version === 0) return null;
+
+      const { rows } = await client.query(
+        `UPDATE prompt_templates
+         SET is_active = TRUE, promoted_at = NOW()
+         WHERE name = $1 AND version = $2
+         RETURNING *`,
+        [name, version]
+      );
+      return toPromptTemplate(rows[0]);
+    });
+  }
+}
+
+const promptModel = new PromptModel();
+
+module.exports = { promptModel };
@@ -0,0 +1,103 @@
+const { config } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UsageAggregate:
+ *       type: object
+ *       properties:
+ *         requests:
+ *           type: number
+ *         inputTokens:
+ *           type: number
+ *         outputTokens:
+ *           type: number
+ *         cachedTokens:
+ *           type: number
+ *         cost:
+ *           type: number
+ *           description: Cost in USD
+ */
+
+const AGGREGATE_COLUMNS = `
+  COUNT(*)::int AS requests,
+  COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+  COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+  COALESCE(SUM(cached_tokens), 0)::int AS cached_tokens,
+  COALESCE(SUM(cost_usd), 0)::float AS cost`;
+
+// Allowed GROUP BY expressions, keyed by the name used in the API
+const GROUPINGS = {
+  day: `to_char(date_trunc('day', created_at), 'YYYY-MM-DD')`,
+  type: 'processing_type',
+  model: 'model',
+};
+
+const toAggregate = (row) => ({
+  requests: row.requests,
+  inputTokens: row.input_tokens,
+  outputTokens: row.output_tokens,
+  cachedTokens: row.cached_tokens,
+  cost: row.cost,
+});
+
+class UsageModel {
+  async create({ principalId, principalType, processingType, provider, model, usage, cost }) {
+    await config.query(
+      `INSERT INTO ai_usage
+         (principal_id, principal_type, processing_type, provider, model,
+          input_tokens, output_tokens, cached_tokens, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        principalId || null,
+        principalType || null,
+        processingType,
+        provider,
+        model,
+        usage.inputTokens,
+        usage.outputTokens,
+        usage.cachedTokens,
+        cost,
+      ]
+    );
+  }
+
+  /**
+   * Aggregate usage between two dates, optionally for one principal
+   * @param {Object} filters - { principalId, from, to }
+   * @param {string} [groupBy] - One of day, type, model; omit for totals
+   * @returns {Promise<Object[]>} Aggregates, each with a `key` when grouped
+   */
+  async aggregate({ principalId, from, to }, groupBy) {
+    const params = [from, to];
+    let where = 'created_at >= $1 AND created_at < $2';
+    if (principalId) {
+      params.push(principalId);
+      where += ` AND principal_id = $${params.length}`;
+    }
+
+    if (!groupBy) {
+      const { rows } = await config.query(
+        `SELECT ${AGGREGATE_COLUMNS} FROM ai_usage WHERE ${where}`,
+        params
+      );
+      return rows.map(toAggregate);
+    }
+
+    const expression = GROUPINGS[groupBy];
+    const { rows } = await config.query(
+      `SELECT ${expression} AS key, ${AGGREGATE_COLUMNS}
+       FROM ai_usage
+       WHERE ${where}
+       GROUP BY 1
+       ORDER BY 1`,
+      params
+    );
+    return rows.map((row) => ({ key: row.key, ...toAggregate(row) }));
+  }
+}
+
+const usageModel = new UsageModel();
+
+module.exports = { usageModel };
@@ -0,0 +1,126 @@
+const { config } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         email:
+ *           type: string
+ *           format: email
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *         refreshToken:
+ *           type: string
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         expiresIn:
+ *           type: string
+ *           example: 15m
+ */
+
+/**
+ * Map a users row to the public user shape (never exposes the hash)
+ * @param {Object} row - Database row
+ * @returns {Object|null} User
+ */
+const toUser = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    createdAt: row.created_at,
+  };
+};
+
+class UserModel {
+  async create({ email, passwordHash, name, role = 'user' }) {
+    const { rows } = await config.query(
+      `INSERT INTO users (email, password_hash, name, role)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [email, passwordHash, name || null, role]
+    );
+    return toUser(rows[0]);
+  }
+
+  async findById(id) {
+    const { rows } = await config.query('SELECT * FROM users WHERE id = $1', [id]);
+    return toUser(rows[0]);
+  }
+
+  /**
+   * Find a user by email including the password hash, for login
+   */
+  async findByEmailWithPassword(email) {
+    const { rows } = await config.query('SELECT * FROM users WHERE email = $1', [email]);
+    if (!rows[0]) return null;
+    return { ...toUser(rows[0]), passwordHash: rows[0].password_hash };
+  }
+
+  /**
+   * Change a user's role (see scripts/promote-admin.js)
+   * @returns {Promise<Object|null>} Updated user, or null if the email is unknown
+   */
+  async setRoleByEmail(email, role) {
+    const { rows } = await config.query(
+      'UPDATE users SET role = $2, updated_at = NOW() WHERE email = $1 RETURNING *',
+      [email, role]
+    );
+    return toUser(rows[0]);
+  }
+
+  async saveRefreshToken({ id, userId, expiresAt }) {
+    await config.query(
+      `INSERT INTO refresh_tokens (id, user_id, expires_at)
+       VALUES ($1, $2, $3)`,
+      [id, userId, expiresAt]
+    );
+  }
+
+  async findRefreshToken(id) {
+    const { rows } = await config.query('SELECT * FROM refresh_tokens WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
+  async revokeRefreshToken(id, replacedBy = null) {
+    await config.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW(), replaced_by = $2
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [id, replacedBy]
+    );
+  }
+
+  async revokeAllRefreshTokens(userId) {
+    await config.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW()
+       WHERE user_id = $1 AND revoked_at IS NULL`,
+      [userId]
+    );
+  }
+}
+
+const userModel = new UserModel();
+
+module.exports = { userModel };
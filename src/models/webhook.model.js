@@ -0,0 +1,199 @@
+const { config } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Also sent as the X-Webhook-Id header and the payload's id
+ *         event:
+ *           type: string
+ *           enum: [job.completed, job.failed]
+ *         url:
+ *           type: string
+ *         jobId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         attempts:
+ *           type: number
+ *         lastStatusCode:
+ *           type: number
+ *           description: HTTP status of the last attempt, absent when no response was received
+ *         lastError:
+ *           type: string
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         payload:
+ *           type: object
+ *           description: The JSON body sent (omitted in list responses)
+ *         attemptLog:
+ *           type: array
+ *           description: One entry per attempt (omitted in list responses)
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: number
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: number
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: number
+ */
+
+// Columns returned by list queries; payload and attempt log are left out
+const SUMMARY_COLUMNS = `
+  id, owner_id, owner_type, job_id, event, url, status, attempts,
+  last_status_code, last_error, delivered_at, created_at, updated_at`;
+
+/**
+ * Map a webhook_deliveries row to the public shape
+ * @param {Object} row - Database row
+ * @returns {Object|null} Delivery
+ */
+const toDelivery = (row) => {
+  if (!row) return null;
+  const delivery = {
+    id: row.id,
+    ownerId: row.owner_id,
+    ownerType: row.owner_type,
+    jobId: row.job_id,
+    event: row.event,
+    url: row.url,
+    status: row.status,
+    attempts: row.attempts,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  if (row.payload !== undefined) delivery.payload = row.payload;
+  if (row.attempt_log !== undefined) delivery.attemptLog = row.attempt_log;
+  return delivery;
+};
+
+class WebhookModel {
+  async findSecret(ownerId, ownerType) {
+    const { rows } = await config.query(
+      'SELECT secret, created_at FROM webhook_secrets WHERE owner_id = $1 AND owner_type = $2',
+      [ownerId, ownerType]
+    );
+    return rows[0] ? { secret: rows[0].secret, createdAt: rows[0].created_at } : null;
+  }
+
+  /**
+   * Store a principal's signing secret, replacing any previous one
+   */
+  async saveSecret(ownerId, ownerType, secret) {
+    const { rows } = await config.query(
+      `INSERT INTO webhook_secrets (owner_id, owner_type, secret)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (owner_type, owner_id) DO UPDATE SET secret = EXCLUDED.secret, created_at = NOW()
+       RETURNING secret, created_at`,
+      [ownerId, ownerType, secret]
+    );
+    return { secret: rows[0].secret, createdAt: rows[0].created_at };
+  }
+
+  async createDelivery({ id, ownerId, ownerType, jobId, event, url, payload }) {
+    const { rows } = await config.query(
+      `INSERT INTO webhook_deliveries (id, owner_id, owner_type, job_id, event, url, payload)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [id, ownerId, ownerType, jobId || null, event, url, payload]
+    );
+    return toDelivery(rows[0]);
+  }
+
+  async findDelivery(id) {
+    const { rows } = await config.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return toDelivery(rows[0]);
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} filters - { ownerId, status, jobId }
+   * @param {Object} page - { limit, offset }
+   * @returns {Promise<Object>} { deliveries, total }
+   */
+  async listDeliveries({ ownerId, status, jobId }, { limit, offset }) {
+    const params = [];
+    const clauses = [];
+    const add = (column, value) => {
+      params.push(value);
+      clauses.push(`${column} = $${params.length}`);
+    };
+    if (ownerId) add('owner_id', ownerId);
+    if (status) add('status', status);
+    if (jobId) add('job_id', jobId);
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [{ rows }, count] = await Promise.all([
+      config.query(
+        `SELECT ${SUMMARY_COLUMNS}
+         FROM webhook_deliveries
+         ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      config.query(`SELECT COUNT(*)::int AS total FROM webhook_deliveries ${where}`, params),
+    ]);
+
+    return { deliveries: rows.map(toDelivery), total: count.rows[0].total };
+  }
+
+  /**
+   * Append an attempt to the log and set the delivery's status from it
+   * @param {string} id - Delivery id
+   * @param {Object} attempt - { attempt, at, statusCode, error, durationMs }
+   * @param {string} status - pending (will retry), delivered or failed
+   */
+  async recordAttempt(id, attempt, status) {
+    const { rows } = await config.query(
+      `UPDATE webhook_deliveries
+       SET attempts = attempts + 1,
+           attempt_log = attempt_log || $2::jsonb,
+           last_status_code = $3,
+           last_error = $4,
+           status = $5,
+           delivered_at = CASE WHEN $5 = 'delivered' THEN NOW() ELSE delivered_at END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, JSON.stringify([attempt]), attempt.statusCode ?? null, attempt.error ?? null, status]
+    );
+    return toDelivery(rows[0]);
+  }
+
+  async setStatus(id, status) {
+    const { rows } = await config.query(
+      `UPDATE webhook_deliveries SET status = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id, status]
+    );
+    return toDelivery(rows[0]);
+  }
+}
+
+const webhookModel = new WebhookModel();
+
+module.exports = { webhookModel };
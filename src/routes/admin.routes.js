@@ -0,0 +1,542 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKey.controller');
+const promptController = require('../controllers/prompt.controller');
+const processingTypeController = require('../controllers/processingType.controller');
+const cacheController = require('../controllers/cache.controller');
+const { authMiddleware, requireRole } = require('../middleware/auth.middleware');
+const { validateRequest } = require('../middleware/validation.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+const { createPromptVersionSchema } = require('../validators/prompt.validator');
+const {
+  createProcessingTypeSchema,
+  updateProcessingTypeSchema,
+} = require('../validators/processingType.validator');
+const { listCacheEntriesSchema, purgeCacheSchema } = require('../validators/cache.validator');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administrative endpoints (admin role required)
+ */
+
+router.use(authMiddleware, requireRole('admin'), rateLimit);
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Mint an API key
+ *     description: Creates a key for service-to-service callers. The raw key is returned only in this response; only its hash is stored. Scopes restrict which processing types the key may call.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: "nightly-translation-job"
+ *             scopes: [translate]
+ *             expiresAt: "2026-01-01T00:00:00.000Z"
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: "acp_Zk3v9Qm1c2x8Lr5tY7wP0aBnD4eF6gHj"
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Admin role required
+ *   get:
+ *     summary: List API keys
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 count:
+ *                   type: number
+ */
+router.post('/api-keys', apiKeyController.create);
+router.get('/api-keys', apiKeyController.list);
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Issues a new secret for the key; the previous secret stops working immediately. Id and scopes are kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: New key issued
+ *       404:
+ *         description: API key not found or revoked
+ */
+router.post('/api-keys/:id/rotate', apiKeyController.rotate);
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: API key not found or already revoked
+ */
+router.delete('/api-keys/:id', apiKeyController.revoke);
+
+/**
+ * @swagger
+ * /api/admin/prompts:
+ *   get:
+ *     summary: List prompt templates
+ *     description: One template per text processing type, with its active version and the variables a version may use. Version 0 is the built-in template, used until a stored version is promoted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Prompt templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       activeVersion:
+ *                         type: number
+ *                       variables:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       required:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       active:
+ *                         $ref: '#/components/schemas/PromptTemplate'
+ */
+router.get('/prompts', promptController.list);
+
+/**
+ * @swagger
+ * /api/admin/prompts/{name}/versions:
+ *   parameters:
+ *     - in: path
+ *       name: name
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [summarize, analyze-sentiment, extract-keywords, generate-content, translate]
+ *   get:
+ *     summary: List the versions of a prompt template
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Versions, newest first, ending with the built-in version 0
+ *       404:
+ *         description: Unknown prompt template
+ *   post:
+ *     summary: Create a prompt template version
+ *     description: Stores the next version of a template. Placeholders are written as {{variable}} and must be among the template's variables; required ones such as content must appear. The version is not used until promoted, unless `activate` is true. Requests can try it first by pinning `options.promptVersion`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             template: "Summarize the text below in at most {{maxLength}} words for a busy executive. Use a {{style}} tone.\n\n{{content}}"
+ *             description: "Executive tone"
+ *             activate: false
+ *     responses:
+ *       201:
+ *         description: Version created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromptTemplate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Unknown prompt template
+ */
+router.get('/prompts/:name/versions', promptController.listVersions);
+router.post('/prompts/:name/versions', validateRequest(createPromptVersionSchema), promptController.createVersion);
+
+/**
+ * @swagger
+ * /api/admin/prompts/{name}/versions/{version}/promote:
+ *   post:
+ *     summary: Promote a prompt template version
+ *     description: Makes the version the active one for requests that do not pin `options.promptVersion`. Promote version 0 to go back to the built-in template. Other instances pick the change up within PROMPT_CACHE_TTL_MS (30 seconds by default).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Active version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromptTemplate'
+ *       404:
+ *         description: Unknown prompt template or version
+ */
+router.post('/prompts/:name/versions/:version/promote', promptController.promote);
+
+/**
+ * @swagger
+ * /api/admin/processing-types:
+ *   get:
+ *     summary: List custom processing types
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Custom processing types
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 types:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProcessingTypeDefinition'
+ *   post:
+ *     summary: Register a custom processing type
+ *     description: Adds a processing type usable as `type` on /api/ai/process, /api/ai/batch and /api/ai/jobs without a deploy. The prompt template must use {{content}}, plus {{outputFormat}} when an output schema is given; other placeholders must be properties of the options schema. Options are validated with the options schema and its defaults applied. With an output schema the model is asked for JSON, which is validated and repaired like the built-in structured types. Other instances pick new types up within PROCESSING_TYPES_REFRESH_MS (30 seconds by default).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: product-description
+ *             description: "Marketing copy for a product"
+ *             promptTemplate: "Write a {{tone}} product description, at most {{maxWords}} words.\n\n{{outputFormat}}\n\nProduct notes\n{{content}}"
+ *             optionsSchema:
+ *               type: object
+ *               properties:
+ *                 tone:
+ *                   type: string
+ *                   enum: [playful, formal]
+ *                   default: formal
+ *                 maxWords:
+ *                   type: integer
+ *                   minimum: 10
+ *                   maximum: 300
+ *                   default: 80
+ *               additionalProperties: false
+ *             outputSchema:
+ *               type: object
+ *               properties:
+ *                 headline:
+ *                   type: string
+ *                 body:
+ *                   type: string
+ *               required: [headline, body]
+ *               additionalProperties: false
+ *             defaults:
+ *               temperature: 0.7
+ *             cacheTtl: 3600
+ *     responses:
+ *       201:
+ *         description: Processing type registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProcessingTypeDefinition'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         description: A processing type with this name exists
+ */
+router.get('/processing-types', processingTypeController.list);
+router.post('/processing-types', validateRequest(createProcessingTypeSchema), processingTypeController.create);
+
+/**
+ * @swagger
+ * /api/admin/processing-types/{name}:
+ *   parameters:
+ *     - in: path
+ *       name: name
+ *       required: true
+ *       schema:
+ *         type: string
+ *   get:
+ *     summary: Get a custom processing type
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Processing type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProcessingTypeDefinition'
+ *       404:
+ *         description: Processing type not found
+ *   put:
+ *     summary: Update a custom processing type
+ *     description: Changes the given fields and increments the revision. Cached results of earlier revisions are no longer served.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             cacheTtl: 600
+ *     responses:
+ *       200:
+ *         description: Updated processing type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProcessingTypeDefinition'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Processing type not found
+ *   delete:
+ *     summary: Remove a custom processing type
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Processing type removed
+ *       404:
+ *         description: Processing type not found
+ */
+router.get('/processing-types/:name', processingTypeController.get);
+router.put('/processing-types/:name', validateRequest(updateProcessingTypeSchema), processingTypeController.update);
+router.delete('/processing-types/:name', processingTypeController.remove);
+
+/**
+ * @swagger
+ * /api/admin/cache/stats:
+ *   get:
+ *     summary: Result cache statistics
+ *     description: Hits, misses, writes and bytes read and written per processing type since the counters were created. `localHits` counts the hits served from an instance's in-process tier without a Redis round trip. The hit rate is null for types without lookups.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counters per processing type and in total
+ *         content:
+ *           application/json:
+ *             example:
+ *               types:
+ *                 summarize:
+ *                   hits: 42
+ *                   localHits: 30
+ *                   misses: 8
+ *                   bytesRead: 51200
+ *                   writes: 8
+ *                   bytesWritten: 9800
+ *                   hitRate: 0.84
+ *               totals:
+ *                 hits: 42
+ *                 localHits: 30
+ *                 misses: 8
+ *                 bytesRead: 51200
+ *                 writes: 8
+ *                 bytesWritten: 9800
+ *                 hitRate: 0.84
+ *       503:
+ *         description: Cache unavailable
+ */
+router.get('/cache/stats', cacheController.stats);
+
+/**
+ * @swagger
+ * /api/admin/cache/entries:
+ *   get:
+ *     summary: List cached results
+ *     description: Pages through cached results without blocking Redis. Pass the returned cursor to get the next page; it is null after the last one. Page sizes are approximate.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *           default: "0"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: One page of cached results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       provider:
+ *                         type: string
+ *                       model:
+ *                         type: string
+ *                       prompt:
+ *                         type: object
+ *                       bytes:
+ *                         type: number
+ *                       ttl:
+ *                         type: number
+ *                         description: Seconds until the entry expires
+ *                 cursor:
+ *                   type: string
+ *                   nullable: true
+ *                 count:
+ *                   type: number
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       503:
+ *         description: Cache unavailable
+ */
+router.get('/cache/entries', validateRequest(listCacheEntriesSchema, 'query'), cacheController.list);
+
+/**
+ * @swagger
+ * /api/admin/cache:
+ *   delete:
+ *     summary: Purge cached results
+ *     description: Deletes the cached results matching all given filters, leaving other types and other Redis data alone. At least one filter is required. Filtering by model or prompt version reads every entry of the matching types.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: promptVersion
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Purge result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: number
+ *                 scanned:
+ *                   type: number
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       503:
+ *         description: Cache unavailable
+ */
+router.delete('/cache', validateRequest(purgeCacheSchema, 'query'), cacheController.purge);
+
+module.exports = router;
@@ -1,8 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/ai.controller');
-// const { authMiddleware } = require('../middleware/auth.middleware');
-// const { validateRequest } = require('../middleware/validation.middleware');
+const { authMiddleware, requireProcessingScope } = require('../middleware/auth.middleware');
+const { validateRequest } = require('../middleware/validation.middleware');
+const { uploadDocument, uploadImage } = require('../middleware/upload.middleware');
+const { loadProcessingTypes, validateCustomTypes } = require('../middleware/processingType.middleware');
+const { rateLimit, requireTokenQuota } = require('../middleware/rateLimit.middleware');
+const {
+  processRequestSchema,
+  streamRequestSchema,
+  uploadRequestSchema,
+  imageRequestSchema,
+  batchRequestSchema,
+  jobRequestSchema,
+  pipelineRequestSchema,
+} = require('../validators/ai.validator');
 
 /**
  * @swagger
@@ -16,10 +28,17 @@ const aiController = require('../controllers/ai.controller');
  * /api/ai/process:
  *   post:
  *     summary: Process content using AI
- *     description: Send a single piece of content for AI processing based on the specified type
+ *     description: Send a single piece of content for AI processing based on the specified type. Add `?stream=true` to stream generate-content and translate results over Server-Sent Events (see /api/ai/stream). The AI provider defaults to the deployment's AI_PROVIDER and can be overridden per request with `options.provider` (google, openai, local) and `options.model`. Prompts come from the prompt template registry (see /api/admin/prompts). `options.promptVersion` pins a template version, 0 being the built-in one, and the response's `prompt` field records the template name and version used. Results are cached per request, and identical requests arriving while one is being processed wait for it and share its result. `options.cache` set to bypass skips the cache entirely, and refresh skips the cached result but stores the new one. Summaries of long documents (over SUMMARIZE_CHUNK_THRESHOLD_TOKENS, about 8000 tokens) are produced with map-reduce over overlapping chunks, every step using the resolved summarize template (its `{{context}}` placeholder tells it which step it is); the result then includes `chunked`, `reduceLevels` and per-chunk `chunks` metadata (`options.chunkTokens` sets the chunk size). Instead of `content`, a web page can be given as `source.url`. The page is fetched (public hosts only, robots.txt respected, at most URL_FETCH_MAX_BYTES and URL_FETCH_TIMEOUT_MS, up to 5 redirects, HTML or text content only) and its main article text is processed. The response then includes `source` with the fetched text and the page's canonical URL. Custom processing types registered by admins (see GET /api/ai/types) are accepted as `type` too. Their options are checked against the type's JSON Schema, and types with an output schema return validated JSON as `result`, others `result.text`.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Stream the response over Server-Sent Events (generate-content and translate only)
  *     requestBody:
  *       required: true
  *       content:
@@ -60,6 +79,22 @@ const aiController = require('../controllers/ai.controller');
  *                 options:
  *                   targetLanguage: "Spanish"
  *                   preserveFormatting: true
+ *             url:
+ *               summary: Summarize a web page
+ *               value:
+ *                 type: summarize
+ *                 source:
+ *                   url: "https://en.wikipedia.org/wiki/Climate_change"
+ *                 options:
+ *                   maxLength: 100
+ *             openai:
+ *               summary: Summarize with a specific provider and model
+ *               value:
+ *                 type: summarize
+ *                 content: "Climate change is the long-term alteration of temperature and typical weather patterns."
+ *                 options:
+ *                   provider: openai
+ *                   model: gpt-4o-mini
  *     responses:
  *       200:
  *         description: Content processed successfully
@@ -75,6 +110,9 @@ const aiController = require('../controllers/ai.controller');
  *                   type: object
  *                 processingTime:
  *                   type: number
+ *                 queuedMs:
+ *                   type: number
+ *                   description: Time the provider calls waited for rate limit capacity
  *             examples:
  *               summarize:
  *                 summary: Summarized text result
@@ -133,20 +171,275 @@ const aiController = require('../controllers/ai.controller');
  *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: The source URL is disallowed by its robots.txt
+ *       413:
+ *         description: The source page is too large
+ *       415:
+ *         description: The source URL does not serve HTML or text
+ *       429:
+ *         description: Rate limit or daily token quota exceeded (see /api/ai/quota)
+ *       502:
+ *         description: The source page could not be fetched
+ *       503:
+ *         description: The AI provider is unavailable, or no rate limit capacity freed up within the maximum wait
+ *       504:
+ *         description: Fetching the source page or the AI provider call timed out
  *       500:
  *         description: Server error
  */
-router.post('/process', aiController.processContent);
+router.post(
+  '/process',
+  authMiddleware,
+  rateLimit,
+  requireTokenQuota,
+  loadProcessingTypes,
+  validateRequest(processRequestSchema),
+  validateCustomTypes,
+  requireProcessingScope,
+  (req, res) =>
+    req.query.stream === 'true'
+      ? aiController.streamContent(req, res)
+      : aiController.processContent(req, res)
+);
+
+/**
+ * @swagger
+ * /api/ai/process/upload:
+ *   post:
+ *     summary: Process an uploaded document
+ *     description: Upload a PDF, DOCX, HTML, Markdown or plain-text document (up to UPLOAD_MAX_FILE_SIZE, 10 MB by default). Its text is extracted as Markdown, keeping headings, lists and tables where the format has them, and processed like `content` on /api/ai/process. The response adds `extraction` metadata.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, type]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Document (.pdf, .docx, .html, .md, .txt)
+ *               type:
+ *                 type: string
+ *                 enum: [summarize, analyze-sentiment, extract-keywords, generate-content, translate]
+ *               options:
+ *                 type: string
+ *                 description: Processing options as a JSON object string
+ *                 example: '{"maxLength": 100}'
+ *     responses:
+ *       200:
+ *         description: Document processed successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               type: summarize
+ *               result:
+ *                 summary: "The report reviews quarterly revenue growth and regional results."
+ *                 originalLength: 5120
+ *                 summaryLength: 68
+ *                 compressionRatio: 75.29
+ *               provider: google
+ *               model: gemini-2.0-flash
+ *               extraction:
+ *                 fileName: report.pdf
+ *                 mimeType: application/pdf
+ *                 format: pdf
+ *                 size: 48213
+ *                 pageCount: 3
+ *                 encoding: null
+ *                 title: Quarterly report
+ *                 characters: 5120
+ *                 words: 842
+ *                 warnings: []
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       413:
+ *         description: File or extracted text is too large
+ *       415:
+ *         description: Unsupported file type
+ *       422:
+ *         description: No text could be extracted from the document
+ */
+router.post(
+  '/process/upload',
+  authMiddleware,
+  rateLimit,
+  requireTokenQuota,
+  uploadDocument('file'),
+  validateRequest(uploadRequestSchema),
+  requireProcessingScope,
+  aiController.processUpload
+);
+
+/**
+ * @swagger
+ * /api/ai/process/image:
+ *   post:
+ *     summary: Process an uploaded image
+ *     description: Caption an image, write alt text, extract its text (OCR) or rate it for unsafe content and sentiment. Before it is sent to a multimodal model the image is normalized. Its EXIF orientation is applied, its longest side is resized to at most IMAGE_MAX_DIMENSION pixels (1536 by default), all metadata is stripped, and it is converted to JPEG, or PNG when transparent. Results are cached by the hash of the normalized image.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image, type]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG, WebP, GIF, TIFF, AVIF or HEIC image (up to IMAGE_MAX_FILE_SIZE, 10 MB by default)
+ *               type:
+ *                 type: string
+ *                 enum: [image-caption, image-alt-text, image-ocr, image-moderation]
+ *               options:
+ *                 type: string
+ *                 description: Processing options as a JSON object string
+ *                 example: '{"maxLength": 100, "context": "Product page hero image"}'
+ *     responses:
+ *       200:
+ *         description: Image processed successfully
+ *         content:
+ *           application/json:
+ *             examples:
+ *               altText:
+ *                 summary: Alt text result
+ *                 value:
+ *                   type: image-alt-text
+ *                   result:
+ *                     altText: "Golden retriever catching a red frisbee on a sunny beach"
+ *                     length: 56
+ *                   provider: google
+ *                   model: gemini-2.0-flash
+ *                   image:
+ *                     mimeType: image/jpeg
+ *                     width: 1536
+ *                     height: 1024
+ *                     bytes: 214332
+ *                     hash: "9f2c1e..."
+ *                     original:
+ *                       format: heif
+ *                       width: 4032
+ *                       height: 2688
+ *                       bytes: 2811220
+ *               moderation:
+ *                 summary: Moderation result
+ *                 value:
+ *                   type: image-moderation
+ *                   result:
+ *                     safe: true
+ *                     categories:
+ *                       adult: none
+ *                       violence: low
+ *                       hate: none
+ *                       selfHarm: none
+ *                       drugs: none
+ *                     sentiment: positive
+ *                     explanation: "A cartoon sword fight between two characters; no realistic violence."
+ *                   provider: google
+ *                   model: gemini-2.0-flash
+ *                   attempts: 1
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       413:
+ *         description: Image is too large
+ *       415:
+ *         description: Unsupported image type
+ *       422:
+ *         description: The image could not be decoded
+ *       502:
+ *         description: Moderation output did not match its schema after all repair attempts
+ */
+router.post(
+  '/process/image',
+  authMiddleware,
+  rateLimit,
+  requireTokenQuota,
+  uploadImage('image'),
+  validateRequest(imageRequestSchema),
+  requireProcessingScope,
+  aiController.processImage
+);
+
+/**
+ * @swagger
+ * /api/ai/stream:
+ *   post:
+ *     summary: Stream generated or translated content
+ *     description: Streams model output as Server-Sent Events. Each `token` event carries a text fragment as it arrives; the final `result` event carries the same envelope /api/ai/process returns. Failures after the stream has started are sent as an `error` event.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           examples:
+ *             generate:
+ *               summary: Stream generated content
+ *               value:
+ *                 type: generate-content
+ *                 content: "Write a short blog introduction about sustainable technology"
+ *                 options:
+ *                   style: "professional"
+ *             translate:
+ *               summary: Stream a translation
+ *               value:
+ *                 type: translate
+ *                 content: "Hello world! How are you today?"
+ *                 options:
+ *                   targetLanguage: "Spanish"
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             example: |
+ *               event: token
+ *               data: {"text":"¡Hola mundo! "}
+ *
+ *               event: result
+ *               data: {"type":"translate","result":{"originalText":"Hello world! How are you today?","translatedText":"¡Hola mundo! ¿Cómo estás hoy?","sourceLanguage":"auto-detected","targetLanguage":"Spanish"},"provider":"google","model":"gemini-2.0-flash","processingTime":1687152734526}
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post(
+  '/stream',
+  authMiddleware,
+  rateLimit,
+  requireTokenQuota,
+  validateRequest(streamRequestSchema),
+  requireProcessingScope,
+  aiController.streamContent
+);
 
 /**
  * @swagger
  * /api/ai/batch:
  *   post:
  *     summary: Batch process multiple content items
- *     description: Process multiple content items in a single request to improve efficiency
+ *     description: Process multiple content items in a single request to improve efficiency. Items succeed or fail independently. Each result is `{ index, status, result }` with status fulfilled, or `{ index, status, error }` with status rejected and an error carrying a machine-readable `code` (for example BAD_REQUEST, INVALID_MODEL_OUTPUT, PROVIDER_ERROR), `message` and `statusCode`. Identical items are processed once and get the same result. With `failFast` the batch stops after the group of 5 items in which an item failed, and the remaining items are rejected with code BATCH_ABORTED. The response is 200 when every item succeeded, 207 when results are mixed, and the items' shared status code when every item failed the same way.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -155,42 +448,89 @@ router.post('/process', aiController.processContent);
  *             $ref: '#/components/schemas/BatchRequest'
  *     responses:
  *       200:
- *         description: Contents processed successfully
+ *         description: All items processed successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   type:
- *                     type: string
- *                   result:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
  *                     type: object
- *                   processingTime:
- *                     type: number
+ *                     properties:
+ *                       index:
+ *                         type: number
+ *                       status:
+ *                         type: string
+ *                         enum: [fulfilled, rejected]
+ *                       result:
+ *                         type: object
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           message:
+ *                             type: string
+ *                           statusCode:
+ *                             type: number
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                 count:
+ *                   type: number
+ *                 succeeded:
+ *                   type: number
+ *                 failed:
+ *                   type: number
  *             example:
- *               - type: summarize
- *                 result:
- *                   summary: "Climate change is human-caused temperature change."
- *                   originalLength: 215
- *                   summaryLength: 45
- *                   compressionRatio: 4.78
- *                 processingTime: 1687152734001
- *               - type: analyze-sentiment
- *                 result:
- *                   sentiment: "positive"
- *                   confidence: 9.5
- *                   emotionalIndicators: ["love", "fast", "accurate"]
- *                   explanation: "Strong positive sentiment with enthusiasm."
- *                 processingTime: 1687152734002
- *               - type: translate
- *                 result:
- *                   originalText: "Hello world! How are you today?"
- *                   translatedText: "Bonjour le monde! Comment allez-vous aujourd'hui?"
- *                   sourceLanguage: "auto-detected"
- *                   targetLanguage: "French"
- *                 processingTime: 1687152734003
+ *               results:
+ *                 - index: 0
+ *                   status: fulfilled
+ *                   result:
+ *                     type: summarize
+ *                     result:
+ *                       summary: "Climate change is human-caused temperature change."
+ *                       originalLength: 215
+ *                       summaryLength: 45
+ *                       compressionRatio: 4.78
+ *                     processingTime: 1687152734001
+ *                 - index: 1
+ *                   status: fulfilled
+ *                   result:
+ *                     type: analyze-sentiment
+ *                     result:
+ *                       sentiment: "positive"
+ *                       confidence: 9.5
+ *                       emotionalIndicators: ["love", "fast", "accurate"]
+ *                       explanation: "Strong positive sentiment with enthusiasm."
+ *                     processingTime: 1687152734002
+ *               count: 2
+ *               succeeded: 2
+ *               failed: 0
+ *       207:
+ *         description: Some items failed
+ *         content:
+ *           application/json:
+ *             example:
+ *               results:
+ *                 - index: 0
+ *                   status: fulfilled
+ *                   result:
+ *                     type: translate
+ *                     result:
+ *                       translatedText: "Bonjour le monde!"
+ *                 - index: 1
+ *                   status: rejected
+ *                   error:
+ *                     code: INVALID_MODEL_OUTPUT
+ *                     message: "Model output for analyze-sentiment did not match its schema after 3 attempts"
+ *                     statusCode: 502
+ *               count: 2
+ *               succeeded: 1
+ *               failed: 1
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       401:
@@ -198,7 +538,391 @@ router.post('/process', aiController.processContent);
  *       500:
  *         description: Server error
  */
-router.post('/batch', aiController.batchProcess);
+router.post(
+  '/batch',
+  authMiddleware,
+  rateLimit,
+  requireTokenQuota,
+  loadProcessingTypes,
+  validateRequest(batchRequestSchema),
+  validateCustomTypes,
+  requireProcessingScope,
+  aiController.batchProcess
+);
+
+/**
+ * @swagger
+ * /api/ai/pipeline:
+ *   post:
+ *     summary: Run a multi-step processing pipeline
+ *     description: Runs up to 20 steps built from the processing types, for example translate, then summarize and extract keywords. A step's `input` takes its content from a field of an earlier step's result, written as `stepId.path` (for example `translated.result.translatedText`; numeric segments index arrays, objects are passed as JSON). `map` fills options the same way. Steps without `content` or `input` use the pipeline `content`. References define a DAG, and every step starts as soon as the steps it references complete, so independent branches run in parallel. Each step is cached like a single /api/ai/process request. The response lists every step with its status (completed, failed or skipped), `cached`, `startOffset` and `duration` in milliseconds, and its result. `outputs` holds the results of the steps no other step references. When a step fails, the steps depending on it are skipped and the response uses the failed step's status code.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             content: "El servicio es rápido y el equipo de soporte respondió en minutos. Lo recomiendo."
+ *             steps:
+ *               - id: translated
+ *                 type: translate
+ *                 options:
+ *                   targetLanguage: English
+ *               - id: summary
+ *                 type: summarize
+ *                 input: translated.result.translatedText
+ *                 options:
+ *                   maxLength: 30
+ *               - id: keywords
+ *                 type: extract-keywords
+ *                 input: translated.result.translatedText
+ *     responses:
+ *       200:
+ *         description: All steps completed
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: completed
+ *               outputs:
+ *                 summary:
+ *                   summary: "Fast service and quick support, recommended."
+ *                 keywords:
+ *                   keywords:
+ *                     - keyword: support
+ *                       relevance: 9
+ *               steps:
+ *                 - id: translated
+ *                   type: translate
+ *                   dependsOn: []
+ *                   status: completed
+ *                   startOffset: 0
+ *                   duration: 840
+ *                   cached: false
+ *                   result:
+ *                     type: translate
+ *                     result:
+ *                       translatedText: "The service is fast and the support team answered within minutes. I recommend it."
+ *                 - id: summary
+ *                   type: summarize
+ *                   dependsOn: [translated]
+ *                   status: completed
+ *                   startOffset: 841
+ *                   duration: 610
+ *                   cached: true
+ *               tokensUsed: 412
+ *               totalTime: 1530
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       422:
+ *         description: A mapped field was missing from an earlier step's result
+ *       502:
+ *         description: A step's model output did not match its schema
+ */
+router.post(
+  '/pipeline',
+  authMiddleware,
+  rateLimit,
+  requireTokenQuota,
+  loadProcessingTypes,
+  validateRequest(pipelineRequestSchema),
+  requireProcessingScope,
+  aiController.runPipeline
+);
+
+/**
+ * @swagger
+ * /api/ai/jobs:
+ *   post:
+ *     summary: Enqueue an asynchronous processing job
+ *     description: Queue a single item or a batch for background processing by the AI workers. Returns immediately with a job id to poll. With `callbackUrl` the outcome is also POSTed there as a `job.completed` or `job.failed` event, signed with the caller's webhook secret (see GET /api/webhooks/secret) and retried with exponential backoff until the receiver answers 2xx. Callback hosts must resolve to public addresses unless URL_FETCH_ALLOW_PRIVATE_NETWORKS is set.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           examples:
+ *             single:
+ *               summary: Single item job
+ *               value:
+ *                 type: summarize
+ *                 content: "Climate change is the long-term alteration of temperature and typical weather patterns."
+ *             callback:
+ *               summary: Job with a webhook callback
+ *               value:
+ *                 type: summarize
+ *                 content: "Climate change is the long-term alteration of temperature and typical weather patterns."
+ *                 callbackUrl: "https://example.com/hooks/ai-jobs"
+ *             batch:
+ *               summary: Batch job
+ *               value:
+ *                 requests:
+ *                   - type: analyze-sentiment
+ *                     content: "I absolutely love this new AI service!"
+ *                   - type: translate
+ *                     content: "Hello world!"
+ *                     options:
+ *                       targetLanguage: "French"
+ *     responses:
+ *       202:
+ *         description: Job accepted
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: "3f5c1a52-4a4e-4a55-9a3f-0b6c3c2f9d11"
+ *               queue: ai-batch
+ *               state: waiting
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/jobs',
+  authMiddleware,
+  rateLimit,
+  requireTokenQuota,
+  loadProcessingTypes,
+  validateRequest(jobRequestSchema),
+  validateCustomTypes,
+  requireProcessingScope,
+  aiController.createJob
+);
+
+/**
+ * @swagger
+ * /api/ai/jobs/{id}:
+ *   get:
+ *     summary: Get job status
+ *     description: Returns the state, progress (0-100) and, once completed, the result of a job
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: "3f5c1a52-4a4e-4a55-9a3f-0b6c3c2f9d11"
+ *               queue: ai-batch
+ *               state: active
+ *               progress: 40
+ *               attemptsMade: 0
+ *               createdAt: "2025-06-18T10:12:00.000Z"
+ *       404:
+ *         description: Job not found
+ *   delete:
+ *     summary: Cancel a job
+ *     description: Removes a waiting job, stops a running batch at the next group boundary, or discards the result of a running single job when its call returns
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job already finished
+ */
+router.get('/jobs/:id', authMiddleware, rateLimit, aiController.getJob);
+router.delete('/jobs/:id', authMiddleware, rateLimit, aiController.cancelJob);
+
+/**
+ * @swagger
+ * /api/ai/usage:
+ *   get:
+ *     summary: Get token usage and cost
+ *     description: Aggregates recorded token usage and cost (USD, from the configured price table) by day, processing type and model. Defaults to the last 30 days. Admins may pass `principalId` or omit it to see all callers; other callers always see their own usage.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: principalId
+ *         schema:
+ *           type: string
+ *         description: User or API key id (admins only)
+ *     responses:
+ *       200:
+ *         description: Usage aggregates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *                 totals:
+ *                   $ref: '#/components/schemas/UsageAggregate'
+ *                 byDay:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/UsageAggregate'
+ *                       - type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             example: "2025-06-18"
+ *                 byType:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UsageAggregate'
+ *                 byModel:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UsageAggregate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/usage', authMiddleware, rateLimit, aiController.getUsage);
+
+/**
+ * @swagger
+ * /api/ai/quota:
+ *   get:
+ *     summary: Get remaining rate limit and token quota
+ *     description: Reports the caller's tier, the requests left in the current rate limit window and the tokens left in today's quota (UTC day). Limits apply per user or API key across all instances. Every response carries RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers, and requests over a limit get 429 with Retry-After. A `limit` of null means unlimited.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Remaining allowance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tier:
+ *                   type: string
+ *                 requests:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     remaining:
+ *                       type: integer
+ *                     windowMs:
+ *                       type: integer
+ *                     resetAt:
+ *                       type: string
+ *                       format: date-time
+ *                 tokens:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                       nullable: true
+ *                     used:
+ *                       type: integer
+ *                     remaining:
+ *                       type: integer
+ *                       nullable: true
+ *                     resetAt:
+ *                       type: string
+ *                       format: date-time
+ *             example:
+ *               tier: user
+ *               requests:
+ *                 limit: 300
+ *                 remaining: 287
+ *                 windowMs: 900000
+ *                 resetAt: "2025-06-18T10:15:00.000Z"
+ *               tokens:
+ *                 limit: 200000
+ *                 used: 15230
+ *                 remaining: 184770
+ *                 resetAt: "2025-06-19T00:00:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         description: Rate limit exceeded
+ */
+router.get('/quota', authMiddleware, rateLimit, aiController.getQuota);
+
+/**
+ * @swagger
+ * /api/ai/types:
+ *   get:
+ *     summary: List processing types
+ *     description: Built-in processing types and the custom types registered at runtime, with the JSON Schemas of their options and results
+ *     tags: [AI]
+ *     responses:
+ *       200:
+ *         description: Processing types
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 builtin:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [summarize, analyze-sentiment, extract-keywords, generate-content, translate]
+ *                 custom:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       optionsSchema:
+ *                         type: object
+ *                       outputSchema:
+ *                         type: object
+ *                         nullable: true
+ *                       maxContentLength:
+ *                         type: number
+ *                       revision:
+ *                         type: number
+ */
+router.get('/types', rateLimit, loadProcessingTypes, aiController.listTypes);
 
 /**
  * @swagger
@@ -217,6 +941,6 @@ router.post('/batch', aiController.batchProcess);
  *       500:
  *         description: Server error
  */
-router.get('/status', aiController.getServiceStatus);
+router.get('/status', rateLimit, aiController.getServiceStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,373 @@
+const express = require('express');
+const router = express.Router();
+const contentController = require('../controllers/content.controller');
+const { authMiddleware, requireProcessingScope } = require('../middleware/auth.middleware');
+const { validateRequest } = require('../middleware/validation.middleware');
+const { uploadDocument } = require('../middleware/upload.middleware');
+const { rateLimit, requireTokenQuota } = require('../middleware/rateLimit.middleware');
+const {
+  createContentSchema,
+  uploadContentSchema,
+  updateContentSchema,
+  listContentSchema,
+  processContentSchema,
+  listVersionsSchema,
+} = require('../validators/content.validator');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Content
+ *   description: Library of source documents and their stored processing results
+ */
+
+router.use(authMiddleware, rateLimit);
+
+/**
+ * @swagger
+ * /api/content:
+ *   post:
+ *     summary: Store a source document
+ *     description: Stores text, or the main article text of a web page given as `source.url`, in the caller's library. The title defaults to the page title or the first line of the text.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           examples:
+ *             text:
+ *               summary: Store text
+ *               value:
+ *                 title: "Q3 board letter"
+ *                 content: "Dear shareholders, this quarter we..."
+ *                 tags: [finance, board]
+ *             url:
+ *               summary: Store a web page
+ *               value:
+ *                 source:
+ *                   url: "https://example.com/articles/solar-storage"
+ *                 tags: [energy]
+ *     responses:
+ *       201:
+ *         description: Content stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ContentItem'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       413:
+ *         description: Text is too long to store
+ *   get:
+ *     summary: List, search and filter content
+ *     description: Lists the caller's content, newest first. With `q` the title and text are searched and results are ordered by relevance. Admins see every owner's content and may filter by `ownerId`.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over title and text (web search syntax, e.g. "solar -wind")
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only items with at least one version of this processing type
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sourceType
+ *         schema:
+ *           type: string
+ *           enum: [text, upload, url]
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: string
+ *         description: Admins only
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of content items (without their text)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContentItem'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.post('/', validateRequest(createContentSchema), contentController.create);
+router.get('/', validateRequest(listContentSchema, 'query'), contentController.list);
+
+/**
+ * @swagger
+ * /api/content/upload:
+ *   post:
+ *     summary: Store an uploaded document
+ *     description: Extracts the text of a PDF, DOCX, HTML, Markdown or plain text file as Markdown (as /api/ai/process/upload does) and stores it.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               title:
+ *                 type: string
+ *               tags:
+ *                 type: string
+ *                 description: Comma-separated tags
+ *                 example: "contracts,2024"
+ *     responses:
+ *       201:
+ *         description: Content stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ContentItem'
+ *       413:
+ *         description: File or extracted text is too large
+ *       415:
+ *         description: Unsupported file type
+ *       422:
+ *         description: No text could be extracted from the document
+ */
+router.post('/upload', uploadDocument('file'), validateRequest(uploadContentSchema), contentController.upload);
+
+/**
+ * @swagger
+ * /api/content/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *   get:
+ *     summary: Get a content item with its text
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Content item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ContentItem'
+ *       404:
+ *         description: Content not found
+ *   patch:
+ *     summary: Update title, tags or metadata
+ *     description: The text itself cannot be changed, so stored versions always match it. Store a new item for new text.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             title: "Q3 board letter (final)"
+ *             tags: [finance, board, final]
+ *     responses:
+ *       200:
+ *         description: Updated content item
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Content not found
+ *   delete:
+ *     summary: Delete a content item and its versions
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       204:
+ *         description: Content deleted
+ *       404:
+ *         description: Content not found
+ */
+router.get('/:id', contentController.get);
+router.patch('/:id', validateRequest(updateContentSchema), contentController.update);
+router.delete('/:id', contentController.remove);
+
+/**
+ * @swagger
+ * /api/content/{id}/process:
+ *   post:
+ *     summary: Process a content item and store the result
+ *     description: Runs a processing type on the stored text and stores the response as a new version. By default, when a version with the same type and options already exists it is returned with status 200 and `reused` set, without calling the model again. Send `reuse` false to force a new version.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             type: translate
+ *             options:
+ *               targetLanguage: "German"
+ *     responses:
+ *       200:
+ *         description: An existing version was reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ContentVersion'
+ *       201:
+ *         description: New version stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ContentVersion'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: API key is not allowed to call this processing type
+ *       404:
+ *         description: Content not found
+ *       413:
+ *         description: Text is too long for this processing type
+ */
+router.post(
+  '/:id/process',
+  requireTokenQuota,
+  validateRequest(processContentSchema),
+  requireProcessingScope,
+  contentController.process
+);
+
+/**
+ * @swagger
+ * /api/content/{id}/versions:
+ *   get:
+ *     summary: List the stored versions of a content item
+ *     description: Newest first, without their results.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContentVersion'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: Content not found
+ */
+router.get('/:id/versions', validateRequest(listVersionsSchema, 'query'), contentController.listVersions);
+
+/**
+ * @swagger
+ * /api/content/{id}/versions/{versionId}:
+ *   get:
+ *     summary: Re-open a stored result
+ *     description: Returns a stored version with its full result. Nothing is sent to the model.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Stored version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ContentVersion'
+ *       404:
+ *         description: Content or version not found
+ */
+router.get('/:id/versions/:versionId', contentController.getVersion);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { validateRequest } = require('../middleware/validation.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+const { listDeliveriesSchema } = require('../validators/webhook.validator');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Signing secrets and delivery log of job callbacks (`callbackUrl` on POST /api/ai/jobs)
+ */
+
+router.use(authMiddleware, rateLimit);
+
+/**
+ * @swagger
+ * /api/webhooks/secret:
+ *   get:
+ *     summary: Get the webhook signing secret
+ *     description: Returns the secret that signs the caller's callbacks, creating it on first request. Each callback carries `X-Webhook-Signature` set to "sha256=" followed by the hex HMAC-SHA256 of the `X-Webhook-Timestamp` value, a dot and the raw request body.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Signing secret
+ *         content:
+ *           application/json:
+ *             example:
+ *               secret: "whsec_k8Jx2vQ0m3TnZ5aL7bR1cW9yE4uH6gD"
+ *               createdAt: "2025-06-18T10:12:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/secret', webhookController.getSecret);
+
+/**
+ * @swagger
+ * /api/webhooks/secret/rotate:
+ *   post:
+ *     summary: Rotate the webhook signing secret
+ *     description: Replaces the signing secret. Deliveries attempted from now on, retries included, are signed with the new secret.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: New signing secret
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/secret/rotate', webhookController.rotateSecret);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries:
+ *   get:
+ *     summary: List webhook deliveries
+ *     description: The caller's delivery log, newest first. Admins see every owner's deliveries and may filter by `ownerId`.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: string
+ *         description: Admins only
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/deliveries', validateRequest(listDeliveriesSchema, 'query'), webhookController.list);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}:
+ *   get:
+ *     summary: Get a webhook delivery with its payload and attempts
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found
+ */
+router.get('/deliveries/:id', webhookController.get);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}/redeliver:
+ *   post:
+ *     summary: Redeliver a webhook
+ *     description: Sends a delivered or failed callback again with the same id and payload, with a fresh timestamp and signature and a new series of retries.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Redelivery queued
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Delivery is still being retried
+ */
+router.post('/deliveries/:id/redeliver', webhookController.redeliver);
+
+module.exports = router;
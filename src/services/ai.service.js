@@ -1,143 +1,507 @@
 const { logger } = require("../config/logger");
+const { SUMMARY_CONTEXTS } = require("../config/prompts");
 const { cacheService } = require("./cache.service");
-const { formatResponse } = require("../utils/ai.utils");
+const { providerRegistry } = require("./providers");
+const { addUsage, estimateTokens } = require("./providers/base.provider");
+const { usageService } = require("./usage.service");
+const { imageService } = require("./image.service");
+const { urlService } = require("./url.service");
+const { resilienceService } = require("./resilience.service");
+const { providerLimitService } = require("./providerLimit.service");
+const { singleFlightService } = require("./singleFlight.service");
+const { promptService, BUILTIN_VERSION } = require("./prompt.service");
+const { processingTypeService } = require("./processingType.service");
+const { validateStructuredOutput } = require("../utils/ai.utils");
+const { chunkText, mapWithConcurrency } = require("../utils/chunking.utils");
+const { omit } = require("../utils/object.utils");
+const {
+  sentimentOutput,
+  keywordsOutput,
+  imageModerationOutput,
+} = require("../validators/output.validator");
+const { StatusCodes } = require("http-status-codes");
+const { APIError, StructuredOutputError, describeError } = require("../middleware/error.middleware");
+const { MAX_CONTENT_LENGTH } = require("../validators/ai.validator");
 class AIService {
   constructor() {
-    if (!process.env.GOOGLE_API_KEY) {
-      throw new Error("GOOGLE AI environment variable is required");
-    }
-
     this.cacheTimeout = 3600; // 1 hour cache
-    this.modelName = process.env.GOOGLE_MODEL || "gemini-1.5-pro";
-    this.initialized = false;
+    // Max concurrent model calls per batch or chunked document; provider
+    // rate limits are enforced across instances by providerLimitService
+    this.batchSize = parseInt(process.env.AI_BATCH_CONCURRENCY || "5", 10);
+    // Long-document summarization (sizes in estimated tokens)
+    this.chunking = {
+      thresholdTokens: parseInt(process.env.SUMMARIZE_CHUNK_THRESHOLD_TOKENS || "8000", 10),
+      chunkTokens: parseInt(process.env.SUMMARIZE_CHUNK_TOKENS || "4000", 10),
+      overlapTokens: parseInt(process.env.SUMMARIZE_CHUNK_OVERLAP_TOKENS || "200", 10),
+    };
+    // Re-prompts allowed when JSON output fails its schema
+    this.maxRepairAttempts = parseInt(process.env.STRUCTURED_OUTPUT_RETRIES || "2", 10);
+    this.providers = providerRegistry;
+  }
 
-    // Initialize the client asynchronously
-    this.init();
+  /**
+   * Resolve the provider for a request
+   * @param {Object} options - Processing options (may carry `provider`)
+   * @returns {BaseProvider} Provider instance
+   */
+  getProvider(options = {}) {
+    return this.providers.get(options.provider);
   }
 
   /**
-   * Initialize Google GenAI client
+   * Run a single prompt through the selected provider. The call first waits
+   * for capacity under the provider's rate limits (providerLimitService),
+   * then runs with the timeout, retries and circuit breaker of resilienceService.
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Processing options (`provider`, `model`, ...)
+   * @param {Object} params - Extra generation parameters (task, input, temperature, maxTokens)
+   * @returns {Promise<Object>} { text, model, usage, provider }; `usage.queuedMs`
+   *   is the time spent waiting for rate limit capacity, and is set even when
+   *   the provider reports no token counts
    */
-  async init() {
+  async generate(prompt, options = {}, params = {}) {
+    const provider = this.getProvider(options);
+    const target = { provider: provider.name, model: provider.resolveModel(options.model) };
+    const estimated = this.estimateCallTokens(prompt, params);
+    const queuedMs = await providerLimitService.acquire(target, estimated);
+
+    // Failed calls give their estimate back, so outages do not fill the bucket
+    let actualTokens = 0;
     try {
-      // Dynamic import of Google GenAI
-      const { GoogleGenAI } = await import("@google/genai");
-      this.googleGenAI = new GoogleGenAI({
-        apiKey: process.env.GOOGLE_API_KEY,
-      });
-      this.model = this.googleGenAI.models;
-      this.initialized = true;
-      logger.info("Google GenAI client initialized successfully");
-    } catch (error) {
-      logger.error("Failed to initialize Google GenAI client", {
-        error: error.message,
-      });
-      this.initialized = false;
+      const response = await resilienceService.execute(target, (signal) =>
+        provider.generate({
+          prompt,
+          model: options.model,
+          mock: options.mock,
+          ...params,
+          signal,
+        })
+      );
+      actualTokens = response.usage?.totalTokens;
+      return { ...response, usage: { ...response.usage, queuedMs }, provider: provider.name };
+    } finally {
+      await providerLimitService.settle(target, estimated, actualTokens);
     }
   }
 
   /**
-   * Ensure the client is initialized before using
+   * Tokens a call is expected to use, taken from the rate limit up front
+   * and corrected once the provider reports its usage
+   * @param {string} prompt - Prompt text
+   * @param {Object} params - Generation parameters (maxTokens)
+   * @returns {number}
    */
-  async ensureInitialized() {
-    if (!this.initialized) {
-      await this.init();
-      if (!this.initialized) {
-        throw new Error("Failed to initialize Google GenAI client");
+  estimateCallTokens(prompt, params = {}) {
+    return estimateTokens(prompt) + (params.maxTokens || 0);
+  }
+
+  /**
+   * Generate JSON output that must satisfy an output schema. When the reply
+   * does not parse or validate, the model is re-prompted with the validation
+   * errors, up to `options.maxRepairAttempts` (default STRUCTURED_OUTPUT_RETRIES) times.
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Processing options
+   * @param {Object} params - Extra generation parameters
+   * @param {Object} outputSchema - { description, schema, normalize } from output.validator
+   * @returns {Promise<Object>} { value, attempts, model, usage, provider }
+   * @throws {StructuredOutputError} When no attempt produced valid output
+   */
+  async generateStructured(prompt, options, params, outputSchema) {
+    const maxAttempts = 1 + (options.maxRepairAttempts ?? this.maxRepairAttempts);
+    let currentPrompt = prompt;
+    let usage;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const response = await this.generate(currentPrompt, options, {
+        ...params,
+        responseFormat: "json",
+      });
+      usage = addUsage(usage, response.usage);
+
+      const validated = validateStructuredOutput(response.text, outputSchema);
+      if (!validated.errors) {
+        return { ...response, value: validated.value, usage, attempts: attempt };
       }
+
+      errors = validated.errors;
+      logger.warn("Structured output failed validation", {
+        task: params.task,
+        attempt,
+        errors,
+      });
+
+      currentPrompt = `${prompt}
+
+Your previous response was not valid:
+${errors.map((e) => `- ${e.field}: ${e.message}`).join("\n")}
+
+Previous response:
+${response.text}
+
+Respond again with only JSON matching this shape: ${outputSchema.description}`;
     }
+
+    throw new StructuredOutputError(
+      `Model output for ${params.task} did not match its schema after ${maxAttempts} attempts`,
+      errors
+    );
   }
 
   /**
    * Process text content using AI
    * @param {Object} request - Processing request object
    * @param {string} request.type - Type of processing (summarize, analyze-sentiment, etc.)
-   * @param {string} request.content - Content to process
+   * @param {string} [request.content] - Content to process
+   * @param {Object} [request.source] - { url } of a web page to fetch instead of content
    * @param {Object} request.options - Processing options
+   * @param {Object} context - Request context
+   * @param {Object} context.principal - req.user of the caller, for usage accounting
+   * @returns {Promise<Object>} Processing result
+   */
+  async processContent(request, context = {}) {
+    if (request.content === undefined && request.source?.url) {
+      const { request: fetched, source } = await this.fetchSource(request);
+      const result = await this.processContent(fetched, context);
+      return { ...result, source };
+    }
+
+    if (!promptService.isManaged(request.type)) {
+      await processingTypeService.ensureFresh();
+      const definition = processingTypeService.get(request.type);
+      if (!definition) {
+        throw new Error(`Unsupported AI processing type: ${request.type}`);
+      }
+      return this.processCustomType(request, definition, context);
+    }
+    const { template, cacheRequest } = await this.resolvePrompt(request);
+
+    return this.runCached(
+      cacheRequest,
+      context,
+      { contentLength: request.content.length, promptVersion: template.version },
+      async () => {
+        const result = await this.runTextProcessing(request, template);
+        return { ...result, prompt: { name: template.name, version: template.version } };
+      }
+    );
+  }
+
+  /**
+   * Process a request for a processing type registered at runtime. The
+   * definition's defaults fill in missing options, and its revision is part
+   * of the cache key, so updating a type never serves results of the old one.
+   * @param {Object} request - { type, content, options } with validated options
+   * @param {Object} definition - Compiled definition from processingTypeService
+   * @param {Object} context - Request context ({ principal })
    * @returns {Promise<Object>} Processing result
    */
-  async processContent(request) {
+  async processCustomType(request, definition, context) {
+    const { provider, model } = definition.defaults || {};
+    const options = {
+      ...(provider && { provider }),
+      ...(model && { model }),
+      ...request.options,
+    };
+
+    return this.runCached(
+      { ...request, options, typeRevision: definition.revision },
+      context,
+      { contentLength: request.content.length, typeRevision: definition.revision },
+      () => this.runCustomType(request.content, options, definition),
+      definition.cacheTtl
+    );
+  }
+
+  /**
+   * Render a custom type's prompt and run it. Types with an output schema
+   * produce validated JSON, the others plain text.
+   * @param {string} content - Text to process
+   * @param {Object} options - Processing options including type options
+   * @param {Object} definition - Compiled definition
+   * @returns {Promise<Object>} Result envelope
+   */
+  async runCustomType(content, options, definition) {
+    const { temperature, maxTokens } = definition.defaults || {};
+    const values = { content };
+    Object.entries(options).forEach(([key, value]) => {
+      values[key] = typeof value === "object" ? JSON.stringify(value) : value;
+    });
+    if (definition.output) values.outputFormat = definition.output.description;
+
+    const prompt = promptService.render({ template: definition.promptTemplate }, values);
+    const params = { task: definition.name, input: content, temperature, maxTokens };
+    const envelope = { type: definition.name, typeRevision: definition.revision };
+
+    if (definition.output) {
+      const response = await this.generateStructured(
+        prompt,
+        options,
+        { ...params, jsonSchema: definition.outputSchema },
+        definition.output
+      );
+      return {
+        ...envelope,
+        result: response.value,
+        provider: response.provider,
+        model: response.model,
+        usage: response.usage,
+        attempts: response.attempts,
+        processingTime: Date.now(),
+      };
+    }
+
+    const response = await this.generate(prompt, options, params);
+    return {
+      ...envelope,
+      result: { text: response.text.trim() },
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      processingTime: Date.now(),
+    };
+  }
+
+  /**
+   * Dispatch a text request to its processing method
+   * @param {Object} request - { type, content, options }
+   * @param {Object} template - Prompt template version to render
+   * @returns {Promise<Object>} Result envelope
+   */
+  runTextProcessing(request, template) {
+    switch (request.type) {
+      case "summarize":
+        return this.summarizeText(request.content, request.options, template);
+      case "analyze-sentiment":
+        return this.analyzeSentiment(request.content, request.options, template);
+      case "extract-keywords":
+        return this.extractKeywords(request.content, request.options, template);
+      case "generate-content":
+        return this.generateContent(request.content, request.options, template);
+      case "translate":
+        return this.translateText(request.content, request.options, template);
+      default:
+        throw new Error(`Unsupported AI processing type: ${request.type}`);
+    }
+  }
+
+  /**
+   * Resolve the prompt template of a text request (options.promptVersion or
+   * the active version) and the request as used for the cache key. The
+   * resolved version replaces options.promptVersion in the key, so pinning
+   * the active version shares its cache entries. Built-in templates add
+   * nothing to the key, so their entries predate the registry.
+   * @param {Object} request - { type, content, options, ... }
+   * @returns {Promise<{template: Object, cacheRequest: Object}>}
+   */
+  async resolvePrompt(request) {
+    const { promptVersion, ...options } = request.options || {};
+    const template = await promptService.resolve(request.type, promptVersion);
+    const cacheRequest = { ...request, options };
+    if (template.version !== BUILTIN_VERSION) {
+      cacheRequest.promptVersion = template.version;
+    }
+    return { template, cacheRequest };
+  }
+
+  /**
+   * Process an image with a multimodal model. The image is normalized first
+   * (see imageService.normalize) and results are cached by the hash of the
+   * normalized image, so re-uploads of the same picture hit the cache.
+   * @param {Object} request - Processing request object
+   * @param {string} request.type - image-caption, image-alt-text, image-ocr or image-moderation
+   * @param {Buffer} request.image - Uploaded image bytes
+   * @param {Object} request.options - Processing options
+   * @param {Object} context - Request context ({ principal })
+   * @returns {Promise<Object>} Processing result with `image` metadata
+   */
+  async processImage(request, context = {}) {
+    const options = request.options || {};
+    const image = await imageService.normalize(request.image);
+    const imageInfo = omit(image, ["buffer", "data"]);
+
+    return this.runCached(
+      { type: request.type, imageHash: image.hash, options },
+      context,
+      { imageHash: image.hash, imageBytes: image.bytes },
+      async () => {
+        let result;
+        switch (request.type) {
+          case "image-caption":
+            result = await this.captionImage(image, options);
+            break;
+          case "image-alt-text":
+            result = await this.generateAltText(image, options);
+            break;
+          case "image-ocr":
+            result = await this.extractImageText(image, options);
+            break;
+          case "image-moderation":
+            result = await this.moderateImage(image, options);
+            break;
+          default:
+            throw new Error(`Unsupported AI processing type: ${request.type}`);
+        }
+        return { ...result, image: imageInfo };
+      }
+    );
+  }
+
+  /**
+   * Fetch the page of a `source: { url }` request and turn it into a content
+   * request. The canonical URL stays on the request, so it is part of the
+   * cache key together with the fetched text.
+   * @param {Object} request - { type, source: { url }, options }
+   * @returns {Promise<{request: Object, source: Object}>} Content request and page metadata
+   * @throws {APIError} When the page cannot be fetched or is too long for the type
+   */
+  async fetchSource(request) {
+    const page = await urlService.fetchPage(request.source.url);
+    const maxLength =
+      MAX_CONTENT_LENGTH[request.type] || processingTypeService.get(request.type)?.maxContentLength;
+
+    if (maxLength && page.text.length > maxLength) {
+      throw new APIError(`Page text is too long for ${request.type}`, StatusCodes.REQUEST_TOO_LONG, [
+        {
+          field: "source.url",
+          message: `Page text has ${page.text.length} characters, the limit for ${request.type} is ${maxLength}`,
+        },
+      ]);
+    }
+
+    return {
+      request: {
+        type: request.type,
+        content: page.text,
+        options: request.options,
+        source: { url: page.canonicalUrl },
+      },
+      source: page,
+    };
+  }
+
+  /**
+   * Serve a request from cache or run it, then cache the result, log it and
+   * record its usage. On a cache miss, identical requests already running
+   * here or on another instance are waited for and their result shared (see
+   * singleFlightService); requests that bypass or refresh the cache always run.
+   * @param {Object} request - Request as used for the cache key ({ type, options, ... })
+   * @param {Object} context - Request context ({ principal, trace }); `trace.cached`
+   *   is set to whether the result came from the cache or another request
+   * @param {Object} logFields - Request details to include in logs
+   * @param {Function} execute - async () => result envelope
+   * @param {number} [ttl] - Seconds to cache the result, 0 to not cache it
+   * @returns {Promise<Object>} Processing result
+   */
+  async runCached(request, context, logFields, execute, ttl = this.cacheTimeout) {
     const startTime = Date.now();
     const cacheKey = this.generateCacheKey(request);
+    const cacheMode = request.options?.cache;
+    const cacheable = ttl > 0 && !cacheMode;
 
     try {
-      // Check cache first
-      const cachedResult = await cacheService.get(cacheKey);
+      // Check cache first, unless the caller asked to bypass or refresh it
+      const cachedResult = cacheable ? await cacheService.get(cacheKey) : null;
       if (cachedResult) {
         logger.info("AI processing result served from cache", {
           processingType: request.type,
-          contentLength: request.content.length,
+          ...logFields,
           cacheHit: true,
         });
+        if (context.trace) context.trace.cached = true;
         return JSON.parse(cachedResult);
       }
 
-      let result;
-
-      switch (request.type) {
-        case "summarize":
-          result = await this.summarizeText(request.content, request.options);
-          break;
-        case "analyze-sentiment":
-          result = await this.analyzeSentiment(request.content);
-          break;
-        case "extract-keywords":
-          result = await this.extractKeywords(request.content);
-          break;
-        case "generate-content":
-          result = await this.generateContent(request.content, request.options);
-          break;
-        case "translate":
-          result = await this.translateText(request.content, request.options);
-          break;
-        default:
-          throw new Error(`Unsupported AI processing type: ${request.type}`);
-      }
+      const run = async () => {
+        const result = await execute();
+        this.applyUsage(result);
 
-      // Cache the result
-      await cacheService.set(
-        cacheKey,
-        JSON.stringify(result),
-        this.cacheTimeout
-      );
+        // Cache the result
+        if (ttl > 0 && cacheMode !== "bypass") {
+          await cacheService.set(cacheKey, JSON.stringify(result), ttl);
+        }
+        return result;
+      };
+      const { result, shared } = cacheable
+        ? await singleFlightService.run(cacheKey, run)
+        : { result: await run(), shared: false };
+
+      if (context.trace) context.trace.cached = shared;
+      if (shared) {
+        logger.info("AI processing result shared with an identical request", {
+          processingType: request.type,
+          ...logFields,
+          coalesced: true,
+        });
+        return result;
+      }
 
       const processingTime = Date.now() - startTime;
       logger.info("AI processing completed", {
         processingType: request.type,
-        contentLength: request.content.length,
+        ...logFields,
         processingTime,
         tokensUsed: result.tokensUsed,
       });
 
+      await usageService.record({
+        principal: context.principal,
+        type: request.type,
+        provider: result.provider,
+        model: result.model,
+        usage: result.usage,
+      });
+
       return result;
     } catch (error) {
       logger.error("AI processing failed", {
         error: error instanceof Error ? error.message : "Unknown error",
         processingType: request.type,
-        contentLength: request.content.length,
+        ...logFields,
       });
       throw error;
     }
   }
 
   /**
-   * Summarize text content
+   * Attach cost and total tokens to a result's usage
+   * @param {Object} result - Result envelope with `model` and `usage`
+   * @returns {Object} The same result
+   */
+  applyUsage(result) {
+    if (result.usage) {
+      result.usage = {
+        ...result.usage,
+        cost: usageService.computeCost(result.model, result.usage),
+      };
+      result.tokensUsed = result.usage.totalTokens;
+      result.queuedMs = result.usage.queuedMs || 0;
+    }
+    return result;
+  }
+
+  /**
+   * Summarize text content. Content above the chunking threshold is
+   * summarized with map-reduce (see summarizeLongText).
    * @param {string} content - Text to summarize
    * @param {Object} options - Summarization options
+   * @param {Object} template - Prompt template (defaults to the built-in one)
    * @returns {Promise<Object>} Summarization result
    */
-  async summarizeText(content, options = {}) {
+  async summarizeText(content, options = {}, template = promptService.getBuiltin("summarize")) {
+    const chunkTokens = options.chunkTokens || this.chunking.chunkTokens;
+    if (estimateTokens(content) > Math.max(chunkTokens, this.chunking.thresholdTokens)) {
+      return this.summarizeLongText(content, options, template);
+    }
+
     const maxLength = options.maxLength || 150;
     const style = options.style || "concise";
 
-    const prompt = `You are an expert content summarizer. Create ${style} summaries that capture the key points and main ideas. Keep summaries under ${maxLength} words.
+    const prompt = promptService.render(template, { content, maxLength, style });
 
-     Content to summarize:
-     ${content}`;
-
-    const response = await this.model.generateContent({
-      model: "gemini-2.0-flash",
-      contents: prompt,
+    const response = await this.generate(prompt, options, {
+      task: "summarize",
+      input: content,
     });
 
     const summary = response.text;
@@ -150,40 +514,162 @@ class AIService {
         summaryLength: summary.length,
         compressionRatio: content.length / summary.length,
       },
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
       processingTime: Date.now(),
     };
   }
 
   /**
-   * Analyze sentiment of text
-   * @param {string} content - Text to analyze
-   * @returns {Promise<Object>} Sentiment analysis result
+   * Map-reduce summarization for long documents: split into overlapping
+   * chunks, summarize chunks in parallel (at most batchSize at a time), then
+   * combine partial summaries level by level until one remains. Every call
+   * renders the summarize template, with SUMMARY_CONTEXTS as its context.
+   * @param {string} content - Text to summarize
+   * @param {Object} options - Summarization options
+   * @param {Object} template - Prompt template (defaults to the built-in one)
+   * @returns {Promise<Object>} Summarization result with per-chunk metadata
    */
-  async analyzeSentiment(content) {
-    await this.ensureInitialized();
+  async summarizeLongText(content, options = {}, template = promptService.getBuiltin("summarize")) {
+    const maxLength = options.maxLength || 150;
+    const style = options.style || "concise";
+    const chunkTokens = options.chunkTokens || this.chunking.chunkTokens;
 
-    const prompt = `You are a sentiment analysis expert. Analyze the sentiment of the given text and provide:
-  1. Overall sentiment (positive, negative, neutral)
-  2. Confidence score (0-10)
-  3. Key emotional indicators
-  4. Brief explanation
+    const chunks = chunkText(content, {
+      maxTokens: chunkTokens,
+      overlapTokens: Math.min(this.chunking.overlapTokens, Math.floor(chunkTokens / 4)),
+    });
+    let usage;
+    let model;
+    let provider;
 
-  Respond in JSON format only
+    const call = async (prompt, input) => {
+      const response = await this.generate(prompt, options, { task: "summarize", input });
+      usage = addUsage(usage, response.usage);
+      model = response.model;
+      provider = response.provider;
+      return response.text;
+    };
 
-  Text to analyze:
-  ${content}.`;
+    // Map: summarize every chunk
+    const sections = await mapWithConcurrency(chunks, this.batchSize, async (chunk) => {
+      const context = promptService.render(
+        { template: SUMMARY_CONTEXTS.section },
+        { section: chunk.index + 1, sections: chunks.length }
+      );
+      const summary = await call(
+        promptService.render(template, { content: chunk.text, maxLength, style, context }),
+        chunk.text
+      );
+      return {
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        tokens: chunk.tokens,
+        summary,
+      };
+    });
 
-    try {
-      const response = await this.model.generateContent({
-        model: "gemini-2.0-flash",
-        contents: prompt,
+    // Reduce: combine summaries in groups that fit a chunk until one is left
+    let level = sections.map((section) => section.summary);
+    let reduceLevels = 0;
+    while (level.length > 1) {
+      const groups = this.groupForReduce(level, chunkTokens);
+      const isFinal = groups.length === 1;
+      level = await mapWithConcurrency(groups, this.batchSize, (group) => {
+        const joined = group.map((summary, i) => `Part ${i + 1}:\n${summary}`).join("\n\n");
+        return call(
+          promptService.render(template, {
+            content: joined,
+            maxLength: isFinal ? maxLength : maxLength * 2,
+            style,
+            context: SUMMARY_CONTEXTS.combine,
+          }),
+          joined
+        );
       });
+      reduceLevels += 1;
+    }
+
+    const summary = level[0];
+
+    return {
+      type: "summarize",
+      result: {
+        summary,
+        originalLength: content.length,
+        summaryLength: summary.length,
+        compressionRatio: content.length / summary.length,
+        chunked: true,
+        reduceLevels,
+        chunks: sections,
+      },
+      provider,
+      model,
+      usage,
+      processingTime: Date.now(),
+    };
+  }
+
+  /**
+   * Group summaries so each group fits the token budget. Every group but a
+   * trailing one has at least two items, so each reduce level shrinks.
+   * @param {string[]} summaries
+   * @param {number} maxTokens
+   * @returns {string[][]}
+   */
+  groupForReduce(summaries, maxTokens) {
+    const groups = [];
+    let current = [];
+    let tokens = 0;
+
+    for (const summary of summaries) {
+      const size = estimateTokens(summary);
+      if (current.length >= 2 && tokens + size > maxTokens) {
+        groups.push(current);
+        current = [];
+        tokens = 0;
+      }
+      current.push(summary);
+      tokens += size;
+    }
+    if (current.length === 1 && groups.length) {
+      groups[groups.length - 1].push(current[0]);
+    } else if (current.length) {
+      groups.push(current);
+    }
+    return groups;
+  }
+
+  /**
+   * Analyze sentiment of text
+   * @param {string} content - Text to analyze
+   * @param {Object} options - Processing options
+   * @param {Object} template - Prompt template (defaults to the built-in one)
+   * @returns {Promise<Object>} Sentiment analysis result
+   */
+  async analyzeSentiment(content, options = {}, template = promptService.getBuiltin("analyze-sentiment")) {
+    const prompt = promptService.render(template, {
+      content,
+      outputFormat: sentimentOutput.description,
+    });
 
-      const result = formatResponse(response.text);
+    try {
+      const response = await this.generateStructured(
+        prompt,
+        options,
+        { task: "analyze-sentiment", input: content },
+        sentimentOutput
+      );
 
       return {
         type: "analyze-sentiment",
-        result: result,
+        result: response.value,
+        provider: response.provider,
+        model: response.model,
+        usage: response.usage,
+        attempts: response.attempts,
         processingTime: Date.now(),
       };
     } catch (error) {
@@ -192,164 +678,488 @@ class AIService {
     }
   }
 
-  async extractKeywords(content) {
-    const prompt = `Extract the most important keywords and key phrases from the given text. Return a JSON array of keywords with their relevance scores (0-10). Focus on nouns, important adjectives, and key concepts.
-    Text to analyze:
-    ${content}`;
-
-    const result = await this.model.generateContent({
-      model: "gemini-2.0-flash",
-      contents: prompt,
+  /**
+   * Extract keywords with relevance scores
+   * @param {string} content - Text to analyze
+   * @param {Object} options - Processing options
+   * @param {Object} template - Prompt template (defaults to the built-in one)
+   * @returns {Promise<Object>} Keywords result, sorted by relevance
+   */
+  async extractKeywords(content, options = {}, template = promptService.getBuiltin("extract-keywords")) {
+    const prompt = promptService.render(template, {
+      content,
+      outputFormat: keywordsOutput.description,
     });
 
-    const response = formatResponse(result.text);
-
-    let keywords;
-
-    try {
-      keywords = JSON.parse(response);
-    } catch {
-      keywords = [];
-    }
+    const response = await this.generateStructured(
+      prompt,
+      options,
+      { task: "extract-keywords", input: content },
+      keywordsOutput
+    );
 
     return {
       type: "extract-keywords",
-      result: { response },
+      result: response.value,
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      attempts: response.attempts,
       processingTime: Date.now(),
     };
   }
 
   /**
-   * Generate content based on prompt
+   * Build the prompt and result mapper for generate-content
+   * @param {string} prompt - User request
+   * @param {Object} options - Generation options
+   * @param {Object} template - Prompt template (defaults to the built-in one)
+   * @returns {Object} { prompt, params, buildResult }
    */
-  async generateContent(prompt, options) {
-    const style = options?.style || "professional";
-
-    const systemPrompt = `You are a professional content creator. Generate high-quality, ${style} content based on the user's request. Ensure the content is engaging, well-structured, and appropriate for the intended audience.
+  buildGenerateContentRequest(prompt, options = {}, template = promptService.getBuiltin("generate-content")) {
+    const style = options.style || "professional";
 
-     User request:
-     ${prompt}`;
+    const systemPrompt = promptService.render(template, { content: prompt, style });
 
-    const generationConfig = {
-      temperature: options?.temperature || 0.7,
-      maxOutputTokens: options?.maxTokens || 1024,
+    return {
+      prompt: systemPrompt,
+      params: {
+        task: "generate-content",
+        input: prompt,
+        temperature: options.temperature ?? 0.7,
+        maxTokens: options.maxTokens || 1024,
+      },
+      buildResult: (generatedContent) => ({
+        content: generatedContent,
+        wordCount: generatedContent.split(/\s+/).length,
+      }),
     };
-    const result = await this.model.generateContent({
-      model: "gemini-2.0-flash",
-      contents: [{ role: "user", parts: [{ text: systemPrompt }] }],
-      generationConfig,
-    });
+  }
 
-    console.log(result);
+  /**
+   * Generate content based on prompt
+   */
+  async generateContent(prompt, options = {}, template) {
+    const request = this.buildGenerateContentRequest(prompt, options, template);
 
-    const generatedContent = result.text;
+    const result = await this.generate(request.prompt, options, request.params);
 
     return {
       type: "generate-content",
-      result: {
-        content: generatedContent,
-        wordCount: generatedContent.split(/\s+/).length,
-      },
+      result: request.buildResult(result.text),
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
       processingTime: Date.now(),
     };
   }
 
   /**
-   * Translate text to target language
+   * Build the prompt and result mapper for translate
+   * @param {string} content - Text to translate
+   * @param {Object} options - Translation options
+   * @param {Object} template - Prompt template (defaults to the built-in one)
+   * @returns {Object} { prompt, params, buildResult }
    */
-  async translateText(content, options) {
-    const targetLanguage = options?.targetLanguage || "Spanish";
-    const preserveFormatting = options?.preserveFormatting || true;
+  buildTranslateRequest(content, options = {}, template = promptService.getBuiltin("translate")) {
+    const targetLanguage = options.targetLanguage || "Spanish";
+    const preserveFormatting = options.preserveFormatting ?? true;
 
-    const prompt = `You are a professional translator. Translate the given text to ${targetLanguage}. ${
-      preserveFormatting
+    const prompt = promptService.render(template, {
+      content,
+      targetLanguage,
+      formattingInstruction: preserveFormatting
         ? "Preserve the original formatting and structure."
-        : ""
-    } Ensure accuracy and natural flow in the target language.
-
-    Text to translate:
-    ${content}`;
-
-    const result = await this.model.generateContent({
-      model: "gemini-2.0-flash",
-      contents: prompt,
+        : "",
     });
 
-    const translatedText = result.text;
-
     return {
-      type: "translate",
-      result: {
+      prompt,
+      params: { task: "translate", input: content },
+      buildResult: (translatedText) => ({
         originalText: content,
         translatedText,
         sourceLanguage: "auto-detected",
         targetLanguage,
-      },
+      }),
+    };
+  }
+
+  /**
+   * Translate text to target language
+   */
+  async translateText(content, options = {}, template) {
+    const request = this.buildTranslateRequest(content, options, template);
+
+    const result = await this.generate(request.prompt, options, request.params);
+
+    return {
+      type: "translate",
+      result: request.buildResult(result.text),
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
       processingTime: Date.now(),
     };
   }
 
   /**
-   * Batch process multiple content items
+   * Image params for generate(): the normalized image as an inline part.
+   * The image hash is the input so the mock provider stays deterministic.
    */
-  async batchProcess(requests) {
-    const batchSize = 5; // Process in batches to avoid rate limits
-    const results = [];
+  imageParams(task, image) {
+    return {
+      task,
+      input: image.hash,
+      images: [{ mimeType: image.mimeType, data: image.data }],
+    };
+  }
 
-    for (let i = 0; i < requests.length; i += batchSize) {
+  /**
+   * Describe an image in a short caption
+   */
+  async captionImage(image, options = {}) {
+    const style = options.style || "descriptive";
+    const maxLength = options.maxLength || 30;
+
+    const prompt = `Write a ${style} caption for this image in under ${maxLength} words. Describe the main subject, setting and any notable action. Respond with the caption only.`;
+
+    const response = await this.generate(prompt, options, this.imageParams("image-caption", image));
+    const caption = response.text.trim();
+
+    return {
+      type: "image-caption",
+      result: { caption, wordCount: caption.split(/\s+/).length },
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      processingTime: Date.now(),
+    };
+  }
+
+  /**
+   * Generate accessible alt text for an image
+   */
+  async generateAltText(image, options = {}) {
+    const maxLength = options.maxLength || 125;
+    const context = options.context
+      ? ` The image appears in this context: ${options.context}.`
+      : "";
+
+    const prompt = `Write alt text for this image for screen reader users, in under ${maxLength} characters.${context} Describe what matters for understanding the image; do not start with "Image of" or "Picture of". Respond with the alt text only.`;
+
+    const response = await this.generate(prompt, options, this.imageParams("image-alt-text", image));
+    const altText = response.text.trim().replace(/^["']|["']$/g, "");
+
+    return {
+      type: "image-alt-text",
+      result: { altText, length: altText.length },
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      processingTime: Date.now(),
+    };
+  }
+
+  /**
+   * Extract the text visible in an image
+   */
+  async extractImageText(image, options = {}) {
+    const preserveLayout = options.preserveLayout ?? true;
+    const language = options.language ? ` The text is expected to be in ${options.language}.` : "";
+
+    const prompt = `Extract all text visible in this image exactly as written.${language} ${
+      preserveLayout
+        ? "Preserve the reading order and layout, using Markdown for headings, lists and tables."
+        : "Return the text as plain paragraphs."
+    } If there is no text, respond with an empty string. Respond with the extracted text only.`;
+
+    const response = await this.generate(prompt, options, {
+      ...this.imageParams("image-ocr", image),
+      temperature: 0,
+    });
+    const text = response.text.trim();
+
+    return {
+      type: "image-ocr",
+      result: { text, characters: text.length, hasText: text.length > 0 },
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      processingTime: Date.now(),
+    };
+  }
+
+  /**
+   * Rate an image for unsafe content and its overall sentiment
+   */
+  async moderateImage(image, options = {}) {
+    const prompt = `Review this image for content moderation. Rate the likelihood of adult, violent, hateful, self-harm and drug-related content, decide whether it is safe for a general audience, and describe the overall sentiment it conveys.
+    Respond in JSON format only, exactly in this shape:
+    ${imageModerationOutput.description}`;
+
+    const response = await this.generateStructured(
+      prompt,
+      options,
+      this.imageParams("image-moderation", image),
+      imageModerationOutput
+    );
+
+    return {
+      type: "image-moderation",
+      result: response.value,
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      attempts: response.attempts,
+      processingTime: Date.now(),
+    };
+  }
+
+  /**
+   * Whether a processing type supports token streaming
+   * @param {string} type - Processing type
+   * @returns {boolean}
+   */
+  isStreamable(type) {
+    return type === "generate-content" || type === "translate";
+  }
+
+  /**
+   * Stream a generate-content or translate request.
+   * Yields `{ event: "token", data: { text } }` as text arrives and ends with
+   * `{ event: "result", data }` carrying the same envelope processContent
+   * returns. The complete result is cached once the stream finishes.
+   * @param {Object} request - Processing request ({ type, content, options })
+   * @param {Object} context - Request context
+   * @param {Object} context.principal - req.user of the caller, for usage accounting
+   * @param {AbortSignal} [context.signal] - Cancels the provider call, e.g. when
+   *   the client disconnects; the stream then rejects with the abort reason
+   */
+  async *streamContent(request, context = {}) {
+    const startTime = Date.now();
+    const options = request.options || {};
+
+    if (!this.isStreamable(request.type)) {
+      throw new Error(`Unsupported AI processing type for streaming: ${request.type}`);
+    }
+
+    if (request.content === undefined && request.source?.url) {
+      const { request: fetched, source } = await this.fetchSource(request);
+      for await (const item of this.streamContent(fetched, context)) {
+        yield item.event === "result" ? { ...item, data: { ...item.data, source } } : item;
+      }
+      return;
+    }
+
+    const { template, cacheRequest } = await this.resolvePrompt(request);
+    const cacheKey = this.generateCacheKey(cacheRequest);
+    const cachedResult = options.cache ? null : await cacheService.get(cacheKey);
+    if (cachedResult) {
+      logger.info("AI stream served from cache", {
+        processingType: request.type,
+        cacheHit: true,
+      });
+      yield { event: "result", data: JSON.parse(cachedResult) };
+      return;
+    }
+
+    const prepared =
+      request.type === "translate"
+        ? this.buildTranslateRequest(request.content, options, template)
+        : this.buildGenerateContentRequest(request.content, options, template);
+
+    const provider = this.getProvider(options);
+    let text = "";
+    let usage;
+
+    const target = { provider: provider.name, model: provider.resolveModel(options.model) };
+    const estimated = this.estimateCallTokens(prepared.prompt, prepared.params);
+    const queuedMs = await providerLimitService.acquire(target, estimated);
+    const chunks = resilienceService.executeStream(
+      target,
+      (signal) =>
+        provider.stream({
+          prompt: prepared.prompt,
+          model: options.model,
+          mock: options.mock,
+          ...prepared.params,
+          signal,
+        }),
+      context.signal
+    );
+
+    // Streams that fail or are abandoned by the client settle with what they
+    // reported, if anything, instead of keeping the estimate
+    let completed = false;
+    try {
+      for await (const chunk of chunks) {
+        if (chunk.usage) usage = chunk.usage;
+        if (chunk.text) {
+          text += chunk.text;
+          yield { event: "token", data: { text: chunk.text } };
+        }
+      }
+      completed = true;
+    } finally {
+      const reported = usage?.totalTokens;
+      await providerLimitService.settle(target, estimated, completed ? reported : reported ?? 0);
+    }
+    usage = { ...usage, queuedMs };
+
+    const result = {
+      type: request.type,
+      result: prepared.buildResult(text),
+      provider: provider.name,
+      model: provider.resolveModel(options.model),
+      usage,
+      processingTime: Date.now(),
+      prompt: { name: template.name, version: template.version },
+    };
+    this.applyUsage(result);
+
+    if (options.cache !== "bypass") {
+      await cacheService.set(cacheKey, JSON.stringify(result), this.cacheTimeout);
+    }
+    await usageService.record({
+      principal: context.principal,
+      type: request.type,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+    });
+
+    logger.info("AI streaming completed", {
+      processingType: request.type,
+      contentLength: request.content.length,
+      processingTime: Date.now() - startTime,
+    });
+
+    yield { event: "result", data: result };
+  }
+
+  /**
+   * Batch process multiple content items. Items succeed or fail on their
+   * own: each result is `{ index, status: "fulfilled", result }` or
+   * `{ index, status: "rejected", error }`, error being { code, message,
+   * statusCode, errors } (see describeError). Items run batchSize at a
+   * time; provider rate limits are applied per call by providerLimitService.
+   * Identical items are processed once and share the outcome.
+   * @param {Object[]} requests - Processing requests
+   * @param {Object} hooks - Optional hooks for queued execution
+   * @param {Object[]} hooks.completed - Results already computed (resumes after them)
+   * @param {Function} hooks.onProgress - Called with the results so far after each group
+   * @param {Object} hooks.principal - req.user of the caller, for usage accounting
+   * @param {boolean} hooks.failFast - Stop after the group in which an item failed;
+   *   the items after it are rejected with code BATCH_ABORTED
+   * @returns {Promise<Object[]>} Results in request order
+   */
+  async batchProcess(requests, { completed = [], onProgress, principal, failFast = false } = {}) {
+    const batchSize = this.batchSize;
+    const results = [...completed];
+    // Item key -> processing promise; the cache mode is part of the key, so
+    // items bypassing the cache never get another item's cached result
+    const dispatched = new Map();
+    const itemKey = (request) => `${this.generateCacheKey(request)}:${request.options?.cache || ""}`;
+    completed
+      .filter((outcome) => outcome.status === "fulfilled")
+      .forEach((outcome) => dispatched.set(itemKey(requests[outcome.index]), Promise.resolve(outcome.result)));
+    let duplicates = 0;
+
+    for (let i = results.length; i < requests.length; i += batchSize) {
       const batch = requests.slice(i, i + batchSize);
-      const batchPromises = batch.map((request) =>
-        this.processContent(request)
+      const settled = await Promise.allSettled(
+        batch.map((request) => {
+          const key = itemKey(request);
+          if (dispatched.has(key)) {
+            duplicates += 1;
+          } else {
+            dispatched.set(key, this.processContent(request, { principal }));
+          }
+          return dispatched.get(key);
+        })
       );
 
-      try {
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
-      } catch (error) {
-        logger.error("Batch processing failed", {
-          batchIndex: Math.floor(i / batchSize),
-          error: error instanceof Error ? error.message : "Unknown error",
+      settled.forEach((outcome, offset) => {
+        const index = i + offset;
+        if (outcome.status === "fulfilled") {
+          results.push({ index, status: "fulfilled", result: outcome.value });
+          return;
+        }
+
+        const error = describeError(outcome.reason);
+        logger.warn("Batch item failed", {
+          index,
+          processingType: batch[offset].type,
+          code: error.code,
+          error: error.message,
         });
-        throw error;
+        results.push({ index, status: "rejected", error });
+      });
+
+      if (onProgress) {
+        await onProgress(results);
       }
 
-      // Add delay between batches to respect rate limits
-      if (i + batchSize < requests.length) {
-        await this.delay(1000); // 1 second delay
+      if (failFast && results.some((result) => result.status === "rejected")) {
+        for (let index = results.length; index < requests.length; index++) {
+          results.push({
+            index,
+            status: "rejected",
+            error: {
+              code: "BATCH_ABORTED",
+              message: "Not processed because an earlier item failed",
+              statusCode: StatusCodes.FAILED_DEPENDENCY,
+            },
+          });
+        }
+        break;
       }
     }
 
+    if (duplicates) {
+      logger.info("Batch duplicates shared results", { items: requests.length, duplicates });
+    }
     return results;
   }
 
   /**
-   * Generate cache key for request
+   * Generate cache key for request. The cache mode option only says how to
+   * use the cache, so bypassed or refreshed requests share the normal key.
    */
   generateCacheKey(request) {
+    // Include the resolved provider so a deployment default change never serves another vendor's result
+    const provider =
+      request.options?.provider || this.providers.defaultProviderName;
+    const { cache, ...options } = request.options || {};
+    const keyed = request.options ? { ...request, options } : request;
     const hash = require("crypto")
       .createHash("md5")
-      .update(JSON.stringify(request))
+      .update(JSON.stringify({ ...keyed, provider }))
       .digest("hex");
     return `ai:${request.type}:${hash}`;
   }
 
-  /**
-   * Utility function for delays
-   */
-  delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  }
-
   /**
    * Get AI service status and usage statistics
    */
   async getServiceStatus() {
     try {
       // This would typically check API quotas, rate limits, etc.
+      const provider = this.providers.get();
+      const circuitBreakers = resilienceService.getStatus();
+      let status = provider.isConfigured() ? "healthy" : "unconfigured";
+      if (status === "healthy" && circuitBreakers.some((breaker) => breaker.state !== "closed")) {
+        status = "degraded";
+      }
+
       return {
-        status: "healthy",
-        provider: "googleGenAI",
-        model: process.env.GOOGLE_MODEL || "gemini-2.0-flash",
+        status,
+        provider: provider.name,
+        model: provider.defaultModel,
+        providers: this.providers.list().map((p) => p.getStatus()),
+        circuitBreakers,
+        rateLimits: providerLimitService.getStatus(),
         lastChecked: new Date().toISOString(),
       };
     } catch (error) {
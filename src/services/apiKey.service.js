@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const { logger } = require("../config/logger");
+const { apiKeyModel } = require("../models/apiKey.model");
+const { APIError } = require("../middleware/error.middleware");
+const { PROCESSING_TYPES, IMAGE_PROCESSING_TYPES } = require("../utils/ai.utils");
+const { processingTypeService } = require("./processingType.service");
+
+const KEY_PREFIX = "acp_";
+const DISPLAY_PREFIX_LENGTH = 12;
+const ALL_SCOPES = "*";
+// Built-in types a key can be limited to, image types included (/process/image)
+const BUILT_IN_SCOPES = [...PROCESSING_TYPES, ...IMAGE_PROCESSING_TYPES];
+
+class ApiKeyService {
+  /**
+   * Validate requested scopes. Custom processing types registered at
+   * runtime are valid scopes too.
+   * @param {string[]} scopes
+   * @returns {string[]} Normalized scopes
+   */
+  normalizeScopes(scopes) {
+    if (scopes === undefined) return [ALL_SCOPES];
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw APIError.badRequest("Invalid scopes", [
+        { field: "scopes", message: "Scopes must be a non-empty array" },
+      ]);
+    }
+
+    const invalid = scopes.filter(
+      (scope) =>
+        scope !== ALL_SCOPES && !BUILT_IN_SCOPES.includes(scope) && !processingTypeService.has(scope)
+    );
+    if (invalid.length) {
+      const custom = processingTypeService.getAll().map((definition) => definition.name);
+      throw APIError.badRequest("Invalid scopes", [
+        {
+          field: "scopes",
+          message: `Unknown scopes: ${invalid.join(", ")}. Allowed: ${[ALL_SCOPES, ...BUILT_IN_SCOPES, ...custom].join(", ")}`,
+        },
+      ]);
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * Generate a new raw key with its display prefix and hash
+   */
+  generateSecret() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    return {
+      key,
+      keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: this.hash(key),
+    };
+  }
+
+  hash(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  /**
+   * Mint a new API key. The raw key is only returned here.
+   * @param {Object} data - { name, scopes, expiresAt }
+   * @param {Object} creator - req.user of the admin
+   * @returns {Promise<Object>} { apiKey, key }
+   */
+  async mint({ name, scopes, expiresAt }, creator) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw APIError.badRequest("Invalid API key data", [
+        { field: "name", message: "Name is required" },
+      ]);
+    }
+
+    await processingTypeService.ensureFresh();
+    const { key, keyPrefix, keyHash } = this.generateSecret();
+    const apiKey = await apiKeyModel.create({
+      name: name.trim(),
+      keyPrefix,
+      keyHash,
+      scopes: this.normalizeScopes(scopes),
+      createdBy: creator?.type === "user" ? creator.id : null,
+      expiresAt,
+    });
+
+    logger.info("API key minted", { apiKeyId: apiKey.id, createdBy: creator?.id });
+    return { apiKey, key };
+  }
+
+  async list(options) {
+    return apiKeyModel.list(options);
+  }
+
+  /**
+   * Replace the secret of an active key, keeping its id and scopes
+   * @returns {Promise<Object>} { apiKey, key }
+   */
+  async rotate(id) {
+    const { key, keyPrefix, keyHash } = this.generateSecret();
+    const apiKey = await apiKeyModel.updateSecret(id, { keyPrefix, keyHash });
+    if (!apiKey) {
+      throw APIError.notFound("API key not found or revoked");
+    }
+
+    logger.info("API key rotated", { apiKeyId: id });
+    return { apiKey, key };
+  }
+
+  async revoke(id) {
+    const apiKey = await apiKeyModel.revoke(id);
+    if (!apiKey) {
+      throw APIError.notFound("API key not found or already revoked");
+    }
+
+    logger.info("API key revoked", { apiKeyId: id });
+    return apiKey;
+  }
+
+  /**
+   * Resolve a raw key from X-API-Key into a request principal
+   * @param {string} key - Raw API key
+   * @returns {Promise<Object>} { id, name, role, type, scopes }
+   */
+  async authenticate(key) {
+    if (!key.startsWith(KEY_PREFIX)) {
+      throw APIError.unauthorized("Invalid API key");
+    }
+
+    const apiKey = await apiKeyModel.findByHash(this.hash(key));
+    if (!apiKey || apiKey.revokedAt) {
+      throw APIError.unauthorized("Invalid API key");
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      throw APIError.unauthorized("API key has expired");
+    }
+
+    apiKeyModel.touch(apiKey.id).catch((error) => {
+      logger.warn("Failed to record API key usage", { apiKeyId: apiKey.id, error: error.message });
+    });
+
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      role: "service",
+      type: "api_key",
+      scopes: apiKey.scopes,
+    };
+  }
+
+  /**
+   * Whether a principal may call a processing type.
+   * Users are unrestricted; API keys are limited to their scopes.
+   */
+  hasScope(principal, type) {
+    if (!principal || principal.type !== "api_key") return true;
+    return principal.scopes.includes(ALL_SCOPES) || principal.scopes.includes(type);
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = { apiKeyService };
@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { logger } = require("../config/logger");
+const { userModel } = require("../models/user.model");
+const { StatusCodes } = require("http-status-codes");
+const { APIError } = require("../middleware/error.middleware");
+const { omit } = require("../utils/object.utils");
+
+// Hash of a throwaway password, compared against when the email is unknown
+// so login timing does not reveal which accounts exist
+const DUMMY_PASSWORD_HASH =
+  "$2b$12$MA/M0h3/pRNn/4.S6/0zre.zlt2aE68TnW6MJsz8i5QQ4A950Febe";
+
+class AuthService {
+  constructor() {
+    this.accessSecret = process.env.JWT_SECRET || "dev-access-secret";
+    this.refreshSecret = process.env.JWT_REFRESH_SECRET || `${this.accessSecret}-refresh`;
+    this.accessExpiresIn = process.env.JWT_EXPIRES_IN || "15m";
+    this.refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || "7d";
+    this.saltRounds = parseInt(process.env.BCRYPT_ROUNDS || "12", 10);
+
+    if (!process.env.JWT_SECRET && process.env.NODE_ENV === "production") {
+      throw new Error("JWT_SECRET environment variable is required in production");
+    }
+  }
+
+  /**
+   * Register a new user
+   * @param {Object} data - { email, password, name }
+   * @returns {Promise<Object>} { user, tokens }
+   */
+  async register({ email, password, name }) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existing = await userModel.findByEmailWithPassword(normalizedEmail);
+    if (existing) {
+      throw new APIError("Email is already registered", StatusCodes.CONFLICT, [
+        { field: "email", message: "Email is already registered" },
+      ]);
+    }
+
+    // Everyone registers as a user; admins are promoted with `npm run admin:promote`
+    const passwordHash = await bcrypt.hash(password, this.saltRounds);
+    const user = await userModel.create({ email: normalizedEmail, passwordHash, name });
+
+    logger.info("User registered", { userId: user.id });
+    return { user, tokens: await this.issueTokens(user) };
+  }
+
+  /**
+   * Authenticate with email and password
+   * @returns {Promise<Object>} { user, tokens }
+   */
+  async login({ email, password }) {
+    const record = await userModel.findByEmailWithPassword(email.trim().toLowerCase());
+
+    const valid = await bcrypt.compare(
+      password,
+      record?.passwordHash || DUMMY_PASSWORD_HASH
+    );
+    if (!record || !valid) {
+      throw APIError.unauthorized("Invalid email or password");
+    }
+
+    const user = omit(record, ["passwordHash"]);
+    logger.info("User logged in", { userId: user.id });
+    return { user, tokens: await this.issueTokens(user) };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation).
+   * Presenting an already-rotated token revokes every session of that user.
+   * @param {string} refreshToken
+   * @returns {Promise<Object>} { user, tokens }
+   */
+  async refresh(refreshToken) {
+    const payload = jwt.verify(refreshToken, this.refreshSecret);
+    if (payload.type !== "refresh") {
+      throw APIError.unauthorized("Invalid refresh token");
+    }
+
+    const stored = await userModel.findRefreshToken(payload.jti);
+    if (!stored || stored.user_id !== payload.sub) {
+      throw APIError.unauthorized("Invalid refresh token");
+    }
+
+    if (stored.revoked_at) {
+      logger.warn("Refresh token reuse detected, revoking all sessions", {
+        userId: stored.user_id,
+      });
+      await userModel.revokeAllRefreshTokens(stored.user_id);
+      throw APIError.unauthorized("Refresh token has been revoked");
+    }
+
+    const user = await userModel.findById(payload.sub);
+    if (!user) {
+      throw APIError.unauthorized("Invalid refresh token");
+    }
+
+    const tokens = await this.issueTokens(user);
+    await userModel.revokeRefreshToken(payload.jti, jwt.decode(tokens.refreshToken).jti);
+
+    return { user, tokens };
+  }
+
+  /**
+   * Revoke a refresh token (or every session with `allDevices`)
+   */
+  async logout(refreshToken, { allDevices = false } = {}) {
+    const payload = jwt.verify(refreshToken, this.refreshSecret);
+
+    if (allDevices) {
+      await userModel.revokeAllRefreshTokens(payload.sub);
+    } else {
+      await userModel.revokeRefreshToken(payload.jti);
+    }
+    logger.info("User logged out", { userId: payload.sub, allDevices });
+  }
+
+  /**
+   * Issue an access/refresh token pair and persist the refresh token id
+   * @param {Object} user
+   * @returns {Promise<Object>} tokens
+   */
+  async issueTokens(user) {
+    const accessToken = jwt.sign(
+      { sub: user.id, email: user.email, role: user.role, type: "access" },
+      this.accessSecret,
+      { expiresIn: this.accessExpiresIn }
+    );
+
+    const refreshTokenId = crypto.randomUUID();
+    const refreshToken = jwt.sign(
+      { sub: user.id, type: "refresh" },
+      this.refreshSecret,
+      { expiresIn: this.refreshExpiresIn, jwtid: refreshTokenId }
+    );
+    const { exp } = jwt.decode(refreshToken);
+
+    await userModel.saveRefreshToken({
+      id: refreshTokenId,
+      userId: user.id,
+      expiresAt: new Date(exp * 1000),
+    });
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: "Bearer",
+      expiresIn: this.accessExpiresIn,
+    };
+  }
+
+  /**
+   * Verify an access token and return the request principal
+   * @param {string} token - Bearer token
+   * @returns {Object} { id, email, role, type }
+   */
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.accessSecret);
+    if (payload.type !== "access") {
+      throw APIError.unauthorized("Invalid access token");
+    }
+    return { id: payload.sub, email: payload.email, role: payload.role, type: "user" };
+  }
+}
+
+const authService = new AuthService();
+
+module.exports = { authService };
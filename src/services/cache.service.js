@@ -1,11 +1,27 @@
+const crypto = require('crypto');
 const { createClient } = require('redis');
 const { logger } = require('../config/logger');
+const { LruCache } = require('../utils/lru.utils');
 
+/**
+ * Two-tier cache: an in-process LRU in front of Redis. Reads are served from
+ * the LRU when possible, and it keeps serving while Redis is unavailable.
+ * Writes made during an outage are written back when Redis returns. Other
+ * instances drop their copies of changed keys through Redis pub/sub.
+ */
 class CacheService {
   constructor() {
     this.client = null;
+    this.subscriber = null;
     this.isConnected = false;
     this.defaultTTL = 3600; // Default TTL: 1 hour
+    this.statsPrefix = 'cache:stats:'; // Hashes of hit/miss/byte counters per key group
+    this.invalidationChannel = 'cache:invalidate';
+    this.instanceId = crypto.randomUUID(); // Skips our own invalidation messages
+    this.local = new LruCache({
+      maxEntries: parseInt(process.env.CACHE_LOCAL_MAX_ENTRIES || '1000', 10),
+      maxBytes: parseInt(process.env.CACHE_LOCAL_MAX_BYTES || String(50 * 1024 * 1024), 10),
+    });
     this.init();
   }
 
@@ -33,6 +49,8 @@ class CacheService {
       this.client.on('ready', () => {
         logger.info('Redis client ready');
         this.isConnected = true;
+        if (!this.subscriber) this.subscribe();
+        this.warmUp();
       });
 
       this.client.on('reconnecting', () => {
@@ -56,6 +74,114 @@ class CacheService {
     }
   }
 
+  /**
+   * Subscribe to invalidations published by other instances. Uses a second
+   * connection, as a subscribed connection cannot run other commands; it
+   * resubscribes by itself after reconnecting.
+   */
+  async subscribe() {
+    try {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (err) => {
+        logger.error('Redis subscriber error', { error: err.message });
+      });
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(this.invalidationChannel, (message) => this.onInvalidation(message));
+    } catch (error) {
+      logger.error('Failed to subscribe to cache invalidations', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  }
+
+  /**
+   * Drop local copies of keys another instance changed
+   * @param {string} message - JSON { origin, keys } or { origin, all: true }
+   */
+  onInvalidation(message) {
+    try {
+      const { origin, keys = [], all } = JSON.parse(message);
+      if (origin === this.instanceId) return;
+      if (all) {
+        this.local.clear();
+      } else {
+        keys.forEach((key) => this.local.delete(key));
+      }
+    } catch (error) {
+      logger.warn('Ignoring malformed cache invalidation', { error: error.message });
+    }
+  }
+
+  /**
+   * Tell other instances to drop their local copies. Fire and forget:
+   * instances that miss it resynchronize when they reconnect (see warmUp).
+   * @param {Object} invalidation - { keys } or { all: true }
+   */
+  publishInvalidation(invalidation) {
+    if (!this.client || !this.isConnected) return;
+
+    this.client
+      .publish(this.invalidationChannel, JSON.stringify({ origin: this.instanceId, ...invalidation }))
+      .catch((error) => {
+        logger.warn('Error publishing cache invalidation', { error: error.message });
+      });
+  }
+
+  /**
+   * Resynchronize the local tier with Redis after (re)connecting. Redis
+   * holds the authoritative copy: local entries are refreshed from it, and
+   * dropped when it no longer has them, since invalidations may have been
+   * missed meanwhile. Entries written while Redis was down are written back.
+   */
+  async warmUp() {
+    const keys = this.local.keys();
+    if (!keys.length) return;
+
+    try {
+      const read = this.client.multi();
+      keys.forEach((key) => read.get(key).pTTL(key));
+      const replies = await read.exec();
+
+      const writeBack = this.client.multi();
+      const counts = { refreshed: 0, restored: 0, dropped: 0 };
+      keys.forEach((key, i) => {
+        const entry = this.local.peek(key);
+        const value = replies[2 * i];
+        if (!entry) return;
+        const ttlMs = entry.expiresAt - Date.now();
+
+        if (value !== null) {
+          this.local.set(key, value, this.localTTL(Number(replies[2 * i + 1])));
+          counts.refreshed += 1;
+        } else if (entry.dirty && ttlMs >= 1) {
+          writeBack.set(key, entry.value, { PX: ttlMs });
+          entry.dirty = false;
+          counts.restored += 1;
+        } else {
+          // Gone from Redis, or expiring now: Redis rejects a PX below 1,
+          // which would fail the whole write-back
+          this.local.delete(key);
+          counts.dropped += 1;
+        }
+      });
+      if (counts.restored) await writeBack.exec();
+      logger.info('Local cache resynchronized with Redis', counts);
+    } catch (error) {
+      logger.error('Error resynchronizing local cache', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  }
+
+  /**
+   * Local lifetime of an entry read from Redis
+   * @param {number} pttl - PTTL reply; -1 for keys without expiry
+   * @returns {number} - Milliseconds
+   */
+  localTTL(pttl) {
+    return pttl === -1 ? this.defaultTTL * 1000 : pttl;
+  }
+
   /**
    * Get value from cache
    * @param {string} key - Cache key
@@ -63,11 +189,23 @@ class CacheService {
    */
   async get(key) {
     try {
+      const local = this.local.get(key);
+      if (local) {
+        this.recordStats(key, { hits: 1, localHits: 1, bytesRead: Buffer.byteLength(local.value) });
+        return local.value;
+      }
+
       if (!this.client || !this.isConnected) {
         return null;
       }
 
-      const value = await this.client.get(key);
+      const [value, pttl] = await this.client.multi().get(key).pTTL(key).exec();
+      if (value === null) {
+        this.recordStats(key, { misses: 1 });
+        return null;
+      }
+      this.local.set(key, value, this.localTTL(Number(pttl)));
+      this.recordStats(key, { hits: 1, bytesRead: Buffer.byteLength(value) });
       return value;
     } catch (error) {
       logger.error('Error getting value from cache', { 
@@ -86,12 +224,17 @@ class CacheService {
    * @returns {Promise<boolean>} - Success indicator
    */
   async set(key, value, ttl = this.defaultTTL) {
+    // Dirty until Redis has it, so it is written back after an outage
+    const local = this.local.set(key, value, ttl * 1000, { dirty: true });
     try {
       if (!this.client || !this.isConnected) {
-        return false;
+        return local !== null;
       }
 
       const result = await this.client.set(key, value, { EX: ttl });
+      if (local) local.dirty = false;
+      this.publishInvalidation({ keys: [key] });
+      this.recordStats(key, { writes: 1, bytesWritten: Buffer.byteLength(value) });
       return result === 'OK';
     } catch (error) {
       logger.error('Error setting value in cache', { 
@@ -108,13 +251,15 @@ class CacheService {
    * @returns {Promise<boolean>} - Success indicator
    */
   async delete(key) {
+    const deletedLocally = this.local.delete(key);
     try {
       if (!this.client || !this.isConnected) {
-        return false;
+        return deletedLocally;
       }
 
       const result = await this.client.del(key);
-      return result > 0;
+      this.publishInvalidation({ keys: [key] });
+      return result > 0 || deletedLocally;
     } catch (error) {
       logger.error('Error deleting key from cache', { 
         key, 
@@ -169,6 +314,9 @@ class CacheService {
    */
   async exists(key) {
     try {
+      if (this.local.peek(key)) {
+        return true;
+      }
       if (!this.client || !this.isConnected) {
         return false;
       }
@@ -197,6 +345,9 @@ class CacheService {
       }
 
       const result = await this.client.expire(key, ttl);
+      // Copies are re-read with the new TTL
+      this.local.delete(key);
+      this.publishInvalidation({ keys: [key] });
       return result === 1;
     } catch (error) {
       logger.error('Error setting expiration on key', { 
@@ -208,17 +359,174 @@ class CacheService {
     }
   }
 
+  /**
+   * Stats group of a key: the key without its last segment, e.g.
+   * "ai:summarize" for "ai:summarize:<hash>"
+   * @param {string} key - Cache key
+   * @returns {string} - Group name
+   */
+  statsGroup(key) {
+    const index = key.lastIndexOf(':');
+    return index > 0 ? key.slice(0, index) : key;
+  }
+
+  /**
+   * Add to the counters of a key's group. Fire and forget: stats must not
+   * slow down or fail cache reads and writes.
+   * @param {string} key - Cache key
+   * @param {Object} counters - Field -> amount (hits, localHits, misses, bytesRead, writes, bytesWritten)
+   */
+  recordStats(key, counters) {
+    if (!this.client || !this.isConnected) return;
+
+    const statsKey = `${this.statsPrefix}${this.statsGroup(key)}`;
+    const multi = this.client.multi();
+    Object.entries(counters).forEach(([field, amount]) => multi.hIncrBy(statsKey, field, amount));
+    multi.exec().catch((error) => {
+      logger.warn('Error recording cache stats', { key, error: error.message });
+    });
+  }
+
+  /**
+   * Get the counters of all key groups starting with a prefix
+   * @param {string} prefix - Group prefix, e.g. "ai:"
+   * @returns {Promise<Object|null>} - Group -> { hits, localHits, misses, bytesRead, writes, bytesWritten },
+   *   or null when Redis is unavailable
+   */
+  async getStats(prefix = '') {
+    try {
+      if (!this.client || !this.isConnected) {
+        return null;
+      }
+
+      const stats = {};
+      let cursor = '0';
+      do {
+        const page = await this.scanKeys(`${this.statsPrefix}${prefix}*`, { cursor });
+        cursor = page.cursor;
+        for (const statsKey of page.keys) {
+          const counters = await this.client.hGetAll(statsKey);
+          stats[statsKey.slice(this.statsPrefix.length)] = Object.fromEntries(
+            Object.entries(counters).map(([field, value]) => [field, Number(value)])
+          );
+        }
+      } while (cursor !== '0');
+      return stats;
+    } catch (error) {
+      logger.error('Error getting cache stats', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get one page of keys matching a pattern, without blocking Redis like KEYS
+   * @param {string} pattern - Glob-style pattern, e.g. "ai:summarize:*"
+   * @param {Object} page - { cursor, count }; start with cursor "0"
+   * @returns {Promise<Object|null>} - { cursor, keys }; cursor "0" after the last page,
+   *   null when Redis is unavailable
+   */
+  async scanKeys(pattern, { cursor = '0', count = 100 } = {}) {
+    try {
+      if (!this.client || !this.isConnected) {
+        return null;
+      }
+
+      const reply = await this.client.scan(String(cursor), { MATCH: pattern, COUNT: count });
+      return { cursor: String(reply.cursor), keys: reply.keys };
+    } catch (error) {
+      logger.error('Error scanning cache keys', {
+        pattern,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get values and remaining TTLs of several keys
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<Object[]>} - { key, value, ttl } per key, ttl in seconds;
+   *   value is null for keys that no longer exist
+   */
+  async getEntries(keys) {
+    try {
+      if (!this.client || !this.isConnected || !keys.length) {
+        return [];
+      }
+
+      const multi = this.client.multi();
+      keys.forEach((key) => multi.get(key).ttl(key));
+      const replies = await multi.exec();
+      return keys.map((key, i) => ({ key, value: replies[2 * i], ttl: Number(replies[2 * i + 1]) }));
+    } catch (error) {
+      logger.error('Error getting cache entries', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Delete several keys without blocking Redis on large values
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  async deleteMany(keys) {
+    keys.forEach((key) => this.local.delete(key));
+    try {
+      if (!this.client || !this.isConnected || !keys.length) {
+        return 0;
+      }
+
+      const deleted = await this.client.unlink(keys);
+      this.publishInvalidation({ keys });
+      return deleted;
+    } catch (error) {
+      logger.error('Error deleting keys from cache', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Run a Lua script atomically
+   * @param {string} script - Lua source
+   * @param {string[]} keys - Keys the script touches
+   * @param {Array<string|number>} args - Script arguments
+   * @returns {Promise<*>} - Script result, or null when Redis is unavailable
+   */
+  async eval(script, keys, args = []) {
+    try {
+      if (!this.client || !this.isConnected) {
+        return null;
+      }
+
+      return await this.client.eval(script, { keys, arguments: args.map(String) });
+    } catch (error) {
+      logger.error('Error running script in cache', {
+        keys,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      return null;
+    }
+  }
+
   /**
    * Clear all cache
    * @returns {Promise<boolean>} - Success indicator
    */
   async clear() {
+    this.local.clear();
     try {
       if (!this.client || !this.isConnected) {
         return false;
       }
 
       await this.client.flushDb();
+      this.publishInvalidation({ all: true });
       return true;
     } catch (error) {
       logger.error('Error clearing cache', { 
@@ -238,6 +546,7 @@ class CacheService {
         return {
           connected: false,
           status: 'disconnected',
+          local: this.local.getStatus(),
         };
       }
 
@@ -251,7 +560,8 @@ class CacheService {
         info: {
           memory,
           stats,
-        }
+        },
+        local: this.local.getStatus(),
       };
     } catch (error) {
       logger.error('Error getting cache status', { 
@@ -261,6 +571,7 @@ class CacheService {
         connected: false,
         status: 'error',
         error: error instanceof Error ? error.message : 'Unknown error',
+        local: this.local.getStatus(),
       };
     }
   }
@@ -269,6 +580,9 @@ class CacheService {
    * Close Redis connection
    */
   async close() {
+    if (this.subscriber?.isOpen) {
+      await this.subscriber.quit();
+    }
     if (this.client) {
       await this.client.quit();
       this.isConnected = false;
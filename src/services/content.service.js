@@ -0,0 +1,264 @@
+const { StatusCodes } = require("http-status-codes");
+const { logger } = require("../config/logger");
+const { contentModel } = require("../models/content.model");
+const { aiService } = require("./ai.service");
+const { urlService } = require("./url.service");
+const { extractionService } = require("./extraction.service");
+const { APIError } = require("../middleware/error.middleware");
+const { MAX_CONTENT_LENGTH } = require("../validators/ai.validator");
+const { MAX_LIBRARY_CONTENT_LENGTH } = require("../validators/content.validator");
+
+const DEFAULT_TITLE_LENGTH = 80;
+
+/**
+ * Derive a title from the first non-empty line of a text
+ * @param {string} text
+ * @returns {string}
+ */
+const titleFromText = (text) => {
+  const line = text.split("\n").find((l) => l.trim()) || "Untitled";
+  const title = line.replace(/^#+\s*/, "").trim();
+  return title.length > DEFAULT_TITLE_LENGTH
+    ? `${title.slice(0, DEFAULT_TITLE_LENGTH - 1)}…`
+    : title;
+};
+
+/**
+ * Convert page/limit to the model's limit/offset and back to a response
+ */
+const toPage = ({ page, limit }) => ({ limit, offset: (page - 1) * limit });
+const pagination = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit),
+});
+
+class ContentService {
+  /**
+   * Whether a principal may read and change a content item
+   * @param {Object} item - Content item
+   * @param {Object} principal - req.user
+   * @returns {boolean}
+   */
+  canAccess(item, principal) {
+    return principal?.role === "admin" || item.ownerId === principal?.id;
+  }
+
+  /**
+   * Load a content item the principal may access. Items of other owners
+   * are reported as missing so their ids are not disclosed.
+   * @param {string} id - Content id
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} Content item with its text
+   * @throws {APIError} 404 when missing or not accessible
+   */
+  async get(id, principal) {
+    const item = await contentModel.findById(id);
+    if (!item || !this.canAccess(item, principal)) {
+      throw APIError.notFound("Content not found");
+    }
+    return item;
+  }
+
+  /**
+   * Store a source document given as text or as a web page URL
+   * @param {Object} data - { title, content, source: { url }, tags, metadata }
+   * @param {Object} principal - req.user (the owner)
+   * @returns {Promise<Object>} Content item
+   */
+  async create({ title, content, source, tags, metadata }, principal) {
+    if (source?.url) {
+      const page = await urlService.fetchPage(source.url);
+      const { text, ...pageInfo } = page;
+      this.checkLength(text, "source.url");
+
+      return this.store(
+        {
+          title: title || page.title || titleFromText(text),
+          sourceType: "url",
+          sourceUrl: page.canonicalUrl,
+          content: text,
+          tags,
+          metadata: { ...metadata, source: pageInfo },
+        },
+        principal
+      );
+    }
+
+    return this.store(
+      { title: title || titleFromText(content), sourceType: "text", content, tags, metadata },
+      principal
+    );
+  }
+
+  /**
+   * Store an uploaded document as Markdown (see extractionService.extract)
+   * @param {Object} file - Multer file
+   * @param {Object} fields - { title, tags } where tags is comma-separated
+   * @param {Object} principal - req.user (the owner)
+   * @returns {Promise<Object>} Content item
+   */
+  async createFromUpload(file, { title, tags }, principal) {
+    const { markdown, metadata } = await extractionService.extract(file);
+    this.checkLength(markdown, "file");
+
+    return this.store(
+      {
+        title: title || metadata.title || metadata.fileName || titleFromText(markdown),
+        sourceType: "upload",
+        content: markdown,
+        tags: tags
+          ? [...new Set(tags.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean))]
+          : [],
+        metadata: { extraction: metadata },
+      },
+      principal
+    );
+  }
+
+  async store(data, principal) {
+    const item = await contentModel.create({
+      ...data,
+      ownerId: principal.id,
+      ownerType: principal.type,
+    });
+
+    logger.info("Content stored", {
+      contentId: item.id,
+      sourceType: item.sourceType,
+      contentLength: item.contentLength,
+      ownerId: principal.id,
+    });
+
+    return item;
+  }
+
+  checkLength(text, field) {
+    if (text.length > MAX_LIBRARY_CONTENT_LENGTH) {
+      throw new APIError("Content is too long to store", StatusCodes.REQUEST_TOO_LONG, [
+        {
+          field,
+          message: `Text has ${text.length} characters, the limit is ${MAX_LIBRARY_CONTENT_LENGTH}`,
+        },
+      ]);
+    }
+  }
+
+  /**
+   * List content items of the principal, or of any owner for admins
+   * @param {Object} query - { q, type, tag, sourceType, ownerId, page, limit }
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  async list({ q, type, tag, sourceType, ownerId, page, limit }, principal) {
+    const { items, total } = await contentModel.list(
+      {
+        ownerId: principal.role === "admin" ? ownerId : principal.id,
+        q,
+        type,
+        tag,
+        sourceType,
+      },
+      toPage({ page, limit })
+    );
+
+    return { items, pagination: pagination({ page, limit }, total) };
+  }
+
+  /**
+   * Update title, tags or metadata. The source text is immutable so that
+   * stored versions always match the content they were produced from.
+   */
+  async update(id, changes, principal) {
+    await this.get(id, principal);
+    return contentModel.update(id, changes);
+  }
+
+  async remove(id, principal) {
+    await this.get(id, principal);
+    await contentModel.remove(id);
+    logger.info("Content deleted", { contentId: id, by: principal.id });
+  }
+
+  /**
+   * Process a stored item and attach the result as a new version.
+   * With `reuse` (the default) the latest version with the same type and
+   * options is returned instead, so re-opening a result costs nothing.
+   * @param {string} id - Content id
+   * @param {Object} request - { type, options, reuse }
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} { version, reused }
+   */
+  async process(id, { type, options = {}, reuse = true }, principal) {
+    const item = await this.get(id, principal);
+
+    if (reuse) {
+      const existing = await contentModel.findLatestVersion(id, type, options);
+      if (existing) {
+        logger.info("Content version reused", { contentId: id, versionId: existing.id, type });
+        return { version: existing, reused: true };
+      }
+    }
+
+    const maxLength = MAX_CONTENT_LENGTH[type];
+    if (maxLength && item.content.length > maxLength) {
+      throw new APIError(`Content is too long for ${type}`, StatusCodes.REQUEST_TOO_LONG, [
+        {
+          field: "type",
+          message: `Content has ${item.content.length} characters, the limit for ${type} is ${maxLength}`,
+        },
+      ]);
+    }
+
+    const result = await aiService.processContent(
+      {
+        type,
+        content: item.content,
+        options,
+        // Same cache key as processing the page through /api/ai/process
+        ...(item.sourceUrl && { source: { url: item.sourceUrl } }),
+      },
+      { principal }
+    );
+
+    const version = await contentModel.createVersion({
+      contentId: id,
+      type,
+      options,
+      provider: result.provider,
+      model: result.model,
+      result,
+      usage: result.usage,
+      createdBy: principal.id,
+    });
+
+    return { version, reused: false };
+  }
+
+  /**
+   * List versions of a content item, newest first, without their results
+   * @param {string} id - Content id
+   * @param {Object} query - { type, page, limit }
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} { versions, pagination }
+   */
+  async listVersions(id, { type, page, limit }, principal) {
+    await this.get(id, principal);
+    const { versions, total } = await contentModel.listVersions(id, { type, ...toPage({ page, limit }) });
+    return { versions, pagination: pagination({ page, limit }, total) };
+  }
+
+  async getVersion(id, versionId, principal) {
+    await this.get(id, principal);
+    const version = await contentModel.findVersion(id, versionId);
+    if (!version) {
+      throw APIError.notFound("Content version not found");
+    }
+    return version;
+  }
+}
+
+const contentService = new ContentService();
+
+module.exports = { contentService };
@@ -0,0 +1,284 @@
+const path = require("path");
+const { StatusCodes } = require("http-status-codes");
+const TurndownService = require("turndown");
+const { gfm } = require("turndown-plugin-gfm");
+const { logger } = require("../config/logger");
+const { APIError } = require("../middleware/error.middleware");
+
+// Supported document formats, matched by MIME type first and extension second
+const FORMATS = {
+  pdf: {
+    mimeTypes: ["application/pdf"],
+    extensions: [".pdf"],
+  },
+  docx: {
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    extensions: [".docx"],
+  },
+  html: {
+    mimeTypes: ["text/html", "application/xhtml+xml"],
+    extensions: [".html", ".htm", ".xhtml"],
+  },
+  markdown: {
+    mimeTypes: ["text/markdown", "text/x-markdown"],
+    extensions: [".md", ".markdown"],
+  },
+  text: {
+    mimeTypes: ["text/plain"],
+    extensions: [".txt", ".text"],
+  },
+};
+
+// Leading bytes binary formats must start with
+const MAGIC_BYTES = {
+  pdf: Buffer.from("%PDF-"),
+  docx: Buffer.from([0x50, 0x4b, 0x03, 0x04]), // ZIP container
+};
+
+// Clients often send these for any file, so fall back to the extension
+const GENERIC_MIME_TYPES = ["application/octet-stream", "binary/octet-stream", ""];
+
+// Common PDF bullet glyphs, rewritten as Markdown list items
+const PDF_BULLET = /^\s*[•◦▪▫‣∙●○■□–]\s+/gm;
+
+class ExtractionService {
+  constructor() {
+    this.turndown = new TurndownService({
+      headingStyle: "atx",
+      bulletListMarker: "-",
+      codeBlockStyle: "fenced",
+    });
+    this.turndown.use(gfm);
+    this.turndown.remove(["script", "style", "noscript", "iframe", "head", "title", "template"]);
+  }
+
+  /**
+   * Supported MIME types and extensions, for error messages and docs
+   * @returns {{mimeTypes: string[], extensions: string[]}}
+   */
+  getSupportedTypes() {
+    const formats = Object.values(FORMATS);
+    return {
+      mimeTypes: formats.flatMap((format) => format.mimeTypes),
+      extensions: formats.flatMap((format) => format.extensions),
+    };
+  }
+
+  /**
+   * Detect the document format of an uploaded file
+   * @param {Object} file - { mimetype, originalname }
+   * @returns {string|null} Format name or null when unsupported
+   */
+  detectFormat({ mimetype = "", originalname = "" }) {
+    const mimeType = mimetype.split(";")[0].trim().toLowerCase();
+    const extension = path.extname(originalname).toLowerCase();
+    const entries = Object.entries(FORMATS);
+
+    const byMime = entries.find(([, format]) => format.mimeTypes.includes(mimeType));
+    if (byMime) return byMime[0];
+
+    if (GENERIC_MIME_TYPES.includes(mimeType)) {
+      const byExtension = entries.find(([, format]) => format.extensions.includes(extension));
+      if (byExtension) return byExtension[0];
+    }
+    return null;
+  }
+
+  /**
+   * Extract the text of an uploaded document as Markdown, keeping headings,
+   * lists and tables where the format carries them.
+   * @param {Object} file - Multer file ({ buffer, mimetype, originalname, size })
+   * @returns {Promise<{markdown: string, metadata: Object}>}
+   * @throws {APIError} 415 for unsupported files, 422 when no text can be extracted
+   */
+  async extract(file) {
+    const format = this.detectFormat(file);
+    if (!format) {
+      throw new APIError(
+        `Unsupported file type: ${file.mimetype || path.extname(file.originalname)}`,
+        StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+        [{ field: "file", message: `Supported extensions: ${this.getSupportedTypes().extensions.join(", ")}` }]
+      );
+    }
+
+    const magic = MAGIC_BYTES[format];
+    if (magic && !file.buffer.subarray(0, magic.length).equals(magic)) {
+      throw new APIError(
+        `File content is not a valid ${format.toUpperCase()} document`,
+        StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+        [{ field: "file", message: "File content does not match its type" }]
+      );
+    }
+
+    let extracted;
+    try {
+      extracted = await this.extractors()[format](file.buffer);
+    } catch (error) {
+      logger.warn("Document extraction failed", {
+        format,
+        fileName: file.originalname,
+        error: error.message,
+      });
+      throw new APIError(
+        `Could not extract text from ${format.toUpperCase()} document`,
+        StatusCodes.UNPROCESSABLE_ENTITY,
+        [{ field: "file", message: error.message }]
+      );
+    }
+
+    const markdown = this.normalizeMarkdown(extracted.markdown);
+    if (!markdown) {
+      throw new APIError(
+        "No text could be extracted from the document",
+        StatusCodes.UNPROCESSABLE_ENTITY,
+        [{ field: "file", message: "The document has no text layer (scanned documents are not supported)" }]
+      );
+    }
+
+    return {
+      markdown,
+      metadata: {
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        format,
+        size: file.size ?? file.buffer.length,
+        pageCount: extracted.pageCount ?? null,
+        encoding: extracted.encoding ?? null,
+        title: extracted.title || null,
+        characters: markdown.length,
+        words: (markdown.match(/\S+/g) || []).length,
+        warnings: extracted.warnings || [],
+      },
+    };
+  }
+
+  /**
+   * Extractor per format: buffer -> { markdown, pageCount?, encoding?, title?, warnings? }
+   */
+  extractors() {
+    return {
+      pdf: (buffer) => this.extractPdf(buffer),
+      docx: (buffer) => this.extractDocx(buffer),
+      html: (buffer) => this.extractHtml(buffer),
+      markdown: (buffer) => this.extractText(buffer),
+      text: (buffer) => this.extractText(buffer),
+    };
+  }
+
+  /**
+   * PDF text per page. PDFs carry no semantic structure, so only bullets
+   * are mapped to Markdown; pages are separated by a horizontal rule.
+   */
+  async extractPdf(buffer) {
+    const { PDFParse } = require("pdf-parse");
+    const parser = new PDFParse({ data: buffer });
+
+    try {
+      const info = await parser.getInfo();
+      const text = await parser.getText();
+      const pages = text.pages.map((page) => page.text.replace(PDF_BULLET, "- ").trim());
+
+      return {
+        markdown: pages.filter(Boolean).join("\n\n---\n\n"),
+        pageCount: text.total,
+        title: info.info?.Title,
+      };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  /**
+   * DOCX via mammoth's semantic HTML (headings, lists, tables), then Markdown
+   */
+  async extractDocx(buffer) {
+    const mammoth = require("mammoth");
+    const { value, messages } = await mammoth.convertToHtml({ buffer });
+
+    return {
+      markdown: this.htmlToMarkdown(value),
+      warnings: messages.map((message) => message.message),
+    };
+  }
+
+  async extractHtml(buffer) {
+    const { text, encoding } = this.decodeText(buffer, this.sniffHtmlCharset(buffer));
+    const title = text.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1].trim();
+
+    return {
+      markdown: this.htmlToMarkdown(text),
+      encoding,
+      title,
+    };
+  }
+
+  async extractText(buffer) {
+    const { text, encoding } = this.decodeText(buffer);
+    return { markdown: text, encoding };
+  }
+
+  /**
+   * Decode text using its byte order mark, a declared charset, strict UTF-8,
+   * or Windows-1252 as the last resort (it decodes any byte sequence).
+   * @param {Buffer} buffer
+   * @param {string} [declared] - Charset declared by the document
+   * @returns {{text: string, encoding: string}}
+   */
+  decodeText(buffer, declared) {
+    const boms = [
+      ["utf-8", [0xef, 0xbb, 0xbf]],
+      ["utf-16le", [0xff, 0xfe]],
+      ["utf-16be", [0xfe, 0xff]],
+    ];
+    for (const [encoding, bom] of boms) {
+      if (buffer.subarray(0, bom.length).equals(Buffer.from(bom))) {
+        return { text: new TextDecoder(encoding).decode(buffer.subarray(bom.length)), encoding };
+      }
+    }
+
+    const candidates = [declared, "utf-8"].filter(Boolean);
+    for (const encoding of candidates) {
+      try {
+        return {
+          text: new TextDecoder(encoding, { fatal: true }).decode(buffer),
+          encoding: encoding.toLowerCase(),
+        };
+      } catch {
+        // Unknown label or invalid bytes, try the next candidate
+      }
+    }
+
+    return { text: new TextDecoder("windows-1252").decode(buffer), encoding: "windows-1252" };
+  }
+
+  /**
+   * Charset from <meta charset> or http-equiv Content-Type in the first 1 KB
+   * @param {Buffer} buffer
+   * @returns {string|undefined}
+   */
+  sniffHtmlCharset(buffer) {
+    const head = buffer.subarray(0, 1024).toString("latin1");
+    return head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i)?.[1];
+  }
+
+  /**
+   * Convert HTML to Markdown, keeping headings, lists, tables and code blocks
+   * @param {string} html
+   * @returns {string}
+   */
+  htmlToMarkdown(html) {
+    return this.normalizeMarkdown(this.turndown.turndown(html));
+  }
+
+  normalizeMarkdown(markdown = "") {
+    return markdown
+      .replace(/\r\n?/g, "\n")
+      .replace(/[ \t]+$/gm, "")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+}
+
+const extractionService = new ExtractionService();
+
+module.exports = { extractionService };
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const { StatusCodes } = require("http-status-codes");
+const sharp = require("sharp");
+const { logger } = require("../config/logger");
+const { APIError } = require("../middleware/error.middleware");
+
+// Input formats accepted for upload (SVG is excluded: it can reference external resources)
+const SUPPORTED_IMAGE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/tiff",
+  "image/avif",
+  "image/heic",
+  "image/heif",
+];
+
+class ImageService {
+  constructor() {
+    // Longest side sent to the model, in pixels
+    this.maxDimension = parseInt(process.env.IMAGE_MAX_DIMENSION || "1536", 10);
+    // Decoded pixel limit, guards against decompression bombs
+    this.maxInputPixels = parseInt(process.env.IMAGE_MAX_INPUT_PIXELS || "50000000", 10);
+    this.jpegQuality = 85;
+  }
+
+  /**
+   * Whether an uploaded MIME type is accepted
+   * @param {string} mimeType
+   * @returns {boolean}
+   */
+  isSupported(mimeType = "") {
+    return SUPPORTED_IMAGE_TYPES.includes(mimeType.toLowerCase());
+  }
+
+  getSupportedTypes() {
+    return [...SUPPORTED_IMAGE_TYPES];
+  }
+
+  /**
+   * Normalize an image for multimodal models: apply the EXIF orientation,
+   * resize so the longest side is at most maxDimension, strip all metadata
+   * (EXIF, GPS, ICC) and convert to JPEG, or PNG when it has transparency.
+   * Animated images are reduced to their first frame.
+   * @param {Buffer} buffer - Uploaded image bytes
+   * @returns {Promise<Object>} { buffer, data, mimeType, width, height, bytes, hash, original }
+   * @throws {APIError} 422 when the image cannot be decoded
+   */
+  async normalize(buffer) {
+    let metadata;
+    let output;
+
+    try {
+      const image = sharp(buffer, { limitInputPixels: this.maxInputPixels, pages: 1 });
+      metadata = await image.metadata();
+
+      const pipeline = image
+        .rotate() // bake in EXIF orientation before metadata is dropped
+        .resize({
+          width: this.maxDimension,
+          height: this.maxDimension,
+          fit: "inside",
+          withoutEnlargement: true,
+        });
+
+      output = metadata.hasAlpha
+        ? await pipeline.png().toBuffer({ resolveWithObject: true })
+        : await pipeline.jpeg({ quality: this.jpegQuality, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      logger.warn("Image normalization failed", { error: error.message });
+      throw new APIError("Could not decode image", StatusCodes.UNPROCESSABLE_ENTITY, [
+        { field: "image", message: error.message },
+      ]);
+    }
+
+    const { data, info } = output;
+    return {
+      buffer: data,
+      data: data.toString("base64"),
+      mimeType: `image/${info.format}`,
+      width: info.width,
+      height: info.height,
+      bytes: data.length,
+      hash: crypto.createHash("sha256").update(data).digest("hex"),
+      original: {
+        format: metadata.format,
+        width: metadata.width,
+        height: metadata.height,
+        bytes: buffer.length,
+      },
+    };
+  }
+}
+
+const imageService = new ImageService();
+
+module.exports = { imageService, SUPPORTED_IMAGE_TYPES };
@@ -0,0 +1,236 @@
+const crypto = require("crypto");
+const { logger } = require("../config/logger");
+const { QUEUE_NAMES, getQueue } = require("../config/queue");
+const { aiService } = require("./ai.service");
+const { webhookService } = require("./webhook.service");
+
+const CANCEL_TTL = 24 * 3600; // Keep cancellation flags for a day
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = "JobCancelledError";
+  }
+}
+
+class JobService {
+  /**
+   * Enqueue a single processing request or a batch
+   * @param {Object} payload - { type, content | source, options } or { requests: [...], failFast },
+   *   plus an optional callbackUrl that receives the outcome (see WebhookService)
+   * @param {Object} principal - req.user of the caller, recorded as the job owner
+   * @returns {Promise<Object>} { id, queue, state }
+   */
+  async enqueue(payload, principal) {
+    if (payload.callbackUrl) {
+      webhookService.validateCallbackUrl(payload.callbackUrl);
+    }
+
+    const isBatch = Array.isArray(payload.requests);
+    const queueName = isBatch ? QUEUE_NAMES.BATCH : QUEUE_NAMES.PROCESS;
+    const data = isBatch
+      ? { requests: payload.requests, failFast: Boolean(payload.failFast), completed: [] }
+      : {
+          request: {
+            type: payload.type,
+            content: payload.content,
+            source: payload.source,
+            options: payload.options || {},
+          },
+        };
+    data.ownerId = principal?.id;
+    data.ownerType = principal?.type;
+    data.callbackUrl = payload.callbackUrl;
+
+    const job = await getQueue(queueName).add(data, {
+      jobId: crypto.randomUUID(),
+    });
+
+    logger.info("AI job enqueued", {
+      jobId: job.id,
+      queue: queueName,
+      items: isBatch ? payload.requests.length : 1,
+    });
+
+    return { id: job.id, queue: queueName, state: "waiting" };
+  }
+
+  /**
+   * Find a job in any of the AI queues. Jobs owned by someone else are
+   * reported as missing unless the principal is an admin.
+   * @param {string} id - Job id
+   * @param {Object} principal - req.user of the caller
+   * @returns {Promise<Job|null>}
+   */
+  async findJob(id, principal) {
+    for (const name of [QUEUE_NAMES.PROCESS, QUEUE_NAMES.BATCH]) {
+      const job = await getQueue(name).getJob(id);
+      if (job) {
+        const isOwner = !job.data.ownerId || job.data.ownerId === principal?.id;
+        return isOwner || principal?.role === "admin" ? job : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get job status, progress and result
+   * @param {string} id - Job id
+   * @param {Object} principal - req.user of the caller
+   * @returns {Promise<Object|null>} Job status or null if not found
+   */
+  async getJob(id, principal) {
+    const job = await this.findJob(id, principal);
+    if (!job) return null;
+
+    const state = (await this.isCancelled(job)) ? "cancelled" : await job.getState();
+
+    return {
+      id: job.id,
+      queue: job.queue.name,
+      state,
+      progress: job.progress(),
+      result: state === "completed" ? job.returnvalue : undefined,
+      failedReason: state === "failed" ? job.failedReason : undefined,
+      attemptsMade: job.attemptsMade,
+      createdAt: new Date(job.timestamp).toISOString(),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : undefined,
+    };
+  }
+
+  /**
+   * Cancel a job. Waiting jobs are removed; active jobs are flagged and
+   * stop at the next batch group boundary, or for single jobs once the
+   * running call returns, without a result or job.completed callback.
+   * @param {string} id - Job id
+   * @param {Object} principal - req.user of the caller
+   * @returns {Promise<Object|null>} { id, state } or null if not found
+   */
+  async cancelJob(id, principal) {
+    const job = await this.findJob(id, principal);
+    if (!job) return null;
+
+    const state = await job.getState();
+    if (state === "completed" || state === "failed") {
+      return { id: job.id, state, cancelled: false };
+    }
+
+    await job.queue.client.set(this.cancelKey(job), "1", "EX", CANCEL_TTL);
+
+    if (state !== "active") {
+      await job.remove();
+    }
+
+    logger.info("AI job cancelled", { jobId: job.id, previousState: state });
+    return { id: job.id, state: "cancelled", cancelled: true };
+  }
+
+  cancelKey(job) {
+    return `${job.queue.keyPrefix}:${job.queue.name}:cancelled:${job.id}`;
+  }
+
+  async isCancelled(job) {
+    return (await job.queue.client.exists(this.cancelKey(job))) === 1;
+  }
+
+  /**
+   * Principal recorded when the job was enqueued
+   */
+  ownerOf(job) {
+    return job.data.ownerId
+      ? { id: job.data.ownerId, type: job.data.ownerType }
+      : undefined;
+  }
+
+  /**
+   * Send a job's outcome to its callbackUrl, if it has one. Failing to
+   * schedule the callback is logged and does not fail the job.
+   * @param {Job} job
+   * @param {string} event - job.completed or job.failed
+   * @param {Object} data - Event data
+   */
+  async notify(job, event, data) {
+    const owner = this.ownerOf(job);
+    if (!job.data.callbackUrl || !owner) return;
+
+    try {
+      await webhookService.schedule({
+        owner,
+        url: job.data.callbackUrl,
+        event,
+        jobId: job.id,
+        data: { jobId: job.id, queue: job.queue.name, ...data },
+      });
+    } catch (error) {
+      logger.error("Failed to schedule job webhook", { jobId: job.id, event, error: error.message });
+    }
+  }
+
+  /**
+   * Worker hook for failed jobs: sends job.failed once Bull gives up on
+   * the job. Cancelled jobs send nothing.
+   * @param {Job} job
+   * @param {Error} error
+   */
+  async onFailed(job, error) {
+    const final = job.attemptsMade >= (job.opts.attempts || 1) || job.isDiscarded();
+    if (!final || error instanceof JobCancelledError) return;
+
+    await this.notify(job, "job.failed", {
+      state: "failed",
+      failedReason: error.message,
+      attemptsMade: job.attemptsMade,
+    });
+  }
+
+  /**
+   * Stop a cancelled job without letting Bull retry it
+   */
+  async throwIfCancelled(job) {
+    if (await this.isCancelled(job)) {
+      job.discard();
+      throw new JobCancelledError(job.id);
+    }
+  }
+
+  /**
+   * Worker handler for single processing jobs
+   */
+  async processJob(job) {
+    await this.throwIfCancelled(job);
+    const result = await aiService.processContent(job.data.request, {
+      principal: this.ownerOf(job),
+    });
+    // Cancelled while running: drop the result rather than complete the job
+    await this.throwIfCancelled(job);
+    await job.progress(100);
+    await this.notify(job, "job.completed", { state: "completed", result });
+    return result;
+  }
+
+  /**
+   * Worker handler for batch jobs. Partial results are saved on the job
+   * after each group so a restarted worker resumes where it stopped.
+   */
+  async processBatchJob(job) {
+    const { requests, failFast, completed = [] } = job.data;
+
+    const result = await aiService.batchProcess(requests, {
+      completed,
+      failFast,
+      principal: this.ownerOf(job),
+      onProgress: async (results) => {
+        await job.update({ ...job.data, completed: results });
+        await job.progress(Math.round((results.length / requests.length) * 100));
+
+        await this.throwIfCancelled(job);
+      },
+    });
+    await this.notify(job, "job.completed", { state: "completed", result });
+    return result;
+  }
+}
+
+const jobService = new JobService();
+
+module.exports = { jobService, JobCancelledError };
@@ -0,0 +1,259 @@
+const { StatusCodes } = require("http-status-codes");
+const { logger } = require("../config/logger");
+const { aiService } = require("./ai.service");
+const { processingTypeService } = require("./processingType.service");
+const { processRequestSchema } = require("../validators/ai.validator");
+const { APIError, describeError } = require("../middleware/error.middleware");
+
+/**
+ * Split a step reference ("summary.result.summary") into the step id and
+ * the path inside that step's result envelope
+ * @param {string} reference
+ * @returns {{step: string, path: string[]}}
+ */
+const parseReference = (reference) => {
+  const [step, ...path] = reference.split(".");
+  return { step, path };
+};
+
+/**
+ * Read a field by path; numeric segments index into arrays
+ * @param {*} value
+ * @param {string[]} path
+ * @returns {*} The field, undefined when missing
+ */
+const readField = (value, path) =>
+  path.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+
+/**
+ * Content for a step from a mapped field: strings as they are, other
+ * values (arrays, objects) as JSON
+ * @param {*} value
+ * @returns {string}
+ */
+const toContent = (value) => {
+  if (typeof value === "string") return value;
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+class PipelineService {
+  /**
+   * Work out each step's dependencies from its references and check that
+   * they form a DAG
+   * @param {Object} pipeline - Validated { content, steps }
+   * @returns {Object[]} Steps with `index` and `dependsOn`
+   * @throws {APIError} 400 for unknown references, missing content or cycles
+   */
+  plan({ content, steps }) {
+    const ids = new Set(steps.map((step) => step.id));
+    const errors = [];
+
+    const planned = steps.map((step, index) => {
+      const references = Object.entries(step.map || {}).map(([option, reference]) => [
+        `map.${option}`,
+        reference,
+      ]);
+      if (step.input) references.unshift(["input", step.input]);
+
+      const dependsOn = new Set();
+      references.forEach(([field, reference]) => {
+        const { step: id } = parseReference(reference);
+        if (id === step.id) {
+          errors.push({ field: `steps.${index}.${field}`, message: "A step cannot reference itself" });
+        } else if (!ids.has(id)) {
+          errors.push({ field: `steps.${index}.${field}`, message: `Unknown step: ${id}` });
+        } else {
+          dependsOn.add(id);
+        }
+      });
+
+      if (step.content === undefined && step.input === undefined && content === undefined) {
+        errors.push({
+          field: `steps.${index}.content`,
+          message: "Step needs content, an input reference or the pipeline content",
+        });
+      }
+      return { ...step, index, dependsOn: [...dependsOn] };
+    });
+
+    if (errors.length) {
+      throw APIError.badRequest("Invalid pipeline", errors);
+    }
+
+    const cycle = this.findCycle(planned);
+    if (cycle) {
+      throw APIError.badRequest("Invalid pipeline", [
+        { field: "steps", message: `Steps depend on each other in a cycle: ${cycle.join(" -> ")}` },
+      ]);
+    }
+    return planned;
+  }
+
+  /**
+   * @param {Object[]} steps - Planned steps
+   * @returns {string[]|null} Step ids along a cycle, null for a DAG
+   */
+  findCycle(steps) {
+    const byId = new Map(steps.map((step) => [step.id, step]));
+    const state = new Map(); // id -> "visiting" | "done"
+
+    const visit = (id, path) => {
+      if (state.get(id) === "done") return null;
+      if (state.get(id) === "visiting") return [...path.slice(path.indexOf(id)), id];
+
+      state.set(id, "visiting");
+      for (const dependency of byId.get(id).dependsOn) {
+        const cycle = visit(dependency, [...path, id]);
+        if (cycle) return cycle;
+      }
+      state.set(id, "done");
+      return null;
+    };
+
+    for (const step of steps) {
+      const cycle = visit(step.id, []);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  /**
+   * Build the processing request of a step, filling in mapped fields from
+   * earlier results, and validate it like a /api/ai/process request
+   * @param {Object} step - Planned step
+   * @param {string} [content] - Pipeline content
+   * @param {Map} results - Step id -> result envelope
+   * @returns {Object} { type, content, options }
+   * @throws {APIError} 422 when a mapped field is missing, 400 when the request is invalid
+   */
+  buildRequest(step, content, results) {
+    const prefix = `steps.${step.index}.`;
+    const lookup = (reference, field) => {
+      const { step: id, path } = parseReference(reference);
+      const value = readField(results.get(id), path);
+      if (value === undefined || value === null) {
+        throw new APIError(`Step ${step.id} could not map ${reference}`, StatusCodes.UNPROCESSABLE_ENTITY, [
+          { field: `${prefix}${field}`, message: `${reference} is not set` },
+        ]);
+      }
+      return value;
+    };
+
+    const options = { ...step.options };
+    Object.entries(step.map || {}).forEach(([option, reference]) => {
+      options[option] = lookup(reference, `map.${option}`);
+    });
+
+    const request = {
+      type: step.type,
+      content: step.input ? toContent(lookup(step.input, "input")) : step.content ?? content,
+      options,
+    };
+
+    const { value, error } = processRequestSchema.validate(request, {
+      abortEarly: false,
+      errors: { wrap: { label: false } },
+    });
+    const errors = error
+      ? error.details.map((detail) => ({ field: `${prefix}${detail.path.join(".")}`, message: detail.message }))
+      : [];
+
+    const custom = error ? { request: value, errors: [] } : processingTypeService.validateRequest(value, prefix);
+    errors.push(...custom.errors);
+    if (errors.length) {
+      throw APIError.badRequest(`Step ${step.id} is invalid`, errors);
+    }
+    return custom.request;
+  }
+
+  /**
+   * Run a pipeline. Each step starts as soon as the steps it references
+   * have completed, so independent branches run in parallel. Steps go
+   * through AIService.processContent and are cached individually. When a
+   * step fails, the steps depending on it are skipped and the others still run.
+   * @param {Object} pipeline - Validated { content, steps }
+   * @param {Object} context - Request context ({ principal })
+   * @returns {Promise<Object>} { status, outputs, steps, tokensUsed, totalTime }
+   * @throws {APIError} 400 when the pipeline is invalid; nothing has run then
+   */
+  async run(pipeline, context = {}) {
+    const steps = this.plan(pipeline);
+    // Steps without references are checked before any model is called
+    steps
+      .filter((step) => !step.input && !step.map)
+      .forEach((step) => this.buildRequest(step, pipeline.content, new Map()));
+
+    const startTime = Date.now();
+    const byId = new Map(steps.map((step) => [step.id, step]));
+    const results = new Map();
+    const trace = new Map(
+      steps.map((step) => [step.id, { id: step.id, type: step.type, dependsOn: step.dependsOn, status: "pending" }])
+    );
+    const running = new Map();
+
+    const runStep = async (step) => {
+      const completed = await Promise.all(step.dependsOn.map(execute));
+      const entry = trace.get(step.id);
+      if (!completed.every(Boolean)) {
+        entry.status = "skipped";
+        return false;
+      }
+
+      entry.startOffset = Date.now() - startTime;
+      const stepContext = { ...context, trace: {} };
+      try {
+        const request = this.buildRequest(step, pipeline.content, results);
+        const result = await aiService.processContent(request, stepContext);
+        results.set(step.id, result);
+        Object.assign(entry, { status: "completed", cached: stepContext.trace.cached, result });
+        return true;
+      } catch (error) {
+        Object.assign(entry, { status: "failed", error: describeError(error) });
+        return false;
+      } finally {
+        entry.duration = Date.now() - startTime - entry.startOffset;
+      }
+    };
+
+    const execute = (id) => {
+      if (!running.has(id)) running.set(id, runStep(byId.get(id)));
+      return running.get(id);
+    };
+
+    await Promise.all(steps.map((step) => execute(step.id)));
+
+    const entries = [...trace.values()];
+    const failed = entries.find((entry) => entry.status === "failed");
+    const referenced = new Set(steps.flatMap((step) => step.dependsOn));
+    const outputs = Object.fromEntries(
+      steps
+        .filter((step) => !referenced.has(step.id) && results.has(step.id))
+        .map((step) => [step.id, results.get(step.id).result])
+    );
+    const tokensUsed = entries
+      .filter((entry) => entry.status === "completed" && !entry.cached)
+      .reduce((sum, entry) => sum + (entry.result.tokensUsed || 0), 0);
+    const totalTime = Date.now() - startTime;
+
+    logger.info("AI pipeline completed", {
+      steps: steps.length,
+      failed: entries.filter((entry) => entry.status === "failed").length,
+      cached: entries.filter((entry) => entry.cached).length,
+      totalTime,
+    });
+
+    return {
+      status: failed ? "failed" : "completed",
+      ...(failed && { failedStep: failed.id }),
+      outputs,
+      steps: entries,
+      tokensUsed,
+      totalTime,
+    };
+  }
+}
+
+const pipelineService = new PipelineService();
+
+module.exports = { pipelineService };
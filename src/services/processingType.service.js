@@ -0,0 +1,357 @@
+const Ajv = require("ajv");
+const { StatusCodes } = require("http-status-codes");
+const { logger } = require("../config/logger");
+const { processingTypeModel } = require("../models/processingType.model");
+const { placeholders } = require("./prompt.service");
+const { APIError } = require("../middleware/error.middleware");
+const { mockEnabled } = require("./providers");
+const { omit } = require("../utils/object.utils");
+
+// Options every processing type accepts; they are validated by ai.validator
+const COMMON_OPTIONS = ["provider", "model", ...(mockEnabled ? ["mock"] : []), "cache", "maxRepairAttempts"];
+// Placeholders filled by the engine rather than from options
+const RESERVED_VARIABLES = ["content", "outputFormat"];
+
+const DEFAULT_OPTIONS_SCHEMA = { type: "object", properties: {}, additionalProperties: false };
+// JSON Schema keywords OpenAPI components do not accept
+const SCHEMA_META = ["$schema", "$id"];
+
+// Strict mode rejects unknown keywords when a definition is registered;
+// formats are not checked, so schemas may use them as documentation
+const ajv = new Ajv({
+  allErrors: true,
+  useDefaults: true,
+  strict: true,
+  validateFormats: false,
+  addUsedSchema: false,
+});
+
+/**
+ * Path of the value an Ajv error is about
+ * @param {Object} error - Ajv error
+ * @returns {string[]}
+ */
+const errorPath = (error) => {
+  const path = error.instancePath.split("/").slice(1);
+  if (error.keyword === "required") path.push(error.params.missingProperty);
+  if (error.keyword === "additionalProperties") path.push(error.params.additionalProperty);
+  return path;
+};
+
+/**
+ * Map Ajv errors to field errors
+ * @param {Object[]} errors - Ajv errors
+ * @param {string} prefix - Field path prefix, e.g. "options"
+ * @returns {Object[]} [{ field, message }]
+ */
+const toFieldErrors = (errors, prefix) =>
+  errors.map((error) => {
+    const field = [prefix, ...errorPath(error)].join(".");
+    return { field, message: `${field} ${error.message}` };
+  });
+
+/**
+ * Compile a JSON Schema, reporting problems as field errors
+ * @returns {{validate: Function|null, errors: Object[]}}
+ */
+const compileSchema = (schema, field) => {
+  try {
+    return { validate: ajv.compile(schema), errors: [] };
+  } catch (error) {
+    return { validate: null, errors: [{ field, message: `Invalid JSON Schema: ${error.message}` }] };
+  }
+};
+
+class ProcessingTypeService {
+  constructor() {
+    // How long registered types are cached in-process before reloading
+    this.refreshMs = parseInt(process.env.PROCESSING_TYPES_REFRESH_MS || "30000", 10);
+    this.types = new Map(); // name -> compiled definition
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Whether a custom type is registered (as of the last refresh)
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null} Compiled definition
+   */
+  get(name) {
+    return this.types.get(name) || null;
+  }
+
+  getAll() {
+    return [...this.types.values()];
+  }
+
+  /**
+   * Reload definitions when the in-process copy is older than refreshMs.
+   * Never throws: without a database the last known types stay in use.
+   */
+  async ensureFresh() {
+    if (Date.now() - this.loadedAt < this.refreshMs) return;
+    if (!this.loading) {
+      this.loading = this.refresh().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async refresh() {
+    try {
+      await this.load();
+    } catch (error) {
+      logger.warn("Could not load custom processing types", { error: error.message });
+      this.loadedAt = Date.now();
+    }
+  }
+
+  /**
+   * Load all definitions. Unlike refresh, failures are thrown, for callers
+   * that cannot run without the registry (the worker at startup).
+   */
+  async load() {
+    const definitions = await processingTypeModel.list();
+    this.types = new Map(definitions.map((definition) => [definition.name, this.compile(definition)]));
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Attach validators to a stored definition
+   * @param {Object} definition - Definition from processingTypeModel
+   * @returns {Object} Definition with `validateOptions` and `output`
+   */
+  compile(definition) {
+    const compiled = { ...definition, output: null };
+    compiled.validateOptions = ajv.compile(definition.optionsSchema || DEFAULT_OPTIONS_SCHEMA);
+
+    if (definition.outputSchema) {
+      const validate = ajv.compile(definition.outputSchema);
+      // Same shape as the Joi output schemas, for AIService.generateStructured
+      compiled.output = {
+        description: JSON.stringify(definition.outputSchema, null, 2),
+        jsonSchema: definition.outputSchema,
+        schema: {
+          validate: (value) => {
+            const copy = structuredClone(value);
+            if (validate(copy)) return { value: copy };
+            return {
+              error: {
+                details: validate.errors.map((error) => {
+                  const path = errorPath(error);
+                  return { path, message: `${path.join(".") || "response"} ${error.message}` };
+                }),
+              },
+            };
+          },
+        },
+      };
+    }
+    return compiled;
+  }
+
+  /**
+   * Check that schemas compile and the template only uses known variables
+   * @param {Object} definition - Complete definition
+   * @returns {Object[]} Field errors, empty when valid
+   */
+  validateDefinition({ promptTemplate, optionsSchema = DEFAULT_OPTIONS_SCHEMA, outputSchema }) {
+    const errors = [];
+
+    if (optionsSchema.type !== "object") {
+      errors.push({ field: "optionsSchema", message: 'optionsSchema must have type "object"' });
+    }
+    errors.push(...compileSchema(optionsSchema, "optionsSchema").errors);
+    if (outputSchema) {
+      errors.push(...compileSchema(outputSchema, "outputSchema").errors);
+    }
+
+    const optionNames = Object.keys(optionsSchema.properties || {});
+    const clashing = optionNames.filter(
+      (name) => COMMON_OPTIONS.includes(name) || RESERVED_VARIABLES.includes(name)
+    );
+    if (clashing.length) {
+      errors.push({ field: "optionsSchema", message: `Reserved option names: ${clashing.join(", ")}` });
+    }
+
+    const allowed = ["content", ...(outputSchema ? ["outputFormat"] : []), ...optionNames];
+    const used = placeholders(promptTemplate);
+    const unknown = used.filter((variable) => !allowed.includes(variable));
+    if (unknown.length) {
+      errors.push({
+        field: "promptTemplate",
+        message: `Unknown variables: ${unknown.join(", ")}. Allowed: ${allowed.join(", ")}`,
+      });
+    }
+    const required = ["content", ...(outputSchema ? ["outputFormat"] : [])];
+    const missing = required.filter((variable) => !used.includes(variable));
+    if (missing.length) {
+      errors.push({ field: "promptTemplate", message: `Missing required variables: ${missing.join(", ")}` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate request options of a custom type and apply schema defaults
+   * @param {Object} definition - Compiled definition
+   * @param {Object} options - Request options
+   * @param {string} prefix - Field path of the options, e.g. "requests.0.options"
+   * @returns {{options: Object, errors: Object[]}}
+   */
+  validateOptions(definition, options = {}, prefix = "options") {
+    const common = {};
+    const typeOptions = {};
+    Object.entries(options).forEach(([key, value]) => {
+      (COMMON_OPTIONS.includes(key) ? common : typeOptions)[key] = value;
+    });
+
+    const values = structuredClone(typeOptions);
+    if (!definition.validateOptions(values)) {
+      return { options, errors: toFieldErrors(definition.validateOptions.errors, prefix) };
+    }
+    return { options: { ...common, ...values }, errors: [] };
+  }
+
+  /**
+   * Check a request for a custom type against its definition: the content
+   * length and the options, with defaults applied. Requests for other types
+   * are returned unchanged.
+   * @param {Object} request - Validated { type, content, options }
+   * @param {string} prefix - Field path of the request, e.g. "requests.0."
+   * @returns {{request: Object, errors: Object[]}}
+   */
+  validateRequest(request, prefix = "") {
+    const definition = request && this.get(request.type);
+    if (!definition) return { request, errors: [] };
+
+    const errors = [];
+    if (typeof request.content === "string" && request.content.length > definition.maxContentLength) {
+      errors.push({
+        field: `${prefix}content`,
+        message: `content length must be less than or equal to ${definition.maxContentLength} characters long`,
+      });
+    }
+
+    const validated = this.validateOptions(definition, request.options, `${prefix}options`);
+    errors.push(...validated.errors);
+    return { request: { ...request, options: validated.options }, errors };
+  }
+
+  /**
+   * Register a new processing type
+   * @param {Object} data - Definition (see ProcessingTypeDefinition)
+   * @param {Object} creator - req.user of the admin
+   * @returns {Promise<Object>} Stored definition
+   */
+  async register(data, creator) {
+    const errors = this.validateDefinition(data);
+    if (errors.length) {
+      throw APIError.badRequest("Invalid processing type", errors);
+    }
+
+    const created = await processingTypeModel.create({
+      optionsSchema: DEFAULT_OPTIONS_SCHEMA,
+      ...data,
+      createdBy: creator?.id,
+    });
+    if (!created) {
+      throw new APIError(`Processing type already exists: ${data.name}`, StatusCodes.CONFLICT);
+    }
+
+    this.types.set(created.name, this.compile(created));
+    logger.info("Processing type registered", { name: created.name, createdBy: creator?.id });
+    return created;
+  }
+
+  async find(name) {
+    const definition = await processingTypeModel.findByName(name);
+    if (!definition) {
+      throw APIError.notFound(`Processing type not found: ${name}`);
+    }
+    return definition;
+  }
+
+  list() {
+    return processingTypeModel.list();
+  }
+
+  /**
+   * Change a processing type. The revision is bumped, so cached results of
+   * earlier revisions are no longer served.
+   */
+  async update(name, changes, admin) {
+    const existing = await this.find(name);
+
+    const errors = this.validateDefinition({ ...existing, ...changes });
+    if (errors.length) {
+      throw APIError.badRequest("Invalid processing type", errors);
+    }
+
+    const updated = await processingTypeModel.update(name, changes);
+    if (!updated) {
+      throw APIError.notFound(`Processing type not found: ${name}`);
+    }
+
+    this.types.set(name, this.compile(updated));
+    logger.info("Processing type updated", { name, revision: updated.revision, by: admin?.id });
+    return updated;
+  }
+
+  async remove(name, admin) {
+    if (!(await processingTypeModel.remove(name))) {
+      throw APIError.notFound(`Processing type not found: ${name}`);
+    }
+    this.types.delete(name);
+    logger.info("Processing type removed", { name, by: admin?.id });
+  }
+
+  /**
+   * Add registered types to the OpenAPI document: their option and result
+   * schemas as components, and request examples for /api/ai/process.
+   * @param {Object} spec - Base OpenAPI document
+   * @returns {Object} Document including custom types (the base is not modified)
+   */
+  documentSpec(spec) {
+    if (!this.types.size) return spec;
+
+    const doc = structuredClone(spec);
+    const process = doc.paths?.["/api/ai/process"]?.post;
+    const examples = process?.requestBody?.content?.["application/json"]?.examples;
+    doc.components.schemas = doc.components.schemas || {};
+
+    const lines = this.getAll().map((definition) => {
+      const key = definition.name.replace(/(^|-)([a-z0-9])/g, (m, dash, c) => c.toUpperCase());
+      doc.components.schemas[`${key}Options`] = omit(definition.optionsSchema || DEFAULT_OPTIONS_SCHEMA, SCHEMA_META);
+      if (definition.outputSchema) {
+        doc.components.schemas[`${key}Result`] = omit(definition.outputSchema, SCHEMA_META);
+      }
+
+      if (examples) {
+        examples[definition.name] = {
+          summary: definition.description || `Custom type ${definition.name}`,
+          value: { type: definition.name, content: "Text to process", options: {} },
+        };
+      }
+      return `- ${definition.name} (options ${key}Options${definition.outputSchema ? `, result ${key}Result` : ", text result"}): ${definition.description || "custom type"}`;
+    });
+
+    if (process) {
+      process.description = `${process.description}\n\nCustom processing types:\n${lines.join("\n")}`;
+    }
+    return doc;
+  }
+}
+
+const processingTypeService = new ProcessingTypeService();
+
+module.exports = { processingTypeService, COMMON_OPTIONS };
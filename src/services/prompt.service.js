@@ -0,0 +1,230 @@
+const { logger } = require("../config/logger");
+const { PROMPT_TEMPLATES } = require("../config/prompts");
+const { promptModel } = require("../models/prompt.model");
+const { APIError } = require("../middleware/error.middleware");
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+const BUILTIN_VERSION = 0;
+
+/**
+ * Names of the placeholders used in a template
+ * @param {string} template
+ * @returns {string[]}
+ */
+const placeholders = (template) => [...new Set([...template.matchAll(PLACEHOLDER)].map((m) => m[1]))];
+
+class PromptService {
+  constructor() {
+    // How long the active version of a template is cached in-process
+    this.activeTtlMs = parseInt(process.env.PROMPT_CACHE_TTL_MS || "30000", 10);
+    this.active = new Map(); // name -> { template, expiresAt }
+    this.pinned = new Map(); // "name@version" -> template (versions never change)
+  }
+
+  /**
+   * Whether a processing type uses a registry template
+   * @param {string} name - Template name (the processing type)
+   * @returns {boolean}
+   */
+  isManaged(name) {
+    return Object.prototype.hasOwnProperty.call(PROMPT_TEMPLATES, name);
+  }
+
+  /**
+   * The built-in template (version 0) of a name
+   * @param {string} name
+   * @returns {Object} { name, version, template, variables, description }
+   */
+  getBuiltin(name) {
+    const builtin = PROMPT_TEMPLATES[name];
+    return {
+      name,
+      version: BUILTIN_VERSION,
+      template: builtin.template,
+      variables: placeholders(builtin.template),
+      description: builtin.description,
+      builtin: true,
+    };
+  }
+
+  /**
+   * Resolve the template to use for a request: the pinned version when
+   * given, otherwise the active one. Without a database the built-in
+   * template is used, unless a stored version was pinned.
+   * @param {string} name - Template name
+   * @param {number} [version] - options.promptVersion
+   * @returns {Promise<Object>} Template version
+   * @throws {APIError} 400 for an unknown version, 503 when it cannot be loaded
+   */
+  async resolve(name, version) {
+    if (version === BUILTIN_VERSION) return this.getBuiltin(name);
+    if (version !== undefined) return this.resolvePinned(name, version);
+
+    const cached = this.active.get(name);
+    if (cached && cached.expiresAt > Date.now()) return cached.template;
+
+    let template;
+    try {
+      template = (await promptModel.findActive(name)) || this.getBuiltin(name);
+    } catch (error) {
+      logger.warn("Prompt registry unavailable, using built-in template", {
+        name,
+        error: error.message,
+      });
+      template = this.getBuiltin(name);
+    }
+
+    this.active.set(name, { template, expiresAt: Date.now() + this.activeTtlMs });
+    return template;
+  }
+
+  async resolvePinned(name, version) {
+    const key = `${name}@${version}`;
+    if (this.pinned.has(key)) return this.pinned.get(key);
+
+    let template;
+    try {
+      template = await promptModel.findVersion(name, version);
+    } catch (error) {
+      logger.error("Failed to load pinned prompt version", { name, version, error: error.message });
+      throw APIError.serviceUnavailable("Prompt registry is unavailable");
+    }
+
+    if (!template) {
+      throw APIError.badRequest("Unknown prompt version", [
+        { field: "options.promptVersion", message: `${name} has no prompt version ${version}` },
+      ]);
+    }
+
+    this.pinned.set(key, template);
+    return template;
+  }
+
+  /**
+   * Fill a template's placeholders. Values are inserted in a single pass,
+   * so placeholders inside the inserted content are left as they are.
+   * @param {Object} template - Template version
+   * @param {Object} values - Variable values
+   * @returns {string} Prompt text
+   */
+  render(template, values) {
+    return template.template.replace(PLACEHOLDER, (match, variable) =>
+      values[variable] === undefined ? "" : String(values[variable])
+    );
+  }
+
+  /**
+   * Check a template's placeholders against those allowed for its name
+   * @param {string} name
+   * @param {string} template
+   * @returns {Object[]} Field errors, empty when valid
+   */
+  validateTemplate(name, template) {
+    const { variables, required } = PROMPT_TEMPLATES[name];
+    const used = placeholders(template);
+    const errors = [];
+
+    const unknown = used.filter((variable) => !variables.includes(variable));
+    if (unknown.length) {
+      errors.push({
+        field: "template",
+        message: `Unknown variables: ${unknown.join(", ")}. Allowed: ${variables.join(", ")}`,
+      });
+    }
+    const missing = required.filter((variable) => !used.includes(variable));
+    if (missing.length) {
+      errors.push({ field: "template", message: `Missing required variables: ${missing.join(", ")}` });
+    }
+    return errors;
+  }
+
+  requireManaged(name) {
+    if (!this.isManaged(name)) {
+      throw APIError.notFound(`Unknown prompt template: ${name}`);
+    }
+  }
+
+  /**
+   * Every template name with its active version and allowed variables
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const active = new Map((await promptModel.listActive()).map((t) => [t.name, t]));
+
+    return Object.entries(PROMPT_TEMPLATES).map(([name, { variables, required }]) => {
+      const current = active.get(name) || this.getBuiltin(name);
+      return {
+        name,
+        activeVersion: current.version,
+        variables,
+        required,
+        active: current,
+      };
+    });
+  }
+
+  /**
+   * All versions of a template, newest first, ending with the built-in one
+   * @param {string} name
+   * @returns {Promise<Object[]>}
+   */
+  async listVersions(name) {
+    this.requireManaged(name);
+    const versions = await promptModel.listVersions(name);
+    const builtin = { ...this.getBuiltin(name), active: !versions.some((v) => v.active) };
+    return [...versions, builtin];
+  }
+
+  /**
+   * Store a new version of a template, optionally promoting it right away
+   * @param {string} name - Template name
+   * @param {Object} data - { template, description, activate }
+   * @param {Object} creator - req.user of the admin
+   * @returns {Promise<Object>} New version
+   */
+  async createVersion(name, { template, description, activate = false }, creator) {
+    this.requireManaged(name);
+
+    const errors = this.validateTemplate(name, template);
+    if (errors.length) {
+      throw APIError.badRequest("Invalid prompt template", errors);
+    }
+
+    const created = await promptModel.create({
+      name,
+      template,
+      variables: placeholders(template),
+      description,
+      createdBy: creator?.id,
+    });
+    logger.info("Prompt version created", { name, version: created.version, createdBy: creator?.id });
+
+    return activate ? this.promote(name, created.version, creator) : created;
+  }
+
+  /**
+   * Make a version the active one; version 0 reverts to the built-in template
+   * @param {string} name - Template name
+   * @param {number} version
+   * @param {Object} admin - req.user of the admin
+   * @returns {Promise<Object>} Active version
+   */
+  async promote(name, version, admin) {
+    this.requireManaged(name);
+
+    const promoted = await promptModel.promote(name, version);
+    if (!promoted && version !== BUILTIN_VERSION) {
+      throw APIError.notFound(`${name} has no prompt version ${version}`);
+    }
+
+    // Other instances pick the change up when their cache entry expires
+    this.active.delete(name);
+    logger.info("Prompt version promoted", { name, version, by: admin?.id });
+
+    return promoted || { ...this.getBuiltin(name), active: true };
+  }
+}
+
+const promptService = new PromptService();
+
+module.exports = { promptService, placeholders, BUILTIN_VERSION };
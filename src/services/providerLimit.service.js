@@ -0,0 +1,206 @@
+const { logger } = require("../config/logger");
+const { getRateLimits } = require("../config/rateLimits");
+const { cacheService } = require("./cache.service");
+const { APIError } = require("../middleware/error.middleware");
+
+const WINDOW_MS = 60000;
+
+/**
+ * Token buckets for requests (KEYS[1]) and tokens (KEYS[2]).
+ * ARGV: rpm, tpm, requests, tokens, force.
+ * Each bucket holds up to its per-minute limit and refills continuously.
+ * Takes from both buckets and returns 0 when both have enough, otherwise
+ * takes nothing and returns the milliseconds until they will. With force
+ * the cost is always taken (a negative cost gives tokens back).
+ * Uses the Redis clock so all instances agree on time.
+ */
+const TAKE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local force = ARGV[5] == '1'
+local levels = {}
+local wait = 0
+for i = 1, 2 do
+  local capacity = tonumber(ARGV[i])
+  if capacity > 0 then
+    local cost = tonumber(ARGV[i + 2])
+    local state = redis.call('HMGET', KEYS[i], 'level', 'updated')
+    local level = tonumber(state[1]) or capacity
+    local updated = tonumber(state[2]) or now
+    level = math.min(capacity, level + (now - updated) * capacity / ${WINDOW_MS})
+    levels[i] = level
+    local need = math.min(cost, capacity)
+    if not force and level < need then
+      wait = math.max(wait, math.ceil((need - level) * ${WINDOW_MS} / capacity))
+    end
+  end
+end
+if wait > 0 then
+  return wait
+end
+for i = 1, 2 do
+  if levels[i] then
+    local level = math.min(tonumber(ARGV[i]), levels[i] - tonumber(ARGV[i + 2]))
+    redis.call('HSET', KEYS[i], 'level', tostring(level), 'updated', now)
+    redis.call('PEXPIRE', KEYS[i], ${2 * WINDOW_MS})
+  end
+end
+return 0
+`;
+
+/**
+ * Requests-per-minute and tokens-per-minute limits per provider/model,
+ * shared by all instances through Redis (see config/rateLimits).
+ * Calls over the limit wait in a FIFO queue until capacity is available,
+ * at most maxWaitMs. Without Redis the buckets are kept per process.
+ */
+class ProviderLimitService {
+  constructor() {
+    this.maxWaitMs = parseInt(process.env.AI_RATE_LIMIT_MAX_WAIT_MS || "30000", 10);
+    this.prefix = process.env.AI_RATE_LIMIT_PREFIX || "ratelimit:provider";
+    this.localBuckets = new Map(); // key -> { level, updated }, used while Redis is unavailable
+    this.queues = new Map(); // "provider:model" -> tail of the wait queue
+    this.waiting = new Map(); // "provider:model" -> calls waiting for capacity
+  }
+
+  /**
+   * Take from a bucket kept in this process; same rules as TAKE_SCRIPT
+   * @returns {number} Milliseconds to wait, 0 when taken
+   */
+  takeLocal(buckets, force) {
+    const now = Date.now();
+    let wait = 0;
+    const levels = buckets.map(({ key, capacity, cost }) => {
+      if (!(capacity > 0)) return null;
+      const state = this.localBuckets.get(key) || { level: capacity, updated: now };
+      const level = Math.min(capacity, state.level + ((now - state.updated) * capacity) / WINDOW_MS);
+      const need = Math.min(cost, capacity);
+      if (!force && level < need) {
+        wait = Math.max(wait, Math.ceil(((need - level) * WINDOW_MS) / capacity));
+      }
+      return level;
+    });
+    if (wait > 0) return wait;
+
+    buckets.forEach(({ key, capacity, cost }, i) => {
+      if (levels[i] === null) return;
+      this.localBuckets.set(key, { level: Math.min(capacity, levels[i] - cost), updated: now });
+    });
+    return 0;
+  }
+
+  /**
+   * Take requests and tokens from the buckets of a provider/model
+   * @param {Object} target - { provider, model }
+   * @param {Object} limits - { rpm, tpm }
+   * @param {Object} cost - { requests, tokens }
+   * @param {boolean} [force] - Take even when the buckets run short
+   * @returns {Promise<number>} Milliseconds to wait, 0 when taken
+   */
+  async take({ provider, model }, limits, { requests, tokens }, force = false) {
+    const base = `${this.prefix}:${provider}:${model}`;
+    const buckets = [
+      { key: `${base}:requests`, capacity: limits.rpm || 0, cost: requests },
+      { key: `${base}:tokens`, capacity: limits.tpm || 0, cost: tokens },
+    ];
+
+    const wait = await cacheService.eval(
+      TAKE_SCRIPT,
+      buckets.map((bucket) => bucket.key),
+      [...buckets.map((bucket) => bucket.capacity), requests, tokens, force ? 1 : 0]
+    );
+    return wait === null ? this.takeLocal(buckets, force) : Number(wait);
+  }
+
+  /**
+   * Wait until a call fits the provider/model limits and take its share.
+   * Calls to the same provider/model are served in arrival order.
+   * @param {Object} target - { provider, model }
+   * @param {number} tokens - Estimated tokens of the call
+   * @returns {Promise<number>} Milliseconds spent queued
+   * @throws {APIError} 503 when there is no capacity within maxWaitMs
+   */
+  async acquire(target, tokens) {
+    const limits = getRateLimits(target.provider, target.model);
+    if (!limits) return 0;
+
+    const key = `${target.provider}:${target.model}`;
+    const enqueuedAt = Date.now();
+    const previous = this.queues.get(key) || Promise.resolve();
+    let release;
+    const turn = new Promise((resolve) => (release = resolve));
+    const tail = previous.then(() => turn);
+    this.queues.set(key, tail);
+    this.waiting.set(key, (this.waiting.get(key) || 0) + 1);
+    // Set when the call had to wait for others or for capacity
+    let throttled = this.waiting.get(key) > 1;
+
+    try {
+      await previous;
+      for (;;) {
+        const wait = await this.take(target, limits, { requests: 1, tokens });
+        if (wait === 0) break;
+
+        const remaining = enqueuedAt + this.maxWaitMs - Date.now();
+        if (wait > remaining) {
+          logger.warn("AI provider rate limit wait exceeded", { ...target, wait, maxWaitMs: this.maxWaitMs });
+          throw APIError.serviceUnavailable(`AI provider ${target.provider} is at its rate limit for ${target.model}`, [
+            {
+              field: "provider",
+              message: `No capacity within ${this.maxWaitMs}ms, retry in ${Math.ceil(wait / 1000)}s`,
+            },
+          ]);
+        }
+        throttled = true;
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+    } finally {
+      this.waiting.set(key, this.waiting.get(key) - 1);
+      release();
+      if (this.queues.get(key) === tail) this.queues.delete(key);
+    }
+
+    const queuedMs = Date.now() - enqueuedAt;
+    if (throttled) {
+      logger.info("AI provider call queued for rate limit", { ...target, queuedMs });
+    }
+    return queuedMs;
+  }
+
+  /**
+   * Correct the token bucket once the actual usage of a call is known
+   * @param {Object} target - { provider, model }
+   * @param {number} estimated - Tokens taken by acquire
+   * @param {number} [actual] - Tokens the call used
+   */
+  async settle(target, estimated, actual) {
+    const limits = getRateLimits(target.provider, target.model);
+    if (!limits?.tpm || actual === undefined || actual === estimated) return;
+    await this.take(target, limits, { requests: 0, tokens: actual - estimated }, true);
+  }
+
+  /**
+   * Limits and queue lengths for getServiceStatus
+   * @returns {Object[]}
+   */
+  getStatus() {
+    return [...this.waiting.entries()].map(([key, waiting]) => {
+      const [provider, ...rest] = key.split(":");
+      const model = rest.join(":");
+      return { provider, model, ...getRateLimits(provider, model), waiting };
+    });
+  }
+
+  /**
+   * Forget the in-process buckets and queues
+   */
+  reset() {
+    this.localBuckets.clear();
+    this.queues.clear();
+    this.waiting.clear();
+  }
+}
+
+const providerLimitService = new ProviderLimitService();
+
+module.exports = { providerLimitService };
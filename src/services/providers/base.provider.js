@@ -0,0 +1,121 @@
+/**
+ * Base class for AI providers.
+ *
+ * Every provider exposes the same four operations so that AIService never
+ * talks to a vendor SDK directly:
+ *   - generate(params)    -> { text, model, usage }
+ *   - stream(params)      -> async iterator of text chunks
+ *   - countTokens(params) -> { totalTokens }
+ *   - embed(params)       -> { embeddings: number[][], model }
+ *
+ * `params` always uses the provider-neutral shape:
+ *   { prompt, model, temperature, maxTokens, systemInstruction, responseFormat, jsonSchema, images, signal }
+ * where responseFormat "json" asks the model for a JSON object, jsonSchema
+ * optionally describes that object (the reply is validated by AIService
+ * either way), images ([{ mimeType, data }] with base64 data) are sent
+ * inline with the prompt and signal is an AbortSignal that cancels the
+ * request when the call times out or the client goes away.
+ *
+ * Errors from the vendor should keep its HTTP status in `error.status`, so
+ * resilienceService can tell transient failures from client errors.
+ */
+class BaseProvider {
+  constructor(name, defaultModel) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.initialized = false;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs (API key etc.)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Resolve the model to use for a call
+   * @param {string} [model] - Model requested by the caller
+   * @returns {string}
+   */
+  resolveModel(model) {
+    return model || this.defaultModel;
+  }
+
+  async generate() {
+    throw new Error(`${this.name} provider does not implement generate`);
+  }
+
+  stream() {
+    throw new Error(`${this.name} provider does not implement stream`);
+  }
+
+  async countTokens() {
+    throw new Error(`${this.name} provider does not implement countTokens`);
+  }
+
+  async embed() {
+    throw new Error(`${this.name} provider does not implement embed`);
+  }
+
+  /**
+   * Provider status for getServiceStatus
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      configured: this.isConfigured(),
+      initialized: this.initialized,
+      defaultModel: this.defaultModel,
+    };
+  }
+}
+
+/**
+ * Normalized token usage shape shared by all providers
+ * @param {Object} usage
+ * @returns {{inputTokens: number, outputTokens: number, cachedTokens: number, totalTokens: number}}
+ */
+const normalizeUsage = ({ inputTokens = 0, outputTokens = 0, cachedTokens = 0, totalTokens } = {}) => ({
+  inputTokens,
+  outputTokens,
+  cachedTokens,
+  totalTokens: totalTokens ?? inputTokens + outputTokens,
+});
+
+/**
+ * Sum two usage objects (either may be undefined), including the
+ * `queuedMs` AIService adds for time spent waiting on rate limits
+ * @param {Object} [a]
+ * @param {Object} [b]
+ * @returns {Object|undefined}
+ */
+const addUsage = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  const queuedMs = (a.queuedMs || 0) + (b.queuedMs || 0);
+  // Calls whose provider reported no token counts only add their queuedMs
+  if (a.totalTokens === undefined) return { ...b, queuedMs };
+  if (b.totalTokens === undefined) return { ...a, queuedMs };
+  return {
+    ...normalizeUsage({
+      inputTokens: a.inputTokens + b.inputTokens,
+      outputTokens: a.outputTokens + b.outputTokens,
+      cachedTokens: a.cachedTokens + b.cachedTokens,
+      totalTokens: a.totalTokens + b.totalTokens,
+    }),
+    queuedMs,
+  };
+};
+
+/**
+ * Rough token estimate (~4 characters per token) for providers without a
+ * token counting endpoint
+ * @param {string} text
+ * @returns {number}
+ */
+const estimateTokens = (text = "") => Math.ceil(String(text).length / 4);
+
+module.exports = { BaseProvider, normalizeUsage, addUsage, estimateTokens };
@@ -0,0 +1,132 @@
+const { logger } = require("../../config/logger");
+const { BaseProvider, normalizeUsage } = require("./base.provider");
+
+/**
+ * Google GenAI (Gemini) provider
+ */
+class GoogleProvider extends BaseProvider {
+  constructor() {
+    super("google", process.env.GOOGLE_MODEL || "gemini-2.0-flash");
+    this.apiKey = process.env.GOOGLE_API_KEY;
+    this.embeddingModel =
+      process.env.GOOGLE_EMBEDDING_MODEL || "text-embedding-004";
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Initialize Google GenAI client
+   */
+  async init() {
+    if (this.initialized) return;
+
+    if (!this.isConfigured()) {
+      throw new Error("GOOGLE_API_KEY environment variable is required");
+    }
+
+    try {
+      // Dynamic import of Google GenAI
+      const { GoogleGenAI } = await import("@google/genai");
+      this.client = new GoogleGenAI({ apiKey: this.apiKey }).models;
+      this.initialized = true;
+      logger.info("Google GenAI client initialized successfully");
+    } catch (error) {
+      logger.error("Failed to initialize Google GenAI client", {
+        error: error.message,
+      });
+      throw new Error("Failed to initialize Google GenAI client");
+    }
+  }
+
+  buildRequest({ prompt, model, temperature, maxTokens, systemInstruction, responseFormat, images, signal }) {
+    const config = {};
+    if (responseFormat === "json") config.responseMimeType = "application/json";
+    if (signal) config.abortSignal = signal;
+    if (temperature !== undefined) config.temperature = temperature;
+    if (maxTokens !== undefined) config.maxOutputTokens = maxTokens;
+    if (systemInstruction) config.systemInstruction = systemInstruction;
+
+    // Images travel as inline parts next to the text prompt
+    const contents = images?.length
+      ? [
+          {
+            role: "user",
+            parts: [
+              { text: prompt },
+              ...images.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } })),
+            ],
+          },
+        ]
+      : prompt;
+
+    return {
+      model: this.resolveModel(model),
+      contents,
+      config,
+    };
+  }
+
+  async generate(params) {
+    await this.init();
+    const request = this.buildRequest(params);
+    const response = await this.client.generateContent(request);
+
+    return {
+      text: response.text || "",
+      model: request.model,
+      usage: this.mapUsage(response.usageMetadata),
+    };
+  }
+
+  async *stream(params) {
+    await this.init();
+    const request = this.buildRequest(params);
+    const stream = await this.client.generateContentStream(request);
+
+    for await (const chunk of stream) {
+      if (chunk.text || chunk.usageMetadata) {
+        yield {
+          text: chunk.text || "",
+          usage: this.mapUsage(chunk.usageMetadata),
+        };
+      }
+    }
+  }
+
+  async countTokens({ prompt, model }) {
+    await this.init();
+    const response = await this.client.countTokens({
+      model: this.resolveModel(model),
+      contents: prompt,
+    });
+    return { totalTokens: response.totalTokens || 0 };
+  }
+
+  async embed({ input, model }) {
+    await this.init();
+    const resolvedModel = model || this.embeddingModel;
+    const response = await this.client.embedContent({
+      model: resolvedModel,
+      contents: input,
+    });
+    return {
+      embeddings: (response.embeddings || []).map((e) => e.values),
+      model: resolvedModel,
+    };
+  }
+
+  mapUsage(usageMetadata) {
+    if (!usageMetadata) return undefined;
+    return normalizeUsage({
+      inputTokens: usageMetadata.promptTokenCount || 0,
+      outputTokens: usageMetadata.candidatesTokenCount || 0,
+      cachedTokens: usageMetadata.cachedContentTokenCount || 0,
+      totalTokens: usageMetadata.totalTokenCount,
+    });
+  }
+}
+
+module.exports = { GoogleProvider };
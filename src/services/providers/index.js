@@ -0,0 +1,76 @@
+const { GoogleProvider } = require("./google.provider");
+const { OpenAIProvider } = require("./openai.provider");
+const { MockProvider } = require("./mock.provider");
+
+/**
+ * Registry of AI providers.
+ *
+ * The deployment default comes from AI_PROVIDER; individual requests may
+ * override it with `options.provider`. Set AI_PROVIDER=mock to run fully
+ * offline against the deterministic mock provider.
+ */
+
+// The mock provider returns free results and scripted errors and latency
+// (`options.mock`), so it only exists where it is asked for, never in production
+const mockEnabled =
+  process.env.NODE_ENV !== "production" &&
+  (process.env.AI_PROVIDER === "mock" || process.env.MOCK_AI_ENABLED === "true");
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProviderName = process.env.AI_PROVIDER || "google";
+  }
+
+  /**
+   * Register a provider instance under its name
+   * @param {BaseProvider} provider
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Get a provider by name, falling back to the deployment default
+   * @param {string} [name] - Provider name
+   * @returns {BaseProvider}
+   */
+  get(name) {
+    const providerName = name || this.defaultProviderName;
+    const provider = this.providers.get(providerName);
+
+    if (!provider) {
+      throw new Error(`Unsupported AI provider: ${providerName}`);
+    }
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register(new GoogleProvider());
+providerRegistry.register(new OpenAIProvider());
+providerRegistry.register(
+  new OpenAIProvider({
+    name: "local",
+    apiKey: process.env.LOCAL_AI_API_KEY,
+    baseURL: process.env.LOCAL_AI_BASE_URL || "http://localhost:11434/v1",
+    defaultModel: process.env.LOCAL_AI_MODEL || "llama3.1",
+    embeddingModel: process.env.LOCAL_AI_EMBEDDING_MODEL || "nomic-embed-text",
+  })
+);
+
+if (mockEnabled) {
+  providerRegistry.register(new MockProvider());
+}
+
+module.exports = { providerRegistry, ProviderRegistry, mockEnabled };
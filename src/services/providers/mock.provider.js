@@ -0,0 +1,275 @@
+const crypto = require("crypto");
+const { BaseProvider, normalizeUsage, estimateTokens } = require("./base.provider");
+
+const POSITIVE_WORDS = [
+  "love", "great", "good", "excellent", "amazing", "fast", "accurate",
+  "happy", "wonderful", "best", "awesome", "fantastic", "like", "enjoy",
+];
+const NEGATIVE_WORDS = [
+  "hate", "bad", "terrible", "awful", "slow", "broken", "poor", "worst",
+  "sad", "angry", "disappointing", "wrong", "bug", "fail",
+];
+const STOP_WORDS = new Set([
+  "about", "after", "again", "their", "there", "these", "those", "which",
+  "while", "where", "would", "could", "should", "other", "being", "because",
+]);
+
+/**
+ * Deterministic offline provider for development and tests.
+ *
+ * Outputs depend only on the input text, so the same request always yields
+ * the same result. Behaviour can be scripted per call:
+ *   - per request with `options.mock`: { latencyMs, error, malformed }
+ *   - programmatically with `script([...])`, consumed one entry per call
+ *   - globally with MOCK_AI_LATENCY_MS
+ *
+ * Only registered with AI_PROVIDER=mock or MOCK_AI_ENABLED=true, and never
+ * with NODE_ENV=production (see providers/index.js).
+ */
+class MockProvider extends BaseProvider {
+  constructor() {
+    super("mock", "mock-1");
+    this.latencyMs = parseInt(process.env.MOCK_AI_LATENCY_MS || "0", 10);
+    this.scenarios = [];
+    this.calls = 0;
+    this.initialized = true;
+  }
+
+  /**
+   * Queue scenarios for upcoming calls
+   * @param {Object[]} scenarios - e.g. [{ error: { status: 429 } }, { malformed: true }]
+   */
+  script(scenarios = []) {
+    this.scenarios.push(...scenarios);
+  }
+
+  /**
+   * Clear scripted scenarios and call count
+   */
+  reset() {
+    this.scenarios = [];
+    this.calls = 0;
+  }
+
+  /**
+   * Pick the scenario for this call: scripted queue first, then request options
+   */
+  nextScenario(requestScenario) {
+    this.calls += 1;
+    return this.scenarios.shift() || requestScenario || {};
+  }
+
+  async applyScenario(scenario, signal) {
+    const latencyMs = scenario.latencyMs ?? this.latencyMs;
+    if (latencyMs > 0) {
+      // Cancellable like a real request
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, latencyMs);
+        signal?.addEventListener(
+          "abort",
+          () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          },
+          { once: true }
+        );
+      });
+    }
+
+    if (scenario.error) {
+      const { status = 500, message = "Mock provider error" } =
+        scenario.error === true ? {} : scenario.error;
+      const error = new Error(message);
+      error.status = status;
+      throw error;
+    }
+  }
+
+  async generate({ prompt, model, task, input, mock, jsonSchema, images = [], signal }) {
+    const scenario = this.nextScenario(mock);
+    await this.applyScenario(scenario, signal);
+
+    const source = input ?? prompt;
+    let text = jsonSchema
+      ? JSON.stringify(this.sample(jsonSchema, this.digest(source)))
+      : this.respond(task, source);
+    if (scenario.malformed) {
+      // Truncated JSON inside a code fence, as real models sometimes return
+      text = "```json\n" + text.slice(0, Math.max(1, Math.floor(text.length / 2)));
+    }
+
+    return {
+      text,
+      model: this.resolveModel(model),
+      usage: normalizeUsage({
+        // Flat per-image cost, as Gemini bills small images
+        inputTokens: estimateTokens(prompt) + images.length * 258,
+        outputTokens: estimateTokens(text),
+      }),
+    };
+  }
+
+  async *stream(params) {
+    const { text, usage } = await this.generate(params);
+    const words = text.split(/(\s+)/);
+
+    for (let i = 0; i < words.length; i += 8) {
+      yield { text: words.slice(i, i + 8).join("") };
+    }
+    yield { text: "", usage };
+  }
+
+  async countTokens({ prompt }) {
+    const text = typeof prompt === "string" ? prompt : JSON.stringify(prompt);
+    return { totalTokens: estimateTokens(text) };
+  }
+
+  async embed({ input, model }) {
+    const inputs = Array.isArray(input) ? input : [input];
+    return {
+      embeddings: inputs.map((text) => this.vector(text)),
+      model: model || "mock-embedding-1",
+    };
+  }
+
+  /**
+   * Build a schema-correct response for a processing type
+   * @param {string} task - Processing type
+   * @param {string} text - Input text
+   * @returns {string}
+   */
+  respond(task, text = "") {
+    const words = this.words(text);
+    const digest = this.digest(text).slice(0, 8);
+
+    switch (task) {
+      case "summarize":
+        return `Summary [${digest}]: ${words.slice(0, 25).join(" ")}`.trim();
+      case "analyze-sentiment":
+        return JSON.stringify(this.sentiment(words));
+      case "extract-keywords":
+        return JSON.stringify({ keywords: this.keywords(words) });
+      case "translate":
+        return `[translated:${digest}] ${text}`;
+      // Image tasks receive the normalized image hash as input
+      case "image-caption":
+        return `A mock photograph [${digest}] of an everyday scene.`;
+      case "image-alt-text":
+        return `Mock image [${digest}] showing an everyday scene`;
+      case "image-ocr":
+        return `Mock extracted text [${digest}]`;
+      case "image-moderation":
+        return JSON.stringify({
+          safe: true,
+          categories: {
+            adult: "none",
+            violence: "none",
+            hate: "none",
+            selfHarm: "none",
+            drugs: "none",
+          },
+          sentiment: "neutral",
+          explanation: `No unsafe content found in image ${digest}.`,
+        });
+      case "generate-content":
+      default:
+        return `Generated content [${digest}] based on: ${words
+          .slice(0, 40)
+          .join(" ")}`.trim();
+    }
+  }
+
+  /**
+   * Build a value matching a JSON Schema, for custom processing types
+   * @param {Object} schema - JSON Schema
+   * @param {string} digest - Hash of the input, used in string values
+   * @returns {*}
+   */
+  sample(schema = {}, digest = "") {
+    if (schema.const !== undefined) return schema.const;
+    if (schema.enum) return schema.enum[0];
+    if (schema.default !== undefined) return schema.default;
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type) {
+      case "object":
+        return Object.fromEntries(
+          Object.entries(schema.properties || {}).map(([key, property]) => [
+            key,
+            this.sample(property, digest),
+          ])
+        );
+      case "array":
+        return Array.from({ length: Math.max(1, schema.minItems || 0) }, () =>
+          this.sample(schema.items, digest)
+        );
+      case "integer":
+      case "number":
+        return schema.minimum ?? 0;
+      case "boolean":
+        return true;
+      case "null":
+        return null;
+      case "string":
+      default: {
+        const text = `mock-${digest.slice(0, 8)}`;
+        return text.padEnd(schema.minLength || 0, "x").slice(0, schema.maxLength);
+      }
+    }
+  }
+
+  sentiment(words) {
+    const lower = words.map((w) => w.toLowerCase());
+    const positive = lower.filter((w) => POSITIVE_WORDS.includes(w));
+    const negative = lower.filter((w) => NEGATIVE_WORDS.includes(w));
+    const score = positive.length - negative.length;
+
+    let sentiment = "neutral";
+    if (score > 0) sentiment = "positive";
+    if (score < 0) sentiment = "negative";
+
+    const matched = positive.length + negative.length;
+    return {
+      sentiment,
+      confidence: matched === 0 ? 5 : Math.min(10, 5 + Math.abs(score) * 2),
+      emotionalIndicators: [...new Set([...positive, ...negative])],
+      explanation: `Found ${positive.length} positive and ${negative.length} negative indicators.`,
+    };
+  }
+
+  keywords(words) {
+    const counts = new Map();
+    for (const word of words) {
+      const key = word.toLowerCase();
+      if (key.length < 5 || STOP_WORDS.has(key)) continue;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const ranked = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 10);
+    const max = ranked.length ? ranked[0][1] : 1;
+
+    return ranked.map(([keyword, count]) => ({
+      keyword,
+      relevance: Math.round((count / max) * 100) / 10,
+    }));
+  }
+
+  words(text) {
+    return String(text).match(/[\p{L}\p{N}'-]+/gu) || [];
+  }
+
+  digest(text) {
+    return crypto.createHash("sha256").update(String(text)).digest("hex");
+  }
+
+  vector(text, dimensions = 8) {
+    const hash = this.digest(text);
+    return Array.from({ length: dimensions }, (_, i) =>
+      parseInt(hash.slice(i * 4, i * 4 + 4), 16) / 0xffff
+    );
+  }
+}
+
+module.exports = { MockProvider };
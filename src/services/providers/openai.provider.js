@@ -0,0 +1,142 @@
+const { logger } = require("../../config/logger");
+const {
+  BaseProvider,
+  normalizeUsage,
+  estimateTokens,
+} = require("./base.provider");
+
+/**
+ * OpenAI provider. Also used for OpenAI-compatible local servers
+ * (Ollama, vLLM, LM Studio) by passing a different name and base URL.
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor({
+    name = "openai",
+    apiKey = process.env.OPENAI_API_KEY,
+    baseURL = process.env.OPENAI_BASE_URL,
+    defaultModel = process.env.OPENAI_MODEL || "gpt-4o-mini",
+    embeddingModel = process.env.OPENAI_EMBEDDING_MODEL ||
+      "text-embedding-3-small",
+  } = {}) {
+    super(name, defaultModel);
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.embeddingModel = embeddingModel;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey || this.baseURL);
+  }
+
+  /**
+   * Initialize OpenAI client
+   */
+  async init() {
+    if (this.initialized) return;
+
+    if (!this.isConfigured()) {
+      throw new Error(
+        `${this.name} provider requires an API key or base URL to be configured`
+      );
+    }
+
+    const { OpenAI } = require("openai");
+    this.client = new OpenAI({
+      // Local OpenAI-compatible servers usually ignore the key but the SDK requires one
+      apiKey: this.apiKey || "not-needed",
+      baseURL: this.baseURL,
+    });
+    this.initialized = true;
+    logger.info(`${this.name} client initialized successfully`);
+  }
+
+  buildRequest({ prompt, model, temperature, maxTokens, systemInstruction, responseFormat, images }) {
+    const messages = [];
+    if (systemInstruction) {
+      messages.push({ role: "system", content: systemInstruction });
+    }
+    // Images are sent as data URLs in a multi-part user message
+    const content = images?.length
+      ? [
+          { type: "text", text: prompt },
+          ...images.map(({ mimeType, data }) => ({
+            type: "image_url",
+            image_url: { url: `data:${mimeType};base64,${data}` },
+          })),
+        ]
+      : prompt;
+    messages.push({ role: "user", content });
+
+    const request = { model: this.resolveModel(model), messages };
+    if (temperature !== undefined) request.temperature = temperature;
+    if (maxTokens !== undefined) request.max_tokens = maxTokens;
+    if (responseFormat === "json") request.response_format = { type: "json_object" };
+    return request;
+  }
+
+  async generate(params) {
+    await this.init();
+    const request = this.buildRequest(params);
+    const completion = await this.client.chat.completions.create(request, { signal: params.signal });
+
+    return {
+      text: completion.choices[0]?.message?.content || "",
+      model: completion.model || request.model,
+      usage: this.mapUsage(completion.usage),
+    };
+  }
+
+  async *stream(params) {
+    await this.init();
+    const request = this.buildRequest(params);
+    const stream = await this.client.chat.completions.create(
+      {
+        ...request,
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      { signal: params.signal }
+    );
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content || "";
+      if (text || chunk.usage) {
+        yield { text, usage: this.mapUsage(chunk.usage) };
+      }
+    }
+  }
+
+  /**
+   * OpenAI has no token counting endpoint, so this is an estimate
+   */
+  async countTokens({ prompt }) {
+    const text = typeof prompt === "string" ? prompt : JSON.stringify(prompt);
+    return { totalTokens: estimateTokens(text), estimated: true };
+  }
+
+  async embed({ input, model }) {
+    await this.init();
+    const resolvedModel = model || this.embeddingModel;
+    const response = await this.client.embeddings.create({
+      model: resolvedModel,
+      input,
+    });
+    return {
+      embeddings: response.data.map((d) => d.embedding),
+      model: resolvedModel,
+    };
+  }
+
+  mapUsage(usage) {
+    if (!usage) return undefined;
+    return normalizeUsage({
+      inputTokens: usage.prompt_tokens || 0,
+      outputTokens: usage.completion_tokens || 0,
+      cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+      totalTokens: usage.total_tokens,
+    });
+  }
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,174 @@
+const { getTier } = require("../config/quotas");
+const { cacheService } = require("./cache.service");
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Add ARGV[1] to the counter KEYS[1] and return the new value. The counter
+ * expires ARGV[2] milliseconds after it is created.
+ */
+const COUNT_SCRIPT = `
+local count = redis.call('INCRBY', KEYS[1], ARGV[1])
+if redis.call('PTTL', KEYS[1]) < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return count
+`;
+
+/**
+ * Per-principal request rate limits and daily token quotas, counted in
+ * Redis so every instance enforces the same limits (see config/quotas).
+ * Requests are counted in fixed windows; tokens per UTC day. Without
+ * Redis the counters are kept per process.
+ */
+class QuotaService {
+  constructor() {
+    this.prefix = process.env.AI_QUOTA_PREFIX || "ratelimit:principal";
+    this.localCounters = new Map(); // key -> { count, expiresAt }, used while Redis is unavailable
+  }
+
+  /**
+   * Counter key part identifying the caller: the user or API key when
+   * authenticated, else the client IP
+   * @param {Object} [principal] - req.user
+   * @param {string} [ip] - Client IP for anonymous callers
+   * @returns {string}
+   */
+  identify(principal, ip) {
+    return principal ? `${principal.type}:${principal.id}` : `ip:${ip}`;
+  }
+
+  /**
+   * Add to a counter kept in this process; same rules as COUNT_SCRIPT
+   * @returns {number} The new value
+   */
+  countLocal(key, amount, ttlMs) {
+    const now = Date.now();
+    const counter = this.localCounters.get(key);
+    const current = counter && counter.expiresAt > now ? counter : { count: 0, expiresAt: now + ttlMs };
+    current.count += amount;
+    this.localCounters.set(key, current);
+    return current.count;
+  }
+
+  /**
+   * Add to a counter and return its new value
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add, 0 to read it
+   * @param {number} ttlMs - Lifetime of a new counter
+   * @returns {Promise<number>}
+   */
+  async count(key, amount, ttlMs) {
+    const value = Math.round(amount);
+    const count = await cacheService.eval(COUNT_SCRIPT, [key], [value, ttlMs]);
+    return count === null ? this.countLocal(key, value, ttlMs) : Number(count);
+  }
+
+  /**
+   * Current request window of a tier
+   * @returns {{start: number, resetAt: number}} Epoch milliseconds
+   */
+  window(tier, now = Date.now()) {
+    const start = Math.floor(now / tier.windowMs) * tier.windowMs;
+    return { start, resetAt: start + tier.windowMs };
+  }
+
+  /**
+   * Current UTC day
+   * @returns {{day: string, resetAt: number}} Day as YYYY-MM-DD, reset in epoch milliseconds
+   */
+  day(now = Date.now()) {
+    const start = Math.floor(now / DAY_MS) * DAY_MS;
+    return { day: new Date(start).toISOString().slice(0, 10), resetAt: start + DAY_MS };
+  }
+
+  /**
+   * Count a request against the caller's rate limit
+   * @param {Object} [principal] - req.user
+   * @param {string} [ip] - Client IP for anonymous callers
+   * @param {number} [amount] - Requests to count, 0 to only read the window
+   * @returns {Promise<Object|null>} { tier, limit, remaining, resetAt, windowMs, exceeded },
+   *   null when the tier has no request limit
+   */
+  async hit(principal, ip, amount = 1) {
+    const tier = getTier(principal);
+    if (!tier.requests) return null;
+
+    const { start, resetAt } = this.window(tier);
+    const used = await this.count(
+      `${this.prefix}:requests:${this.identify(principal, ip)}:${start}`,
+      amount,
+      tier.windowMs
+    );
+    return {
+      tier: tier.name,
+      limit: tier.requests,
+      remaining: Math.max(0, tier.requests - used),
+      resetAt,
+      windowMs: tier.windowMs,
+      exceeded: used > tier.requests,
+    };
+  }
+
+  /**
+   * Token quota of a principal for the current UTC day
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} { limit, used, remaining, resetAt, exceeded }; limit and
+   *   remaining are null when the tier has no token quota
+   */
+  async getTokenQuota(principal) {
+    const tier = getTier(principal);
+    const { day, resetAt } = this.day();
+    const used = await this.count(`${this.prefix}:tokens:${this.identify(principal)}:${day}`, 0, DAY_MS * 2);
+
+    if (!tier.dailyTokens) {
+      return { limit: null, used, remaining: null, resetAt, exceeded: false };
+    }
+    return {
+      limit: tier.dailyTokens,
+      used,
+      remaining: Math.max(0, tier.dailyTokens - used),
+      resetAt,
+      exceeded: used >= tier.dailyTokens,
+    };
+  }
+
+  /**
+   * Count tokens a principal used against its daily quota
+   * @param {Object} [principal] - req.user; calls without one are not counted
+   * @param {number} tokens - Tokens used
+   */
+  async addTokens(principal, tokens) {
+    if (!principal || !(tokens > 0)) return;
+
+    const { day } = this.day();
+    await this.count(`${this.prefix}:tokens:${this.identify(principal)}:${day}`, tokens, DAY_MS * 2);
+  }
+
+  /**
+   * Remaining allowance of a principal, for GET /api/ai/quota
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} { tier, requests, tokens }
+   */
+  async getQuota(principal) {
+    const [requests, tokens] = await Promise.all([this.hit(principal, undefined, 0), this.getTokenQuota(principal)]);
+    const format = ({ exceeded, tier, resetAt, ...rest }) => ({ ...rest, resetAt: new Date(resetAt).toISOString() });
+
+    return {
+      tier: getTier(principal).name,
+      requests: requests ? format(requests) : null,
+      tokens: format(tokens),
+    };
+  }
+
+  /**
+   * Forget the in-process counters
+   */
+  reset() {
+    this.localCounters.clear();
+  }
+}
+
+const quotaService = new QuotaService();
+
+module.exports = { quotaService };
@@ -0,0 +1,335 @@
+const { StatusCodes } = require("http-status-codes");
+const { logger } = require("../config/logger");
+const { APIError } = require("../middleware/error.middleware");
+
+// Provider responses worth another attempt
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+// Network failures worth another attempt
+const RETRYABLE_CODES = ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET"];
+
+class ProviderTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Provider call timed out after ${timeoutMs}ms`);
+    this.name = "ProviderTimeoutError";
+    this.code = "ETIMEDOUT";
+  }
+}
+
+/**
+ * Circuit breaker for one provider/model.
+ *
+ * closed: calls go through; consecutive failures are counted.
+ * open: calls fail fast until the cooldown has passed.
+ * half-open: one trial call decides between closed and open again.
+ */
+class CircuitBreaker {
+  constructor(provider, model, { failureThreshold, cooldownMs }) {
+    this.provider = provider;
+    this.model = model;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go through now. Moves an open breaker to half-open
+   * once the cooldown has passed, letting a single trial call through.
+   * @returns {boolean}
+   */
+  allow() {
+    if (this.state === "open" && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half-open";
+      this.trialInFlight = false;
+    }
+    if (this.state === "closed") return true;
+    if (this.state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * The provider answered (successfully or with a client error)
+   */
+  onSuccess() {
+    if (this.state !== "closed") {
+      logger.info("Circuit breaker closed", { provider: this.provider, model: this.model });
+    }
+    this.state = "closed";
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  onFailure() {
+    this.failures += 1;
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      if (this.state !== "open") {
+        logger.warn("Circuit breaker opened", {
+          provider: this.provider,
+          model: this.model,
+          failures: this.failures,
+        });
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * @returns {number} Milliseconds until a trial call is allowed, 0 when not open
+   */
+  retryAfterMs() {
+    if (this.state !== "open") return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+  }
+
+  getStatus() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.retryAfterMs(),
+    };
+  }
+}
+
+/**
+ * Timeouts, retries with backoff and circuit breakers around provider calls.
+ * Breakers are kept per process, one per provider/model.
+ */
+class ResilienceService {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.AI_CALL_TIMEOUT_MS || "60000", 10);
+    this.retry = {
+      // Total attempts per call, including the first one
+      attempts: parseInt(process.env.AI_RETRY_ATTEMPTS || "3", 10),
+      baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS || "500", 10),
+      maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS || "8000", 10),
+    };
+    this.breakerSettings = {
+      failureThreshold: parseInt(process.env.AI_BREAKER_FAILURE_THRESHOLD || "5", 10),
+      cooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS || "30000", 10),
+    };
+    this.breakers = new Map(); // "provider:model" -> CircuitBreaker
+  }
+
+  getBreaker({ provider, model }) {
+    const key = `${provider}:${model}`;
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(provider, model, this.breakerSettings));
+    }
+    return this.breakers.get(key);
+  }
+
+  /**
+   * Whether an error is transient: rate limits, overload, timeouts, network errors
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    return RETRYABLE_STATUSES.includes(error.status) || RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Whether an error says something about the provider's health. Client
+   * errors (bad request, auth) do not count towards opening the breaker.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isFailure(error) {
+    return this.isRetryable(error) || error.status >= 500;
+  }
+
+  /**
+   * Delay before the next attempt: exponential backoff with full jitter,
+   * but never shorter than a Retry-After the provider sent
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} error
+   * @returns {number} Milliseconds
+   */
+  backoff(attempt, error) {
+    const ceiling = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (attempt - 1));
+    const delay = Math.round(Math.random() * ceiling);
+    const retryAfter = Number(error.headers?.["retry-after"] ?? error.headers?.get?.("retry-after"));
+    return Number.isFinite(retryAfter) && retryAfter > 0
+      ? Math.max(delay, Math.min(retryAfter * 1000, this.retry.maxDelayMs))
+      : delay;
+  }
+
+  /**
+   * @throws {APIError} 503 while the breaker is open
+   */
+  ensureAllowed(breaker) {
+    if (breaker.allow()) return;
+
+    const seconds = Math.ceil(breaker.retryAfterMs() / 1000);
+    throw APIError.serviceUnavailable(`AI provider ${breaker.provider} is temporarily unavailable`, [
+      {
+        field: "provider",
+        message: `Circuit open for ${breaker.provider}/${breaker.model} after repeated failures, retry in ${seconds}s`,
+      },
+    ]);
+  }
+
+  /**
+   * Run `call` with the call timeout. The signal is aborted on timeout so
+   * providers can cancel the underlying request. Aborting the controller
+   * from outside stops the wait right away with the abort reason.
+   * @param {Function} call - (signal) => Promise
+   * @param {AbortController} controller
+   */
+  async withTimeout(call, controller = new AbortController()) {
+    let timer;
+    let onAbort;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new ProviderTimeoutError(this.timeoutMs));
+        controller.abort();
+      }, this.timeoutMs);
+      onAbort = () => reject(controller.signal.reason);
+      controller.signal.addEventListener("abort", onAbort, { once: true });
+    });
+
+    try {
+      controller.signal.throwIfAborted();
+      return await Promise.race([call(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+      controller.signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Record a failed attempt and decide what happens next
+   * @returns {number} Delay before retrying
+   * @throws {Error} When the call should not be retried
+   */
+  handleFailure(error, { breaker, target, attempt, canRetry }) {
+    if (!this.isFailure(error)) {
+      breaker.onSuccess();
+      throw error;
+    }
+    breaker.onFailure();
+
+    if (!this.isRetryable(error)) throw error;
+    if (!canRetry || attempt >= this.retry.attempts) {
+      if (error instanceof ProviderTimeoutError) {
+        throw new APIError(
+          `AI provider ${target.provider} did not respond within ${this.timeoutMs}ms`,
+          StatusCodes.GATEWAY_TIMEOUT
+        );
+      }
+      throw APIError.serviceUnavailable(
+        `AI provider ${target.provider} is unavailable after ${attempt} attempts: ${error.message}`
+      );
+    }
+
+    const delay = this.backoff(attempt, error);
+    logger.warn("Retrying AI provider call", {
+      provider: target.provider,
+      model: target.model,
+      attempt,
+      delay,
+      status: error.status,
+      error: error.message,
+    });
+    return delay;
+  }
+
+  /**
+   * Call a provider with timeout, retries and the circuit breaker
+   * @param {Object} target - { provider, model }
+   * @param {Function} call - (signal) => Promise of the provider response
+   * @returns {Promise<*>} The provider response
+   * @throws {APIError} 503 when the breaker is open or retries are exhausted, 504 on timeout
+   */
+  async execute(target, call) {
+    const breaker = this.getBreaker(target);
+
+    for (let attempt = 1; ; attempt++) {
+      this.ensureAllowed(breaker);
+      try {
+        const result = await this.withTimeout(call);
+        breaker.onSuccess();
+        return result;
+      } catch (error) {
+        const delay = this.handleFailure(error, { breaker, target, attempt, canRetry: true });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Streaming variant of execute. The timeout applies to every wait for
+   * the next chunk; the call is only retried while nothing was yielded.
+   * @param {Object} target - { provider, model }
+   * @param {Function} start - (signal) => async iterable of chunks
+   * @param {AbortSignal} [signal] - Cancels the stream, e.g. when the client
+   *   disconnects; the pending wait rejects with the abort reason
+   */
+  async *executeStream(target, start, signal) {
+    const breaker = this.getBreaker(target);
+
+    for (let attempt = 1; ; attempt++) {
+      this.ensureAllowed(breaker);
+      const controller = new AbortController();
+      const cancel = () => controller.abort(signal.reason);
+      if (signal?.aborted) cancel();
+      signal?.addEventListener("abort", cancel, { once: true });
+      let received = false;
+      let iterator;
+      try {
+        iterator = start(controller.signal)[Symbol.asyncIterator]();
+        for (;;) {
+          const { value, done } = await this.withTimeout(() => iterator.next(), controller);
+          if (done) break;
+          if (!received) {
+            // The provider is answering; later errors are not retried
+            received = true;
+            breaker.onSuccess();
+          }
+          yield value;
+        }
+        if (!received) breaker.onSuccess();
+        return;
+      } catch (error) {
+        // Cancelled by the caller: not a provider failure, and not retried
+        if (signal?.aborted) throw error;
+        const delay = this.handleFailure(error, { breaker, target, attempt, canRetry: !received });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      } finally {
+        // Also runs when the consumer stops early (client disconnected), so
+        // the upstream stream does not keep running and billing
+        signal?.removeEventListener("abort", cancel);
+        controller.abort();
+        await iterator?.return?.();
+      }
+    }
+  }
+
+  /**
+   * Breaker states for getServiceStatus
+   * @returns {Object[]}
+   */
+  getStatus() {
+    return [...this.breakers.values()].map((breaker) => breaker.getStatus());
+  }
+
+  /**
+   * Forget all breaker state
+   */
+  reset() {
+    this.breakers.clear();
+  }
+}
+
+const resilienceService = new ResilienceService();
+
+module.exports = { resilienceService, ProviderTimeoutError };
@@ -0,0 +1,143 @@
+const { logger } = require("../config/logger");
+const { cacheService } = require("./cache.service");
+const { APIError } = require("../middleware/error.middleware");
+
+// Processing results are cached as ai:<type>:<hash> (see AIService.generateCacheKey)
+const KEY_PREFIX = "ai";
+const COUNTERS = ["hits", "localHits", "misses", "bytesRead", "writes", "bytesWritten"];
+const PURGE_PAGE_SIZE = 500;
+
+/**
+ * @param {Object} counters - Raw counters of one type
+ * @returns {Object} All counters plus the hit rate (null before any lookup)
+ */
+const withHitRate = (counters) => {
+  const stats = Object.fromEntries(COUNTERS.map((field) => [field, counters[field] || 0]));
+  const lookups = stats.hits + stats.misses;
+  return { ...stats, hitRate: lookups ? Math.round((stats.hits / lookups) * 10000) / 10000 : null };
+};
+
+/**
+ * Parse a cached result envelope; null when the entry is gone or unreadable
+ * @param {string|null} value
+ * @returns {Object|null}
+ */
+const parseEntry = (value) => {
+  try {
+    return value === null ? null : JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Inspection and targeted invalidation of the processing result cache.
+ * Hit/miss/byte counters are kept by CacheService per key group, which for
+ * result keys is the processing type.
+ */
+class ResultCacheService {
+  /**
+   * @param {string} [type] - Processing type, all types when omitted
+   * @returns {string} SCAN pattern for the result keys of a type
+   */
+  keyPattern(type) {
+    return `${KEY_PREFIX}:${type || "*"}:*`;
+  }
+
+  /**
+   * @returns {APIError} 503 for cacheService calls that found Redis unavailable
+   */
+  unavailable() {
+    return APIError.serviceUnavailable("Cache is unavailable");
+  }
+
+  /**
+   * Hit/miss/byte counters per processing type and in total
+   * @returns {Promise<Object>} { types: { [type]: stats }, totals: stats }
+   * @throws {APIError} 503 when Redis is unavailable
+   */
+  async getStats() {
+    const groups = await cacheService.getStats(`${KEY_PREFIX}:`);
+    if (!groups) throw this.unavailable();
+
+    const types = {};
+    const totals = {};
+    Object.entries(groups).forEach(([group, counters]) => {
+      types[group.slice(KEY_PREFIX.length + 1)] = withHitRate(counters);
+      COUNTERS.forEach((field) => {
+        totals[field] = (totals[field] || 0) + (counters[field] || 0);
+      });
+    });
+    return { types, totals: withHitRate(totals) };
+  }
+
+  /**
+   * One page of cached results. SCAN counts are a hint, so a page may hold
+   * somewhat more or fewer entries than `limit`.
+   * @param {Object} query - { type, cursor, limit }
+   * @returns {Promise<Object>} { entries, cursor }; cursor is null after the last page
+   * @throws {APIError} 503 when Redis is unavailable
+   */
+  async list({ type, cursor = "0", limit = 50 } = {}) {
+    const page = await cacheService.scanKeys(this.keyPattern(type), { cursor, count: limit });
+    if (!page) throw this.unavailable();
+
+    const entries = await cacheService.getEntries(page.keys);
+    return {
+      entries: entries
+        .filter(({ value }) => value !== null)
+        .map(({ key, value, ttl }) => {
+          const result = parseEntry(value);
+          return {
+            key,
+            type: key.split(":")[1],
+            provider: result?.provider,
+            model: result?.model,
+            prompt: result?.prompt,
+            bytes: Buffer.byteLength(value),
+            ttl,
+          };
+        }),
+      cursor: page.cursor === "0" ? null : page.cursor,
+    };
+  }
+
+  /**
+   * Delete cached results matching all given filters. Filtering by model or
+   * prompt version reads each entry of the scanned types.
+   * @param {Object} filters - { type, model, promptVersion }, at least one
+   * @returns {Promise<Object>} { deleted, scanned }
+   * @throws {APIError} 503 when Redis is unavailable
+   */
+  async purge({ type, model, promptVersion }) {
+    const inspect = model !== undefined || promptVersion !== undefined;
+    const matches = (result) =>
+      result !== null &&
+      (model === undefined || result.model === model) &&
+      (promptVersion === undefined || result.prompt?.version === promptVersion);
+
+    let cursor = "0";
+    let deleted = 0;
+    let scanned = 0;
+    do {
+      const page = await cacheService.scanKeys(this.keyPattern(type), { cursor, count: PURGE_PAGE_SIZE });
+      if (!page) throw this.unavailable();
+      cursor = page.cursor;
+      scanned += page.keys.length;
+
+      const keys = inspect
+        ? (await cacheService.getEntries(page.keys))
+            .filter(({ value }) => matches(parseEntry(value)))
+            .map(({ key }) => key)
+        : page.keys;
+      deleted += await cacheService.deleteMany(keys);
+    } while (cursor !== "0");
+
+    logger.info("AI result cache purged", { type, model, promptVersion, deleted, scanned });
+    return { deleted, scanned };
+  }
+}
+
+const resultCacheService = new ResultCacheService();
+
+module.exports = { resultCacheService };
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const { logger } = require("../config/logger");
+const { cacheService } = require("./cache.service");
+
+/**
+ * Set KEYS[1] to the token ARGV[1] for ARGV[2] milliseconds unless it
+ * exists. Returns 1 when the lock was taken, 0 when someone holds it.
+ */
+const LOCK_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+  return 1
+end
+return 0
+`;
+
+/**
+ * Delete the lock KEYS[1] if it still holds our token ARGV[1]; it may have
+ * expired and been taken by someone else meanwhile.
+ */
+const UNLOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Single flight for cacheable model calls: concurrent identical requests
+ * share one call instead of each missing the cache and paying for it.
+ * Within a process, callers of a key already in flight wait for its promise.
+ * Across instances, the call runs under a Redis lock on the key and other
+ * instances wait for its release, then read the result from the cache.
+ * Without Redis only the in-process coalescing applies.
+ */
+class SingleFlightService {
+  constructor() {
+    this.lockMs = parseInt(process.env.AI_SINGLE_FLIGHT_LOCK_MS || "120000", 10);
+    this.pollMs = parseInt(process.env.AI_SINGLE_FLIGHT_POLL_MS || "100", 10);
+    this.inFlight = new Map(); // key -> Promise<{ result, shared }>
+  }
+
+  /**
+   * Run `execute` once per key at a time. Callers arriving while it is in
+   * flight share its result, errors included.
+   * @param {string} key - Cache key of the result (see AIService.generateCacheKey)
+   * @param {Function} execute - async () => result; must cache the result under `key`
+   *   before resolving, so waiting instances can read it
+   * @returns {Promise<{result: Object, shared: boolean}>} `shared` is true when the
+   *   result came from another caller's call
+   */
+  async run(key, execute) {
+    const inFlight = this.inFlight.get(key);
+    if (inFlight) {
+      const { result } = await inFlight;
+      // A copy, so callers adding to their result do not touch the others'
+      return { result: structuredClone(result), shared: true };
+    }
+
+    const call = this.runLocked(key, execute);
+    this.inFlight.set(key, call);
+    try {
+      return await call;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Run under the key's Redis lock, or wait for the instance holding it and
+   * read its result from the cache. Runs anyway when the holder cached
+   * nothing (its call failed), when the lock is still held after lockMs and
+   * when Redis is unavailable.
+   * @returns {Promise<{result: Object, shared: boolean}>}
+   */
+  async runLocked(key, execute) {
+    const lockKey = `lock:${key}`;
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + this.lockMs;
+    // 1 taken, 0 held elsewhere, null without Redis
+    let locked = await cacheService.eval(LOCK_SCRIPT, [lockKey], [token, this.lockMs]);
+
+    while (locked === 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, this.pollMs));
+      if (await cacheService.exists(lockKey)) continue;
+
+      const cachedResult = await cacheService.get(key);
+      if (cachedResult) {
+        return { result: JSON.parse(cachedResult), shared: true };
+      }
+      locked = await cacheService.eval(LOCK_SCRIPT, [lockKey], [token, this.lockMs]);
+    }
+    if (locked === 0) {
+      logger.warn("Single-flight lock wait timed out, calling the model anyway", { key });
+    }
+
+    try {
+      return { result: await execute(), shared: false };
+    } finally {
+      if (locked === 1) await cacheService.eval(UNLOCK_SCRIPT, [lockKey], [token]);
+    }
+  }
+
+  /**
+   * Forget calls in flight
+   */
+  reset() {
+    this.inFlight.clear();
+  }
+}
+
+const singleFlightService = new SingleFlightService();
+
+module.exports = { singleFlightService };
@@ -0,0 +1,459 @@
+const dns = require("dns").promises;
+const net = require("net");
+const axios = require("axios");
+const { StatusCodes } = require("http-status-codes");
+const { JSDOM } = require("jsdom");
+const { Readability } = require("@mozilla/readability");
+const { logger } = require("../config/logger");
+const { APIError } = require("../middleware/error.middleware");
+const { extractionService } = require("./extraction.service");
+
+// Content types that can be turned into readable text
+const READABLE_TYPES = ["text/html", "application/xhtml+xml", "text/plain", "text/markdown"];
+
+// Query parameters that only track the visitor and never change the page
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|ref_src)$/i;
+
+const ROBOTS_CACHE_TTL = 3600 * 1000; // 1 hour
+const ROBOTS_CACHE_SIZE = 500;
+const ROBOTS_MAX_BYTES = 512 * 1024;
+
+// Addresses a public web page can never live at: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, documentation, multicast
+// and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001::", 32],
+  ["2001:db8::", 32],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Fetches web pages for processing with SSRF, size, time, redirect,
+ * robots.txt and content-type protections, and extracts their readable text.
+ */
+class UrlService {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.URL_FETCH_TIMEOUT_MS || "10000", 10);
+    this.maxBytes = parseInt(process.env.URL_FETCH_MAX_BYTES || String(2 * 1024 * 1024), 10);
+    this.maxRedirects = parseInt(process.env.URL_FETCH_MAX_REDIRECTS || "5", 10);
+    this.userAgent = process.env.URL_FETCH_USER_AGENT || "ai-content-processing-engine/1.0";
+    // Product token matched against robots.txt User-agent lines
+    this.robotsAgent = "ai-content-processing-engine";
+    // Only for local development and tests: allows private and loopback hosts
+    this.allowPrivateNetworks = process.env.URL_FETCH_ALLOW_PRIVATE_NETWORKS === "true";
+    this.robotsCache = new Map();
+  }
+
+  /**
+   * Fetch a page and extract its main readable text as Markdown
+   * @param {string} url - http(s) URL
+   * @returns {Promise<Object>} { text, url, finalUrl, canonicalUrl, title, siteName, contentType, encoding, bytes, redirects, fetchedAt }
+   * @throws {APIError} 400 blocked URL, 403 robots.txt, 413 too large, 415 content type, 422 no text, 502/504 upstream
+   */
+  async fetchPage(url) {
+    const deadline = AbortSignal.timeout(this.timeoutMs);
+    const response = await this.request(url, {
+      signal: deadline,
+      maxBytes: this.maxBytes,
+      accept: READABLE_TYPES.join(", "),
+      checkRobots: true,
+    });
+
+    if (response.status >= 400) {
+      throw new APIError(`Fetching ${url} failed with HTTP ${response.status}`, StatusCodes.BAD_GATEWAY, [
+        { field: "source.url", message: `Upstream responded with ${response.status}` },
+      ]);
+    }
+
+    const [mimeType, ...params] = (response.headers["content-type"] || "").split(";");
+    const contentType = mimeType.trim().toLowerCase();
+    const charset = params.join(";").match(/charset=["']?([\w-]+)/i)?.[1];
+    const isHtml = contentType === "text/html" || contentType === "application/xhtml+xml";
+
+    const { text: decoded, encoding } = extractionService.decodeText(
+      response.body,
+      charset || (isHtml ? extractionService.sniffHtmlCharset(response.body) : undefined)
+    );
+    const page = isHtml
+      ? this.extractReadable(decoded, response.url)
+      : { text: extractionService.normalizeMarkdown(decoded), canonicalUrl: response.url };
+
+    if (!page.text) {
+      throw new APIError("No readable text found at URL", StatusCodes.UNPROCESSABLE_ENTITY, [
+        { field: "source.url", message: "The page has no extractable text" },
+      ]);
+    }
+
+    return {
+      text: page.text,
+      url,
+      finalUrl: response.url,
+      canonicalUrl: this.normalizeUrl(page.canonicalUrl),
+      title: page.title || null,
+      siteName: page.siteName || null,
+      contentType,
+      encoding,
+      bytes: response.body.length,
+      redirects: response.redirects,
+      fetchedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Pick the main article with Readability and convert it to Markdown.
+   * Falls back to the whole body when no article is recognized.
+   * @param {string} html
+   * @param {string} pageUrl - Final URL, to resolve relative links
+   * @returns {{text: string, canonicalUrl: string, title: string, siteName: string}}
+   */
+  extractReadable(html, pageUrl) {
+    // jsdom does not run scripts or load subresources unless told to
+    const { document } = new JSDOM(html, { url: pageUrl }).window;
+
+    // Read the canonical link first: Readability rewrites the document
+    let canonicalUrl = pageUrl;
+    const canonical = document.querySelector('link[rel~="canonical"]')?.getAttribute("href");
+    if (canonical) {
+      try {
+        const resolved = new URL(canonical, pageUrl);
+        if (["http:", "https:"].includes(resolved.protocol)) canonicalUrl = resolved.href;
+      } catch {
+        // Malformed canonical link, keep the fetched URL
+      }
+    }
+
+    const article = new Readability(document).parse();
+    const body = article?.content ?? document.body?.innerHTML ?? "";
+
+    return {
+      text: extractionService.htmlToMarkdown(body),
+      canonicalUrl,
+      title: article?.title || document.title,
+      siteName: article?.siteName,
+    };
+  }
+
+  /**
+   * Canonical form used in responses and cache keys: no fragment, no
+   * tracking parameters, default ports dropped
+   * @param {string} url
+   * @returns {string}
+   */
+  normalizeUrl(url) {
+    const normalized = new URL(url);
+    normalized.hash = "";
+    for (const key of [...normalized.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) normalized.searchParams.delete(key);
+    }
+    return normalized.href;
+  }
+
+  /**
+   * GET a URL, following redirects by hand so every hop is validated
+   * @param {string} url
+   * @param {Object} options - { signal, maxBytes, accept, checkRobots }
+   * @returns {Promise<{status: number, headers: Object, body: Buffer, url: string, redirects: number}>}
+   */
+  async request(url, { signal, maxBytes, accept, checkRobots }) {
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const target = this.validateUrl(current);
+      if (checkRobots && !(await this.isAllowedByRobots(target, signal))) {
+        throw new APIError("Fetching this URL is disallowed by robots.txt", StatusCodes.FORBIDDEN, [
+          { field: "source.url", message: `robots.txt of ${target.origin} disallows ${target.pathname}` },
+        ]);
+      }
+
+      let response;
+      try {
+        response = await axios.get(target.href, {
+          responseType: "stream",
+          maxRedirects: 0,
+          validateStatus: () => true,
+          timeout: this.timeoutMs,
+          signal,
+          lookup: async (hostname) => this.resolveHost(hostname),
+          headers: { "User-Agent": this.userAgent, Accept: accept },
+        });
+      } catch (error) {
+        throw this.toFetchError(error, target);
+      }
+
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        response.data.destroy();
+        if (redirects >= this.maxRedirects) {
+          throw new APIError(`Too many redirects fetching ${url}`, StatusCodes.BAD_GATEWAY, [
+            { field: "source.url", message: `More than ${this.maxRedirects} redirects` },
+          ]);
+        }
+        current = new URL(location, target).href;
+        continue;
+      }
+
+      if (response.status < 400 && accept !== "*/*") {
+        const contentType = (response.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+        if (!READABLE_TYPES.includes(contentType)) {
+          response.data.destroy();
+          throw new APIError(`Unsupported content type at URL: ${contentType || "unknown"}`, StatusCodes.UNSUPPORTED_MEDIA_TYPE, [
+            { field: "source.url", message: `Supported content types: ${READABLE_TYPES.join(", ")}` },
+          ]);
+        }
+      }
+
+      const body = await this.readBody(response.data, maxBytes, target);
+      return { status: response.status, headers: response.headers, body, url: target.href, redirects };
+    }
+  }
+
+  /**
+   * Read a response stream, aborting once it exceeds maxBytes
+   */
+  readBody(stream, maxBytes, target) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      stream.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          stream.destroy();
+          reject(
+            new APIError(`Page at ${target.href} exceeds ${maxBytes} bytes`, StatusCodes.REQUEST_TOO_LONG, [
+              { field: "source.url", message: `Responses are limited to ${maxBytes} bytes` },
+            ])
+          );
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on("end", () => resolve(Buffer.concat(chunks)));
+      stream.on("error", (error) => reject(this.toFetchError(error, target)));
+    });
+  }
+
+  /**
+   * Check scheme, credentials and literal IP hosts (hostnames are checked
+   * at connection time by resolveHost)
+   * @param {string} url
+   * @param {string} [field] - Request field reported in errors
+   * @returns {URL}
+   */
+  validateUrl(url, field = "source.url") {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      throw APIError.badRequest("Invalid URL", [{ field, message: `${url} is not a valid URL` }]);
+    }
+
+    if (!["http:", "https:"].includes(target.protocol)) {
+      throw APIError.badRequest("URL is not allowed", [
+        { field, message: "Only http and https URLs can be fetched" },
+      ]);
+    }
+    if (target.username || target.password) {
+      throw APIError.badRequest("URL is not allowed", [
+        { field, message: "URLs with credentials are not allowed" },
+      ]);
+    }
+
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && this.isBlockedAddress(host)) {
+      throw this.blockedError(target.hostname, field);
+    }
+    return target;
+  }
+
+  /**
+   * DNS lookup used for every connection. All resolved addresses must be
+   * public, and the connection uses the address checked here, so a host
+   * cannot pass the check and then re-resolve to a private address.
+   * @param {string} hostname
+   * @param {string} [field] - Request field reported in errors
+   * @returns {Promise<{address: string, family: number}>}
+   */
+  async resolveHost(hostname, field = "source.url") {
+    const addresses = await dns.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => this.isBlockedAddress(address));
+    if (blocked) {
+      logger.warn("Blocked URL fetch to non-public address", { hostname, address: blocked.address });
+      throw this.blockedError(hostname, field);
+    }
+    return addresses[0];
+  }
+
+  /**
+   * Whether an IP address is outside the public internet
+   * @param {string} address
+   * @returns {boolean}
+   */
+  isBlockedAddress(address) {
+    if (this.allowPrivateNetworks) return false;
+
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+    if (mapped) return blockedAddresses.check(mapped, "ipv4");
+
+    const family = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+    return blockedAddresses.check(address, family);
+  }
+
+  blockedError(hostname, field = "source.url") {
+    return APIError.badRequest("URL is not allowed", [
+      { field, message: `${hostname} resolves to a private or reserved address` },
+    ]);
+  }
+
+  toFetchError(error, target) {
+    if (error instanceof APIError) return error;
+    // axios wraps errors thrown by the lookup hook
+    if (error.cause instanceof APIError) return error.cause;
+
+    const timedOut =
+      error.code === "ECONNABORTED" || error.name === "AbortError" || error.name === "CanceledError";
+    logger.warn("URL fetch failed", { url: target.href, error: error.message });
+
+    return timedOut
+      ? new APIError(`Timed out fetching ${target.href}`, StatusCodes.GATEWAY_TIMEOUT, [
+          { field: "source.url", message: `No complete response within ${this.timeoutMs} ms` },
+        ])
+      : new APIError(`Could not fetch ${target.href}`, StatusCodes.BAD_GATEWAY, [
+          { field: "source.url", message: error.message },
+        ]);
+  }
+
+  /**
+   * Check robots.txt for the target path. Per RFC 9309 a missing robots.txt
+   * (4xx) allows everything and an unreachable one (5xx, network) disallows
+   * everything. Rules are cached per origin.
+   * @param {URL} target
+   * @param {AbortSignal} signal
+   * @returns {Promise<boolean>}
+   */
+  async isAllowedByRobots(target, signal) {
+    let entry = this.robotsCache.get(target.origin);
+
+    if (!entry || entry.expiresAt < Date.now()) {
+      let rules;
+      try {
+        const response = await this.request(`${target.origin}/robots.txt`, {
+          signal,
+          maxBytes: ROBOTS_MAX_BYTES,
+          accept: "*/*",
+          checkRobots: false,
+        });
+        if (response.status >= 500) {
+          rules = [{ allow: false, path: "/" }];
+        } else {
+          rules = response.status >= 400 ? [] : this.parseRobots(response.body.toString("utf8"));
+        }
+      } catch (error) {
+        // Blocked hosts and the overall deadline fail the request itself
+        if ([StatusCodes.BAD_REQUEST, StatusCodes.GATEWAY_TIMEOUT].includes(error.statusCode)) throw error;
+        rules = [{ allow: false, path: "/" }];
+      }
+
+      entry = { rules, expiresAt: Date.now() + ROBOTS_CACHE_TTL };
+      if (this.robotsCache.size >= ROBOTS_CACHE_SIZE) {
+        this.robotsCache.delete(this.robotsCache.keys().next().value);
+      }
+      this.robotsCache.set(target.origin, entry);
+    }
+
+    return this.isPathAllowed(entry.rules, target.pathname + target.search);
+  }
+
+  /**
+   * Rules of the group for our user agent, or the `*` group
+   * @param {string} text - robots.txt content
+   * @returns {Array<{allow: boolean, path: string}>}
+   */
+  parseRobots(text) {
+    const groups = [];
+    let current = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+      if (!match) continue;
+      const [, field, value] = match;
+      const key = field.toLowerCase();
+
+      if (key === "user-agent") {
+        // Consecutive user-agent lines share one group
+        if (!current || current.rules.length) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+      } else if ((key === "allow" || key === "disallow") && current) {
+        // An empty Disallow allows everything
+        if (value) current.rules.push({ allow: key === "allow", path: value });
+      }
+    }
+
+    const agent = this.robotsAgent.toLowerCase();
+    const specific = groups.filter((group) => group.agents.some((name) => name !== "*" && agent.startsWith(name)));
+    const matched = specific.length ? specific : groups.filter((group) => group.agents.includes("*"));
+    return matched.flatMap((group) => group.rules);
+  }
+
+  /**
+   * Longest matching rule wins; on a tie Allow wins
+   * @param {Array<{allow: boolean, path: string}>} rules
+   * @param {string} path - Path with query string
+   * @returns {boolean}
+   */
+  isPathAllowed(rules, path) {
+    let best = null;
+
+    for (const rule of rules) {
+      const pattern = rule.path
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*")
+        .replace(/\\\$$/, "$");
+      if (!new RegExp(`^${pattern}`).test(path)) continue;
+
+      if (
+        !best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)
+      ) {
+        best = rule;
+      }
+    }
+    return best ? best.allow : true;
+  }
+}
+
+const urlService = new UrlService();
+
+module.exports = { urlService };
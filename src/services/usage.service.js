@@ -0,0 +1,101 @@
+const { logger } = require("../config/logger");
+const { getModelPricing } = require("../config/pricing");
+const { usageModel } = require("../models/usage.model");
+const { quotaService } = require("./quota.service");
+
+const DAY_MS = 24 * 3600 * 1000;
+
+class UsageService {
+  /**
+   * Compute the USD cost of a call from the price table.
+   * Input token counts include cached tokens, which are billed at the cached rate.
+   * @param {string} model - Model name
+   * @param {Object} usage - { inputTokens, outputTokens, cachedTokens }
+   * @returns {number} Cost in USD (0 for unknown models)
+   */
+  computeCost(model, usage) {
+    const price = getModelPricing(model);
+    if (!price || !usage) return 0;
+
+    const cachedTokens = usage.cachedTokens || 0;
+    const uncachedInput = Math.max(0, (usage.inputTokens || 0) - cachedTokens);
+    const cost =
+      (uncachedInput * price.input +
+        cachedTokens * (price.cached ?? price.input) +
+        (usage.outputTokens || 0) * price.output) /
+      1e6;
+
+    return Math.round(cost * 1e8) / 1e8;
+  }
+
+  /**
+   * Persist usage for a completed call and count its tokens against the
+   * principal's daily quota. Never throws: accounting failures must not
+   * fail the request that produced the result.
+   * @param {Object} entry - { principal, type, provider, model, usage }
+   */
+  async record({ principal, type, provider, model, usage }) {
+    // Nothing to account when the provider reported no token counts
+    if (usage?.totalTokens === undefined && usage?.inputTokens === undefined) return;
+
+    try {
+      await quotaService.addTokens(principal, usage.totalTokens);
+    } catch (error) {
+      logger.error("Failed to count AI usage against the token quota", {
+        processingType: type,
+        principalId: principal?.id,
+        error: error.message,
+      });
+    }
+
+    try {
+      await usageModel.create({
+        principalId: principal?.id,
+        principalType: principal?.type,
+        processingType: type,
+        provider,
+        model,
+        usage,
+        cost: usage.cost ?? this.computeCost(model, usage),
+      });
+    } catch (error) {
+      logger.error("Failed to record AI usage", {
+        processingType: type,
+        model,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Aggregate usage by day, type and model
+   * @param {Object} filters - { principalId, from, to } (defaults to the last 30 days)
+   * @returns {Promise<Object>}
+   */
+  async getUsage({ principalId, from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+    const filters = { principalId, from: start, to: end };
+
+    const [[totals], byDay, byType, byModel] = await Promise.all([
+      usageModel.aggregate(filters),
+      usageModel.aggregate(filters, "day"),
+      usageModel.aggregate(filters, "type"),
+      usageModel.aggregate(filters, "model"),
+    ]);
+
+    return {
+      principalId: principalId || null,
+      from: start.toISOString(),
+      to: end.toISOString(),
+      totals,
+      byDay,
+      byType,
+      byModel,
+    };
+  }
+}
+
+const usageService = new UsageService();
+
+module.exports = { usageService };
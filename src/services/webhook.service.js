@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { StatusCodes } = require("http-status-codes");
+const { logger } = require("../config/logger");
+const { QUEUE_NAMES, getQueue } = require("../config/queue");
+const { webhookModel } = require("../models/webhook.model");
+const { APIError } = require("../middleware/error.middleware");
+const { urlService } = require("./url.service");
+
+// Response bytes kept in the attempt log, for debugging receivers
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+/**
+ * Webhook callbacks for finished jobs. Each callback is a delivery row
+ * (the delivery log) plus a job on the ai-webhook queue; workers POST the
+ * payload, and Bull retries failed attempts with exponential backoff.
+ *
+ * Requests are signed with the owner's secret: X-Webhook-Signature is
+ * "sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>", so
+ * receivers can check both origin and freshness.
+ */
+class WebhookService {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10);
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6", 10);
+    // First retry delay; doubled for every further attempt
+    this.retryDelayMs = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS || "10000", 10);
+    this.userAgent = process.env.URL_FETCH_USER_AGENT || "ai-content-processing-engine/1.0";
+  }
+
+  /**
+   * The principal's signing secret, created on first use
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} { secret, createdAt }
+   */
+  async getSecret(principal) {
+    const existing = await webhookModel.findSecret(principal.id, principal.type);
+    return existing || this.rotateSecret(principal);
+  }
+
+  /**
+   * Replace the principal's signing secret. Deliveries attempted afterwards,
+   * retries included, are signed with the new secret.
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} { secret, createdAt }
+   */
+  async rotateSecret(principal) {
+    const secret = `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+    const saved = await webhookModel.saveSecret(principal.id, principal.type, secret);
+    logger.info("Webhook secret rotated", { ownerId: principal.id, ownerType: principal.type });
+    return saved;
+  }
+
+  /**
+   * Check a callbackUrl when the job is enqueued, so unusable URLs are
+   * rejected up front. Hostnames are checked again on every delivery.
+   * @throws {APIError} 400
+   */
+  validateCallbackUrl(url) {
+    return urlService.validateUrl(url, "callbackUrl");
+  }
+
+  /**
+   * Signature header value for a request body
+   * @param {string} secret
+   * @param {number} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} "sha256=<hex>"
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Record a callback in the delivery log and queue its first attempt
+   * @param {Object} callback
+   * @param {Object} callback.owner - Principal the callback belongs to ({ id, type })
+   * @param {string} callback.url - callbackUrl given with the job
+   * @param {string} callback.event - job.completed or job.failed
+   * @param {string} [callback.jobId]
+   * @param {Object} callback.data - Event data, sent as the payload's `data`
+   * @returns {Promise<Object>} Delivery
+   */
+  async schedule({ owner, url, event, jobId, data }) {
+    const id = crypto.randomUUID();
+    const payload = { id, event, createdAt: new Date().toISOString(), data };
+    const delivery = await webhookModel.createDelivery({
+      id,
+      ownerId: owner.id,
+      ownerType: owner.type,
+      jobId,
+      event,
+      url,
+      payload,
+    });
+
+    await this.enqueue(delivery.id);
+    logger.info("Webhook delivery scheduled", { deliveryId: delivery.id, event, jobId });
+    return delivery;
+  }
+
+  async enqueue(deliveryId) {
+    await getQueue(QUEUE_NAMES.WEBHOOK).add(
+      { deliveryId },
+      {
+        attempts: this.maxAttempts,
+        backoff: { type: "exponential", delay: this.retryDelayMs },
+      }
+    );
+  }
+
+  /**
+   * Worker handler: make one delivery attempt and log it. Throws when the
+   * attempt failed so Bull retries it; the delivery is marked failed after
+   * the last attempt. Callback URLs that resolve to private addresses are
+   * not retried.
+   * @param {Job} job - Bull job of the ai-webhook queue ({ deliveryId })
+   * @returns {Promise<Object>} { deliveryId, statusCode }
+   */
+  async deliver(job) {
+    const delivery = await webhookModel.findDelivery(job.data.deliveryId);
+    if (!delivery) {
+      job.discard();
+      throw new Error(`Webhook delivery ${job.data.deliveryId} not found`);
+    }
+
+    const { secret } = await this.getSecret({ id: delivery.ownerId, type: delivery.ownerType });
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    const attempt = { attempt: delivery.attempts + 1, at: new Date(startTime).toISOString() };
+
+    let error;
+    try {
+      const target = this.validateCallbackUrl(delivery.url);
+      const response = await axios.post(target.href, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        responseType: "text",
+        transformResponse: (data) => data,
+        validateStatus: () => true,
+        lookup: async (hostname) => urlService.resolveHost(hostname, "callbackUrl"),
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": this.userAgent,
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": this.sign(secret, timestamp, body),
+        },
+      });
+      attempt.statusCode = response.status;
+      attempt.response = String(response.data ?? "").slice(0, RESPONSE_EXCERPT_LENGTH);
+      if (response.status >= 300) {
+        error = new Error(`Receiver responded with HTTP ${response.status}`);
+      }
+    } catch (requestError) {
+      // axios wraps errors thrown by the lookup hook
+      error = requestError.cause instanceof APIError ? requestError.cause : requestError;
+      if (error instanceof APIError) job.discard();
+    }
+    attempt.durationMs = Date.now() - startTime;
+
+    if (!error) {
+      await webhookModel.recordAttempt(delivery.id, attempt, "delivered");
+      logger.info("Webhook delivered", { deliveryId: delivery.id, statusCode: attempt.statusCode });
+      return { deliveryId: delivery.id, statusCode: attempt.statusCode };
+    }
+
+    attempt.error = error.message;
+    const final = error instanceof APIError || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    await webhookModel.recordAttempt(delivery.id, attempt, final ? "failed" : "pending");
+    logger.warn("Webhook delivery attempt failed", {
+      deliveryId: delivery.id,
+      attempt: attempt.attempt,
+      statusCode: attempt.statusCode,
+      error: error.message,
+      final,
+    });
+    throw error;
+  }
+
+  /**
+   * Load a delivery the principal may see. Deliveries of other owners are
+   * reported as missing, except to admins.
+   * @throws {APIError} 404
+   */
+  async get(id, principal) {
+    const delivery = await webhookModel.findDelivery(id);
+    if (!delivery || (principal.role !== "admin" && delivery.ownerId !== principal.id)) {
+      throw APIError.notFound("Webhook delivery not found");
+    }
+    return delivery;
+  }
+
+  /**
+   * Delivery log of the principal, newest first. Admins see every owner's
+   * deliveries unless they pass ownerId.
+   * @param {Object} query - { status, jobId, ownerId, page, limit }
+   * @param {Object} principal - req.user
+   * @returns {Promise<Object>} { deliveries, pagination }
+   */
+  async list({ status, jobId, ownerId, page, limit }, principal) {
+    const { deliveries, total } = await webhookModel.listDeliveries(
+      { ownerId: principal.role === "admin" ? ownerId : principal.id, status, jobId },
+      { limit, offset: (page - 1) * limit }
+    );
+
+    return { deliveries, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+  }
+
+  /**
+   * Deliver a callback again with the same id and payload, starting a new
+   * series of attempts. Attempts of the earlier series stay in the log.
+   * @throws {APIError} 404, or 409 while the delivery is still being retried
+   */
+  async redeliver(id, principal) {
+    const delivery = await this.get(id, principal);
+    if (delivery.status === "pending") {
+      throw new APIError("Webhook delivery is still in progress", StatusCodes.CONFLICT);
+    }
+
+    const updated = await webhookModel.setStatus(delivery.id, "pending");
+    await this.enqueue(delivery.id);
+    logger.info("Webhook redelivery requested", { deliveryId: delivery.id, by: principal.id });
+    return updated;
+  }
+}
+
+const webhookService = new WebhookService();
+
+module.exports = { webhookService };
@@ -0,0 +1,78 @@
+jest.mock("../models/apiKey.model", () => {
+  const keys = new Map();
+  return {
+    apiKeyModel: {
+      create: async (data) => {
+        const apiKey = { id: `key-${keys.size + 1}`, revokedAt: null, expiresAt: null, ...data };
+        keys.set(apiKey.id, apiKey);
+        return apiKey;
+      },
+      findByHash: async (keyHash) => [...keys.values()].find((k) => k.keyHash === keyHash) || null,
+      updateSecret: async (id, secret) => {
+        const apiKey = keys.get(id);
+        if (!apiKey || apiKey.revokedAt) return null;
+        return Object.assign(apiKey, secret);
+      },
+      revoke: async (id) => {
+        const apiKey = keys.get(id);
+        if (!apiKey || apiKey.revokedAt) return null;
+        apiKey.revokedAt = new Date();
+        return apiKey;
+      },
+      touch: async () => {},
+    },
+  };
+});
+
+const { apiKeyService } = require("../services/apiKey.service");
+const { requireProcessingScope } = require("../middleware/auth.middleware");
+
+describe("ApiKeyService", () => {
+  it("mints keys that resolve to a scoped principal", async () => {
+    const { apiKey, key } = await apiKeyService.mint({ name: "translator", scopes: ["translate"] });
+
+    expect(key).toMatch(/^acp_/);
+    const principal = await apiKeyService.authenticate(key);
+    expect(principal).toEqual({
+      id: apiKey.id,
+      name: "translator",
+      role: "service",
+      type: "api_key",
+      scopes: ["translate"],
+    });
+    expect(apiKeyService.hasScope(principal, "translate")).toBe(true);
+    expect(apiKeyService.hasScope(principal, "summarize")).toBe(false);
+  });
+
+  it("rejects unknown scopes", async () => {
+    await expect(
+      apiKeyService.mint({ name: "bad", scopes: ["delete-everything"] })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("invalidates the old secret on rotation and everything on revoke", async () => {
+    const { apiKey, key } = await apiKeyService.mint({ name: "rotating" });
+    const rotated = await apiKeyService.rotate(apiKey.id);
+
+    await expect(apiKeyService.authenticate(key)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(apiKeyService.authenticate(rotated.key)).resolves.toMatchObject({ id: apiKey.id });
+
+    await apiKeyService.revoke(apiKey.id);
+    await expect(apiKeyService.authenticate(rotated.key)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it("blocks batch items outside the key's scopes", () => {
+    const next = jest.fn();
+    const req = {
+      user: { type: "api_key", scopes: ["translate"] },
+      body: { requests: [{ type: "translate" }, { type: "summarize" }] },
+    };
+
+    requireProcessingScope(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    expect(next.mock.calls[0][0].errors).toEqual([
+      { field: "type", message: "Missing scope: summarize" },
+    ]);
+  });
+});
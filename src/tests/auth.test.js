@@ -0,0 +1,97 @@
+process.env.BCRYPT_ROUNDS = "4";
+
+jest.mock("../models/user.model", () => {
+  const users = new Map();
+  const tokens = new Map();
+  return {
+    userModel: {
+      create: async ({ email, passwordHash, name }) => {
+        const user = { id: `user-${users.size + 1}`, email, name, role: "user" };
+        users.set(email, { ...user, passwordHash });
+        return user;
+      },
+      findById: async (id) => {
+        const record = [...users.values()].find((u) => u.id === id);
+        if (!record) return null;
+        const user = { ...record };
+        delete user.passwordHash;
+        return user;
+      },
+      findByEmailWithPassword: async (email) => users.get(email) || null,
+      saveRefreshToken: async ({ id, userId, expiresAt }) => {
+        tokens.set(id, { id, user_id: userId, expires_at: expiresAt, revoked_at: null });
+      },
+      findRefreshToken: async (id) => tokens.get(id) || null,
+      revokeRefreshToken: async (id) => {
+        const token = tokens.get(id);
+        if (token && !token.revoked_at) token.revoked_at = new Date();
+      },
+      revokeAllRefreshTokens: async (userId) => {
+        for (const token of tokens.values()) {
+          if (token.user_id === userId) token.revoked_at = new Date();
+        }
+      },
+    },
+  };
+});
+
+const { authService } = require("../services/auth.service");
+
+describe("AuthService", () => {
+  let session;
+
+  beforeAll(async () => {
+    session = await authService.register({
+      email: "Jane@Example.com",
+      password: "correct-horse-battery",
+      name: "Jane",
+    });
+  });
+
+  it("registers users with a normalized email and a token pair", () => {
+    expect(session.user.email).toBe("jane@example.com");
+    expect(session.tokens.accessToken).toEqual(expect.any(String));
+    expect(session.tokens.refreshToken).toEqual(expect.any(String));
+  });
+
+  it("rejects duplicate registrations", async () => {
+    await expect(
+      authService.register({ email: "jane@example.com", password: "another-password" })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("logs in with the right password only", async () => {
+    const { user } = await authService.login({
+      email: "jane@example.com",
+      password: "correct-horse-battery",
+    });
+    expect(user.id).toBe(session.user.id);
+    expect(user.passwordHash).toBeUndefined();
+
+    await expect(
+      authService.login({ email: "jane@example.com", password: "wrong-password" })
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it("verifies access tokens into a principal", () => {
+    expect(authService.verifyAccessToken(session.tokens.accessToken)).toEqual({
+      id: session.user.id,
+      email: "jane@example.com",
+      role: "user",
+      type: "user",
+    });
+  });
+
+  it("rotates refresh tokens and revokes every session on reuse", async () => {
+    const { tokens } = await authService.refresh(session.tokens.refreshToken);
+    expect(tokens.refreshToken).not.toBe(session.tokens.refreshToken);
+
+    await expect(authService.refresh(session.tokens.refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    // The rotated token was revoked along with the rest of the sessions
+    await expect(authService.refresh(tokens.refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+  });
+});
@@ -0,0 +1,110 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const { resilienceService } = require("../services/resilience.service");
+const aiRoutes = require("../routes/ai.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const token = signToken("user-1");
+
+const batch = (body) =>
+  request(app).post("/api/ai/batch").set("Authorization", `Bearer ${token}`).send(body);
+
+const item = (content, options) => ({ type: "summarize", content, options });
+// Provider errors that are not retried
+const failing = (content) => item(content, { mock: { error: { status: 500, message: "Internal" } } });
+
+describe("Batch processing", () => {
+  const batchSize = aiService.batchSize;
+
+  beforeEach(async () => {
+    mock.reset();
+    resilienceService.reset();
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    aiService.batchSize = batchSize;
+    jest.restoreAllMocks();
+  });
+
+  it("returns 200 with per-item results when every item succeeds", async () => {
+    const res = await batch({ requests: [item("First text"), item("Second text")] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ count: 2, succeeded: 2, failed: 0 });
+    expect(res.body.results.map((r) => [r.index, r.status, r.result.type])).toEqual([
+      [0, "fulfilled", "summarize"],
+      [1, "fulfilled", "summarize"],
+    ]);
+  });
+
+  it("reports failed items with error codes and answers 207 for mixed results", async () => {
+    const res = await batch({
+      requests: [
+        item("Works fine"),
+        failing("Provider down"),
+        { type: "analyze-sentiment", content: "Great", options: { mock: { malformed: true }, maxRepairAttempts: 0 } },
+      ],
+    });
+
+    expect(res.status).toBe(207);
+    expect(res.body).toMatchObject({ succeeded: 1, failed: 2 });
+    expect(res.body.results[0].status).toBe("fulfilled");
+    expect(res.body.results[1]).toEqual({
+      index: 1,
+      status: "rejected",
+      error: { code: "PROVIDER_ERROR", message: "Internal", statusCode: 500, providerStatus: 500 },
+    });
+    expect(res.body.results[2].error).toMatchObject({ code: "INVALID_MODEL_OUTPUT", statusCode: 502 });
+  });
+
+  it("answers with the shared status when every item fails the same way", async () => {
+    const res = await batch({ requests: [failing("One"), failing("Two")] });
+
+    expect(res.status).toBe(500);
+    expect(res.body.results.every((r) => r.error.code === "PROVIDER_ERROR")).toBe(true);
+  });
+
+  it("keeps results of earlier groups when a later item fails", async () => {
+    aiService.batchSize = 2;
+    const progress = [];
+
+    const results = await aiService.batchProcess(
+      [item("One"), item("Two"), failing("Three"), item("Four")],
+      { onProgress: async (sofar) => progress.push(sofar.length) }
+    );
+
+    expect(results.map((r) => r.status)).toEqual(["fulfilled", "fulfilled", "rejected", "fulfilled"]);
+    expect(progress).toEqual([2, 4]);
+  });
+
+  it("stops after the failing group with failFast", async () => {
+    aiService.batchSize = 2;
+
+    const res = await batch({
+      failFast: true,
+      requests: [failing("One"), item("Two"), item("Three"), item("Four"), item("Five")],
+    });
+
+    expect(res.status).toBe(207);
+    expect(res.body.results.map((r) => r.error?.code || r.status)).toEqual([
+      "PROVIDER_ERROR",
+      "fulfilled",
+      "BATCH_ABORTED",
+      "BATCH_ABORTED",
+      "BATCH_ABORTED",
+    ]);
+    expect(mock.calls).toBe(2);
+  });
+});
@@ -0,0 +1,123 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const { chunkText, mapWithConcurrency } = require("../utils/chunking.utils");
+const { aiService } = require("../services/ai.service");
+
+const mock = aiService.providers.get("mock");
+
+const buildDocument = (paragraphs) =>
+  Array.from({ length: paragraphs }, (_, p) =>
+    Array.from(
+      { length: 6 },
+      (_, s) => `Paragraph ${p} sentence ${s} talks about renewable energy storage.`
+    ).join(" ")
+  ).join("\n\n");
+
+describe("chunkText", () => {
+  it("covers the whole document with contiguous chunks within budget", () => {
+    const text = buildDocument(40);
+    const chunks = chunkText(text, { maxTokens: 300, overlapTokens: 50 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0].start).toBe(0);
+    expect(chunks[chunks.length - 1].end).toBe(text.length);
+    chunks.forEach((chunk, i) => {
+      expect(chunk.index).toBe(i);
+      expect(chunk.tokens).toBeLessThanOrEqual(300);
+      if (i > 0) expect(chunk.start).toBe(chunks[i - 1].end);
+    });
+  });
+
+  it("starts each chunk with the tail sentences of the previous one", () => {
+    const text = buildDocument(40);
+    const chunks = chunkText(text, { maxTokens: 300, overlapTokens: 50 });
+    const own = text.slice(chunks[1].start, chunks[1].end);
+    const overlap = chunks[1].text.slice(0, chunks[1].text.length - own.length);
+
+    expect(chunks[1].text.endsWith(own)).toBe(true);
+    expect(overlap.length).toBeGreaterThan(0);
+    expect(text.slice(chunks[0].start, chunks[0].end).endsWith(overlap)).toBe(true);
+  });
+
+  it("splits oversized sentences on word boundaries", () => {
+    const text = Array.from({ length: 500 }, (_, i) => `word${i}`).join(" ");
+    const chunks = chunkText(text, { maxTokens: 100 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.map((c) => c.text).join("")).toBe(text);
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("preserves order and never exceeds the limit", async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([5, 1, 3, 2, 4, 0], 2, async (n) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, n));
+      active -= 1;
+      return n * 10;
+    });
+
+    expect(results).toEqual([50, 10, 30, 20, 40, 0]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe("Long document summarization", () => {
+  beforeEach(() => mock.reset());
+
+  it("summarizes short content in a single call", async () => {
+    const result = await aiService.processContent({
+      type: "summarize",
+      content: buildDocument(2),
+      options: {},
+    });
+
+    expect(mock.calls).toBe(1);
+    expect(result.result.chunked).toBeUndefined();
+  });
+
+  it("map-reduces long content and reports per-chunk metadata", async () => {
+    const content = buildDocument(150);
+    const result = await aiService.processContent({
+      type: "summarize",
+      content,
+      options: { chunkTokens: 1000 },
+    });
+
+    const { chunks, reduceLevels, summary } = result.result;
+    expect(result.result.chunked).toBe(true);
+    expect(chunks.length).toBeGreaterThan(5);
+    expect(chunks[chunks.length - 1].end).toBe(content.length);
+    chunks.forEach((chunk) => {
+      expect(chunk.summary).toMatch(/^Summary \[/);
+      expect(chunk.tokens).toBeLessThanOrEqual(1000);
+    });
+    expect(reduceLevels).toBeGreaterThanOrEqual(1);
+    expect(summary).toMatch(/^Summary \[/);
+    expect(mock.calls).toBeGreaterThan(chunks.length);
+    expect(result.usage.totalTokens).toBeGreaterThan(content.length / 4);
+  });
+
+  it("renders the given summarize template for every map and reduce call", async () => {
+    const generate = jest.spyOn(aiService, "generate");
+    const template = { name: "summarize", version: 4, template: "Pinned v4. {{context}}Under {{maxLength}} words:\n{{content}}" };
+
+    const result = await aiService.summarizeText(buildDocument(150), { chunkTokens: 1000 }, template);
+
+    const prompts = generate.mock.calls.map(([prompt]) => prompt);
+    generate.mockRestore();
+    expect(prompts.length).toBe(mock.calls);
+    prompts.forEach((prompt) => expect(prompt).toMatch(/^Pinned v4\. The text below/));
+    const { chunks } = result.result;
+    expect(prompts[0]).toContain(`section 1 of ${chunks.length} of a longer document`);
+    expect(prompts[prompts.length - 1]).toContain("partial summaries");
+    expect(prompts[prompts.length - 1]).toContain("Under 150 words");
+  });
+});
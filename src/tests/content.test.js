@@ -0,0 +1,194 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+jest.mock("../models/content.model", () => {
+  const { randomUUID } = require("crypto");
+  const items = new Map();
+  const versions = [];
+  const summary = ({ content, ...item }) => ({
+    ...item,
+    contentLength: content.length,
+    versionCount: versions.filter((v) => v.contentId === item.id).length,
+  });
+  const withoutResult = (version) => {
+    const copy = { ...version };
+    delete copy.result;
+    return copy;
+  };
+
+  return {
+    contentModel: {
+      create: async (data) => {
+        const item = { id: randomUUID(), metadata: {}, tags: [], ...data, createdAt: new Date() };
+        items.set(item.id, item);
+        return { ...summary(item), content: item.content };
+      },
+      findById: async (id) => {
+        const item = items.get(id);
+        return item ? { ...summary(item), content: item.content } : null;
+      },
+      list: async ({ ownerId, q, type, tag }, { limit, offset }) => {
+        const matches = [...items.values()].filter(
+          (item) =>
+            (!ownerId || item.ownerId === ownerId) &&
+            (!q || `${item.title} ${item.content}`.toLowerCase().includes(q.toLowerCase())) &&
+            (!tag || item.tags.includes(tag)) &&
+            (!type || versions.some((v) => v.contentId === item.id && v.type === type))
+        );
+        return { items: matches.slice(offset, offset + limit).map(summary), total: matches.length };
+      },
+      update: async (id, changes) => {
+        const item = items.get(id);
+        Object.entries(changes).forEach(([key, value]) => value !== undefined && (item[key] = value));
+        return { ...summary(item), content: item.content };
+      },
+      remove: async (id) => items.delete(id),
+      createVersion: async (data) => {
+        const version = { id: randomUUID(), ...data, createdAt: new Date() };
+        versions.unshift(version);
+        return version;
+      },
+      findLatestVersion: async (contentId, type, options) =>
+        versions.find(
+          (v) => v.contentId === contentId && v.type === type && JSON.stringify(v.options) === JSON.stringify(options)
+        ) || null,
+      listVersions: async (contentId, { type, limit, offset }) => {
+        const matches = versions.filter((v) => v.contentId === contentId && (!type || v.type === type));
+        return { versions: matches.slice(offset, offset + limit).map(withoutResult), total: matches.length };
+      },
+      findVersion: async (contentId, versionId) =>
+        versions.find((v) => v.contentId === contentId && v.id === versionId) || null,
+    },
+  };
+});
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const contentRoutes = require("../routes/content.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/content": contentRoutes });
+
+const alice = signToken("alice");
+const bob = signToken("bob");
+const admin = signToken("root", "admin");
+
+const as = (token) => ({
+  get: (url) => request(app).get(url).set("Authorization", `Bearer ${token}`),
+  post: (url, body) => request(app).post(url).set("Authorization", `Bearer ${token}`).send(body),
+  patch: (url, body) => request(app).patch(url).set("Authorization", `Bearer ${token}`).send(body),
+  delete: (url) => request(app).delete(url).set("Authorization", `Bearer ${token}`),
+});
+
+const TEXT = "# Solar storage\n\nGrid batteries stored more solar energy this summer than ever before.";
+
+describe("Content library", () => {
+  let item;
+
+  beforeAll(async () => {
+    item = (await as(alice).post("/api/content", { content: TEXT, tags: ["Energy"] })).body;
+    await as(alice).post("/api/content", { title: "Wind report", content: "Offshore wind output rose." });
+    await as(bob).post("/api/content", { title: "Bob's notes", content: "Solar panels on the roof." });
+  });
+
+  beforeEach(() => mock.reset());
+
+  it("stores text with a derived title and normalized tags", () => {
+    expect(item).toMatchObject({
+      title: "Solar storage",
+      sourceType: "text",
+      ownerId: "alice",
+      ownerType: "user",
+      tags: ["energy"],
+      content: TEXT,
+    });
+  });
+
+  it("lists, searches and paginates per owner", async () => {
+    const all = await as(alice).get("/api/content?limit=1");
+    const search = await as(alice).get("/api/content?q=solar");
+    const everyone = await as(admin).get("/api/content");
+
+    expect(all.status).toBe(200);
+    expect(all.body.items).toHaveLength(1);
+    expect(all.body.pagination).toEqual({ page: 1, limit: 1, total: 2, pages: 2 });
+    expect(all.body.items[0].content).toBeUndefined();
+    expect(search.body.items.map((i) => i.title)).toEqual(["Solar storage"]);
+    expect(everyone.body.pagination.total).toBe(3);
+  });
+
+  it("hides other owners' content", async () => {
+    const res = await as(bob).get(`/api/content/${item.id}`);
+
+    expect(res.status).toBe(404);
+    expect((await as(admin).get(`/api/content/${item.id}`)).status).toBe(200);
+  });
+
+  it("stores results as versions and re-opens them without calling the model", async () => {
+    const first = await as(alice).post(`/api/content/${item.id}/process`, {
+      type: "translate",
+      options: { targetLanguage: "German" },
+    });
+    const again = await as(alice).post(`/api/content/${item.id}/process`, {
+      type: "translate",
+      options: { targetLanguage: "German" },
+    });
+
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ type: "translate", provider: "mock", reused: false });
+    expect(first.body.result.result.translatedText).toBeDefined();
+    expect(first.body.usage.inputTokens).toBeGreaterThan(0);
+    expect(again.status).toBe(200);
+    expect(again.body).toMatchObject({ id: first.body.id, reused: true });
+    expect(mock.calls).toBe(1);
+
+    const versions = await as(alice).get(`/api/content/${item.id}/versions`);
+    expect(versions.body.versions).toHaveLength(1);
+    expect(versions.body.versions[0].result).toBeUndefined();
+
+    const stored = await as(alice).get(`/api/content/${item.id}/versions/${first.body.id}`);
+    expect(stored.body.result).toEqual(first.body.result);
+    expect(mock.calls).toBe(1);
+  });
+
+  it("creates a new version when reuse is off and filters by type", async () => {
+    await as(alice).post(`/api/content/${item.id}/process`, { type: "summarize", reuse: false });
+    await as(alice).post(`/api/content/${item.id}/process`, { type: "summarize", reuse: false });
+
+    const summaries = await as(alice).get(`/api/content/${item.id}/versions?type=summarize`);
+    const withSummaries = await as(alice).get("/api/content?type=summarize");
+
+    expect(summaries.body.pagination.total).toBe(2);
+    expect(withSummaries.body.items.map((i) => i.id)).toEqual([item.id]);
+  });
+
+  it("validates requests", async () => {
+    const missing = await as(alice).post("/api/content", { title: "Empty" });
+    const badType = await as(alice).post(`/api/content/${item.id}/process`, { type: "explode" });
+    const badPage = await as(alice).get("/api/content?limit=500");
+    const badId = await as(alice).get("/api/content/not-a-uuid");
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors[0].message).toBe("content or source is required");
+    expect(badType.status).toBe(400);
+    expect(badPage.status).toBe(400);
+    expect(badId.status).toBe(404);
+  });
+
+  it("updates metadata and deletes items", async () => {
+    const updated = await as(alice).patch(`/api/content/${item.id}`, { title: "Solar storage (final)" });
+    const forbidden = await as(bob).delete(`/api/content/${item.id}`);
+    const deleted = await as(alice).delete(`/api/content/${item.id}`);
+
+    expect(updated.body.title).toBe("Solar storage (final)");
+    expect(updated.body.content).toBe(TEXT);
+    expect(forbidden.status).toBe(404);
+    expect(deleted.status).toBe(204);
+    expect((await as(alice).get(`/api/content/${item.id}`)).status).toBe(404);
+  });
+});
@@ -1,15 +1,24 @@
-import { GoogleGenAI } from "@google/genai";
+process.env.AI_PROVIDER = "mock";
 
+const { providerRegistry } = require("../services/providers");
 
-const ai = new GoogleGenAI({ apiKey: "API_KEY"});
+describe("Provider generate", () => {
+  const provider = providerRegistry.get();
 
-async function main() {
-    
-  const response = await ai.models.generateContent({
-    model: "gemini-2.0-flash",
-    contents: "Explain how AI works in a few words",
-  });
-  console.log(response.usageMetadata.cacheTokensDetails);
-}
+  it("returns text with token usage", async () => {
+    const response = await provider.generate({
+      prompt: "Explain how AI works in a few words",
+    });
 
- main();
\ No newline at end of file
+    expect(typeof response.text).toBe("string");
+    expect(response.text.length).toBeGreaterThan(0);
+    expect(response.model).toBe("mock-1");
+    expect(response.usage).toEqual(
+      expect.objectContaining({
+        inputTokens: expect.any(Number),
+        outputTokens: expect.any(Number),
+        totalTokens: expect.any(Number),
+      })
+    );
+  });
+});
@@ -0,0 +1,61 @@
+require("express-async-errors");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { authService } = require("../services/auth.service");
+const { errorHandler } = require("../middleware/error.middleware");
+
+/**
+ * Shared fixtures for the jest suites. Module mocks are built inside the
+ * jest.mock factory, which is hoisted above imports, so require them there:
+ *   jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+ */
+
+/**
+ * In-memory cacheService. `eval` answers null and `exists` false, as when
+ * Redis is unavailable, unless a test says otherwise.
+ * @returns {Object} Module exports of services/cache.service
+ */
+const mockCacheService = () => {
+  const store = new Map();
+  return {
+    cacheService: {
+      get: async (key) => store.get(key) || null,
+      set: async (key, value) => store.set(key, value) && true,
+      clear: async () => store.clear(),
+      eval: jest.fn(async () => null),
+      exists: jest.fn(async () => false),
+    },
+  };
+};
+
+/**
+ * usageModel that stores nothing
+ * @returns {Object} Module exports of models/usage.model
+ */
+const mockUsageModel = () => ({
+  usageModel: { create: async () => {} },
+});
+
+/**
+ * Express app with JSON bodies and the error handler
+ * @param {Object} routes - Mount path -> router, e.g. { "/api/ai": aiRoutes }
+ * @returns {express.Application}
+ */
+const buildApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Access token for a user principal
+ * @param {string} [sub] - User id
+ * @param {string} [role]
+ * @returns {string}
+ */
+const signToken = (sub = "test-user", role = "user") =>
+  jwt.sign({ sub, email: `${sub}@example.com`, role, type: "access" }, authService.accessSecret);
+
+module.exports = { mockCacheService, mockUsageModel, buildApp, signToken };
@@ -0,0 +1,162 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+jest.mock("../models/apiKey.model", () => {
+  const keys = [];
+  return {
+    apiKeyModel: {
+      create: async (data) => {
+        const apiKey = { id: `key-${keys.length + 1}`, revokedAt: null, expiresAt: null, ...data };
+        keys.push(apiKey);
+        return apiKey;
+      },
+      findByHash: async (keyHash) => keys.find((k) => k.keyHash === keyHash) || null,
+      touch: async () => {},
+    },
+  };
+});
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const sharp = require("sharp");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const { imageService } = require("../services/image.service");
+const { apiKeyService } = require("../services/apiKey.service");
+const { GoogleProvider } = require("../services/providers/google.provider");
+const { OpenAIProvider } = require("../services/providers/openai.provider");
+const aiRoutes = require("../routes/ai.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const token = signToken("test-user");
+
+// Landscape JPEG stored sideways with EXIF orientation 6 (rotate 90° on display)
+const sidewaysPhoto = (comment = "Holiday") =>
+  sharp({ create: { width: 3000, height: 2000, channels: 3, background: { r: 40, g: 120, b: 200 } } })
+    .jpeg()
+    .withMetadata({ orientation: 6, exif: { IFD0: { ImageDescription: comment } } })
+    .toBuffer();
+
+const transparentPng = () =>
+  sharp({ create: { width: 200, height: 100, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0.5 } } })
+    .png()
+    .toBuffer();
+
+const uploadImage = (buffer, fields, contentType = "image/jpeg", auth = { Authorization: `Bearer ${token}` }) => {
+  const req = request(app).post("/api/ai/process/image").set(auth);
+  Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+  return req.attach("image", buffer, { filename: "photo", contentType });
+};
+
+describe("Image normalization", () => {
+  it("applies orientation, resizes and strips metadata", async () => {
+    const image = await imageService.normalize(await sidewaysPhoto());
+    const metadata = await sharp(image.buffer).metadata();
+
+    expect(image).toMatchObject({ mimeType: "image/jpeg", width: 1024, height: 1536 });
+    expect(image.original).toMatchObject({ format: "jpeg", width: 3000, height: 2000 });
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+    expect(image.hash).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it("keeps transparency as PNG without upscaling", async () => {
+    const image = await imageService.normalize(await transparentPng());
+
+    expect(image).toMatchObject({ mimeType: "image/png", width: 200, height: 100 });
+  });
+
+  it("rejects data that is not an image", async () => {
+    await expect(imageService.normalize(Buffer.from("not an image"))).rejects.toMatchObject({
+      statusCode: 422,
+    });
+  });
+});
+
+describe("Multimodal provider requests", () => {
+  const images = [{ mimeType: "image/png", data: "aGVsbG8=" }];
+
+  it("sends images as inline parts to Google", () => {
+    const { contents } = new GoogleProvider().buildRequest({ prompt: "Describe", images });
+
+    expect(contents).toEqual([
+      {
+        role: "user",
+        parts: [{ text: "Describe" }, { inlineData: { mimeType: "image/png", data: "aGVsbG8=" } }],
+      },
+    ]);
+  });
+
+  it("sends images as data URLs to OpenAI", () => {
+    const { messages } = new OpenAIProvider({ apiKey: "test" }).buildRequest({ prompt: "Describe", images });
+
+    expect(messages[0].content).toEqual([
+      { type: "text", text: "Describe" },
+      { type: "image_url", image_url: { url: "data:image/png;base64,aGVsbG8=" } },
+    ]);
+  });
+});
+
+describe("POST /api/ai/process/image", () => {
+  beforeEach(async () => {
+    mock.reset();
+    await cacheService.clear();
+  });
+
+  it("captions an image and caches by the normalized image", async () => {
+    const first = await uploadImage(await sidewaysPhoto("Beach"), { type: "image-caption" });
+    // Same pixels with different EXIF normalize to the same image
+    const second = await uploadImage(await sidewaysPhoto("Mountains"), { type: "image-caption" });
+
+    expect(first.status).toBe(200);
+    expect(first.body.result.caption).toMatch(/^A mock photograph/);
+    expect(first.body.image).toMatchObject({ mimeType: "image/jpeg", width: 1024, height: 1536 });
+    expect(first.body.image.data).toBeUndefined();
+    expect(first.body.usage.inputTokens).toBeGreaterThan(258);
+    expect(second.body).toEqual(first.body);
+    expect(mock.calls).toBe(1);
+  });
+
+  it("returns validated moderation results", async () => {
+    const res = await uploadImage(await transparentPng(), { type: "image-moderation" }, "image/png");
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({ safe: true, sentiment: "neutral" });
+    expect(res.body.result.categories.violence).toBe("none");
+    expect(res.body.attempts).toBe(1);
+  });
+
+  it("validates type, options and file type", async () => {
+    const photo = await sidewaysPhoto();
+    const badType = await uploadImage(photo, { type: "summarize" });
+    const badOptions = await uploadImage(photo, {
+      type: "image-alt-text",
+      options: JSON.stringify({ maxLength: 5 }),
+    });
+    const svg = await uploadImage(Buffer.from("<svg/>"), { type: "image-caption" }, "image/svg+xml");
+    const corrupt = await uploadImage(Buffer.from("not a jpeg"), { type: "image-ocr" });
+
+    expect(badType.status).toBe(400);
+    expect(badOptions.status).toBe(400);
+    expect(badOptions.body.errors[0].field).toBe("options.maxLength");
+    expect(svg.status).toBe(415);
+    expect(corrupt.status).toBe(422);
+  });
+
+  it("accepts API keys scoped to image types", async () => {
+    const { key } = await apiKeyService.mint({ name: "captioner", scopes: ["image-caption", "image-alt-text"] });
+    const photo = await sidewaysPhoto();
+
+    const caption = await uploadImage(photo, { type: "image-caption" }, "image/jpeg", { "X-API-Key": key });
+    const ocr = await uploadImage(photo, { type: "image-ocr" }, "image/jpeg", { "X-API-Key": key });
+
+    expect(caption.status).toBe(200);
+    expect(ocr.status).toBe(403);
+  });
+});
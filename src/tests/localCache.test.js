@@ -0,0 +1,223 @@
+// In-memory stand-in for a Redis server shared by every client, with
+// pub/sub and an outage switch
+jest.mock("redis", () => {
+  const server = { up: true, strings: new Map(), channels: new Map(), clients: [] };
+  const checkUp = () => {
+    if (!server.up) throw new Error("The client is closed");
+  };
+  const live = (key) => {
+    const entry = server.strings.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry : null;
+  };
+
+  const createClient = () => {
+    const handlers = {};
+    const client = {
+      isOpen: false,
+      on(event, handler) {
+        handlers[event] = handler;
+        return client;
+      },
+      emit(event) {
+        if (handlers[event]) handlers[event]();
+      },
+      async connect() {
+        client.isOpen = true;
+        client.emit("ready");
+      },
+      duplicate: () => createClient(),
+      async get(key) {
+        checkUp();
+        return live(key)?.value ?? null;
+      },
+      async pTTL(key) {
+        checkUp();
+        return live(key) ? live(key).expiresAt - Date.now() : -2;
+      },
+      async set(key, value, { EX, PX }) {
+        checkUp();
+        if (PX !== undefined && PX < 1) throw new Error("ERR invalid expire time in 'set' command");
+        server.strings.set(key, { value, expiresAt: Date.now() + (PX ?? EX * 1000) });
+        return "OK";
+      },
+      async del(key) {
+        checkUp();
+        return server.strings.delete(key) ? 1 : 0;
+      },
+      async unlink(keys) {
+        checkUp();
+        return keys.filter((key) => server.strings.delete(key)).length;
+      },
+      async hIncrBy() {},
+      async publish(channel, message) {
+        checkUp();
+        const listeners = server.channels.get(channel) || [];
+        listeners.forEach((listener) => listener(message));
+        return listeners.length;
+      },
+      async subscribe(channel, listener) {
+        server.channels.set(channel, [...(server.channels.get(channel) || []), listener]);
+      },
+      async quit() {
+        client.isOpen = false;
+      },
+      multi() {
+        const queued = [];
+        const multi = {
+          exec: async () => {
+            checkUp();
+            return Promise.all(queued.map((run) => run()));
+          },
+        };
+        ["get", "pTTL", "set", "hIncrBy"].forEach((command) => {
+          multi[command] = (...args) => {
+            queued.push(() => client[command](...args));
+            return multi;
+          };
+        });
+        return multi;
+      },
+    };
+    server.clients.push(client);
+    return client;
+  };
+  return { createClient, server };
+});
+
+const { server } = require("redis");
+const { cacheService } = require("../services/cache.service");
+const { LruCache } = require("../utils/lru.utils");
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const goDown = () => {
+  server.up = false;
+  server.clients.forEach((client) => client.emit("end"));
+};
+
+const comeBack = async () => {
+  server.up = true;
+  server.clients.forEach((client) => client.emit("ready"));
+  await flush();
+};
+
+describe("LruCache", () => {
+  it("evicts the least recently used entries beyond the entry limit", () => {
+    const lru = new LruCache({ maxEntries: 2, maxBytes: 1000 });
+    lru.set("a", "1", 1000);
+    lru.set("b", "2", 1000);
+    lru.get("a");
+    lru.set("c", "3", 1000);
+
+    expect(lru.keys()).toEqual(["a", "c"]);
+  });
+
+  it("evicts to stay within the byte limit and skips oversized values", () => {
+    const lru = new LruCache({ maxEntries: 10, maxBytes: 8 });
+    lru.set("a", "1234", 1000);
+    lru.set("b", "1234", 1000);
+
+    expect(lru.set("c", "x".repeat(20), 1000)).toBe(null);
+    expect(lru.keys()).toEqual(["b"]);
+    expect(lru.getStatus()).toMatchObject({ entries: 1, bytes: 5 });
+  });
+
+  it("expires entries after their TTL", async () => {
+    const lru = new LruCache({ maxEntries: 10, maxBytes: 1000 });
+    lru.set("a", "1", 5);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(lru.get("a")).toBe(null);
+    expect(lru.getStatus().bytes).toBe(0);
+  });
+});
+
+describe("Two-tier cache", () => {
+  beforeEach(async () => {
+    await comeBack();
+    server.strings.clear();
+    cacheService.local.clear();
+  });
+
+  it("serves repeated reads from memory with the Redis TTL", async () => {
+    await cacheService.set("ai:summarize:a", "cached", 60);
+    cacheService.local.clear();
+
+    expect(await cacheService.get("ai:summarize:a")).toBe("cached");
+    server.strings.get("ai:summarize:a").value = "changed behind our back";
+
+    expect(await cacheService.get("ai:summarize:a")).toBe("cached");
+    const { expiresAt } = cacheService.local.peek("ai:summarize:a");
+    expect(expiresAt).toBeGreaterThan(Date.now() + 59000);
+    expect(expiresAt).toBeLessThanOrEqual(Date.now() + 60000);
+  });
+
+  it("keeps serving while Redis is down", async () => {
+    await cacheService.set("ai:summarize:a", "before", 60);
+    goDown();
+
+    expect(await cacheService.get("ai:summarize:a")).toBe("before");
+    expect(await cacheService.set("ai:summarize:b", "during", 60)).toBe(true);
+    expect(await cacheService.get("ai:summarize:b")).toBe("during");
+    expect(cacheService.local.getStatus().dirty).toBe(1);
+  });
+
+  it("resynchronizes with Redis on reconnect", async () => {
+    await cacheService.set("ai:summarize:kept", "kept", 60);
+    await cacheService.set("ai:summarize:purged", "purged", 60);
+    await cacheService.set("ai:summarize:updated", "old", 60);
+    goDown();
+    await cacheService.set("ai:summarize:written", "during outage", 60);
+    // Changes by other instances whose invalidations were missed
+    server.strings.delete("ai:summarize:purged");
+    server.strings.get("ai:summarize:updated").value = "new";
+
+    await comeBack();
+
+    expect(server.strings.get("ai:summarize:written").value).toBe("during outage");
+    expect(server.strings.get("ai:summarize:written").expiresAt).toBeGreaterThan(Date.now() + 59000);
+    expect(cacheService.local.keys().sort()).toEqual([
+      "ai:summarize:kept",
+      "ai:summarize:updated",
+      "ai:summarize:written",
+    ]);
+    expect(await cacheService.get("ai:summarize:updated")).toBe("new");
+    expect(cacheService.local.getStatus().dirty).toBe(0);
+  });
+
+  it("skips entries that expire during resynchronization", async () => {
+    goDown();
+    await cacheService.set("ai:summarize:expiring", "short-lived", 60);
+    await cacheService.set("ai:summarize:written", "during outage", 60);
+    // The entry runs out right after it is looked up for the write-back
+    const peek = cacheService.local.peek.bind(cacheService.local);
+    jest.spyOn(cacheService.local, "peek").mockImplementation((key) => {
+      const entry = peek(key);
+      if (entry && key === "ai:summarize:expiring") entry.expiresAt = Date.now();
+      return entry;
+    });
+
+    await comeBack();
+    cacheService.local.peek.mockRestore();
+
+    expect(server.strings.get("ai:summarize:written").value).toBe("during outage");
+    expect(server.strings.has("ai:summarize:expiring")).toBe(false);
+    expect(cacheService.local.keys()).toEqual(["ai:summarize:written"]);
+  });
+
+  it("drops other instances' copies of changed keys", async () => {
+    const other = new cacheService.constructor();
+    await flush();
+    await cacheService.set("ai:summarize:a", "first", 60);
+    await cacheService.set("ai:summarize:b", "first", 60);
+    expect(await other.get("ai:summarize:a")).toBe("first");
+    expect(await other.get("ai:summarize:b")).toBe("first");
+
+    await cacheService.set("ai:summarize:a", "second", 60);
+    await cacheService.deleteMany(["ai:summarize:b"]);
+
+    expect(await other.get("ai:summarize:a")).toBe("second");
+    expect(await other.get("ai:summarize:b")).toBe(null);
+    expect(await cacheService.get("ai:summarize:a")).toBe("second");
+  });
+});
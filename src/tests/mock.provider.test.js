@@ -0,0 +1,185 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const aiRoutes = require("../routes/ai.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const token = signToken("test-user");
+
+describe("Mock AI provider", () => {
+  beforeEach(async () => {
+    mock.reset();
+    await cacheService.clear();
+  });
+
+  it("returns deterministic summaries", async () => {
+    const content = "The quick brown fox jumps over the lazy dog.";
+    const first = await mock.generate({ prompt: content, task: "summarize" });
+    const second = await mock.generate({ prompt: content, task: "summarize" });
+
+    expect(first.text).toBe(second.text);
+    expect(first.model).toBe("mock-1");
+    expect(first.usage.inputTokens).toBeGreaterThan(0);
+  });
+
+  it("produces schema-correct output for every processing type", async () => {
+    const content = "I love this amazing product, it is fast and accurate.";
+
+    const summary = await aiService.processContent({ type: "summarize", content, options: {} });
+    expect(typeof summary.result.summary).toBe("string");
+
+    const sentiment = await aiService.processContent({ type: "analyze-sentiment", content, options: {} });
+    expect(sentiment.result).toEqual(
+      expect.objectContaining({
+        sentiment: "positive",
+        confidence: expect.any(Number),
+        emotionalIndicators: expect.arrayContaining(["love", "amazing"]),
+        explanation: expect.any(String),
+      })
+    );
+
+    const keywords = await aiService.processContent({ type: "extract-keywords", content, options: {} });
+    expect(keywords.result.keywords).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ keyword: "amazing", relevance: expect.any(Number) }),
+      ])
+    );
+
+    const generated = await aiService.processContent({ type: "generate-content", content, options: {} });
+    expect(generated.result.wordCount).toBeGreaterThan(0);
+
+    const translated = await aiService.processContent({
+      type: "translate",
+      content,
+      options: { targetLanguage: "French" },
+    });
+    expect(translated.result.translatedText).toContain(content);
+    expect(translated.provider).toBe("mock");
+  });
+
+  it("supports scripted errors", async () => {
+    // Client errors are not retried, so the scripted error surfaces as is
+    mock.script([{ error: { status: 400, message: "Invalid argument" } }]);
+
+    await expect(
+      aiService.processContent({ type: "summarize", content: "text", options: {} })
+    ).rejects.toMatchObject({ status: 400, message: "Invalid argument" });
+  });
+
+  it("repairs malformed JSON by re-prompting the model", async () => {
+    mock.script([{ malformed: true }]);
+
+    const result = await aiService.processContent({
+      type: "analyze-sentiment",
+      content: "Great service",
+      options: {},
+    });
+
+    expect(result.attempts).toBe(2);
+    expect(result.result).toEqual(expect.objectContaining({ sentiment: "positive" }));
+    expect(mock.calls).toBe(2);
+  });
+
+  it("fails with a typed error when output never matches the schema", async () => {
+    await expect(
+      aiService.processContent({
+        type: "extract-keywords",
+        content: "Great service",
+        options: { mock: { malformed: true }, maxRepairAttempts: 1 },
+      })
+    ).rejects.toMatchObject({
+      name: "StructuredOutputError",
+      statusCode: 502,
+      errors: [expect.objectContaining({ field: "response" })],
+    });
+    expect(mock.calls).toBe(2);
+  });
+
+  it("serves the Express routes offline", async () => {
+    const res = await request(app)
+      .post("/api/ai/process")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ type: "summarize", content: "Offline summaries are useful." });
+
+    expect(res.status).toBe(200);
+    expect(res.body.type).toBe("summarize");
+    expect(res.body.provider).toBe("mock");
+    expect(res.body.usage).toEqual(
+      expect.objectContaining({ inputTokens: expect.any(Number), cost: 0 })
+    );
+    expect(res.body.tokensUsed).toBe(res.body.usage.totalTokens);
+  });
+
+  it("rejects unauthenticated requests", async () => {
+    const res = await request(app)
+      .post("/api/ai/process")
+      .send({ type: "summarize", content: "No token" });
+
+    expect(res.status).toBe(401);
+  });
+
+  it("streams translations over SSE and caches the final result", async () => {
+    const body = {
+      type: "translate",
+      content: "Hello world, streaming is great.",
+      options: { targetLanguage: "Spanish" },
+    };
+    const res = await request(app)
+      .post("/api/ai/process?stream=true")
+      .set("Authorization", `Bearer ${token}`)
+      .buffer(true)
+      .parse((response, callback) => {
+        let text = "";
+        response.on("data", (chunk) => (text += chunk));
+        response.on("end", () => callback(null, text));
+      })
+      .send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+    expect(res.body).toContain("event: token");
+
+    const resultEvent = res.body.split("\n\n").find((e) => e.startsWith("event: result"));
+    const result = JSON.parse(resultEvent.split("data: ")[1]);
+    expect(result.result.translatedText).toContain(body.content);
+
+    const cached = await cacheService.get(aiService.generateCacheKey(body));
+    expect(JSON.parse(cached)).toEqual(result);
+  });
+});
+
+describe("Mock AI provider in production", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("is neither registered nor configurable through options", () => {
+    process.env.NODE_ENV = "production";
+    process.env.MOCK_AI_ENABLED = "true";
+
+    jest.isolateModules(() => {
+      const { providerRegistry } = require("../services/providers");
+      const { processRequestSchema } = require("../validators/ai.validator");
+
+      expect(providerRegistry.has("mock")).toBe(false);
+      const { error } = processRequestSchema.validate({
+        type: "summarize",
+        content: "Free results",
+        options: { mock: { latencyMs: 60000 } },
+      });
+      expect(error.details[0].path).toEqual(["options", "mock"]);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const aiRoutes = require("../routes/ai.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const token = signToken("user-1");
+
+const REVIEW = "El servicio es excelente y rápido. El equipo de soporte respondió en minutos.";
+
+const CHAIN = {
+  content: REVIEW,
+  steps: [
+    { id: "translated", type: "translate", options: { targetLanguage: "English" } },
+    { id: "summary", type: "summarize", input: "translated.result.translatedText", options: { maxLength: 30 } },
+    { id: "keywords", type: "extract-keywords", input: "translated.result.translatedText" },
+  ],
+};
+
+const runPipeline = (body) =>
+  request(app).post("/api/ai/pipeline").set("Authorization", `Bearer ${token}`).send(body);
+
+describe("AI pipelines", () => {
+  let generate;
+
+  beforeEach(async () => {
+    mock.reset();
+    await cacheService.clear();
+    generate = jest.spyOn(mock, "generate");
+  });
+
+  afterEach(() => generate.mockRestore());
+
+  it("chains steps through mapped fields", async () => {
+    const res = await runPipeline(CHAIN);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("completed");
+    expect(res.body.steps.map((s) => [s.id, s.status, s.dependsOn])).toEqual([
+      ["translated", "completed", []],
+      ["summary", "completed", ["translated"]],
+      ["keywords", "completed", ["translated"]],
+    ]);
+    expect(Object.keys(res.body.outputs)).toEqual(["summary", "keywords"]);
+
+    const translated = res.body.steps[0].result.result.translatedText;
+    expect(translated).toMatch(/^\[translated:/);
+    const summaryCall = generate.mock.calls.find(([params]) => params.task === "summarize")[0];
+    expect(summaryCall.prompt).toContain(translated);
+    expect(res.body.steps[1].startOffset).toBeGreaterThanOrEqual(
+      res.body.steps[0].startOffset + res.body.steps[0].duration
+    );
+    expect(res.body.tokensUsed).toBeGreaterThan(0);
+  });
+
+  it("runs independent branches in parallel", async () => {
+    const slow = { mock: { latencyMs: 150 } };
+    const res = await runPipeline({
+      content: REVIEW,
+      steps: [
+        { id: "summary", type: "summarize", options: slow },
+        { id: "sentiment", type: "analyze-sentiment", options: slow },
+      ],
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.steps.every((s) => s.startOffset < 100)).toBe(true);
+    expect(res.body.totalTime).toBeLessThan(290);
+  });
+
+  it("caches every step individually", async () => {
+    await runPipeline(CHAIN);
+    expect(mock.calls).toBe(3);
+
+    const again = await runPipeline(CHAIN);
+    const single = await request(app)
+      .post("/api/ai/process")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ type: "translate", content: REVIEW, options: { targetLanguage: "English" } });
+
+    expect(again.body.steps.map((s) => s.cached)).toEqual([true, true, true]);
+    expect(again.body.tokensUsed).toBe(0);
+    expect(single.body.result).toEqual(again.body.steps[0].result.result);
+    expect(mock.calls).toBe(3);
+  });
+
+  it("maps earlier results into options", async () => {
+    const res = await runPipeline({
+      content: "I love this fast and excellent service",
+      steps: [
+        { id: "mood", type: "analyze-sentiment" },
+        { id: "echo", type: "translate", map: { targetLanguage: "mood.result.sentiment" } },
+        { id: "missing", type: "translate", map: { targetLanguage: "mood.result.language" } },
+      ],
+    });
+
+    expect(res.body.steps[1].status).toBe("completed");
+    expect(res.body.steps[1].result.result.targetLanguage).toBe("positive");
+    expect(res.status).toBe(422);
+    expect(res.body.failedStep).toBe("missing");
+    expect(res.body.steps[2].error.errors).toEqual([
+      { field: "steps.2.map.targetLanguage", message: "mood.result.language is not set" },
+    ]);
+  });
+
+  it("skips the dependents of a failed step and finishes other branches", async () => {
+    const res = await runPipeline({
+      content: REVIEW,
+      steps: [
+        { id: "translated", type: "translate", options: { mock: { error: true } } },
+        { id: "summary", type: "summarize", input: "translated.result.translatedText" },
+        { id: "sentiment", type: "analyze-sentiment" },
+      ],
+    });
+
+    expect(res.status).toBe(500);
+    expect(res.body.message).toBe("Pipeline step translated failed");
+    expect(res.body.steps.map((s) => s.status)).toEqual(["failed", "skipped", "completed"]);
+    expect(Object.keys(res.body.outputs)).toEqual(["sentiment"]);
+  });
+
+  it("rejects invalid pipelines before running any step", async () => {
+    const unknown = await runPipeline({
+      content: REVIEW,
+      steps: [{ id: "summary", type: "summarize", input: "translated.result.translatedText" }],
+    });
+    const cycle = await runPipeline({
+      steps: [
+        { id: "a", type: "summarize", input: "b.result.translatedText" },
+        { id: "b", type: "translate", input: "a.result.summary" },
+      ],
+    });
+    const noContent = await runPipeline({ steps: [{ id: "a", type: "summarize" }] });
+    const duplicate = await runPipeline({
+      content: REVIEW,
+      steps: [
+        { id: "a", type: "summarize" },
+        { id: "a", type: "translate" },
+      ],
+    });
+    const badOptions = await runPipeline({
+      content: REVIEW,
+      steps: [
+        { id: "a", type: "summarize" },
+        { id: "b", type: "translate", content: "x".repeat(50001) },
+      ],
+    });
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.errors).toEqual([{ field: "steps.0.input", message: "Unknown step: translated" }]);
+    expect(cycle.body.errors[0].message).toBe("Steps depend on each other in a cycle: a -> b -> a");
+    expect(noContent.body.errors[0].field).toBe("steps.0.content");
+    expect(duplicate.status).toBe(400);
+    expect(badOptions.body.errors[0].field).toBe("steps.1.content");
+    expect(mock.calls).toBe(0);
+  });
+});
@@ -0,0 +1,223 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+jest.mock("../models/processingType.model", () => {
+  const types = new Map();
+  return {
+    processingTypeModel: {
+      create: async ({ name, createdBy, ...definition }) => {
+        if (types.has(name)) return null;
+        const created = { name, cacheTtl: 3600, maxContentLength: 50000, ...definition, revision: 1, createdBy };
+        types.set(name, created);
+        return created;
+      },
+      findByName: async (name) => types.get(name) || null,
+      list: async () => [...types.values()],
+      update: async (name, changes) => {
+        if (!types.has(name)) return null;
+        const updated = { ...types.get(name), ...changes, revision: types.get(name).revision + 1 };
+        types.set(name, updated);
+        return updated;
+      },
+      remove: async (name) => types.delete(name),
+    },
+  };
+});
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const { processingTypeService } = require("../services/processingType.service");
+const { swaggerSpec } = require("../config/swagger");
+const aiRoutes = require("../routes/ai.routes");
+const adminRoutes = require("../routes/admin.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes, "/api/admin": adminRoutes });
+
+const userToken = signToken("user-1");
+const adminToken = signToken("admin-1", "admin");
+
+const PRODUCT_TYPE = {
+  name: "product-description",
+  description: "Marketing copy for a product",
+  promptTemplate: "Write a {{tone}} description in {{maxWords}} words.\n{{outputFormat}}\n\n{{content}}",
+  optionsSchema: {
+    type: "object",
+    properties: {
+      tone: { type: "string", enum: ["playful", "formal"], default: "formal" },
+      maxWords: { type: "integer", minimum: 10, maximum: 300, default: 80 },
+    },
+    additionalProperties: false,
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      headline: { type: "string", minLength: 3 },
+      bullets: { type: "array", items: { type: "string" }, minItems: 2 },
+    },
+    required: ["headline", "bullets"],
+    additionalProperties: false,
+  },
+  maxContentLength: 200,
+};
+
+const admin = (method, url, body) =>
+  request(app)[method](url).set("Authorization", `Bearer ${adminToken}`).send(body);
+
+const processAs = (body) =>
+  request(app).post("/api/ai/process").set("Authorization", `Bearer ${userToken}`).send(body);
+
+describe("Custom processing types", () => {
+  let generate;
+
+  beforeAll(async () => {
+    const res = await admin("post", "/api/admin/processing-types", PRODUCT_TYPE);
+    expect(res.status).toBe(201);
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await cacheService.clear();
+    generate = jest.spyOn(mock, "generate");
+  });
+
+  afterEach(() => generate.mockRestore());
+
+  const lastCall = () => generate.mock.calls[generate.mock.calls.length - 1][0];
+
+  it("processes a structured type with option defaults applied", async () => {
+    const res = await processAs({ type: "product-description", content: "Solar lantern, 12h battery" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ type: "product-description", typeRevision: 1, attempts: 1 });
+    expect(res.body.result.headline).toMatch(/^mock-/);
+    expect(res.body.result.bullets).toHaveLength(2);
+    expect(lastCall().prompt).toMatch(/^Write a formal description in 80 words\.\n\{\n {2}"type": "object"/);
+    expect(lastCall()).toMatchObject({ responseFormat: "json", jsonSchema: PRODUCT_TYPE.outputSchema });
+  });
+
+  it("rejects invalid definitions", async () => {
+    const unknownVariable = await admin("post", "/api/admin/processing-types", {
+      ...PRODUCT_TYPE,
+      name: "bad-template",
+      promptTemplate: "{{content}} {{outputFormat}} {{audience}}",
+    });
+    const badSchema = await admin("post", "/api/admin/processing-types", {
+      name: "bad-schema",
+      promptTemplate: "{{content}}",
+      optionsSchema: { type: "object", properties: { level: { type: "strnig" } } },
+    });
+    const builtin = await admin("post", "/api/admin/processing-types", { name: "summarize", promptTemplate: "{{content}}" });
+    const duplicate = await admin("post", "/api/admin/processing-types", PRODUCT_TYPE);
+
+    expect(unknownVariable.status).toBe(400);
+    expect(unknownVariable.body.errors[0].message).toMatch(/^Unknown variables: audience/);
+    expect(badSchema.body.errors[0]).toMatchObject({ field: "optionsSchema" });
+    expect(builtin.body.errors[0].message).toBe("name is a built-in processing type");
+    expect(duplicate.status).toBe(409);
+  });
+
+  it("validates options and content length against the definition", async () => {
+    const badOptions = await processAs({
+      type: "product-description",
+      content: "Lamp",
+      options: { tone: "angry", colour: "red" },
+    });
+    const tooLong = await processAs({ type: "product-description", content: "x".repeat(201) });
+    const unknownType = await processAs({ type: "product-name", content: "Lamp" });
+
+    expect(badOptions.status).toBe(400);
+    expect(badOptions.body.errors.map((e) => e.field).sort()).toEqual(["options.colour", "options.tone"]);
+    expect(tooLong.body.errors[0].field).toBe("content");
+    expect(unknownType.body.errors[0].message).toContain("product-description");
+    expect(mock.calls).toBe(0);
+  });
+
+  it("mixes built-in and custom types in a batch", async () => {
+    const res = await request(app)
+      .post("/api/ai/batch")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        requests: [
+          { type: "summarize", content: "Batteries stored more solar energy this summer." },
+          { type: "product-description", content: "Lamp", options: { tone: "playful" } },
+        ],
+      });
+    const invalid = await request(app)
+      .post("/api/ai/batch")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        requests: [
+          { type: "summarize", content: "Hi" },
+          { type: "product-description", content: "Lamp", options: { maxWords: 5 } },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results[1]).toMatchObject({ index: 1, status: "fulfilled", result: { type: "product-description" } });
+    const prompts = generate.mock.calls.map(([params]) => params.prompt);
+    expect(prompts.some((prompt) => prompt.startsWith("Write a playful description in 80 words."))).toBe(true);
+    expect(invalid.body.errors[0].field).toBe("requests.1.options.maxWords");
+  });
+
+  it("stops serving cached results of earlier revisions after an update", async () => {
+    const body = { type: "product-description", content: "Desk fan" };
+    await processAs(body);
+    await processAs(body);
+    expect(mock.calls).toBe(1);
+
+    const updated = await admin("put", "/api/admin/processing-types/product-description", {
+      description: "Product copy",
+    });
+    expect(updated.body.revision).toBe(2);
+
+    const res = await processAs(body);
+    expect(res.body.typeRevision).toBe(2);
+    expect(mock.calls).toBe(2);
+  });
+
+  it("returns plain text for types without an output schema and honours cacheTtl 0", async () => {
+    await admin("post", "/api/admin/processing-types", {
+      name: "tweet",
+      promptTemplate: "Rewrite as a tweet.\n{{content}}",
+      cacheTtl: 0,
+    });
+
+    const first = await processAs({ type: "tweet", content: "Our new lamp ships today" });
+    await processAs({ type: "tweet", content: "Our new lamp ships today" });
+
+    expect(first.status).toBe(200);
+    expect(first.body.result.text).toMatch(/^Generated content/);
+    expect(mock.calls).toBe(2);
+
+    expect((await admin("delete", "/api/admin/processing-types/tweet")).status).toBe(204);
+    expect((await processAs({ type: "tweet", content: "Hi" })).status).toBe(400);
+  });
+
+  it("lists types and documents them in the OpenAPI spec", async () => {
+    const types = await request(app).get("/api/ai/types");
+    const doc = processingTypeService.documentSpec(swaggerSpec);
+
+    expect(types.body.builtin).toContain("summarize");
+    expect(types.body.custom.map((t) => t.name)).toEqual(["product-description"]);
+    expect(doc.components.schemas.ProductDescriptionOptions.properties.tone.enum).toEqual(["playful", "formal"]);
+    expect(doc.components.schemas.ProductDescriptionResult.required).toEqual(["headline", "bullets"]);
+    expect(doc.paths["/api/ai/process"].post.description).toContain("- product-description");
+    expect(swaggerSpec.components.schemas.ProductDescriptionOptions).toBeUndefined();
+  });
+
+  it("is managed by admins only", async () => {
+    const res = await request(app)
+      .post("/api/admin/processing-types")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ name: "other", promptTemplate: "{{content}}" });
+
+    expect(res.status).toBe(403);
+  });
+});
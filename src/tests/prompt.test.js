@@ -0,0 +1,166 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+jest.mock("../models/prompt.model", () => {
+  const versions = [];
+  const find = (name, predicate) => versions.find((v) => v.name === name && predicate(v)) || null;
+  return {
+    promptModel: {
+      create: async (data) => {
+        const version = {
+          ...data,
+          version: versions.filter((v) => v.name === data.name).length + 1,
+          active: false,
+        };
+        versions.push(version);
+        return version;
+      },
+      findVersion: async (name, version) => find(name, (v) => v.version === version),
+      findActive: async (name) => find(name, (v) => v.active),
+      listActive: async () => versions.filter((v) => v.active),
+      listVersions: async (name) => versions.filter((v) => v.name === name).reverse(),
+      promote: async (name, version) => {
+        const target = find(name, (v) => v.version === version);
+        if (version !== 0 && !target) return null;
+        versions.filter((v) => v.name === name).forEach((v) => (v.active = false));
+        if (target) target.active = true;
+        return target;
+      },
+    },
+  };
+});
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const aiRoutes = require("../routes/ai.routes");
+const adminRoutes = require("../routes/admin.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes, "/api/admin": adminRoutes });
+
+const userToken = signToken("user-1");
+const adminToken = signToken("admin-1", "admin");
+
+const TEXT = "Grid batteries stored more solar energy this summer than ever before.";
+
+const summarize = (options) =>
+  request(app)
+    .post("/api/ai/process")
+    .set("Authorization", `Bearer ${userToken}`)
+    .send({ type: "summarize", content: TEXT, options });
+
+const admin = (method, url, body) =>
+  request(app)[method](url).set("Authorization", `Bearer ${adminToken}`).send(body);
+
+describe("Prompt template registry", () => {
+  let generate;
+
+  beforeEach(async () => {
+    mock.reset();
+    await cacheService.clear();
+    generate = jest.spyOn(mock, "generate");
+  });
+
+  afterEach(() => generate.mockRestore());
+
+  const lastPrompt = () => generate.mock.calls[generate.mock.calls.length - 1][0].prompt;
+
+  it("uses the built-in template until a version is promoted", async () => {
+    const res = await summarize({ maxLength: 40 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.prompt).toEqual({ name: "summarize", version: 0 });
+    expect(lastPrompt()).toContain("Keep summaries under 40 words.");
+    expect(lastPrompt()).toContain(TEXT);
+  });
+
+  it("rejects templates with unknown or missing variables", async () => {
+    const unknown = await admin("post", "/api/admin/prompts/summarize/versions", {
+      template: "Summarize for {{audience}}: {{content}}",
+    });
+    const missing = await admin("post", "/api/admin/prompts/translate/versions", {
+      template: "Translate this.",
+    });
+    const unknownName = await admin("post", "/api/admin/prompts/image-caption/versions", {
+      template: "{{content}}",
+    });
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.errors[0].message).toMatch(/^Unknown variables: audience/);
+    expect(missing.body.errors[0].message).toBe("Missing required variables: content, targetLanguage");
+    expect(unknownName.status).toBe(404);
+  });
+
+  it("pins, promotes and reverts versions", async () => {
+    const created = await admin("post", "/api/admin/prompts/summarize/versions", {
+      template: "Executive summary, at most {{maxLength}} words:\n{{content}}",
+      description: "Executive tone",
+    });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ version: 1, active: false, variables: ["maxLength", "content"] });
+
+    // Not active yet: unpinned requests keep the built-in template
+    expect((await summarize()).body.prompt.version).toBe(0);
+
+    const pinned = await summarize({ promptVersion: 1 });
+    expect(pinned.body.prompt).toEqual({ name: "summarize", version: 1 });
+    expect(lastPrompt()).toBe(`Executive summary, at most 150 words:\n${TEXT}`);
+    expect(mock.calls).toBe(2);
+
+    const promoted = await admin("post", "/api/admin/prompts/summarize/versions/1/promote");
+    expect(promoted.body).toMatchObject({ version: 1, active: true });
+
+    // The active version shares cache entries with requests pinning it
+    const active = await summarize();
+    expect(active.body.prompt.version).toBe(1);
+    expect(mock.calls).toBe(2);
+
+    const listed = await admin("get", "/api/admin/prompts");
+    expect(listed.body.templates.find((t) => t.name === "summarize").activeVersion).toBe(1);
+
+    await admin("post", "/api/admin/prompts/summarize/versions/0/promote");
+    expect((await summarize()).body.prompt.version).toBe(0);
+
+    const versions = await admin("get", "/api/admin/prompts/summarize/versions");
+    expect(versions.body.versions.map((v) => [v.version, v.active])).toEqual([
+      [1, false],
+      [0, true],
+    ]);
+  });
+
+  it("rejects unknown pinned versions", async () => {
+    const res = await summarize({ promptVersion: 9 });
+    const promote = await admin("post", "/api/admin/prompts/summarize/versions/9/promote");
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toEqual({
+      field: "options.promptVersion",
+      message: "summarize has no prompt version 9",
+    });
+    expect(promote.status).toBe(404);
+  });
+
+  it("does not expand placeholders inside the content", async () => {
+    await request(app)
+      .post("/api/ai/process")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ type: "translate", content: "Keep {{targetLanguage}} literal", options: { targetLanguage: "French" } });
+
+    expect(lastPrompt()).toContain("Translate the given text to French.");
+    expect(lastPrompt()).toContain("Keep {{targetLanguage}} literal");
+  });
+
+  it("is restricted to admins", async () => {
+    const res = await request(app)
+      .get("/api/admin/prompts")
+      .set("Authorization", `Bearer ${userToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,138 @@
+process.env.AI_PROVIDER = "mock";
+process.env.AI_RATE_LIMITS = JSON.stringify({ mock: { rpm: 2 }, "mock:mock-2": { rpm: 0, tpm: 100 } });
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const { providerLimitService } = require("../services/providerLimit.service");
+const aiRoutes = require("../routes/ai.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const token = signToken("user-1");
+
+const summarize = (content, options = {}) =>
+  aiService.processContent({ type: "summarize", content, options });
+
+describe("Provider rate limits", () => {
+  const maxWaitMs = providerLimitService.maxWaitMs;
+
+  beforeEach(async () => {
+    mock.reset();
+    providerLimitService.reset();
+    cacheService.eval.mockClear();
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    providerLimitService.maxWaitMs = maxWaitMs;
+    jest.useRealTimers();
+  });
+
+  it("queues calls over the requests-per-minute limit in arrival order", async () => {
+    jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+    providerLimitService.maxWaitMs = 120000;
+    const finished = [];
+    const calls = ["One", "Two", "Three", "Four"].map((content) =>
+      summarize(content).then((result) => finished.push(content) && result)
+    );
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(finished.sort()).toEqual(["One", "Two"]);
+    const status = await aiService.getServiceStatus();
+    expect(status.rateLimits).toEqual([{ provider: "mock", model: "mock-1", rpm: 2, waiting: 2 }]);
+
+    // Two requests per minute refill one every 30 seconds
+    await jest.advanceTimersByTimeAsync(30000);
+    expect(finished).toEqual(["One", "Two", "Three"]);
+    await jest.advanceTimersByTimeAsync(30000);
+
+    const results = await Promise.all(calls);
+    expect(finished).toEqual(["One", "Two", "Three", "Four"]);
+    expect(results.map((result) => result.queuedMs)).toEqual([0, 0, 30000, 60000]);
+    expect(results[3].usage.queuedMs).toBe(60000);
+  });
+
+  it("answers 503 when no capacity frees up within the maximum wait", async () => {
+    providerLimitService.maxWaitMs = 1000;
+    const send = (content) =>
+      request(app)
+        .post("/api/ai/process")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ type: "summarize", content });
+
+    await send("One");
+    await send("Two");
+    const res = await send("Three");
+
+    expect(res.status).toBe(503);
+    expect(res.body.message).toBe("AI provider mock is at its rate limit for mock-1");
+    expect(res.body.errors[0].message).toMatch(/^No capacity within 1000ms, retry in \d+s$/);
+    expect(mock.calls).toBe(2);
+  });
+
+  it("does not limit models without limits", async () => {
+    const target = { provider: "mock", model: "mock-3" };
+    await expect(providerLimitService.acquire({ provider: "other", model: "x" }, 10)).resolves.toBe(0);
+    expect(cacheService.eval).not.toHaveBeenCalled();
+
+    // mock-3 inherits the provider's rpm
+    await providerLimitService.acquire(target, 10);
+    expect(cacheService.eval).toHaveBeenCalledTimes(1);
+  });
+
+  it("corrects the token bucket with the usage the provider reports", async () => {
+    const target = { provider: "mock", model: "mock-2" };
+    const key = "ratelimit:provider:mock:mock-2:tokens";
+
+    await providerLimitService.acquire(target, 40);
+    expect(providerLimitService.localBuckets.get(key).level).toBeCloseTo(60, 0);
+
+    await providerLimitService.settle(target, 40, 90);
+    expect(providerLimitService.localBuckets.get(key).level).toBeCloseTo(10, 0);
+    expect(providerLimitService.localBuckets.has("ratelimit:provider:mock:mock-2:requests")).toBe(false);
+  });
+
+  it("gives the estimate back when a call fails", async () => {
+    const key = "ratelimit:provider:mock:mock-2:tokens";
+
+    await expect(
+      summarize("Provider outage", { model: "mock-2", mock: { error: { status: 400, message: "Bad request" } } })
+    ).rejects.toThrow("Bad request");
+
+    expect(providerLimitService.localBuckets.get(key).level).toBeCloseTo(100, 0);
+  });
+
+  it("reports queuedMs when the provider returns no usage", async () => {
+    jest.spyOn(mock, "generate").mockResolvedValueOnce({ text: "No usage reported", model: "mock-1" });
+
+    const result = await summarize("Usage-less provider", { cache: "bypass" });
+
+    expect(result.queuedMs).toEqual(expect.any(Number));
+    expect(result.usage).toMatchObject({ queuedMs: expect.any(Number) });
+    expect(result.tokensUsed).toBeUndefined();
+    mock.generate.mockRestore();
+  });
+
+  it("takes capacity from the buckets shared in Redis", async () => {
+    cacheService.eval.mockResolvedValueOnce(5).mockResolvedValueOnce(0);
+
+    const queuedMs = await providerLimitService.acquire({ provider: "mock", model: "mock-1" }, 25);
+
+    expect(queuedMs).toBeGreaterThanOrEqual(5);
+    expect(cacheService.eval).toHaveBeenCalledTimes(2);
+    expect(cacheService.eval).toHaveBeenLastCalledWith(
+      expect.stringContaining("redis.call('TIME')"),
+      ["ratelimit:provider:mock:mock-1:requests", "ratelimit:provider:mock:mock-1:tokens"],
+      [2, 0, 1, 25, 0]
+    );
+    expect(providerLimitService.localBuckets.size).toBe(0);
+  });
+});
@@ -0,0 +1,154 @@
+process.env.AI_PROVIDER = "mock";
+process.env.AI_QUOTA_TIERS = JSON.stringify({
+  user: { requests: 100, windowMs: 60000, dailyTokens: 1000 },
+  trial: { requests: 3, windowMs: 60000, dailyTokens: 0 },
+});
+process.env.IP_RATE_LIMIT_MAX = "3";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { cacheService } = require("../services/cache.service");
+const { quotaService } = require("../services/quota.service");
+const { mergeTiers } = require("../config/quotas");
+const { ipRateLimit } = require("../middleware/rateLimit.middleware");
+const aiRoutes = require("../routes/ai.routes");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const getQuota = (token) => request(app).get("/api/ai/quota").set("Authorization", `Bearer ${token}`);
+
+describe("Per-principal rate limits and quotas", () => {
+  beforeEach(async () => {
+    quotaService.reset();
+    cacheService.eval.mockClear();
+    await cacheService.clear();
+  });
+
+  it("sends RateLimit headers and answers 429 over the limit", async () => {
+    const token = signToken("trial-1", "trial");
+
+    const remaining = [];
+    for (let i = 0; i < 3; i++) {
+      const res = await getQuota(token);
+      expect(res.status).toBe(200);
+      remaining.push(res.headers["ratelimit-remaining"]);
+    }
+    const limited = await getQuota(token);
+
+    expect(remaining).toEqual(["2", "1", "0"]);
+    expect(limited.status).toBe(429);
+    expect(limited.headers["ratelimit-limit"]).toBe("3");
+    expect(limited.headers["ratelimit-policy"]).toBe("3;w=60");
+    expect(Number(limited.headers["retry-after"])).toBeGreaterThan(0);
+    expect(limited.body.errors).toEqual([
+      { field: "requests", message: "The trial tier allows 3 requests per 60s" },
+    ]);
+  });
+
+  it("keys limits by user rather than by IP", async () => {
+    const first = signToken("trial-1", "trial");
+    for (let i = 0; i < 4; i++) await getQuota(first);
+
+    const other = await getQuota(signToken("trial-2", "trial"));
+
+    expect(other.status).toBe(200);
+    expect(other.headers["ratelimit-remaining"]).toBe("2");
+  });
+
+  it("counts tokens against the daily quota and reports what is left", async () => {
+    const token = signToken("user-1");
+
+    const processed = await request(app)
+      .post("/api/ai/process")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ type: "summarize", content: "Counting tokens against the daily quota." });
+    const res = await getQuota(token);
+
+    expect(processed.status).toBe(200);
+    expect(res.body).toMatchObject({
+      tier: "user",
+      requests: { limit: 100, remaining: 98, windowMs: 60000 },
+      tokens: { limit: 1000, used: processed.body.tokensUsed, remaining: 1000 - processed.body.tokensUsed },
+    });
+    expect(res.body.tokens.resetAt).toMatch(/T00:00:00.000Z$/);
+  });
+
+  it("rejects processing once the daily token quota is used up", async () => {
+    const token = signToken("user-1");
+    await quotaService.addTokens({ id: "user-1", type: "user", role: "user" }, 1000);
+
+    const res = await request(app)
+      .post("/api/ai/process")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ type: "summarize", content: "Over quota" });
+    const quota = await getQuota(token);
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe("Daily token quota exceeded");
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+    expect(quota.status).toBe(200);
+    expect(quota.body.tokens).toMatchObject({ used: 1000, remaining: 0 });
+  });
+
+  it("limits unauthenticated requests per IP", async () => {
+    const res = await request(app).get("/api/ai/status");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["ratelimit-limit"]).toBe("100");
+    expect(cacheService.eval).toHaveBeenCalledWith(
+      expect.any(String),
+      [expect.stringMatching(/^ratelimit:principal:requests:ip:.+:\d+$/)],
+      [1, 900000]
+    );
+  });
+
+  it("counts in Redis when it is available", async () => {
+    cacheService.eval.mockResolvedValueOnce(42);
+
+    const res = await getQuota(signToken("user-1"));
+
+    expect(res.headers["ratelimit-remaining"]).toBe("58");
+    const [script, keys, args] = cacheService.eval.mock.calls[0];
+    expect(script).toContain("INCRBY");
+    expect(keys[0]).toMatch(/^ratelimit:principal:requests:user:user-1:\d+$/);
+    expect(args).toEqual([1, 60000]);
+  });
+
+  it("throttles failed authentication per IP before the credentials are checked", async () => {
+    const guarded = buildApp({ "/api/": ipRateLimit, "/api/ai": aiRoutes });
+    const quota = (token) => request(guarded).get("/api/ai/quota").set("Authorization", `Bearer ${token}`);
+
+    for (let i = 0; i < 5; i++) {
+      expect((await quota(signToken("user-1"))).status).toBe(200);
+    }
+    const guesses = [];
+    for (let i = 0; i < 4; i++) {
+      guesses.push((await quota(`guess-${i}`)).status);
+    }
+
+    expect(guesses).toEqual([401, 401, 401, 429]);
+    expect((await quota(signToken("user-1"))).status).toBe(429);
+  });
+});
+
+describe("AI_QUOTA_TIERS", () => {
+  it("keeps the default limits a partial override leaves out", () => {
+    const tiers = mergeTiers({ user: { requests: 5 }, trial: { dailyTokens: 10 } });
+
+    expect(tiers.user).toEqual({ requests: 5, windowMs: 15 * 60 * 1000, dailyTokens: 200000 });
+    expect(tiers.trial).toEqual({ requests: 300, windowMs: 15 * 60 * 1000, dailyTokens: 10 });
+    expect(tiers.admin.requests).toBe(1000);
+  });
+
+  it("rejects overrides that are not tiers of limits", () => {
+    expect(() => mergeTiers([])).toThrow("must be a JSON object");
+    expect(() => mergeTiers({ user: 5 })).toThrow("Tier user must be an object");
+    expect(() => mergeTiers({ user: { requests: "5" } })).toThrow("requests must be a non-negative integer");
+    expect(() => mergeTiers({ user: { windowMs: 0 } })).toThrow("windowMs must be a positive integer");
+    expect(() => mergeTiers({ user: { tokens: 5 } })).toThrow("unknown field tokens");
+  });
+});
@@ -0,0 +1,208 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const { resilienceService } = require("../services/resilience.service");
+const aiRoutes = require("../routes/ai.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const token = signToken("user-1");
+
+const summarize = (content, options = {}) =>
+  aiService.processContent({ type: "summarize", content, options });
+
+describe("Provider call resilience", () => {
+  const defaults = {
+    timeoutMs: resilienceService.timeoutMs,
+    retry: { ...resilienceService.retry },
+    breakerSettings: { ...resilienceService.breakerSettings },
+  };
+
+  beforeEach(async () => {
+    mock.reset();
+    resilienceService.reset();
+    resilienceService.retry = { attempts: 3, baseDelayMs: 1, maxDelayMs: 5 };
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    Object.assign(resilienceService, {
+      timeoutMs: defaults.timeoutMs,
+      retry: { ...defaults.retry },
+      breakerSettings: { ...defaults.breakerSettings },
+    });
+    jest.restoreAllMocks();
+  });
+
+  it("retries transient errors with backoff", async () => {
+    mock.script([{ error: { status: 429 } }, { error: { status: 503 } }]);
+
+    const result = await summarize("Retry me");
+
+    expect(result.type).toBe("summarize");
+    expect(mock.calls).toBe(3);
+  });
+
+  it("answers 503 instead of 500 once retries are exhausted", async () => {
+    const res = await request(app)
+      .post("/api/ai/process")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ type: "summarize", content: "Overloaded", options: { mock: { error: { status: 503 } } } });
+
+    expect(res.status).toBe(503);
+    expect(res.body.message).toBe("AI provider mock is unavailable after 3 attempts: Mock provider error");
+    expect(mock.calls).toBe(3);
+  });
+
+  it("times out slow calls", async () => {
+    resilienceService.timeoutMs = 20;
+    resilienceService.retry.attempts = 2;
+
+    await expect(summarize("Slow", { mock: { latencyMs: 60 } })).rejects.toMatchObject({
+      statusCode: 504,
+      message: "AI provider mock did not respond within 20ms",
+    });
+    expect(mock.calls).toBe(2);
+  });
+
+  it("does not retry client errors", async () => {
+    mock.script([{ error: { status: 400, message: "Invalid argument" } }]);
+
+    await expect(summarize("Bad")).rejects.toMatchObject({ status: 400 });
+    expect(mock.calls).toBe(1);
+    expect(resilienceService.getStatus()[0]).toMatchObject({ state: "closed", failures: 0 });
+  });
+
+  it("opens the breaker after repeated failures and fails fast", async () => {
+    resilienceService.breakerSettings = { failureThreshold: 2, cooldownMs: 60000 };
+    const failing = { mock: { error: { status: 500 } } };
+
+    await expect(summarize("One", failing)).rejects.toMatchObject({ status: 500 });
+    await expect(summarize("Two", failing)).rejects.toMatchObject({ status: 500 });
+    await expect(summarize("Three")).rejects.toMatchObject({
+      statusCode: 503,
+      message: "AI provider mock is temporarily unavailable",
+    });
+    expect(mock.calls).toBe(2);
+
+    const status = await aiService.getServiceStatus();
+    expect(status.status).toBe("degraded");
+    expect(status.circuitBreakers).toEqual([
+      expect.objectContaining({ provider: "mock", model: "mock-1", state: "open", failures: 2 }),
+    ]);
+  });
+
+  it("lets one trial call through after the cooldown", async () => {
+    resilienceService.breakerSettings = { failureThreshold: 1, cooldownMs: 20 };
+
+    await expect(summarize("One", { mock: { error: { status: 500 } } })).rejects.toMatchObject({ status: 500 });
+    await expect(summarize("Two")).rejects.toMatchObject({ statusCode: 503 });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    await summarize("Three");
+    expect(resilienceService.getStatus()[0].state).toBe("closed");
+  });
+
+  it("keeps breakers per model", async () => {
+    resilienceService.breakerSettings = { failureThreshold: 1, cooldownMs: 60000 };
+
+    await expect(summarize("One", { mock: { error: { status: 500 } } })).rejects.toMatchObject({ status: 500 });
+    const other = await summarize("Two", { model: "mock-2" });
+
+    expect(other.model).toBe("mock-2");
+    expect(resilienceService.getStatus().map((b) => [b.model, b.state])).toEqual([
+      ["mock-1", "open"],
+      ["mock-2", "closed"],
+    ]);
+  });
+
+  it("uses exponential backoff with full jitter and honours Retry-After", () => {
+    resilienceService.retry = { attempts: 5, baseDelayMs: 100, maxDelayMs: 1000 };
+    jest.spyOn(Math, "random").mockReturnValue(0.5);
+
+    expect([1, 2, 3, 4, 5].map((attempt) => resilienceService.backoff(attempt, {}))).toEqual([
+      50, 100, 200, 400, 500,
+    ]);
+    expect(resilienceService.backoff(1, { headers: { "retry-after": "0.5" } })).toBe(500);
+  });
+
+  it("retries streams that fail before the first chunk", async () => {
+    mock.script([{ error: { status: 503 } }]);
+
+    const res = await request(app)
+      .post("/api/ai/process?stream=true")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ type: "translate", content: "Hello there", options: { targetLanguage: "French" } });
+
+    expect(res.text).toContain("event: result");
+    expect(mock.calls).toBe(2);
+  });
+
+  it("stops the upstream stream when the consumer stops early", async () => {
+    let upstreamSignal;
+    let upstreamClosed = false;
+    async function* upstream(signal) {
+      upstreamSignal = signal;
+      try {
+        for (let i = 0; ; i++) yield { text: `chunk ${i}` };
+      } finally {
+        upstreamClosed = true;
+      }
+    }
+
+    for await (const chunk of resilienceService.executeStream({ provider: "mock", model: "mock-1" }, upstream)) {
+      if (chunk.text === "chunk 1") break;
+    }
+
+    expect(upstreamSignal.aborted).toBe(true);
+    expect(upstreamClosed).toBe(true);
+  });
+
+  it("cancels a stalled stream as soon as its signal is aborted", async () => {
+    let upstreamSignal;
+    async function* upstream(signal) {
+      upstreamSignal = signal;
+      yield { text: "first" };
+      // Stalled provider: only cancelling the request ends the wait
+      await new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason)));
+    }
+    const client = new AbortController();
+    const target = { provider: "mock", model: "mock-1" };
+
+    const seen = [];
+    const consume = async () => {
+      for await (const chunk of resilienceService.executeStream(target, upstream, client.signal)) {
+        seen.push(chunk.text);
+        setTimeout(() => client.abort(), 10);
+      }
+    };
+
+    await expect(consume()).rejects.toMatchObject({ name: "AbortError" });
+    expect(seen).toEqual(["first"]);
+    expect(upstreamSignal.aborted).toBe(true);
+    expect(resilienceService.getStatus()[0]).toMatchObject({ state: "closed", failures: 0 });
+  });
+
+  it("stops a streamed request when the client goes away, without waiting for the provider", async () => {
+    const client = new AbortController();
+    const stream = aiService.streamContent(
+      { type: "translate", content: "Hello there", options: { targetLanguage: "French", mock: { latencyMs: 60000 } } },
+      { signal: client.signal }
+    );
+    setTimeout(() => client.abort(), 20);
+
+    const started = Date.now();
+    await expect(stream.next()).rejects.toMatchObject({ name: "AbortError" });
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(mock.calls).toBe(1);
+  });
+});
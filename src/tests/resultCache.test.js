@@ -0,0 +1,220 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+// In-memory stand-in for a Redis server, so the real CacheService runs
+jest.mock("redis", () => {
+  const strings = new Map();
+  const hashes = new Map();
+  const globToRegExp = (glob) =>
+    new RegExp(`^${glob.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+
+  const client = {
+    handlers: {},
+    on(event, handler) {
+      this.handlers[event] = handler;
+      return this;
+    },
+    async connect() {
+      this.handlers.ready();
+    },
+    async get(key) {
+      return strings.has(key) ? strings.get(key).value : null;
+    },
+    async set(key, value, { EX } = {}) {
+      strings.set(key, { value, ttl: EX ?? -1 });
+      return "OK";
+    },
+    async ttl(key) {
+      return strings.has(key) ? strings.get(key).ttl : -2;
+    },
+    async pTTL(key) {
+      const ttl = await client.ttl(key);
+      return ttl > 0 ? ttl * 1000 : ttl;
+    },
+    async unlink(keys) {
+      return keys.filter((key) => strings.delete(key) || hashes.delete(key)).length;
+    },
+    async hIncrBy(key, field, amount) {
+      const hash = hashes.get(key) || {};
+      hash[field] = String(Number(hash[field] || 0) + amount);
+      hashes.set(key, hash);
+    },
+    async hGetAll(key) {
+      return { ...hashes.get(key) };
+    },
+    // Pages of COUNT keys; the cursor is the index of the next key
+    async scan(cursor, { MATCH, COUNT }) {
+      const pattern = globToRegExp(MATCH);
+      const all = [...strings.keys(), ...hashes.keys()];
+      const next = Number(cursor) + COUNT;
+      return {
+        cursor: next >= all.length ? "0" : String(next),
+        keys: all.slice(Number(cursor), next).filter((key) => pattern.test(key)),
+      };
+    },
+    multi() {
+      const queued = [];
+      const multi = {
+        exec: async () => Promise.all(queued.map((run) => run())),
+      };
+      ["get", "ttl", "pTTL", "hIncrBy"].forEach((command) => {
+        multi[command] = (...args) => {
+          queued.push(() => client[command](...args));
+          return multi;
+        };
+      });
+      return multi;
+    },
+    async eval() {
+      return null;
+    },
+    async publish() {
+      return 0;
+    },
+    duplicate: () => ({ on() {}, async connect() {}, async subscribe() {} }),
+  };
+  return { createClient: () => client };
+});
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const aiRoutes = require("../routes/ai.routes");
+const adminRoutes = require("../routes/admin.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes, "/api/admin": adminRoutes });
+
+const userToken = signToken("user-1");
+const adminToken = signToken("admin-1", "admin");
+
+const processText = (type, content, options) =>
+  request(app)
+    .post("/api/ai/process")
+    .set("Authorization", `Bearer ${userToken}`)
+    .send({ type, content, ...(options && { options }) });
+
+const admin = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`);
+
+const listAll = async (type) => {
+  const entries = [];
+  let cursor = "0";
+  do {
+    const res = await admin("get", "/api/admin/cache/entries").query({ ...(type && { type }), cursor, limit: 2 });
+    entries.push(...res.body.entries);
+    cursor = res.body.cursor;
+  } while (cursor);
+  return entries;
+};
+
+describe("Result cache management", () => {
+  beforeEach(async () => {
+    mock.reset();
+    cacheService.isConnected = true;
+    await cacheService.deleteMany((await cacheService.scanKeys("*", { count: 1000 })).keys);
+  });
+
+  it("counts hits, misses and bytes per processing type", async () => {
+    await processText("summarize", "Counting cache hits for summaries.");
+    await processText("summarize", "Counting cache hits for summaries.");
+    await processText("extract-keywords", "Counting cache misses for keywords.");
+
+    const res = await admin("get", "/api/admin/cache/stats");
+
+    expect(res.status).toBe(200);
+    expect(res.body.types.summarize).toMatchObject({ hits: 1, localHits: 1, misses: 1, writes: 1, hitRate: 0.5 });
+    expect(res.body.types.summarize.bytesRead).toBe(res.body.types.summarize.bytesWritten);
+    expect(res.body.types["extract-keywords"]).toMatchObject({ hits: 0, misses: 1, writes: 1, bytesRead: 0 });
+    expect(res.body.totals).toMatchObject({ hits: 1, misses: 2, writes: 2 });
+  });
+
+  it("lists cached results of a type page by page", async () => {
+    for (const text of ["First text", "Second text", "Third text"]) {
+      await processText("summarize", text);
+    }
+    await processText("extract-keywords", "Other type");
+
+    const entries = await listAll("summarize");
+
+    expect(entries).toHaveLength(3);
+    entries.forEach((entry) => {
+      expect(entry).toMatchObject({ type: "summarize", provider: "mock", model: "mock-1", ttl: 3600 });
+      expect(entry.key).toMatch(/^ai:summarize:[0-9a-f]{32}$/);
+      expect(entry.bytes).toBeGreaterThan(0);
+    });
+    expect(await listAll()).toHaveLength(4);
+  });
+
+  it("purges one type without touching other keys", async () => {
+    await processText("summarize", "Purge me");
+    await processText("extract-keywords", "Keep me");
+    await cacheService.set("session:abc", "unrelated");
+
+    const res = await admin("delete", "/api/admin/cache").query({ type: "summarize" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ deleted: 1, scanned: 1 });
+    expect((await listAll()).map((entry) => entry.type)).toEqual(["extract-keywords"]);
+    expect(await cacheService.get("session:abc")).toBe("unrelated");
+  });
+
+  it("purges by model", async () => {
+    await processText("summarize", "Old model", { model: "mock-old" });
+    await processText("extract-keywords", "Old model too", { model: "mock-old" });
+    await processText("summarize", "Current model");
+
+    const res = await admin("delete", "/api/admin/cache").query({ model: "mock-old" });
+
+    expect(res.body).toEqual({ deleted: 2, scanned: 3 });
+    expect((await listAll()).map((entry) => entry.model)).toEqual(["mock-1"]);
+  });
+
+  it("requires a purge filter and the admin role", async () => {
+    const unfiltered = await admin("delete", "/api/admin/cache");
+    const asUser = await request(app)
+      .delete("/api/admin/cache?type=summarize")
+      .set("Authorization", `Bearer ${userToken}`);
+    const globbed = await admin("delete", "/api/admin/cache").query({ type: "*" });
+
+    expect(unfiltered.status).toBe(400);
+    expect(asUser.status).toBe(403);
+    expect(globbed.status).toBe(400);
+  });
+
+  it("answers 503 while the cache is unavailable", async () => {
+    cacheService.isConnected = false;
+
+    const res = await admin("get", "/api/admin/cache/stats");
+
+    expect(res.status).toBe(503);
+  });
+
+  it("skips reading and writing the cache with options.cache bypass", async () => {
+    await processText("summarize", "Never cached", { cache: "bypass" });
+    await processText("summarize", "Never cached", { cache: "bypass" });
+
+    expect(mock.calls).toBe(2);
+    expect(await listAll()).toHaveLength(0);
+  });
+
+  it("replaces the cached result with options.cache refresh", async () => {
+    await processText("summarize", "Refreshed text");
+    const refreshed = await processText("summarize", "Refreshed text", { cache: "refresh" });
+    const cached = await processText("summarize", "Refreshed text");
+    const stats = await admin("get", "/api/admin/cache/stats");
+
+    expect(mock.calls).toBe(2);
+    expect(cached.body).toEqual(refreshed.body);
+    expect(stats.body.types.summarize).toMatchObject({ hits: 1, misses: 1, writes: 2 });
+    expect(await listAll()).toHaveLength(1);
+  });
+
+  it("rejects unknown cache modes", async () => {
+    const res = await processText("summarize", "Bad mode", { cache: "sometimes" });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,115 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { aiService } = require("../services/ai.service");
+const { cacheService } = require("../services/cache.service");
+const { singleFlightService } = require("../services/singleFlight.service");
+const aiRoutes = require("../routes/ai.routes");
+
+const mock = aiService.providers.get("mock");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const token = signToken("user-1");
+
+const post = (path, body) => request(app).post(path).set("Authorization", `Bearer ${token}`).send(body);
+
+const summarize = (content, options = {}) => ({
+  type: "summarize",
+  content,
+  options: { mock: { latencyMs: 30 }, ...options },
+});
+
+const isLockScript = (script) => script.includes("'NX'");
+
+describe("Single-flight processing", () => {
+  const pollMs = singleFlightService.pollMs;
+
+  beforeEach(async () => {
+    mock.reset();
+    singleFlightService.reset();
+    singleFlightService.pollMs = 5;
+    cacheService.eval.mockReset().mockResolvedValue(null);
+    cacheService.exists.mockReset().mockResolvedValue(false);
+    await cacheService.clear();
+  });
+
+  afterAll(() => {
+    singleFlightService.pollMs = pollMs;
+  });
+
+  it("shares one model call between concurrent identical requests", async () => {
+    const body = summarize("Two clients asked for the same summary at once.");
+
+    const [first, second] = await Promise.all([post("/api/ai/process", body), post("/api/ai/process", body)]);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual(first.body);
+    expect(mock.calls).toBe(1);
+  });
+
+  it("does not coalesce requests that bypass the cache", async () => {
+    const body = summarize("Fresh results only.", { cache: "bypass" });
+
+    await Promise.all([post("/api/ai/process", body), post("/api/ai/process", body)]);
+
+    expect(mock.calls).toBe(2);
+  });
+
+  it("waits for another instance holding the lock and serves its cached result", async () => {
+    const body = summarize("Another replica is already on it.");
+    const { cacheRequest } = await aiService.resolvePrompt(body);
+    const cached = { type: "summarize", result: { summary: "From the other replica" }, provider: "mock" };
+    cacheService.eval.mockImplementation(async (script) => (isLockScript(script) ? 0 : null));
+    // The other replica finishes after two polls
+    cacheService.exists.mockImplementation(async () => {
+      if (cacheService.exists.mock.calls.length < 3) return true;
+      await cacheService.set(aiService.generateCacheKey(cacheRequest), JSON.stringify(cached));
+      return false;
+    });
+
+    const res = await post("/api/ai/process", body);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(cached);
+    expect(mock.calls).toBe(0);
+    expect(cacheService.exists).toHaveBeenCalledWith(expect.stringMatching(/^lock:ai:summarize:/));
+  });
+
+  it("takes over when the lock holder cached nothing, then releases the lock", async () => {
+    let lockAttempts = 0;
+    cacheService.eval.mockImplementation(async (script) => {
+      if (!isLockScript(script)) return script.includes("DEL") ? 1 : null;
+      lockAttempts += 1;
+      return lockAttempts === 1 ? 0 : 1;
+    });
+
+    const res = await post("/api/ai/process", summarize("The other replica failed."));
+
+    expect(res.status).toBe(200);
+    expect(mock.calls).toBe(1);
+    const lockCalls = cacheService.eval.mock.calls.filter(([script]) => isLockScript(script));
+    const [, [lockKey], [lockToken]] = lockCalls[1];
+    expect(lockCalls).toHaveLength(2);
+    expect(cacheService.eval).toHaveBeenCalledWith(expect.stringContaining("DEL"), [lockKey], [lockToken]);
+  });
+
+  it("processes identical batch items once", async () => {
+    const duplicate = summarize("Duplicated item", { cache: "bypass" });
+
+    const res = await post("/api/ai/batch", {
+      requests: [duplicate, summarize("Unique item", { cache: "bypass" }), duplicate],
+    });
+
+    expect(res.status).toBe(200);
+    expect(mock.calls).toBe(2);
+    expect(res.body.results.map((r) => r.index)).toEqual([0, 1, 2]);
+    expect(res.body.results[2].result).toEqual(res.body.results[0].result);
+  });
+});
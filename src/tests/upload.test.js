@@ -0,0 +1,153 @@
+process.env.AI_PROVIDER = "mock";
+process.env.UPLOAD_MAX_FILE_SIZE = "65536";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+// pdf.js loads its worker with a dynamic import, which jest's CommonJS
+// runtime does not support, so the parser itself is replaced here
+jest.mock("pdf-parse", () => ({
+  PDFParse: class {
+    async getInfo() {
+      return { info: { Title: "Handbook" } };
+    }
+
+    async getText() {
+      return {
+        total: 3,
+        pages: [
+          { num: 1, text: "Introduction\n• Safety first\n• Ask questions" },
+          { num: 2, text: "" },
+          { num: 3, text: "Contact the team." },
+        ],
+      };
+    }
+
+    async destroy() {}
+  },
+}));
+
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { extractionService } = require("../services/extraction.service");
+const aiRoutes = require("../routes/ai.routes");
+
+const app = buildApp({ "/api/ai": aiRoutes });
+
+const token = signToken("test-user");
+
+const upload = (file, fields = { type: "summarize" }) => {
+  const req = request(app)
+    .post("/api/ai/process/upload")
+    .set("Authorization", `Bearer ${token}`);
+  Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+  return file ? req.attach("file", file.buffer, { filename: file.name, contentType: file.type }) : req;
+};
+
+describe("Document extraction", () => {
+  it("converts HTML headings, lists and tables to Markdown", async () => {
+    const html = `<html><head><title>Report</title><style>p{}</style></head><body>
+      <h1>Quarterly report</h1><ul><li>Revenue up</li><li>Costs down</li></ul>
+      <table><thead><tr><th>Region</th><th>Sales</th></tr></thead>
+      <tbody><tr><td>EU</td><td>10</td></tr></tbody></table><script>alert(1)</script></body></html>`;
+
+    const { markdown, metadata } = await extractionService.extract({
+      buffer: Buffer.from(html),
+      mimetype: "text/html",
+      originalname: "report.html",
+    });
+
+    expect(markdown).toContain("# Quarterly report");
+    expect(markdown).toMatch(/^-\s+Revenue up$/m);
+    expect(markdown).not.toContain("Report\n");
+    expect(markdown).toMatch(/\| Region \| Sales \|/);
+    expect(markdown).not.toContain("alert");
+    expect(metadata).toMatchObject({ format: "html", title: "Report", encoding: "utf-8" });
+  });
+
+  it("detects the encoding of plain text", async () => {
+    const latin1 = await extractionService.extract({
+      buffer: Buffer.from("Café crème", "latin1"),
+      mimetype: "text/plain",
+      originalname: "menu.txt",
+    });
+    const utf16 = await extractionService.extract({
+      buffer: Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("Grüße", "utf16le")]),
+      mimetype: "application/octet-stream",
+      originalname: "note.txt",
+    });
+
+    expect(latin1.markdown).toBe("Café crème");
+    expect(latin1.metadata.encoding).toBe("windows-1252");
+    expect(utf16.markdown).toBe("Grüße");
+    expect(utf16.metadata).toMatchObject({ encoding: "utf-16le", format: "text" });
+  });
+
+  it("reports the page count of PDFs and maps bullets to list items", async () => {
+    const { markdown, metadata } = await extractionService.extract({
+      buffer: Buffer.from("%PDF-1.4\n"),
+      mimetype: "application/pdf",
+      originalname: "handbook.pdf",
+    });
+
+    expect(markdown).toBe("Introduction\n- Safety first\n- Ask questions\n\n---\n\nContact the team.");
+    expect(metadata).toMatchObject({ format: "pdf", pageCount: 3, title: "Handbook" });
+  });
+});
+
+describe("POST /api/ai/process/upload", () => {
+  it("processes an uploaded Markdown document", async () => {
+    const res = await upload(
+      { buffer: Buffer.from("# Notes\n\nThe launch went great and users love it."), name: "notes.md", type: "text/markdown" },
+      { type: "analyze-sentiment", options: JSON.stringify({ maxRepairAttempts: 0 }) }
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.result.sentiment).toBe("positive");
+    expect(res.body.extraction).toMatchObject({ fileName: "notes.md", format: "markdown", encoding: "utf-8" });
+  });
+
+  it("requires a file and a valid type", async () => {
+    const missingFile = await upload(null);
+    const badType = await upload(
+      { buffer: Buffer.from("hello"), name: "a.txt", type: "text/plain" },
+      { type: "unknown" }
+    );
+
+    expect(missingFile.status).toBe(400);
+    expect(missingFile.body.errors).toEqual([{ field: "file", message: "file is required" }]);
+    expect(badType.status).toBe(400);
+    expect(badType.body.errors[0].field).toBe("type");
+  });
+
+  it("rejects invalid options JSON", async () => {
+    const res = await upload(
+      { buffer: Buffer.from("hello"), name: "a.txt", type: "text/plain" },
+      { type: "summarize", options: "{not json" }
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe("options");
+  });
+
+  it("enforces MIME type and size limits", async () => {
+    const image = await upload({ buffer: Buffer.from("GIF89a"), name: "a.gif", type: "image/gif" });
+    const fakePdf = await upload({ buffer: Buffer.from("not a pdf"), name: "a.pdf", type: "application/pdf" });
+    const large = await upload({ buffer: Buffer.alloc(70000, "a"), name: "big.txt", type: "text/plain" });
+
+    expect(image.status).toBe(415);
+    expect(fakePdf.status).toBe(415);
+    expect(large.status).toBe(413);
+  });
+
+  it("rejects extracted text over the processing type limit", async () => {
+    const res = await upload(
+      { buffer: Buffer.from("word ".repeat(5000)), name: "long.txt", type: "text/plain" },
+      { type: "generate-content" }
+    );
+
+    expect(res.status).toBe(413);
+    expect(res.body.errors[0].message).toContain("10000");
+  });
+});
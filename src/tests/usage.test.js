@@ -0,0 +1,75 @@
+jest.mock("../models/usage.model", () => ({
+  usageModel: { create: jest.fn(), aggregate: jest.fn() },
+}));
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+const { usageService } = require("../services/usage.service");
+const { usageModel } = require("../models/usage.model");
+const { quotaService } = require("../services/quota.service");
+
+describe("UsageService", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("prices uncached input, cached input and output separately", () => {
+    // gemini-2.0-flash: $0.10 in, $0.40 out, $0.025 cached per 1M tokens
+    const cost = usageService.computeCost("gemini-2.0-flash", {
+      inputTokens: 1_000_000,
+      cachedTokens: 400_000,
+      outputTokens: 500_000,
+    });
+
+    expect(cost).toBeCloseTo(0.06 + 0.01 + 0.2, 8);
+  });
+
+  it("treats unknown models as free", () => {
+    expect(usageService.computeCost("unknown-model", { inputTokens: 10 })).toBe(0);
+  });
+
+  it("prices dated model snapshots like their base model", () => {
+    const usage = { inputTokens: 1_000_000, outputTokens: 1_000_000 };
+
+    // gpt-4o-mini: $0.15 in, $0.60 out; not gpt-4o, the shorter prefix
+    expect(usageService.computeCost("gpt-4o-mini-2024-07-18", usage)).toBeCloseTo(0.75, 8);
+    expect(usageService.computeCost("gpt-4o-2024-08-06", usage)).toBeCloseTo(12.5, 8);
+  });
+
+  it("records usage per principal without failing the caller", async () => {
+    usageModel.create.mockRejectedValueOnce(new Error("db down"));
+
+    await expect(
+      usageService.record({
+        principal: { id: "user-1", type: "user" },
+        type: "summarize",
+        provider: "google",
+        model: "gemini-2.0-flash",
+        usage: { inputTokens: 10, outputTokens: 5, cachedTokens: 0 },
+      })
+    ).resolves.toBeUndefined();
+
+    expect(usageModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        principalId: "user-1",
+        principalType: "user",
+        processingType: "summarize",
+        model: "gemini-2.0-flash",
+      })
+    );
+  });
+
+  it("still records usage when the token quota cannot be updated", async () => {
+    jest.spyOn(quotaService, "addTokens").mockRejectedValueOnce(new Error("redis down"));
+
+    await expect(
+      usageService.record({
+        principal: { id: "user-1", type: "user" },
+        type: "summarize",
+        provider: "google",
+        model: "gemini-2.0-flash",
+        usage: { inputTokens: 10, outputTokens: 5, cachedTokens: 0, totalTokens: 15 },
+      })
+    ).resolves.toBeUndefined();
+
+    expect(usageModel.create).toHaveBeenCalledTimes(1);
+  });
+});
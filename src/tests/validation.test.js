@@ -0,0 +1,75 @@
+const { validateRequest } = require("../middleware/validation.middleware");
+const {
+  processRequestSchema,
+  batchRequestSchema,
+  jobRequestSchema,
+} = require("../validators/ai.validator");
+
+const run = (schema, body) => {
+  const req = { body };
+  const next = jest.fn();
+  validateRequest(schema)(req, {}, next);
+  return { req, error: next.mock.calls[0][0] };
+};
+
+describe("AI request validation", () => {
+  it("accepts valid requests and applies defaults", () => {
+    const { req, error } = run(processRequestSchema, {
+      type: "generate-content",
+      content: "  Write a haiku  ",
+      options: { temperature: 0.4, maxTokens: 100 },
+    });
+
+    expect(error).toBeUndefined();
+    expect(req.body.content).toBe("Write a haiku");
+
+    expect(run(processRequestSchema, { type: "summarize", content: "x" }).req.body.options).toEqual({});
+  });
+
+  it("returns field-level errors for out-of-range options", () => {
+    const { error } = run(processRequestSchema, {
+      type: "generate-content",
+      content: "Write something",
+      options: { temperature: -1, maxTokens: 0 },
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.errors.map((e) => e.field)).toEqual(["options.temperature", "options.maxTokens"]);
+  });
+
+  it("rejects unknown options and wrong option types per processing type", () => {
+    const { error } = run(processRequestSchema, {
+      type: "translate",
+      content: "Hello",
+      options: { targetLanguage: 42, temperature: 0.5 },
+    });
+
+    expect(error.errors.map((e) => e.field)).toEqual(["options.targetLanguage", "options.temperature"]);
+  });
+
+  it("enforces the max content length of the processing type", () => {
+    const { error } = run(processRequestSchema, {
+      type: "analyze-sentiment",
+      content: "a".repeat(20001),
+    });
+
+    expect(error.errors).toEqual([
+      { field: "content", message: expect.stringContaining("20000") },
+    ]);
+  });
+
+  it("validates each batch item with its index in the field path", () => {
+    const { error } = run(batchRequestSchema, {
+      requests: [{ type: "summarize", content: "ok" }, { type: "unknown", content: "x" }],
+    });
+
+    expect(error.errors[0].field).toBe("requests.1.type");
+  });
+
+  it("accepts single and batch job payloads", () => {
+    expect(run(jobRequestSchema, { type: "summarize", content: "ok" }).error).toBeUndefined();
+    expect(
+      run(jobRequestSchema, { requests: [{ type: "translate", content: "Hi" }] }).error
+    ).toBeUndefined();
+  });
+});
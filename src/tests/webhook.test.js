@@ -0,0 +1,325 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../models/usage.model", () => require("./helpers").mockUsageModel());
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+// Queues that only record what is added to them
+jest.mock("../config/queue", () => {
+  const queues = {};
+  const QUEUE_NAMES = { PROCESS: "ai-process", BATCH: "ai-batch", WEBHOOK: "ai-webhook" };
+  const getQueue = (name) => {
+    if (!queues[name]) {
+      queues[name] = {
+        name,
+        keyPrefix: "bull",
+        client: { exists: async () => 0 },
+        add: jest.fn(async () => ({ id: `job-${Object.keys(queues).length}` })),
+        getJob: async () => null,
+      };
+    }
+    return queues[name];
+  };
+  return { QUEUE_NAMES, getQueue };
+});
+
+// In-memory webhook tables
+jest.mock("../models/webhook.model", () => {
+  const secrets = new Map();
+  const deliveries = new Map();
+  const summary = ({ payload, attemptLog, ...delivery }) => delivery;
+  return {
+    webhookModel: {
+      secrets,
+      deliveries,
+      findSecret: async (ownerId, ownerType) => secrets.get(`${ownerType}:${ownerId}`) || null,
+      saveSecret: async (ownerId, ownerType, secret) => {
+        const saved = { secret, createdAt: new Date() };
+        secrets.set(`${ownerType}:${ownerId}`, saved);
+        return saved;
+      },
+      createDelivery: async (fields) => {
+        const delivery = { ...fields, status: "pending", attempts: 0, attemptLog: [], createdAt: new Date() };
+        deliveries.set(fields.id, delivery);
+        return { ...delivery };
+      },
+      findDelivery: async (id) => (deliveries.has(id) ? structuredClone(deliveries.get(id)) : null),
+      listDeliveries: async ({ ownerId, status, jobId }, { limit, offset }) => {
+        const matching = [...deliveries.values()].filter(
+          (d) => (!ownerId || d.ownerId === ownerId) && (!status || d.status === status) && (!jobId || d.jobId === jobId)
+        );
+        return { deliveries: matching.slice(offset, offset + limit).map(summary), total: matching.length };
+      },
+      recordAttempt: async (id, attempt, status) => {
+        const delivery = deliveries.get(id);
+        Object.assign(delivery, {
+          status,
+          attempts: delivery.attempts + 1,
+          attemptLog: [...delivery.attemptLog, attempt],
+          lastStatusCode: attempt.statusCode,
+          lastError: attempt.error,
+        });
+        return { ...delivery };
+      },
+      setStatus: async (id, status) => {
+        deliveries.get(id).status = status;
+        return { ...deliveries.get(id) };
+      },
+    },
+  };
+});
+
+const crypto = require("crypto");
+const http = require("http");
+const request = require("supertest");
+const { buildApp, signToken } = require("./helpers");
+const { getQueue, QUEUE_NAMES } = require("../config/queue");
+const { webhookModel } = require("../models/webhook.model");
+const { jobService, JobCancelledError } = require("../services/job.service");
+const { webhookService } = require("../services/webhook.service");
+const { urlService } = require("../services/url.service");
+const aiRoutes = require("../routes/ai.routes");
+const webhookRoutes = require("../routes/webhook.routes");
+
+const app = buildApp({ "/api/ai": aiRoutes, "/api/webhooks": webhookRoutes });
+
+const tokens = { owner: signToken("user-1"), other: signToken("user-2"), admin: signToken("admin-1", "admin") };
+
+const as = (who) => ({
+  get: (path) => request(app).get(path).set("Authorization", `Bearer ${tokens[who]}`),
+  post: (path, body) => request(app).post(path).set("Authorization", `Bearer ${tokens[who]}`).send(body),
+});
+
+const owner = { id: "user-1", type: "user" };
+const webhookQueue = getQueue(QUEUE_NAMES.WEBHOOK);
+
+// Local receiver; answers with the status in `receiver.status`
+const receiver = { status: 200, requests: [] };
+let server;
+let callbackUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.status;
+      res.end(receiver.status < 300 ? "ok" : "nope");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  callbackUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+// Stand-in for a Bull job of the ai-webhook queue
+const deliveryJob = (deliveryId, attemptsMade = 0) => ({
+  data: { deliveryId },
+  opts: { attempts: webhookService.maxAttempts },
+  attemptsMade,
+  discard: jest.fn(),
+});
+
+const processingJob = (data) => ({
+  id: "job-42",
+  data: { ownerId: owner.id, ownerType: owner.type, ...data },
+  queue: getQueue(QUEUE_NAMES.PROCESS),
+  opts: { attempts: 3 },
+  attemptsMade: 0,
+  progress: jest.fn(),
+  isDiscarded: () => false,
+});
+
+const scheduleDelivery = (who = owner) =>
+  webhookService.schedule({ owner: who, url: callbackUrl, event: "job.completed", jobId: "job-42", data: { ok: true } });
+
+describe("Webhook callbacks", () => {
+  beforeEach(() => {
+    urlService.allowPrivateNetworks = true;
+    receiver.status = 200;
+    receiver.requests = [];
+    webhookModel.deliveries.clear();
+    webhookModel.secrets.clear();
+    getQueue(QUEUE_NAMES.PROCESS).add.mockClear();
+    webhookQueue.add.mockClear();
+  });
+
+  afterAll(() => {
+    urlService.allowPrivateNetworks = false;
+  });
+
+  it("accepts a callbackUrl on jobs and stores it with the job", async () => {
+    const res = await as("owner").post("/api/ai/jobs", { type: "summarize", content: "Some text", callbackUrl });
+
+    expect(res.status).toBe(202);
+    const [data] = getQueue(QUEUE_NAMES.PROCESS).add.mock.calls[0];
+    expect(data.callbackUrl).toBe(callbackUrl);
+  });
+
+  it("rejects callback URLs that are not http(s) or point to private addresses", async () => {
+    const invalid = await as("owner").post("/api/ai/jobs", {
+      type: "summarize",
+      content: "Some text",
+      callbackUrl: "ftp://example.com/hook",
+    });
+    urlService.allowPrivateNetworks = false;
+    const blocked = await as("owner").post("/api/ai/jobs", {
+      requests: [{ type: "summarize", content: "Some text" }],
+      callbackUrl: "http://169.254.169.254/latest",
+    });
+
+    expect(invalid.status).toBe(400);
+    expect(blocked.status).toBe(400);
+    expect(blocked.body.errors[0].field).toBe("callbackUrl");
+    expect(getQueue(QUEUE_NAMES.PROCESS).add).not.toHaveBeenCalled();
+  });
+
+  it("schedules job.completed with the result when a job with a callback finishes", async () => {
+    const job = processingJob({ request: { type: "summarize", content: "Finish me.", options: {} }, callbackUrl });
+
+    const result = await jobService.processJob(job);
+
+    const [delivery] = webhookModel.deliveries.values();
+    expect(delivery).toMatchObject({ ownerId: "user-1", jobId: "job-42", event: "job.completed", url: callbackUrl });
+    expect(delivery.payload.data).toEqual({ jobId: "job-42", queue: "ai-process", state: "completed", result });
+    expect(webhookQueue.add).toHaveBeenCalledWith(
+      { deliveryId: delivery.id },
+      expect.objectContaining({ backoff: expect.objectContaining({ type: "exponential" }) })
+    );
+  });
+
+  it("drops the result of a job cancelled while it was running", async () => {
+    const job = processingJob({ request: { type: "summarize", content: "Cancel me.", options: {} }, callbackUrl });
+    // Not cancelled when the job starts, cancelled by the time the call returns
+    const exists = jest.fn().mockResolvedValueOnce(0).mockResolvedValue(1);
+    Object.assign(job, { queue: { ...job.queue, client: { exists } }, discard: jest.fn() });
+
+    await expect(jobService.processJob(job)).rejects.toThrow(JobCancelledError);
+
+    expect(job.discard).toHaveBeenCalled();
+    expect(job.progress).not.toHaveBeenCalled();
+    expect(webhookModel.deliveries.size).toBe(0);
+  });
+
+  it("sends job.failed only when the job has no attempts left and was not cancelled", async () => {
+    const job = processingJob({ callbackUrl });
+
+    await jobService.onFailed({ ...job, attemptsMade: 1 }, new Error("Provider down"));
+    await jobService.onFailed({ ...job, attemptsMade: 3 }, new JobCancelledError(job.id));
+    expect(webhookModel.deliveries.size).toBe(0);
+
+    await jobService.onFailed({ ...job, attemptsMade: 3 }, new Error("Provider down"));
+    const [delivery] = webhookModel.deliveries.values();
+    expect(delivery.event).toBe("job.failed");
+    expect(delivery.payload.data).toMatchObject({ state: "failed", failedReason: "Provider down" });
+  });
+
+  it("posts the payload signed with the owner's secret", async () => {
+    const delivery = await scheduleDelivery();
+    const { body: secret } = await as("owner").get("/api/webhooks/secret");
+
+    const outcome = await webhookService.deliver(deliveryJob(delivery.id));
+
+    expect(outcome).toEqual({ deliveryId: delivery.id, statusCode: 200 });
+    const [{ headers, body }] = receiver.requests;
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+    expect(headers["x-webhook-id"]).toBe(delivery.id);
+    expect(headers["x-webhook-event"]).toBe("job.completed");
+    const expected = crypto
+      .createHmac("sha256", secret.secret)
+      .update(`${headers["x-webhook-timestamp"]}.${body}`)
+      .digest("hex");
+    expect(headers["x-webhook-signature"]).toBe(`sha256=${expected}`);
+    expect(webhookModel.deliveries.get(delivery.id)).toMatchObject({ status: "delivered", attempts: 1 });
+  });
+
+  it("signs with the new secret after rotation", async () => {
+    const { body: before } = await as("owner").get("/api/webhooks/secret");
+    const { body: after } = await as("owner").post("/api/webhooks/secret/rotate");
+    const delivery = await scheduleDelivery();
+
+    await webhookService.deliver(deliveryJob(delivery.id));
+
+    expect(after.secret).not.toBe(before.secret);
+    const [{ headers, body }] = receiver.requests;
+    expect(headers["x-webhook-signature"]).toBe(webhookService.sign(after.secret, headers["x-webhook-timestamp"], body));
+  });
+
+  it("logs failed attempts for retry and marks the delivery failed after the last one", async () => {
+    receiver.status = 500;
+    const delivery = await scheduleDelivery();
+
+    await expect(webhookService.deliver(deliveryJob(delivery.id))).rejects.toThrow("HTTP 500");
+    expect(webhookModel.deliveries.get(delivery.id)).toMatchObject({ status: "pending", lastStatusCode: 500 });
+
+    const last = deliveryJob(delivery.id, webhookService.maxAttempts - 1);
+    await expect(webhookService.deliver(last)).rejects.toThrow("HTTP 500");
+    const logged = webhookModel.deliveries.get(delivery.id);
+    expect(logged).toMatchObject({ status: "failed", attempts: 2 });
+    expect(logged.attemptLog.map((attempt) => attempt.attempt)).toEqual([1, 2]);
+    expect(last.discard).not.toHaveBeenCalled();
+  });
+
+  it("does not retry callbacks to private addresses", async () => {
+    const delivery = await scheduleDelivery();
+    urlService.allowPrivateNetworks = false;
+    const job = deliveryJob(delivery.id);
+
+    await expect(webhookService.deliver(job)).rejects.toThrow("URL is not allowed");
+
+    expect(job.discard).toHaveBeenCalled();
+    expect(receiver.requests).toHaveLength(0);
+    expect(webhookModel.deliveries.get(delivery.id).status).toBe("failed");
+  });
+
+  it("shows each principal only their own deliveries", async () => {
+    const mine = await scheduleDelivery();
+    const theirs = await scheduleDelivery({ id: "user-2", type: "user" });
+
+    const list = await as("owner").get("/api/webhooks/deliveries?status=pending");
+    const foreign = await as("owner").get(`/api/webhooks/deliveries/${theirs.id}`);
+    const detail = await as("owner").get(`/api/webhooks/deliveries/${mine.id}`);
+    const all = await as("admin").get("/api/webhooks/deliveries");
+
+    expect(list.status).toBe(200);
+    expect(list.body.deliveries.map((d) => d.id)).toEqual([mine.id]);
+    expect(list.body.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    expect(foreign.status).toBe(404);
+    expect(detail.body.payload).toEqual(mine.payload);
+    expect(all.body.pagination.total).toBe(2);
+  });
+
+  it("answers 404 for delivery ids that are not UUIDs without querying them", async () => {
+    const findDelivery = jest.spyOn(webhookModel, "findDelivery");
+
+    const detail = await as("owner").get("/api/webhooks/deliveries/not-a-uuid");
+    const redeliver = await as("owner").post("/api/webhooks/deliveries/12345/redeliver");
+
+    expect(detail.status).toBe(404);
+    expect(detail.body.message).toBe("Webhook delivery not found");
+    expect(redeliver.status).toBe(404);
+    expect(findDelivery).not.toHaveBeenCalled();
+    findDelivery.mockRestore();
+  });
+
+  it("redelivers finished deliveries and refuses ones still being retried", async () => {
+    const delivery = await scheduleDelivery();
+    webhookQueue.add.mockClear();
+
+    const pending = await as("owner").post(`/api/webhooks/deliveries/${delivery.id}/redeliver`);
+    await webhookService.deliver(deliveryJob(delivery.id));
+    const other = await as("other").post(`/api/webhooks/deliveries/${delivery.id}/redeliver`);
+    const res = await as("owner").post(`/api/webhooks/deliveries/${delivery.id}/redeliver`);
+
+    expect(pending.status).toBe(409);
+    expect(other.status).toBe(404);
+    expect(res.status).toBe(202);
+    expect(res.body.status).toBe("pending");
+    expect(webhookQueue.add).toHaveBeenCalledTimes(1);
+    expect(webhookQueue.add).toHaveBeenCalledWith({ deliveryId: delivery.id }, expect.any(Object));
+  });
+});
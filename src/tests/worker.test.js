@@ -0,0 +1,159 @@
+process.env.AI_PROVIDER = "mock";
+
+jest.mock("../services/cache.service", () => require("./helpers").mockCacheService());
+
+// Postgres stand-in: records every query, and returns what `mockRows` holds
+// for the first pattern that matches it
+const mockQueries = [];
+const mockRows = [];
+jest.mock("pg", () => ({
+  Pool: class {
+    async connect() {
+      return { release: () => {} };
+    }
+
+    async query(text, params = []) {
+      mockQueries.push({ text, params });
+      if (/^\s*INSERT INTO webhook_deliveries/.test(text)) {
+        const [id, ownerId, ownerType, jobId, event, url, payload] = params;
+        return {
+          rows: [{ id, owner_id: ownerId, owner_type: ownerType, job_id: jobId, event, url, payload, status: "pending" }],
+        };
+      }
+      const match = mockRows.find(([pattern]) => pattern.test(text));
+      return { rows: match ? match[1] : [], rowCount: match ? match[1].length : 0 };
+    }
+
+    async end() {}
+  },
+}));
+
+// Queues that keep the handlers the worker registers
+jest.mock("../config/queue", () => {
+  const queues = {};
+  const QUEUE_NAMES = { PROCESS: "ai-process", BATCH: "ai-batch", WEBHOOK: "ai-webhook" };
+  const getQueue = (name) => {
+    if (!queues[name]) {
+      queues[name] = {
+        name,
+        keyPrefix: "bull",
+        client: { exists: async () => 0 },
+        add: jest.fn(async () => ({ id: "delivery-job" })),
+        process: jest.fn((concurrency, handler) => {
+          queues[name].handler = handler;
+        }),
+        on: () => {},
+      };
+    }
+    return queues[name];
+  };
+  return { QUEUE_NAMES, getQueue, closeQueues: async () => {} };
+});
+
+const { QUEUE_NAMES, getQueue } = require("../config/queue");
+const { config } = require("../config/database");
+const { processingTypeModel } = require("../models/processingType.model");
+const { startWorker } = require("../workers/ai.worker");
+
+const owner = { id: "user-1", type: "user" };
+
+const storedPrompt = (version, isActive) => ({
+  name: "summarize",
+  version,
+  template: `Summarize in {{maxLength}} words, version ${version}:\n{{content}}`,
+  variables: ["content", "maxLength"],
+  is_active: isActive,
+});
+mockRows.push(
+  [/FROM prompt_templates WHERE name = \$1 AND is_active/, [storedPrompt(3, true)]],
+  [/FROM prompt_templates WHERE name = \$1 AND version = \$2/, [storedPrompt(2, false)]]
+);
+mockRows.push([
+  /FROM processing_types/,
+  [{ name: "product-description", prompt_template: "Describe this product: {{content}}", max_content_length: 2000, revision: 1 }],
+]);
+
+const runJob = (request) => {
+  const queue = getQueue(QUEUE_NAMES.PROCESS);
+  return queue.handler({
+    id: "job-7",
+    data: { request, ownerId: owner.id, ownerType: owner.type, callbackUrl: "https://hooks.example.com/ai" },
+    queue,
+    opts: { attempts: 3 },
+    attemptsMade: 0,
+    progress: jest.fn(),
+    isDiscarded: () => false,
+  });
+};
+
+const queriesOf = (table) => mockQueries.filter(({ text }) => text.includes(`INSERT INTO ${table}`));
+
+describe("AI worker", () => {
+  beforeAll(async () => {
+    await startWorker();
+  });
+
+  beforeEach(() => {
+    mockQueries.length = 0;
+  });
+
+  it("connects to Postgres before taking jobs", () => {
+    expect(config.pool).not.toBeNull();
+    expect(getQueue(QUEUE_NAMES.PROCESS).process).toHaveBeenCalled();
+  });
+
+  it("records the callback of a finished job in the delivery log", async () => {
+    const result = await runJob({ type: "summarize", content: "Batteries stored more solar energy.", options: {} });
+
+    const [insert] = queriesOf("webhook_deliveries");
+    expect(insert.params).toEqual(
+      expect.arrayContaining([owner.id, owner.type, "job-7", "job.completed", "https://hooks.example.com/ai"])
+    );
+    expect(insert.params[6].data).toMatchObject({ jobId: "job-7", state: "completed", result });
+    expect(getQueue(QUEUE_NAMES.WEBHOOK).add).toHaveBeenCalledWith(
+      { deliveryId: insert.params[0] },
+      expect.any(Object)
+    );
+  });
+
+  it("records the usage of a job for its owner", async () => {
+    const result = await runJob({ type: "summarize", content: "Grid batteries stored more energy.", options: {} });
+
+    const [insert] = queriesOf("ai_usage");
+    expect(insert.params.slice(0, 7)).toEqual([
+      owner.id,
+      owner.type,
+      "summarize",
+      "mock",
+      "mock-1",
+      result.usage.inputTokens,
+      result.usage.outputTokens,
+    ]);
+    expect(insert.params[8]).toEqual(expect.any(Number));
+  });
+
+  it("runs jobs of custom processing types registered in the database", async () => {
+    const result = await runJob({ type: "product-description", content: "A solar-powered lamp.", options: {} });
+
+    expect(result.type).toBe("product-description");
+    expect(result.result.text).toMatch(/^Generated content/);
+  });
+
+  it("does not start when the processing type registry cannot be loaded", async () => {
+    jest.spyOn(processingTypeModel, "list").mockRejectedValueOnce(new Error("relation does not exist"));
+
+    await expect(startWorker()).rejects.toThrow("relation does not exist");
+  });
+
+  it("uses the promoted prompt of the registry, or the pinned version", async () => {
+    const active = await runJob({ type: "summarize", content: "Wind farms produced more power.", options: {} });
+    const pinned = await runJob({
+      type: "summarize",
+      content: "Wind farms produced more power.",
+      options: { promptVersion: 2 },
+    });
+
+    expect(active.prompt).toEqual({ name: "summarize", version: 3 });
+    expect(pinned.prompt).toEqual({ name: "summarize", version: 2 });
+  });
+});
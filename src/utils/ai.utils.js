@@ -1,23 +1,68 @@
 
+// Processing types handled by AIService.processContent
+const PROCESSING_TYPES = [
+  'summarize',
+  'analyze-sentiment',
+  'extract-keywords',
+  'generate-content',
+  'translate',
+];
 
+// Processing types handled by AIService.processImage
+const IMAGE_PROCESSING_TYPES = [
+  'image-caption',
+  'image-alt-text',
+  'image-ocr',
+  'image-moderation',
+];
+
+/**
+ * Parse a model response as JSON, tolerating surrounding code fences
+ * @param {string} rawResult - Raw model text
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When the text is not valid JSON
+ */
 const formatResponse = (rawResult) => {
     // Remove code block markers and trim
   const cleaned = rawResult
-    .replace(/^```json\n/, '') // remove starting ```json
-    .replace(/```$/, '')       // remove ending ```
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '') // remove starting ```json
+    .replace(/\s*```$/, '')           // remove ending ```
     .trim();
 
-  // Parse to JSON
-  let parsedResult;
+  return JSON.parse(cleaned);
+}
+
+/**
+ * Parse and validate structured model output against an output schema
+ * @param {string} rawResult - Raw model text
+ * @param {Object} outputSchema - { schema, normalize } from output.validator
+ * @returns {{value: *, errors: Array|null}} Validated value or field-level errors
+ */
+const validateStructuredOutput = (rawResult, outputSchema) => {
+  let parsed;
   try {
-    parsedResult = JSON.parse(cleaned);
+    parsed = formatResponse(rawResult);
   } catch (error) {
-    console.error("Error parsing sentiment result:", error);
-    parsedResult = { error: "Invalid result format" };
+    return { value: null, errors: [{ field: 'response', message: `Invalid JSON: ${error.message}` }] };
+  }
+
+  const { value, error } = outputSchema.schema.validate(parsed, {
+    abortEarly: false,
+    errors: { wrap: { label: false } },
+  });
+  if (error) {
+    return {
+      value: null,
+      errors: error.details.map((detail) => ({
+        field: detail.path.join('.') || 'response',
+        message: detail.message,
+      })),
+    };
   }
 
-  return parsedResult;
+  return { value: outputSchema.normalize ? outputSchema.normalize(value) : value, errors: null };
 }
 
 
-module.exports = {formatResponse};
\ No newline at end of file
+module.exports = {formatResponse, validateStructuredOutput, PROCESSING_TYPES, IMAGE_PROCESSING_TYPES};
@@ -0,0 +1,148 @@
+const { estimateTokens } = require('../services/providers/base.provider');
+const { omit } = require('./object.utils');
+
+/**
+ * Split text into sentences, keeping the trailing punctuation and whitespace
+ * @param {string} text
+ * @returns {string[]}
+ */
+const splitSentences = (text) => text.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [text];
+
+/**
+ * Split a single unit that is larger than the budget on word boundaries
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string[]}
+ */
+const splitWords = (text, maxTokens) => {
+  const pieces = [];
+  let current = '';
+  for (const word of text.split(/(\s+)/)) {
+    if (current && estimateTokens(current + word) > maxTokens) {
+      pieces.push(current);
+      current = '';
+    }
+    current += word;
+  }
+  if (current.trim()) pieces.push(current);
+  return pieces;
+};
+
+/**
+ * Break text into units no larger than maxTokens, preferring paragraph
+ * boundaries, then sentence boundaries, then word boundaries
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string[]}
+ */
+const splitUnits = (text, maxTokens) => {
+  const paragraphs = text.split(/(?<=\n\s*\n)/);
+  const units = [];
+
+  for (const paragraph of paragraphs) {
+    if (estimateTokens(paragraph) <= maxTokens) {
+      units.push(paragraph);
+      continue;
+    }
+    for (const sentence of splitSentences(paragraph)) {
+      if (estimateTokens(sentence) <= maxTokens) {
+        units.push(sentence);
+      } else {
+        units.push(...splitWords(sentence, maxTokens));
+      }
+    }
+  }
+  return units.filter((unit) => unit.trim());
+};
+
+/**
+ * Split a long document into overlapping chunks along paragraph and
+ * sentence boundaries. Each chunk after the first starts with the last
+ * sentences of the previous chunk (up to overlapTokens) for context.
+ *
+ * @param {string} text - Document text
+ * @param {Object} options
+ * @param {number} options.maxTokens - Target chunk size in (estimated) tokens
+ * @param {number} options.overlapTokens - Overlap carried into the next chunk
+ * @returns {Array<{index: number, text: string, start: number, end: number, tokens: number}>}
+ *   start/end are character offsets of the chunk's own (non-overlap) content
+ */
+const chunkText = (text, { maxTokens, overlapTokens = 0 }) => {
+  const budget = Math.max(1, maxTokens - overlapTokens);
+  const units = splitUnits(text, budget);
+  const chunks = [];
+
+  let current = [];
+  let start = 0;
+
+  const flush = () => {
+    if (!current.length) return;
+    const own = current.join('');
+    const previous = chunks[chunks.length - 1];
+    const overlap = previous ? tailSentences(previous.ownText, overlapTokens) : '';
+
+    chunks.push({
+      index: chunks.length,
+      text: overlap + own,
+      ownText: own,
+      start,
+      end: start + own.length,
+      tokens: estimateTokens(overlap + own),
+    });
+    start += own.length;
+    current = [];
+  };
+
+  for (const unit of units) {
+    const candidate = current.join('') + unit;
+    if (current.length && estimateTokens(candidate) > budget) {
+      flush();
+    }
+    current.push(unit);
+  }
+  flush();
+
+  return chunks.map((chunk) => omit(chunk, ['ownText']));
+};
+
+/**
+ * Last whole sentences of a text that fit within a token budget
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+const tailSentences = (text, maxTokens) => {
+  if (maxTokens <= 0) return '';
+  const sentences = splitSentences(text);
+  let tail = '';
+  for (let i = sentences.length - 1; i >= 0; i--) {
+    const candidate = sentences[i] + tail;
+    if (estimateTokens(candidate) > maxTokens) break;
+    tail = candidate;
+  }
+  return tail;
+};
+
+/**
+ * Map over items with at most `limit` promises in flight, preserving order
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+module.exports = { chunkText, mapWithConcurrency };
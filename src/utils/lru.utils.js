@@ -0,0 +1,113 @@
+/**
+ * Least recently used string cache bounded by entry count and bytes, with a
+ * TTL per entry. Relies on Map keeping insertion order: the first key is the
+ * least recently used one.
+ */
+class LruCache {
+  /**
+   * @param {Object} limits
+   * @param {number} limits.maxEntries - Most entries kept
+   * @param {number} limits.maxBytes - Most bytes of keys and values kept
+   */
+  constructor({ maxEntries, maxBytes }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> { value, bytes, expiresAt, dirty }
+    this.bytes = 0;
+  }
+
+  /**
+   * Entry of a key without marking it as used; expired entries are removed
+   * @param {string} key
+   * @returns {Object|null} { value, bytes, expiresAt, dirty }
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Entry of a key, marking it as the most recently used
+   * @param {string} key
+   * @returns {Object|null} { value, bytes, expiresAt, dirty }
+   */
+  get(key) {
+    const entry = this.peek(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries to stay within
+   * the limits. Values that alone exceed maxBytes are not stored.
+   * @param {string} key
+   * @param {string} value
+   * @param {number} ttlMs - Milliseconds until the entry expires
+   * @param {Object} [flags] - { dirty } marks entries not yet written to the next tier
+   * @returns {Object|null} The stored entry
+   */
+  set(key, value, ttlMs, { dirty = false } = {}) {
+    this.delete(key);
+    const bytes = Buffer.byteLength(key) + Buffer.byteLength(value);
+    if (ttlMs <= 0 || bytes > this.maxBytes || this.maxEntries < 1) return null;
+
+    while (this.entries.size >= this.maxEntries || this.bytes + bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+    const entry = { value, bytes, expiresAt: Date.now() + ttlMs, dirty };
+    this.entries.set(key, entry);
+    this.bytes += bytes;
+    return entry;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} Whether the key was present
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * @returns {string[]} Keys from least to most recently used
+   */
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * @returns {Object} { entries, bytes, dirty, maxEntries, maxBytes }
+   */
+  getStatus() {
+    let dirty = 0;
+    this.entries.forEach((entry) => {
+      if (entry.dirty) dirty += 1;
+    });
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      dirty,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+    };
+  }
+}
+
+module.exports = { LruCache };
@@ -0,0 +1,13 @@
+/**
+ * Shallow copy of an object without the given keys
+ * @param {Object} object
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+const omit = (object, keys) => {
+  const copy = { ...object };
+  keys.forEach((key) => delete copy[key]);
+  return copy;
+};
+
+module.exports = { omit };
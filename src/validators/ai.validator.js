@@ -0,0 +1,241 @@
+const Joi = require('joi');
+const { PROCESSING_TYPES, IMAGE_PROCESSING_TYPES } = require('../utils/ai.utils');
+const { providerRegistry, mockEnabled } = require('../services/providers');
+const { processingTypeService } = require('../services/processingType.service');
+
+// Maximum content length (characters) accepted per processing type
+const MAX_CONTENT_LENGTH = {
+  // Long documents are chunked and summarized with map-reduce
+  summarize: 2000000,
+  'analyze-sentiment': 20000,
+  'extract-keywords': 50000,
+  'generate-content': 10000,
+  translate: 50000,
+};
+
+const MAX_BATCH_SIZE = 100;
+const MAX_PIPELINE_STEPS = 20;
+
+// Free-text options end up inside prompts, so keep them short and plain
+const promptText = (max) =>
+  Joi.string()
+    .trim()
+    .max(max)
+    .pattern(/^[\p{L}\p{N} ,.'()-]+$/u, 'plain text');
+
+// Options every processing type accepts
+const commonOptions = {
+  provider: Joi.string().valid(...providerRegistry.list().map((p) => p.name)),
+  model: Joi.string().trim().max(100),
+  // Scripted mock provider behaviour, only where the mock provider is enabled
+  ...(mockEnabled && {
+    mock: Joi.object({
+      latencyMs: Joi.number().integer().min(0).max(60000),
+      error: Joi.alternatives(
+        Joi.boolean(),
+        Joi.object({
+          status: Joi.number().integer().min(400).max(599),
+          message: Joi.string().max(200),
+        })
+      ),
+      malformed: Joi.boolean(),
+    }),
+  }),
+  // bypass: neither read nor write the result cache; refresh: skip the read but store the new result
+  cache: Joi.string().valid('bypass', 'refresh'),
+};
+
+// Options of the types whose prompts come from the template registry
+const promptOptions = {
+  ...commonOptions,
+  // Pin a prompt template version; 0 is the built-in template
+  promptVersion: Joi.number().integer().min(0),
+};
+
+const OPTION_SCHEMAS = {
+  summarize: Joi.object({
+    ...promptOptions,
+    maxLength: Joi.number().integer().min(10).max(2000),
+    style: promptText(50),
+    chunkTokens: Joi.number().integer().min(500).max(32000),
+  }),
+  'analyze-sentiment': Joi.object({
+    ...promptOptions,
+    maxRepairAttempts: Joi.number().integer().min(0).max(5),
+  }),
+  'extract-keywords': Joi.object({
+    ...promptOptions,
+    maxRepairAttempts: Joi.number().integer().min(0).max(5),
+  }),
+  'generate-content': Joi.object({
+    ...promptOptions,
+    style: promptText(50),
+    temperature: Joi.number().min(0).max(2),
+    maxTokens: Joi.number().integer().min(1).max(8192),
+  }),
+  translate: Joi.object({
+    ...promptOptions,
+    targetLanguage: promptText(50),
+    preserveFormatting: Joi.boolean(),
+  }),
+  'image-caption': Joi.object({
+    ...commonOptions,
+    style: promptText(50),
+    maxLength: Joi.number().integer().min(5).max(300),
+  }),
+  'image-alt-text': Joi.object({
+    ...commonOptions,
+    maxLength: Joi.number().integer().min(20).max(500),
+    context: promptText(200),
+  }),
+  'image-ocr': Joi.object({
+    ...commonOptions,
+    language: promptText(50),
+    preserveLayout: Joi.boolean(),
+  }),
+  'image-moderation': Joi.object({
+    ...commonOptions,
+    maxRepairAttempts: Joi.number().integer().min(0).max(5),
+  }),
+};
+
+/**
+ * Options schema that follows the request's processing type. Options of
+ * custom types are checked against their JSON Schema afterwards (see
+ * validateCustomTypes); here only the common options are validated.
+ * @param {string[]} types - Allowed processing types
+ * @returns {Joi.AlternativesSchema}
+ */
+const optionsSchema = (types) =>
+  Joi.when('type', {
+    switch: types.map((type) => ({ is: type, then: OPTION_SCHEMAS[type] })),
+    otherwise: Joi.object({
+      ...commonOptions,
+      maxRepairAttempts: Joi.number().integer().min(0).max(5),
+    }).unknown(true),
+  }).default({});
+
+/**
+ * Processing type field
+ * @param {string[]} types - Allowed built-in types
+ * @param {boolean} custom - Also allow types registered at runtime
+ * @returns {Joi.StringSchema}
+ */
+const typeSchema = (types, custom) => {
+  if (!custom) return Joi.string().valid(...types).required();
+
+  return Joi.string()
+    .required()
+    .custom((value, helpers) => {
+      if (types.includes(value) || processingTypeService.has(value)) return value;
+      return helpers.error('any.only', {
+        valids: [...types, ...processingTypeService.getAll().map((definition) => definition.name)],
+      });
+    });
+};
+
+/**
+ * Build the schema for a single processing request
+ * @param {string[]} types - Allowed built-in processing types
+ * @param {Object} [settings]
+ * @param {boolean} [settings.custom] - Also allow types registered at runtime
+ * @returns {Joi.ObjectSchema}
+ */
+const buildRequestSchema = (types, { custom = false } = {}) =>
+  Joi.object({
+    type: typeSchema(types, custom),
+    content: Joi.string()
+      .trim()
+      .min(1)
+      .when('type', {
+        switch: types.map((type) => ({
+          is: type,
+          then: Joi.string().max(MAX_CONTENT_LENGTH[type]),
+        })),
+      }),
+    // A web page to fetch instead of inline content
+    source: Joi.object({
+      url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048).required(),
+    }),
+    options: optionsSchema(types),
+  })
+    .xor('content', 'source')
+    .messages({
+      'object.missing': 'content or source is required',
+      'object.xor': 'content and source cannot be used together',
+    });
+
+const processRequestSchema = buildRequestSchema(PROCESSING_TYPES, { custom: true });
+
+const streamRequestSchema = buildRequestSchema(['generate-content', 'translate']);
+
+// Multipart fields of a document upload; content comes from the file
+const uploadRequestSchema = Joi.object({
+  type: Joi.string().valid(...PROCESSING_TYPES).required(),
+  options: optionsSchema(PROCESSING_TYPES),
+});
+
+// Multipart fields of an image upload
+const imageRequestSchema = Joi.object({
+  type: Joi.string().valid(...IMAGE_PROCESSING_TYPES).required(),
+  options: optionsSchema(IMAGE_PROCESSING_TYPES),
+});
+
+const batchRequestSchema = Joi.object({
+  requests: Joi.array()
+    .items(processRequestSchema)
+    .min(1)
+    .max(MAX_BATCH_SIZE)
+    .required(),
+  // Stop at the first group with a failed item
+  failFast: Joi.boolean().default(false),
+});
+
+// Receives the job's outcome as a signed POST (see services/webhook.service.js)
+const callbackUrl = Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048);
+
+const jobRequestSchema = Joi.alternatives().conditional('.requests', {
+  is: Joi.exist(),
+  then: batchRequestSchema.keys({ callbackUrl }),
+  otherwise: processRequestSchema.keys({ callbackUrl }),
+});
+
+// A field of an earlier step's result: "<step id>.<path>", e.g. "translated.result.translatedText"
+const stepReference = Joi.string()
+  .max(200)
+  .pattern(/^[A-Za-z][\w-]*(\.[\w-]+)+$/, 'step reference');
+
+const pipelineStepSchema = Joi.object({
+  id: Joi.string().max(64).pattern(/^[A-Za-z][\w-]*$/, 'step id').required(),
+  type: typeSchema(PROCESSING_TYPES, true),
+  // Fixed content; otherwise `input` or the pipeline's content is used
+  content: Joi.string().trim().min(1),
+  input: stepReference,
+  // Option name -> step reference, filled in before the step runs
+  map: Joi.object().pattern(Joi.string(), stepReference),
+  options: optionsSchema(PROCESSING_TYPES),
+}).oxor('content', 'input');
+
+const pipelineRequestSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(MAX_CONTENT_LENGTH.summarize),
+  steps: Joi.array()
+    .items(pipelineStepSchema)
+    .min(1)
+    .max(MAX_PIPELINE_STEPS)
+    .unique('id')
+    .required(),
+});
+
+module.exports = {
+  processRequestSchema,
+  streamRequestSchema,
+  uploadRequestSchema,
+  imageRequestSchema,
+  batchRequestSchema,
+  jobRequestSchema,
+  pipelineRequestSchema,
+  optionsSchema,
+  MAX_CONTENT_LENGTH,
+  MAX_BATCH_SIZE,
+  MAX_PIPELINE_STEPS,
+};
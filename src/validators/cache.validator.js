@@ -0,0 +1,22 @@
+const Joi = require('joi');
+const { TYPE_NAME_PATTERN } = require('./processingType.validator');
+
+// Processing type of the cached results; also keeps glob characters out of SCAN patterns
+const type = Joi.string().max(64).pattern(TYPE_NAME_PATTERN, 'processing type name');
+
+const listCacheEntriesSchema = Joi.object({
+  type,
+  // Opaque cursor from the previous page
+  cursor: Joi.string().pattern(/^\d+$/, 'cursor').default('0'),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+});
+
+const purgeCacheSchema = Joi.object({
+  type,
+  model: Joi.string().trim().max(100),
+  promptVersion: Joi.number().integer().min(0),
+})
+  .or('type', 'model', 'promptVersion')
+  .messages({ 'object.missing': 'At least one of type, model or promptVersion is required' });
+
+module.exports = { listCacheEntriesSchema, purgeCacheSchema };
@@ -0,0 +1,81 @@
+const Joi = require('joi');
+const { PROCESSING_TYPES } = require('../utils/ai.utils');
+const { optionsSchema, MAX_CONTENT_LENGTH } = require('./ai.validator');
+
+// Largest source text the library stores: the limit of the most permissive type
+const MAX_LIBRARY_CONTENT_LENGTH = Math.max(...Object.values(MAX_CONTENT_LENGTH));
+
+const SOURCE_TYPES = ['text', 'upload', 'url'];
+
+const title = Joi.string().trim().min(1).max(255);
+const tag = Joi.string().trim().lowercase().min(1).max(50);
+const tags = Joi.array().items(tag).max(20).unique();
+const metadata = Joi.object().unknown(true);
+
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+};
+
+const createContentSchema = Joi.object({
+  title,
+  content: Joi.string().trim().min(1).max(MAX_LIBRARY_CONTENT_LENGTH),
+  // A web page to fetch and store instead of inline content
+  source: Joi.object({
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048).required(),
+  }),
+  tags,
+  metadata,
+})
+  .xor('content', 'source')
+  .messages({
+    'object.missing': 'content or source is required',
+    'object.xor': 'content and source cannot be used together',
+  });
+
+// Multipart fields of a document upload; tags arrive comma-separated
+const uploadContentSchema = Joi.object({
+  title,
+  tags: Joi.string().max(1100),
+});
+
+const updateContentSchema = Joi.object({
+  title,
+  tags,
+  metadata,
+})
+  .min(1)
+  .messages({ 'object.min': 'Provide at least one of title, tags or metadata' });
+
+const listContentSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200),
+  type: Joi.string().valid(...PROCESSING_TYPES),
+  tag,
+  sourceType: Joi.string().valid(...SOURCE_TYPES),
+  // Admins only: list another principal's library
+  ownerId: Joi.string().trim().max(64),
+  ...pagination,
+});
+
+const processContentSchema = Joi.object({
+  type: Joi.string().valid(...PROCESSING_TYPES).required(),
+  options: optionsSchema(PROCESSING_TYPES),
+  // Return the stored version for identical type and options instead of calling the model
+  reuse: Joi.boolean().default(true),
+});
+
+const listVersionsSchema = Joi.object({
+  type: Joi.string().valid(...PROCESSING_TYPES),
+  ...pagination,
+});
+
+module.exports = {
+  createContentSchema,
+  uploadContentSchema,
+  updateContentSchema,
+  listContentSchema,
+  processContentSchema,
+  listVersionsSchema,
+  MAX_LIBRARY_CONTENT_LENGTH,
+  SOURCE_TYPES,
+};
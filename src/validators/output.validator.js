@@ -0,0 +1,120 @@
+const Joi = require('joi');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SentimentResult:
+ *       type: object
+ *       required: [sentiment, confidence, emotionalIndicators, explanation]
+ *       properties:
+ *         sentiment:
+ *           type: string
+ *           enum: [positive, negative, neutral, mixed]
+ *         confidence:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 10
+ *         emotionalIndicators:
+ *           type: array
+ *           items:
+ *             type: string
+ *         explanation:
+ *           type: string
+ *     KeywordsResult:
+ *       type: object
+ *       required: [keywords]
+ *       properties:
+ *         keywords:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [keyword, relevance]
+ *             properties:
+ *               keyword:
+ *                 type: string
+ *               relevance:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *     ImageModerationResult:
+ *       type: object
+ *       required: [safe, categories, sentiment, explanation]
+ *       properties:
+ *         safe:
+ *           type: boolean
+ *         categories:
+ *           type: object
+ *           description: Likelihood per category (none, low, medium, high)
+ *           properties:
+ *             adult:
+ *               type: string
+ *             violence:
+ *               type: string
+ *             hate:
+ *               type: string
+ *             selfHarm:
+ *               type: string
+ *             drugs:
+ *               type: string
+ *         sentiment:
+ *           type: string
+ *           enum: [positive, negative, neutral, mixed]
+ *         explanation:
+ *           type: string
+ */
+
+// Output schemas for processing types that return JSON. `description` is
+// shown to the model, `schema` validates its reply and `normalize` maps the
+// validated value to the documented result shape.
+
+const sentimentOutput = {
+  description:
+    '{"sentiment": "positive" | "negative" | "neutral" | "mixed", "confidence": number 0-10, "emotionalIndicators": string[], "explanation": string}',
+  schema: Joi.object({
+    sentiment: Joi.string().lowercase().valid('positive', 'negative', 'neutral', 'mixed').required(),
+    confidence: Joi.number().min(0).max(10).required(),
+    emotionalIndicators: Joi.array().items(Joi.string()).required(),
+    explanation: Joi.string().allow('').required(),
+  }).unknown(false),
+};
+
+const keyword = Joi.object({
+  keyword: Joi.string().min(1).required(),
+  relevance: Joi.number().min(0).max(10).required(),
+});
+
+const keywordsOutput = {
+  description: '{"keywords": [{"keyword": string, "relevance": number 0-10}]}',
+  // Models sometimes return the bare array; accept it and wrap it
+  schema: Joi.alternatives(
+    Joi.object({ keywords: Joi.array().items(keyword).required() }),
+    Joi.array().items(keyword)
+  ).match('one'),
+  normalize: (value) => ({
+    keywords: (Array.isArray(value) ? value : value.keywords).sort(
+      (a, b) => b.relevance - a.relevance
+    ),
+  }),
+};
+
+const likelihood = Joi.string().lowercase().valid('none', 'low', 'medium', 'high').required();
+
+const imageModerationOutput = {
+  description:
+    '{"safe": boolean, "categories": {"adult": L, "violence": L, "hate": L, "selfHarm": L, "drugs": L}, "sentiment": "positive" | "negative" | "neutral" | "mixed", "explanation": string} where L is "none" | "low" | "medium" | "high"',
+  schema: Joi.object({
+    safe: Joi.boolean().required(),
+    categories: Joi.object({
+      adult: likelihood,
+      violence: likelihood,
+      hate: likelihood,
+      selfHarm: likelihood,
+      drugs: likelihood,
+    }).required(),
+    sentiment: Joi.string().lowercase().valid('positive', 'negative', 'neutral', 'mixed').required(),
+    explanation: Joi.string().allow('').required(),
+  }).unknown(false),
+};
+
+module.exports = { sentimentOutput, keywordsOutput, imageModerationOutput };
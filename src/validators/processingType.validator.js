@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const { PROCESSING_TYPES, IMAGE_PROCESSING_TYPES } = require('../utils/ai.utils');
+const { providerRegistry } = require('../services/providers');
+
+// Lowercase kebab-case, like the built-in type names
+const TYPE_NAME_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+
+const definitionFields = {
+  description: Joi.string().trim().max(500),
+  promptTemplate: Joi.string().trim().min(1).max(20000),
+  optionsSchema: Joi.object(),
+  outputSchema: Joi.object().allow(null),
+  defaults: Joi.object({
+    provider: Joi.string().valid(...providerRegistry.list().map((p) => p.name)),
+    model: Joi.string().trim().max(100),
+    temperature: Joi.number().min(0).max(2),
+    maxTokens: Joi.number().integer().min(1).max(8192),
+  }),
+  // Seconds; 0 disables caching
+  cacheTtl: Joi.number().integer().min(0).max(7 * 24 * 3600),
+  maxContentLength: Joi.number().integer().min(1).max(200000),
+};
+
+const createProcessingTypeSchema = Joi.object({
+  name: Joi.string()
+    .max(64)
+    .pattern(TYPE_NAME_PATTERN, 'kebab-case')
+    .invalid(...PROCESSING_TYPES, ...IMAGE_PROCESSING_TYPES)
+    .required()
+    .messages({ 'any.invalid': 'name is a built-in processing type' }),
+  ...definitionFields,
+  promptTemplate: definitionFields.promptTemplate.required(),
+});
+
+const updateProcessingTypeSchema = Joi.object(definitionFields).min(1);
+
+module.exports = { createProcessingTypeSchema, updateProcessingTypeSchema, TYPE_NAME_PATTERN };
@@ -0,0 +1,10 @@
+const Joi = require('joi');
+
+const createPromptVersionSchema = Joi.object({
+  template: Joi.string().trim().min(1).max(20000).required(),
+  description: Joi.string().trim().max(500),
+  // Promote the new version right away
+  activate: Joi.boolean().default(false),
+});
+
+module.exports = { createPromptVersionSchema };
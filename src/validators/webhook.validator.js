@@ -0,0 +1,12 @@
+const Joi = require('joi');
+
+const listDeliveriesSchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivered', 'failed'),
+  jobId: Joi.string().trim().max(64),
+  // Admins only; ignored for everyone else
+  ownerId: Joi.string().trim().max(64),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+module.exports = { listDeliveriesSchema };
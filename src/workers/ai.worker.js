@@ -0,0 +1,69 @@
+require("dotenv").config();
+
+const { logger } = require("../config/logger");
+const { config } = require("../config/database");
+const { QUEUE_NAMES, getQueue, closeQueues } = require("../config/queue");
+const { jobService } = require("../services/job.service");
+const { processingTypeService } = require("../services/processingType.service");
+const { webhookService } = require("../services/webhook.service");
+
+/**
+ * Standalone worker that consumes the AI job queues.
+ * Run one or more with `npm run worker`; jobs survive API restarts because
+ * they live in Redis, and stalled jobs are picked up by another worker.
+ * Jobs write usage and webhook deliveries and read the prompt and
+ * processing type registries, so the worker needs Postgres as well.
+ */
+const concurrency = parseInt(process.env.WORKER_CONCURRENCY || "2", 10);
+
+const startWorker = async () => {
+  await config.connectDB();
+  // Jobs of custom types would fail as unsupported without the registry
+  await processingTypeService.load();
+
+  const processQueue = getQueue(QUEUE_NAMES.PROCESS);
+  const batchQueue = getQueue(QUEUE_NAMES.BATCH);
+  const webhookQueue = getQueue(QUEUE_NAMES.WEBHOOK);
+
+  processQueue.process(concurrency, (job) => jobService.processJob(job));
+  // Batches already fan out internally, so take one at a time per worker
+  batchQueue.process(1, (job) => jobService.processBatchJob(job));
+  // Deliveries mostly wait on the receiver, so run more of them at once
+  webhookQueue.process(concurrency * 5, (job) => webhookService.deliver(job));
+
+  for (const queue of [processQueue, batchQueue]) {
+    queue.on("completed", (job) => {
+      logger.info("AI job completed", { jobId: job.id, queue: queue.name });
+    });
+    queue.on("failed", (job, error) => {
+      logger.error("AI job failed", {
+        jobId: job.id,
+        queue: queue.name,
+        attemptsMade: job.attemptsMade,
+        error: error.message,
+      });
+      jobService.onFailed(job, error);
+    });
+  }
+
+  logger.info(`AI worker started with concurrency ${concurrency}`);
+};
+
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, closing worker`);
+  await closeQueues();
+  await config.closeDb();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+if (require.main === module) {
+  startWorker().catch((error) => {
+    logger.error("AI worker failed to start", { error: error.message });
+    process.exit(1);
+  });
+}
+
+module.exports = { startWorker };